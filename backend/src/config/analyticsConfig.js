@@ -0,0 +1,24 @@
+/**
+ * Analytics Configuration
+ * Defaults of the cross-asset correlation analytics and thresholds of the market-regime classifier
+ */
+
+export const ANALYTICS_CONFIG = {
+  // Asset betas and relative strength are measured against
+  BENCHMARK: (process.env.ANALYTICS_BENCHMARK || 'BTC').toUpperCase(),
+  // Candles the returns are taken from, and how far back
+  INTERVAL: process.env.ANALYTICS_INTERVAL || '1h',
+  LOOKBACK_DAYS: parseInt(process.env.ANALYTICS_LOOKBACK_DAYS) || 30,
+  // Returns per rolling-correlation window (7 days of hourly returns)
+  WINDOW: parseInt(process.env.ANALYTICS_WINDOW) || 168,
+
+  REGIME: {
+    // Annualized volatility of daily closes (%) above which an asset is in a high-volatility regime
+    HIGH_VOLATILITY: parseFloat(process.env.ANALYTICS_HIGH_VOLATILITY) || 80,
+    // Trend strength (0-100, see technicalIndicators.calculateTrend) from which a directional move is a trend
+    TREND_STRENGTH: parseFloat(process.env.ANALYTICS_TREND_STRENGTH) || 20,
+  },
+
+  // The market context added to predictions is recomputed at most this often
+  CONTEXT_TTL: parseInt(process.env.ANALYTICS_CONTEXT_TTL) || 5 * 60 * 1000,
+};
@@ -0,0 +1,31 @@
+/**
+ * Backtest Configuration
+ * Lookback window, walk-forward execution limits and trading-strategy simulation defaults
+ */
+
+export const BACKTEST_CONFIG = {
+  LOOKBACK_DAYS: parseInt(process.env.BACKTEST_LOOKBACK_DAYS) || 30,
+  // Predictions evaluated at once; providers may lower this (see PredictionProvider.maxConcurrency)
+  CONCURRENCY: parseInt(process.env.BACKTEST_CONCURRENCY) || 4,
+  // Retries of a rate-limited prediction, backing off exponentially from RETRY_DELAY
+  MAX_RETRIES: parseInt(process.env.BACKTEST_MAX_RETRIES) || 3,
+  RETRY_DELAY: parseInt(process.env.BACKTEST_RETRY_DELAY) || 2000,
+
+  // Background jobs run at once; further jobs wait queued, and submissions beyond MAX_PENDING_JOBS
+  // (running and queued together) are rejected
+  JOB_CONCURRENCY: parseInt(process.env.BACKTEST_JOB_CONCURRENCY) || 1,
+  MAX_PENDING_JOBS: parseInt(process.env.BACKTEST_MAX_PENDING_JOBS) || 10,
+
+  // Strategy simulated on walk-forward predictions; overridable per request
+  STRATEGY: {
+    INITIAL_CAPITAL: parseFloat(process.env.STRATEGY_INITIAL_CAPITAL) || 10000,
+    // 'confidence' scales the position with the prediction's confidence, 'fixed' always trades full size
+    SIZING: process.env.STRATEGY_SIZING || 'confidence',
+    ALLOW_SHORT: process.env.STRATEGY_ALLOW_SHORT !== 'false',
+    // Predictions below this confidence stay flat
+    MIN_CONFIDENCE: parseFloat(process.env.STRATEGY_MIN_CONFIDENCE) || 50,
+    // Costs in basis points of the traded notional, charged on every position change
+    FEE_BPS: parseFloat(process.env.STRATEGY_FEE_BPS ?? 10),
+    SLIPPAGE_BPS: parseFloat(process.env.STRATEGY_SLIPPAGE_BPS ?? 5),
+  },
+};
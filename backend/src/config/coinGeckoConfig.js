@@ -0,0 +1,37 @@
+/**
+ * CoinGecko Configuration
+ * API endpoint and key, client-side rate limit, retries and the on-disk response cache
+ */
+
+const API_KEY = process.env.COINGECKO_API_KEY;
+// 'pro' keys are sent to pro-api.coingecko.com, 'demo' keys to the public API
+const API_PLAN = process.env.COINGECKO_API_PLAN || 'pro';
+const PRO = Boolean(API_KEY) && API_PLAN === 'pro';
+
+export const COINGECKO_CONFIG = {
+  API_KEY,
+  API_PLAN,
+  // Point at the fixture server (http://localhost:3002/api/v3) to serve recordings over HTTP
+  BASE_URL: process.env.COINGECKO_BASE_URL || (PRO ? 'https://pro-api.coingecko.com/api/v3' : 'https://api.coingecko.com/api/v3'),
+  TIMEOUT: parseInt(process.env.COINGECKO_TIMEOUT) || 10000,
+
+  // Token bucket: requests per minute, and how many may be sent back to back after a quiet period
+  RATE_LIMIT: parseInt(process.env.COINGECKO_RATE_LIMIT) || (PRO ? 500 : 10),
+  BURST: parseInt(process.env.COINGECKO_BURST) || 3,
+
+  // Retries of 429, 5xx and network errors, backing off exponentially from RETRY_DELAY
+  // unless the response says how long to wait (Retry-After)
+  MAX_RETRIES: parseInt(process.env.COINGECKO_MAX_RETRIES) || 4,
+  RETRY_DELAY: parseInt(process.env.COINGECKO_RETRY_DELAY) || 2000,
+  MAX_RETRY_DELAY: parseInt(process.env.COINGECKO_MAX_RETRY_DELAY) || 60000,
+
+  CACHE: {
+    ENABLED: process.env.COINGECKO_CACHE !== 'false',
+    // Relative to the backend working directory
+    PATH: process.env.COINGECKO_CACHE_PATH || 'data/cache/coingecko',
+    // Ranges reaching into the last hour can still change and expire after TTL; older ranges never do
+    TTL: parseInt(process.env.COINGECKO_CACHE_TTL) || 5 * 60 * 1000,
+    // Bytes on disk; the least recently used entries are removed beyond this
+    MAX_SIZE: parseInt(process.env.COINGECKO_CACHE_MAX_SIZE) || 200 * 1024 * 1024,
+  },
+};
@@ -0,0 +1,32 @@
+/**
+ * Price Consensus Configuration
+ * Sources the live FTSO price is cross-checked against and when a source counts as divergent
+ */
+
+// "ftso:2,coingecko:1" -> { ftso: 2, coingecko: 1 }
+const parseWeights = (value = '') => Object.fromEntries(value.split(',')
+  .map((entry) => entry.split(':').map((part) => part.trim()))
+  .filter(([name, weight]) => name && Number(weight) > 0)
+  .map(([name, weight]) => [name.toLowerCase(), Number(weight)]));
+
+export const CONSENSUS_CONFIG = {
+  // Enabled price sources: ftso, coingecko and the exchange adapters binance and coinbase
+  SOURCES: (process.env.PRICE_SOURCES || 'ftso,coingecko').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean),
+  // Weight of each source in the reference price; unlisted sources weigh 1
+  WEIGHTS: parseWeights(process.env.PRICE_SOURCE_WEIGHTS),
+
+  // A quote further than this from the weighted median (percent) is an outlier
+  DIVERGENCE_THRESHOLD: parseFloat(process.env.PRICE_DIVERGENCE_THRESHOLD) || 1,
+  // Outliers can only be told apart from the rest with at least this many quotes;
+  // with fewer, a divergence marks the whole consensus as divergent instead
+  MIN_SOURCES_FOR_OUTLIERS: 3,
+
+  // Quotes older than this are stale and left out of the reference price
+  MAX_QUOTE_AGE: parseInt(process.env.PRICE_MAX_QUOTE_AGE) || 5 * 60 * 1000, // 5 minutes
+  // Quotes are reused for this long, so repeated predictions do not hit every source again
+  QUOTE_TTL: parseInt(process.env.PRICE_QUOTE_TTL) || 30 * 1000,
+  SOURCE_TIMEOUT: parseInt(process.env.PRICE_SOURCE_TIMEOUT) || 5000,
+
+  // Recent outcomes per source the health status is computed from
+  HEALTH_WINDOW: parseInt(process.env.PRICE_HEALTH_WINDOW) || 50,
+};
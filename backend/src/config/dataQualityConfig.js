@@ -0,0 +1,18 @@
+/**
+ * Data Quality Configuration
+ * Thresholds the data-quality report attached to aggregated data warns at
+ */
+
+export const DATA_QUALITY_CONFIG = {
+  // FTSO v2 feeds update every block (~1.8s); a live value older than this is stale
+  MAX_LIVE_AGE: parseInt(process.env.DATA_QUALITY_MAX_LIVE_AGE) || 5 * 60 * 1000, // 5 minutes
+
+  // Share of the requested history's candle intervals that must hold FTSO samples
+  MIN_HISTORY_COVERAGE: parseFloat(process.env.DATA_QUALITY_MIN_HISTORY_COVERAGE) || 0.8,
+
+  // History whose last candle started more than this many intervals ago is stale (the indexer has stopped)
+  MAX_HISTORY_LAG_INTERVALS: 2,
+
+  // Daily FAssets points expected in the week
+  EXPECTED_WEEK_POINTS: 7,
+};
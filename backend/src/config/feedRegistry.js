@@ -0,0 +1,84 @@
+/**
+ * Feed Registry Configuration
+ * Every asset the backend knows about: its FTSO v2 feed (category + name, from which the
+ * bytes21 feed ID is derived), its CoinGecko ID and the colour the frontend draws it in
+ * Which of these are tracked is selected with the ASSETS environment variable;
+ * FEED_REGISTRY_PATH may point to a JSON array of extra or overriding entries
+ */
+
+// FTSO v2 feed categories
+export const FEED_CATEGORIES = {
+  CRYPTO: '01',
+  FOREX: '02',
+  COMMODITY: '03',
+  STOCK: '04',
+};
+
+const crypto = (symbol, name, coinGeckoId, color) => ({
+  symbol,
+  name,
+  category: FEED_CATEGORIES.CRYPTO,
+  feed: `${symbol}/USD`,
+  coinGeckoId,
+  ...(color && { color }),
+});
+
+export const FEED_REGISTRY = [
+  crypto('FLR', 'Flare', 'flare-networks', '#f093fb'),
+  crypto('SGB', 'Songbird', 'songbird'),
+  crypto('BTC', 'Bitcoin', 'bitcoin', '#f59e0b'),
+  crypto('XRP', 'XRP', 'ripple', '#00aae4'),
+  crypto('LTC', 'Litecoin', 'litecoin'),
+  crypto('XLM', 'Stellar', 'stellar'),
+  crypto('DOGE', 'Dogecoin', 'dogecoin', '#c2a633'),
+  crypto('ADA', 'Cardano', 'cardano'),
+  crypto('ALGO', 'Algorand', 'algorand'),
+  crypto('ETH', 'Ethereum', 'ethereum', '#627eea'),
+  crypto('FIL', 'Filecoin', 'filecoin'),
+  crypto('ARB', 'Arbitrum', 'arbitrum'),
+  crypto('AVAX', 'Avalanche', 'avalanche-2'),
+  crypto('BNB', 'BNB', 'binancecoin'),
+  crypto('POL', 'Polygon', 'polygon-ecosystem-token'),
+  crypto('SOL', 'Solana', 'solana', '#14f195'),
+  crypto('USDC', 'USD Coin', 'usd-coin'),
+  crypto('USDT', 'Tether', 'tether'),
+  crypto('XDC', 'XDC Network', 'xdce-crowd-sale'),
+  crypto('TRX', 'TRON', 'tron'),
+  crypto('LINK', 'Chainlink', 'chainlink'),
+  crypto('ATOM', 'Cosmos Hub', 'cosmos'),
+  crypto('DOT', 'Polkadot', 'polkadot'),
+  crypto('TON', 'Toncoin', 'the-open-network'),
+  crypto('ICP', 'Internet Computer', 'internet-computer'),
+  crypto('SHIB', 'Shiba Inu', 'shiba-inu'),
+  crypto('DAI', 'Dai', 'dai'),
+  crypto('BCH', 'Bitcoin Cash', 'bitcoin-cash'),
+  crypto('NEAR', 'NEAR Protocol', 'near'),
+  crypto('LEO', 'LEO Token', 'leo-token'),
+  crypto('UNI', 'Uniswap', 'uniswap'),
+  crypto('ETC', 'Ethereum Classic', 'ethereum-classic'),
+  crypto('WIF', 'dogwifhat', 'dogwifcoin'),
+  crypto('BONK', 'Bonk', 'bonk'),
+  crypto('JUP', 'Jupiter', 'jupiter-exchange-solana'),
+  crypto('ETHFI', 'ether.fi', 'ether-fi'),
+  crypto('ENA', 'Ethena', 'ethena'),
+  crypto('PYTH', 'Pyth Network', 'pyth-network'),
+  crypto('HNT', 'Helium', 'helium'),
+  crypto('SUI', 'Sui', 'sui'),
+  crypto('PEPE', 'Pepe', 'pepe'),
+  crypto('QNT', 'Quant', 'quant-network'),
+  crypto('AAVE', 'Aave', 'aave'),
+  crypto('ONDO', 'Ondo', 'ondo-finance'),
+  crypto('TAO', 'Bittensor', 'bittensor'),
+  crypto('FET', 'Artificial Superintelligence Alliance', 'fetch-ai'),
+  crypto('RENDER', 'Render', 'render-token'),
+  crypto('NOT', 'Notcoin', 'notcoin'),
+  crypto('RUNE', 'THORChain', 'thorchain'),
+  crypto('TRUMP', 'Official Trump', 'official-trump'),
+  crypto('HBAR', 'Hedera', 'hedera-hashgraph'),
+  crypto('PENGU', 'Pudgy Penguins', 'pudgy-penguins'),
+  crypto('HYPE', 'Hyperliquid', 'hyperliquid'),
+  crypto('APT', 'Aptos', 'aptos'),
+  crypto('PAXG', 'PAX Gold', 'pax-gold'),
+  crypto('BERA', 'Berachain', 'berachain-bera'),
+  crypto('OP', 'Optimism', 'optimism'),
+];
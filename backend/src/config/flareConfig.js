@@ -1,31 +1,57 @@
 /**
  * Flare Network Configuration
- * Contains addresses and feed IDs for FTSO v2
+ * Contains contract addresses and service settings for FTSO v2, FAssets and FDC
  */
 
 export const FLARE_CONFIG = {
   RPC_URL: process.env.RPC_URL || 'https://coston2-api.flare.network/ext/C/rpc',
   FTSOV2_ADDRESS: process.env.FTSOV2_ADDRESS || '0x3d893C53D9e8056135C26C8c638B76C8b60Df726',
   
-  // Feed IDs for supported cryptocurrencies
-  FEED_IDS: {
-    FLR_USD: '0x01464c522f55534400000000000000000000000000', // FLR/USD
-    BTC_USD: '0x014254432f55534400000000000000000000000000', // BTC/USD
-    ETH_USD: '0x014554482f55534400000000000000000000000000', // ETH/USD
-  },
-  
-  // Feed names mapping
-  FEED_NAMES: {
-    '0x01464c522f55534400000000000000000000000000': 'FLR/USD',
-    '0x014254432f55534400000000000000000000000000': 'BTC/USD',
-    '0x014554482f55534400000000000000000000000000': 'ETH/USD',
-  },
-  
-  // Asset symbols
-  ASSETS: ['BTC', 'ETH', 'FLR'],
-  
+  // Tracked asset symbols (feeds and CoinGecko IDs come from the feed registry)
+  ASSETS: (process.env.ASSETS || 'BTC,ETH,FLR').split(',').map((symbol) => symbol.trim().toUpperCase()).filter(Boolean),
+  FEED_REGISTRY_PATH: process.env.FEED_REGISTRY_PATH,
+
   // Historical data settings
   HISTORICAL_DAYS: parseInt(process.env.HISTORICAL_DATA_DAYS) || 30,
   LIVE_UPDATE_INTERVAL: parseInt(process.env.LIVE_UPDATE_INTERVAL) || 60000, // 1 minute
+  PRICE_STREAM_INTERVAL: parseInt(process.env.PRICE_STREAM_INTERVAL) || 1800, // ~1 block, FTSO v2 feeds update every block
+
+  // Flare contract registry (same address on all Flare networks)
+  CONTRACT_REGISTRY_ADDRESS: process.env.CONTRACT_REGISTRY_ADDRESS || '0xaD67FE66660Fb8dFE9d6b1b4240d8650e30F6019',
+
+  // FAssets: registry names of each asset manager and the underlying asset it wraps
+  FASSETS: {
+    FXRP: { underlying: 'XRP', assetManager: process.env.FASSETS_FXRP_ASSET_MANAGER || 'AssetManagerFXRP' },
+    FBTC: { underlying: 'BTC', assetManager: process.env.FASSETS_FBTC_ASSET_MANAGER || 'AssetManagerFBTC' },
+    FDOGE: { underlying: 'DOGE', assetManager: process.env.FASSETS_FDOGE_ASSET_MANAGER || 'AssetManagerFDOGE' },
+  },
+  FASSETS_SNAPSHOT_INTERVAL: parseInt(process.env.FASSETS_SNAPSHOT_INTERVAL) || 60 * 60 * 1000, // 1 hour
+
+  // Flare Data Connector settings
+  // MODE 'network' submits requests to FdcHub and reads proofs from the DA layer;
+  // MODE 'local' uses the in-process stand-in, which answers from fixtures without any network access
+  FDC: {
+    MODE: process.env.FDC_MODE || 'network',
+    PROTOCOL_ID: 200,
+    VERIFIER_URL: process.env.FDC_VERIFIER_URL || 'https://fdc-verifiers-testnet.flare.network',
+    VERIFIER_API_KEY: process.env.FDC_VERIFIER_API_KEY || '00000000-0000-0000-0000-000000000000',
+    DA_LAYER_URL: process.env.FDC_DA_LAYER_URL || 'https://ctn2-data-availability.flare.network',
+    DA_LAYER_API_KEY: process.env.FDC_DA_LAYER_API_KEY || '',
+    PRIVATE_KEY: process.env.FDC_PRIVATE_KEY,
+    POLL_INTERVAL: parseInt(process.env.FDC_POLL_INTERVAL) || 10000, // 10 seconds
+    ROUND_TIMEOUT: parseInt(process.env.FDC_ROUND_TIMEOUT) || 10 * 60 * 1000, // 10 minutes
+    ATTESTATION_INTERVAL: parseInt(process.env.FDC_ATTESTATION_INTERVAL) || 15 * 60 * 1000, // 15 minutes
+    // Wait after a failed attestation, doubled on every further failure up to ATTESTATION_INTERVAL
+    RETRY_DELAY: parseInt(process.env.FDC_RETRY_DELAY) || 60 * 1000, // 1 minute
+    LOCAL_ROUND_DURATION: parseInt(process.env.FDC_LOCAL_ROUND_DURATION) || 90, // seconds
+    LOCAL_FIXTURES_PATH: process.env.FDC_LOCAL_FIXTURES_PATH,
+  },
+
+  // FTSO history indexer settings
+  INDEXER: {
+    ENABLED: process.env.INDEXER_ENABLED !== 'false',
+    BACKFILL_DAYS: parseInt(process.env.INDEXER_BACKFILL_DAYS) || parseInt(process.env.HISTORICAL_DATA_DAYS) || 30,
+    BACKFILL_INTERVAL: parseInt(process.env.INDEXER_BACKFILL_INTERVAL) || 3600, // seconds between backfilled samples
+  },
 };
 
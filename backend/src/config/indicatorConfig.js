@@ -0,0 +1,28 @@
+/**
+ * Indicator Configuration
+ * Periods of the technical indicators calculated for predictions and backtests, and the warm-up
+ * of the live per-tick indicators
+ */
+
+export const INDICATOR_CONFIG = {
+  RSI_PERIOD: parseInt(process.env.INDICATOR_RSI_PERIOD) || 14,
+  MACD: {
+    FAST: parseInt(process.env.INDICATOR_MACD_FAST) || 12,
+    SLOW: parseInt(process.env.INDICATOR_MACD_SLOW) || 26,
+    SIGNAL: parseInt(process.env.INDICATOR_MACD_SIGNAL) || 9,
+  },
+  BOLLINGER: {
+    PERIOD: parseInt(process.env.INDICATOR_BOLLINGER_PERIOD) || 20,
+    // Width of the bands in standard deviations
+    STD_DEV: parseFloat(process.env.INDICATOR_BOLLINGER_STD_DEV) || 2,
+  },
+  ATR_PERIOD: parseInt(process.env.INDICATOR_ATR_PERIOD) || 14,
+  STOCHASTIC: {
+    K_PERIOD: parseInt(process.env.INDICATOR_STOCHASTIC_K) || 14,
+    // %D is the simple average of the last D_PERIOD %K values
+    D_PERIOD: parseInt(process.env.INDICATOR_STOCHASTIC_D) || 3,
+  },
+  ADX_PERIOD: parseInt(process.env.INDICATOR_ADX_PERIOD) || 14,
+  // Stored FTSO ticks replayed into the live calculators before they follow new ticks
+  LIVE_WARMUP_TICKS: parseInt(process.env.INDICATOR_LIVE_WARMUP_TICKS) || 500,
+};
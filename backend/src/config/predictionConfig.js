@@ -0,0 +1,22 @@
+/**
+ * Prediction Configuration
+ * Selects the default prediction provider, the Gemini model and the default horizons, and bounds what a model
+ * response may contain before it is accepted
+ */
+
+export const PREDICTION_CONFIG = {
+  DEFAULT_MODEL: process.env.PREDICTION_MODEL || 'gemini',
+  GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+  // Concurrent Gemini requests during walk-forward backtests
+  GEMINI_CONCURRENCY: parseInt(process.env.GEMINI_CONCURRENCY || '2', 10),
+  // Horizons predicted when a request does not name any
+  DEFAULT_HORIZONS: (process.env.PREDICTION_HORIZONS || '24h').split(',').map((horizon) => horizon.trim()),
+  // Re-prompts with the validation errors before falling back to the heuristic prediction
+  GEMINI_REPAIR_ATTEMPTS: parseInt(process.env.GEMINI_REPAIR_ATTEMPTS || '2', 10),
+  // Largest accepted distance of the price target from the current price (0.5 = ±50%)
+  PRICE_TARGET_BAND: parseFloat(process.env.PRICE_TARGET_BAND || '0.5'),
+  // Scored backtest predictions needed before a confidence recalibration mapping can be fitted
+  CALIBRATION_MIN_SAMPLES: parseInt(process.env.CALIBRATION_MIN_SAMPLES || '30', 10),
+  // Furthest an FTSO price may be from a prediction's resolution time to resolve it; later it is unresolvable
+  RESOLUTION_GRACE: parseInt(process.env.PREDICTION_RESOLUTION_GRACE || String(15 * 60 * 1000), 10),
+};
@@ -0,0 +1,17 @@
+/**
+ * Replay Configuration
+ * Selects where CoinGecko market charts and FTSO feed values come from:
+ * the live APIs, the live APIs with every response recorded to disk, or the recordings alone
+ */
+
+export const REPLAY_CONFIG = {
+  // 'live' calls CoinGecko and the Flare RPC; 'record' does too and saves every response;
+  // 'replay' serves the saved responses and makes no network requests
+  MODE: process.env.DATA_MODE || 'live',
+
+  // Recordings directory, relative to the backend working directory
+  RECORDINGS_PATH: process.env.DATA_RECORDINGS_PATH || 'data/recordings',
+
+  // Port of the standalone CoinGecko-compatible fixture server (npm run fixtures)
+  FIXTURE_SERVER_PORT: parseInt(process.env.FIXTURE_SERVER_PORT) || 3002,
+};
@@ -0,0 +1,15 @@
+/**
+ * Storage Configuration
+ * Selects the persistence adapter used for prices, predictions and backtests
+ */
+
+import { REPLAY_CONFIG } from './replayConfig.js';
+
+export const STORAGE_CONFIG = {
+  // Adapter driver (only 'sqlite' is bundled; others can be registered in storage/index.js)
+  DRIVER: process.env.STORAGE_DRIVER || 'sqlite',
+
+  // SQLite database file, relative to the backend working directory;
+  // replay sessions get their own file so replayed ticks never mix with live ones
+  SQLITE_PATH: process.env.STORAGE_SQLITE_PATH || (REPLAY_CONFIG.MODE === 'replay' ? 'data/replay.db' : 'data/astroflare.db'),
+};
@@ -0,0 +1,20 @@
+/**
+ * CoinGecko Fixture Server
+ * Serves the CoinGecko recordings over HTTP with the same paths and response shapes as the public API,
+ * for clients that cannot use DATA_MODE=replay: point them (or COINGECKO_BASE_URL) at
+ * http://localhost:<FIXTURE_SERVER_PORT>/api/v3
+ */
+
+import 'dotenv/config';
+import express from 'express';
+import { REPLAY_CONFIG } from './config/replayConfig.js';
+import coinGeckoFixtureRoutes from './routes/coinGeckoFixtureRoutes.js';
+
+const app = express();
+
+app.use('/api/v3', coinGeckoFixtureRoutes);
+
+app.listen(REPLAY_CONFIG.FIXTURE_SERVER_PORT, () => {
+  console.log(`🧪 CoinGecko fixture server running on port ${REPLAY_CONFIG.FIXTURE_SERVER_PORT}`);
+  console.log(`📼 Serving recordings from ${REPLAY_CONFIG.RECORDINGS_PATH}`);
+});
@@ -1,11 +1,18 @@
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
+import { REPLAY_CONFIG } from './config/replayConfig.js';
 import priceRoutes from './routes/priceRoutes.js';
 import predictionRoutes from './routes/predictionRoutes.js';
 import backtestingRoutes from './routes/backtestingRoutes.js';
-
-dotenv.config();
+import assetRoutes from './routes/assetRoutes.js';
+import streamRoutes from './routes/streamRoutes.js';
+import indicatorRoutes from './routes/indicatorRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import ftsoHistoryIndexer from './services/ftsoHistoryIndexer.js';
+import fassetsService from './services/fassetsService.js';
+import predictionLedger from './services/predictionLedger.js';
+import backtestJobService from './services/backtestJobService.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -21,6 +28,10 @@ app.use(express.json());
 app.use('/api/prices', priceRoutes);
 app.use('/api/predictions', predictionRoutes);
 app.use('/api/backtesting', backtestingRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/indicators', indicatorRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -39,5 +50,15 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`📼 Data mode: ${REPLAY_CONFIG.MODE}`);
+  ftsoHistoryIndexer.start();
+  // FAssets state is read straight from the chain and is not recorded, so it cannot be replayed
+  if (REPLAY_CONFIG.MODE === 'replay') {
+    console.log('⏸️  FAssets snapshots disabled in replay mode');
+  } else {
+    fassetsService.start();
+  }
+  predictionLedger.start();
+  backtestJobService.start();
 });
 
@@ -0,0 +1,32 @@
+/**
+ * Binance price source: last trade price of the asset's USDT pair
+ * USDT is taken at par with USD, so a stablecoin depeg shows up as a divergence
+ */
+
+import axios from 'axios';
+import { PriceSource } from './priceSource.js';
+import { CONSENSUS_CONFIG } from '../config/consensusConfig.js';
+
+class BinanceSource extends PriceSource {
+  constructor() {
+    super('binance', 'Binance spot last trade price (USDT pair)');
+    this.baseURL = process.env.BINANCE_BASE_URL || 'https://api.binance.com';
+  }
+
+  async getQuote(asset) {
+    try {
+      const response = await axios.get(`${this.baseURL}/api/v3/ticker/price`, {
+        params: { symbol: `${asset}USDT` },
+        timeout: CONSENSUS_CONFIG.SOURCE_TIMEOUT,
+      });
+      // The ticker has no timestamp; it is the current last trade price
+      return { price: Number(response.data.price), timestamp: Date.now() };
+    } catch (error) {
+      // -1121: Invalid symbol
+      if (error.response?.data?.code === -1121) throw this.unsupported(asset);
+      throw error;
+    }
+  }
+}
+
+export default new BinanceSource();
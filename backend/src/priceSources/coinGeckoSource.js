@@ -0,0 +1,20 @@
+/**
+ * CoinGecko price source: the aggregated market price from the simple price endpoint
+ */
+
+import { PriceSource } from './priceSource.js';
+import coinGeckoService from '../services/coinGeckoService.js';
+
+class CoinGeckoSource extends PriceSource {
+  constructor() {
+    super('coingecko', 'CoinGecko aggregated market price');
+    this.replayable = true;
+  }
+
+  async getQuote(asset) {
+    if (!coinGeckoService.getAssetId(asset)) throw this.unsupported(asset);
+    return coinGeckoService.getCurrentPrice(asset);
+  }
+}
+
+export default new CoinGeckoSource();
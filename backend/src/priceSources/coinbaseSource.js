@@ -0,0 +1,28 @@
+/**
+ * Coinbase price source: spot price of the asset's USD pair
+ */
+
+import axios from 'axios';
+import { PriceSource } from './priceSource.js';
+import { CONSENSUS_CONFIG } from '../config/consensusConfig.js';
+
+class CoinbaseSource extends PriceSource {
+  constructor() {
+    super('coinbase', 'Coinbase spot price (USD pair)');
+    this.baseURL = process.env.COINBASE_BASE_URL || 'https://api.coinbase.com';
+  }
+
+  async getQuote(asset) {
+    try {
+      const response = await axios.get(`${this.baseURL}/v2/prices/${asset}-USD/spot`, {
+        timeout: CONSENSUS_CONFIG.SOURCE_TIMEOUT,
+      });
+      return { price: Number(response.data.data.amount), timestamp: Date.now() };
+    } catch (error) {
+      if (error.response?.status === 404) throw this.unsupported(asset);
+      throw error;
+    }
+  }
+}
+
+export default new CoinbaseSource();
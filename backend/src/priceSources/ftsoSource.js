@@ -0,0 +1,23 @@
+/**
+ * FTSO price source: the live FTSO v2 feed value
+ */
+
+import { PriceSource } from './priceSource.js';
+import ftsoService from '../services/ftsoService.js';
+
+class FtsoSource extends PriceSource {
+  constructor() {
+    super('ftso', 'Flare Time Series Oracle v2 feeds');
+    this.replayable = true;
+  }
+
+  async getQuote(asset) {
+    const feedId = ftsoService.getFeedIdFromAsset(asset);
+    if (!feedId) throw this.unsupported(asset);
+
+    const live = await ftsoService.getLivePrice(feedId);
+    return { price: live.price, timestamp: live.timestamp * 1000 };
+  }
+}
+
+export default new FtsoSource();
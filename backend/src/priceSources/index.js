@@ -0,0 +1,52 @@
+/**
+ * Price sources
+ * Registry of the sources the consensus layer compares, enabled with PRICE_SOURCES
+ * Further exchange adapters extend PriceSource and are added with registerPriceSource
+ */
+
+import { CONSENSUS_CONFIG } from '../config/consensusConfig.js';
+import { REPLAY_CONFIG } from '../config/replayConfig.js';
+import ftsoSource from './ftsoSource.js';
+import coinGeckoSource from './coinGeckoSource.js';
+import binanceSource from './binanceSource.js';
+import coinbaseSource from './coinbaseSource.js';
+
+const sources = {};
+
+/**
+ * Make a source available to PRICE_SOURCES
+ * @param {PriceSource} source - Source
+ */
+export function registerPriceSource(source) {
+  sources[source.name] = source;
+}
+
+[ftsoSource, coinGeckoSource, binanceSource, coinbaseSource].forEach(registerPriceSource);
+
+/**
+ * Get a source by name
+ * @param {string} name - Source name
+ * @returns {PriceSource|null} Source
+ */
+export function getPriceSource(name) {
+  return sources[String(name).toLowerCase()] || null;
+}
+
+/**
+ * Get the enabled sources; in replay mode only those that can answer offline
+ * @returns {PriceSource[]} Sources
+ */
+export function getEnabledPriceSources() {
+  return CONSENSUS_CONFIG.SOURCES
+    .map((name) => getPriceSource(name))
+    .filter((source) => source && (REPLAY_CONFIG.MODE !== 'replay' || source.replayable));
+}
+
+/**
+ * Describe every source
+ * @returns {Object[]} Source descriptions with whether they are enabled
+ */
+export function listPriceSources() {
+  const enabled = new Set(getEnabledPriceSources().map((source) => source.name));
+  return Object.values(sources).map((source) => ({ ...source.describe(), enabled: enabled.has(source.name) }));
+}
@@ -0,0 +1,50 @@
+/**
+ * Price Source
+ * Interface every source of live prices implements, so the consensus layer can cross-check FTSO
+ * getQuote resolves to { price, timestamp } with the USD price and when it was observed (Unix ms)
+ */
+
+export class PriceSource {
+  /**
+   * @param {string} name - Name used to enable the source (PRICE_SOURCES)
+   * @param {string} description - Short human-readable description
+   */
+  constructor(name, description) {
+    this.name = name;
+    this.description = description;
+    // Whether the source can answer in DATA_MODE=replay without network access
+    this.replayable = false;
+  }
+
+  /**
+   * Get the latest price of an asset
+   * @param {string} asset - Asset symbol (e.g. BTC)
+   * @returns {Promise<Object>} { price, timestamp }
+   * @throws {Error} With `unsupported` set when the source does not list the asset
+   */
+  async getQuote(asset) {
+    throw new Error(`${this.constructor.name} does not implement getQuote`);
+  }
+
+  /**
+   * Error for an asset the source does not list; not counted against the source's health
+   * @param {string} asset - Asset symbol
+   * @returns {Error} Error with `unsupported` set
+   */
+  unsupported(asset) {
+    const error = new Error(`${asset} is not available from ${this.name}`);
+    error.unsupported = true;
+    return error;
+  }
+
+  /**
+   * Describe the source for API listings
+   * @returns {Object} { name, description }
+   */
+  describe() {
+    return {
+      name: this.name,
+      description: this.description,
+    };
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Prediction Horizons
+ * A prediction covers one or more horizons such as '1h', '24h', '7d' or '30d'; each gets its
+ * own price target and confidence interval, which together form the predicted price path
+ */
+
+import { PREDICTION_CONFIG } from '../config/predictionConfig.js';
+
+const HORIZON_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+export const MAX_HORIZON_MS = 30 * HORIZON_UNITS.d;
+
+// Confidence level of the lower/upper bounds reported for each horizon
+export const INTERVAL_LEVEL = 0.95;
+export const INTERVAL_Z = 1.96;
+
+/**
+ * Duration of a horizon
+ * @param {string} horizon - Horizon such as '1h' or '7d'
+ * @returns {number|null} Duration in milliseconds, or null if the horizon is malformed
+ */
+export function horizonToMs(horizon) {
+  const match = /^(\d+)([hd])$/i.exec(String(horizon || '').trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * HORIZON_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Parse requested horizons, sorted from shortest to longest with duplicates removed
+ * @param {string|string[]} [value] - Comma-separated list or array; the default horizons when empty
+ * @returns {string[]} Horizons
+ * @throws {Error} With status 400 for malformed or out-of-range horizons
+ */
+export function parseHorizons(value) {
+  const requested = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((horizon) => String(horizon).trim().toLowerCase())
+    .filter(Boolean);
+  const horizons = requested.length > 0 ? requested : PREDICTION_CONFIG.DEFAULT_HORIZONS;
+
+  const byDuration = new Map();
+  for (const horizon of horizons) {
+    const duration = horizonToMs(horizon);
+    if (!duration || duration > MAX_HORIZON_MS) {
+      const error = new Error(`Invalid horizon: ${horizon}. Use hours or days up to 30d, e.g. 1h, 24h, 7d, 30d`);
+      error.status = 400;
+      throw error;
+    }
+    if (!byDuration.has(duration)) byDuration.set(duration, horizon);
+  }
+
+  return [...byDuration.entries()].sort(([a], [b]) => a - b).map(([, horizon]) => horizon);
+}
+
+/**
+ * Horizon reported as the headline prediction: 24h when requested, otherwise the shortest
+ * @param {string[]} horizons - Parsed horizons
+ * @returns {string} Primary horizon
+ */
+export function getPrimaryHorizon(horizons) {
+  return horizons.find((horizon) => horizonToMs(horizon) === HORIZON_UNITS.d) || horizons[0];
+}
@@ -0,0 +1,62 @@
+/**
+ * Prediction providers
+ * Registry of available models, selectable per request with ?model=<name>
+ */
+
+import { PREDICTION_CONFIG } from '../config/predictionConfig.js';
+import geminiService from '../services/geminiService.js';
+import statisticalProvider from './statisticalProvider.js';
+
+const providers = {
+  [geminiService.name]: geminiService,
+  [statisticalProvider.name]: statisticalProvider,
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {PredictionProvider|null} Provider
+ */
+export function getProvider(name) {
+  return providers[String(name).toLowerCase()] || null;
+}
+
+/**
+ * Get the default provider: PREDICTION_MODEL if it is available, otherwise the local statistical model
+ * @returns {PredictionProvider} Provider
+ */
+export function getDefaultProvider() {
+  const configured = getProvider(PREDICTION_CONFIG.DEFAULT_MODEL);
+  return configured?.isAvailable() ? configured : statisticalProvider;
+}
+
+/**
+ * Resolve the provider for a request
+ * @param {string} [name] - Requested provider name; the default provider when omitted
+ * @returns {PredictionProvider} Provider
+ * @throws {Error} With status 400 for unknown models and 503 for unavailable ones
+ */
+export function resolveProvider(name) {
+  if (!name) return getDefaultProvider();
+
+  const provider = getProvider(name);
+  if (!provider) {
+    const error = new Error(`Unknown model: ${name}. Available models: ${Object.keys(providers).join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  if (!provider.isAvailable()) {
+    const error = new Error(`Model ${provider.name} is not available: ${provider.getUnavailableReason()}`);
+    error.status = 503;
+    throw error;
+  }
+  return provider;
+}
+
+/**
+ * Describe every provider
+ * @returns {Object[]} Provider descriptions
+ */
+export function listProviders() {
+  return Object.values(providers).map((provider) => provider.describe());
+}
@@ -0,0 +1,62 @@
+/**
+ * Prediction Provider
+ * Interface every prediction model implements
+ * generatePrediction takes the output of dataAggregator.formatForPrediction and resolves to
+ * { asset, timestamp, currentPrice, prediction, pricePath, confidence, model, source, dataPointsUsed, technicalIndicators, priceChange24h }
+ * where prediction holds direction, priceTarget, confidence, riskLevel, timeframe, analysis and keyFactors
+ * for the primary horizon, pricePath holds { horizon, direction, priceTarget, lower, upper, confidence }
+ * for every requested horizon, and source is 'model' for a genuine model answer or 'fallback' when a
+ * heuristic stood in for it
+ */
+
+export class PredictionProvider {
+  /**
+   * @param {string} name - Name used to select the provider (?model=<name>)
+   * @param {string} description - Short human-readable description
+   */
+  constructor(name, description) {
+    this.name = name;
+    this.description = description;
+    // Most predictions this provider should run at once (null = unbounded)
+    this.maxConcurrency = null;
+  }
+
+  /**
+   * Whether the provider can currently produce predictions (e.g. has its API key)
+   * @returns {boolean} Availability
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Reason the provider is unavailable, if it is
+   * @returns {string|null} Reason
+   */
+  getUnavailableReason() {
+    return null;
+  }
+
+  /**
+   * Generate a prediction
+   * @param {Object} formattedData - Formatted data from dataAggregator
+   * @param {Object} [options] - { horizons } as returned by parseHorizons
+   * @returns {Promise<Object>} Prediction result
+   */
+  async generatePrediction(formattedData, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement generatePrediction`);
+  }
+
+  /**
+   * Describe the provider for API listings
+   * @returns {Object} { name, description, available, reason }
+   */
+  describe() {
+    return {
+      name: this.name,
+      description: this.description,
+      available: this.isAvailable(),
+      reason: this.getUnavailableReason(),
+    };
+  }
+}
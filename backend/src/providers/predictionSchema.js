@@ -0,0 +1,158 @@
+/**
+ * Prediction Schema
+ * JSON schema for model-generated predictions, used both as Gemini's response schema and to
+ * validate whatever the model actually returned. The price target band and confidence range
+ * are expressed with minimum/maximum, which are checked here but not sent to Gemini
+ */
+
+import { PREDICTION_CONFIG } from '../config/predictionConfig.js';
+import { INTERVAL_LEVEL } from './horizons.js';
+
+// Keywords the Gemini response schema accepts; everything else is validation-only
+const GEMINI_KEYWORDS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems'];
+
+/**
+ * Build the prediction schema for an asset at its current price
+ * @param {number} currentPrice - Current price the targets must stay near
+ * @param {string[]} horizons - Horizons the price path must cover
+ * @returns {Object} JSON schema
+ */
+export function buildPredictionSchema(currentPrice, horizons) {
+  const band = PREDICTION_CONFIG.PRICE_TARGET_BAND;
+  const price = (description) => ({
+    type: 'number',
+    description: `${description}, within ${band * 100}% of the current price`,
+    minimum: currentPrice * (1 - band),
+    maximum: currentPrice * (1 + band),
+  });
+
+  return {
+    type: 'object',
+    properties: {
+      pricePath: {
+        type: 'array',
+        description: `One entry per horizon: ${horizons.join(', ')}`,
+        items: {
+          type: 'object',
+          properties: {
+            horizon: { type: 'string', format: 'enum', enum: horizons },
+            direction: { type: 'string', format: 'enum', enum: ['UP', 'DOWN', 'NEUTRAL'] },
+            priceTarget: price('Predicted price in USD at the end of the horizon'),
+            lower: price(`Lower bound of the ${INTERVAL_LEVEL * 100}% confidence interval in USD`),
+            upper: price(`Upper bound of the ${INTERVAL_LEVEL * 100}% confidence interval in USD`),
+            confidence: { type: 'number', description: 'Confidence percentage in the direction from 0 to 100', minimum: 0, maximum: 100 },
+          },
+          required: ['horizon', 'direction', 'priceTarget', 'lower', 'upper', 'confidence'],
+        },
+        minItems: horizons.length,
+        maxItems: horizons.length,
+      },
+      riskLevel: { type: 'string', format: 'enum', enum: ['LOW', 'MEDIUM', 'HIGH'] },
+      analysis: { type: 'string', description: 'Detailed 3-4 paragraph technical analysis' },
+      keyFactors: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    },
+    required: ['pricePath', 'riskLevel', 'analysis', 'keyFactors'],
+  };
+}
+
+/**
+ * Check what the schema cannot express: every horizon appears exactly once and each
+ * target lies inside its own interval
+ * @param {Object[]} pricePath - Validated price path
+ * @param {string[]} horizons - Requested horizons
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validatePricePath(pricePath, horizons) {
+  const errors = [];
+
+  for (const horizon of horizons) {
+    const count = pricePath.filter((entry) => entry.horizon === horizon).length;
+    if (count !== 1) errors.push(`response.pricePath must contain exactly one entry for ${horizon} (found ${count})`);
+  }
+  pricePath.forEach((entry, index) => {
+    if (!(entry.lower <= entry.priceTarget && entry.priceTarget <= entry.upper)) {
+      errors.push(`response.pricePath[${index}] must satisfy lower <= priceTarget <= upper`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Strip validation-only keywords so the schema can be passed as Gemini's responseSchema
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Gemini response schema
+ */
+export function toGeminiSchema(schema) {
+  const result = {};
+  for (const key of GEMINI_KEYWORDS) {
+    if (schema[key] === undefined) continue;
+    if (key === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+      );
+    } else if (key === 'items') {
+      result.items = toGeminiSchema(schema.items);
+    } else {
+      result[key] = schema[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Parsed value
+ * @param {Object} schema - JSON schema
+ * @param {string} [path] - Path of the value, for error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateAgainstSchema(value, schema, path = 'response') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null) errors.push(`${path}.${name} is required`);
+      }
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        if (value[name] !== undefined && value[name] !== null) {
+          errors.push(...validateAgainstSchema(value[name], property, `${path}.${name}`));
+        }
+      }
+      return errors;
+
+    case 'array':
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      if (schema.minItems != null && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems != null && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items`);
+      }
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+      return errors;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [`${path} must be a number`];
+      if (schema.type === 'integer' && !Number.isInteger(value)) errors.push(`${path} must be an integer`);
+      if (schema.minimum != null && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+      if (schema.maximum != null && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+      return errors;
+
+    case 'string':
+      if (typeof value !== 'string') return [`${path} must be a string`];
+      if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+      return errors;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${path} must be a boolean`];
+
+    default:
+      return [];
+  }
+}
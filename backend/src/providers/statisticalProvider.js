@@ -0,0 +1,226 @@
+/**
+ * Statistical Prediction Provider
+ * Fully local, deterministic model: Holt's linear trend (double exponential smoothing)
+ * fitted by grid search on the log price history, so trends compound like returns and every
+ * forecast and interval bound stays positive. The normal forecast error in log space gives the
+ * direction confidence and the forecast interval. Needs no network access or API key
+ */
+
+import { PredictionProvider } from './predictionProvider.js';
+import { parseHorizons, getPrimaryHorizon, horizonToMs, INTERVAL_Z } from './horizons.js';
+
+const ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const BETAS = [0.01, 0.05, 0.1, 0.15, 0.2, 0.3, 0.4, 0.5];
+
+// Forecast moves smaller than this fraction of the price are reported as NEUTRAL
+const NEUTRAL_THRESHOLD = 0.002;
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+ * @param {number} x - Value
+ * @returns {number} P(Z <= x)
+ */
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+class StatisticalProvider extends PredictionProvider {
+  constructor() {
+    super('statistical', "Local Holt's linear trend model (no API key required)");
+  }
+
+  /**
+   * Generate a prediction for each requested horizon from the price history
+   * @param {Object} formattedData - Formatted data from dataAggregator
+   * @param {Object} [options] - { horizons }
+   * @returns {Promise<Object>} Prediction result
+   */
+  async generatePrediction(formattedData, options = {}) {
+    const { asset, dataPoints, currentPrice, technicalIndicators: indicators, priceChange24h } = formattedData;
+    const series = dataPoints.filter((dp) => dp.price > 0);
+
+    if (series.length < 3) {
+      throw new Error(`Not enough price history for a statistical prediction of ${asset} (${series.length} points)`);
+    }
+
+    const horizons = options.horizons || parseHorizons();
+    const primaryHorizon = getPrimaryHorizon(horizons);
+    const spacing = this.getSampleSpacing(series);
+    const fit = this.fitHolt(series.map((dp) => Math.log(dp.price)));
+
+    const forecasts = horizons.map((horizon) => this.forecastHorizon(fit, horizonToMs(horizon) / spacing, currentPrice, horizon));
+    const primary = forecasts[horizons.indexOf(primaryHorizon)];
+    const volatility = indicators?.volatility;
+
+    const prediction = {
+      direction: primary.direction,
+      priceTarget: primary.priceTarget,
+      confidence: primary.confidence,
+      riskLevel: volatility > 20 ? 'HIGH' : volatility > 10 ? 'MEDIUM' : 'LOW',
+      timeframe: primaryHorizon,
+      analysis: this.describeForecast(asset, fit, primary, currentPrice, indicators),
+      keyFactors: this.describeFactors(fit, primary, currentPrice, indicators),
+      technicalIndicators: indicators,
+      modelDetails: {
+        method: 'holt-linear-log',
+        alpha: fit.alpha,
+        beta: fit.beta,
+        stepsAhead: primary.steps,
+        residualStd: Number(fit.residualStd.toFixed(8)),
+        interval95: [primary.lower, primary.upper],
+      },
+    };
+
+    return {
+      asset,
+      timestamp: Date.now(),
+      currentPrice,
+      prediction,
+      pricePath: forecasts.map(({ horizon, direction, priceTarget, lower, upper, confidence }) => ({
+        horizon, direction, priceTarget, lower, upper, confidence,
+      })),
+      confidence: prediction.confidence,
+      model: this.name,
+      source: 'model',
+      rawResponse: null,
+      dataPointsUsed: series.length,
+      technicalIndicators: indicators,
+      priceChange24h,
+    };
+  }
+
+  /**
+   * Forecast one horizon from the model fitted on log prices
+   * @param {Object} fit - Fitted model
+   * @param {number} steps - Steps ahead (fractional for horizons shorter than the sample spacing)
+   * @param {number} currentPrice - Current price
+   * @param {string} horizon - Horizon label
+   * @returns {Object} { horizon, steps, direction, priceTarget, lower, upper, confidence, std (of the log price) }
+   */
+  forecastHorizon(fit, steps, currentPrice, horizon) {
+    const logForecast = fit.level + steps * fit.trend;
+    const std = this.getForecastStd(fit, steps);
+    const forecast = Math.exp(logForecast);
+    const logChange = logForecast - Math.log(currentPrice);
+    const probability = std > 0 ? normalCdf(Math.abs(logChange) / std) : 1;
+
+    return {
+      horizon,
+      steps: Number(steps.toFixed(4)),
+      direction: Math.abs(forecast - currentPrice) < currentPrice * NEUTRAL_THRESHOLD ? 'NEUTRAL' : logChange > 0 ? 'UP' : 'DOWN',
+      priceTarget: Number(forecast.toFixed(8)),
+      lower: Number(Math.exp(logForecast - INTERVAL_Z * std).toFixed(8)),
+      upper: Number(Math.exp(logForecast + INTERVAL_Z * std).toFixed(8)),
+      confidence: Math.round(Math.min(95, Math.max(50, probability * 100))),
+      std,
+    };
+  }
+
+  /**
+   * Median spacing between samples
+   * @param {Object[]} series - Data points with timestamps
+   * @returns {number} Spacing in milliseconds (one day when it cannot be inferred)
+   */
+  getSampleSpacing(series) {
+    const spacings = series
+      .slice(1)
+      .map((dp, i) => new Date(dp.timestamp || dp.date).getTime() - new Date(series[i].timestamp || series[i].date).getTime())
+      .filter((spacing) => spacing > 0)
+      .sort((a, b) => a - b);
+
+    if (spacings.length === 0) return horizonToMs('1d');
+    return spacings[Math.floor(spacings.length / 2)];
+  }
+
+  /**
+   * Fit Holt's linear trend model, choosing alpha and beta by one-step-ahead squared error
+   * @param {number[]} prices - Price series (log prices for the forecasts)
+   * @returns {Object} { alpha, beta, level, trend, residualStd }
+   */
+  fitHolt(prices) {
+    let best = null;
+
+    for (const alpha of ALPHAS) {
+      for (const beta of BETAS) {
+        let level = prices[0];
+        let trend = prices[1] - prices[0];
+        let sse = 0;
+
+        for (let t = 1; t < prices.length; t++) {
+          const error = prices[t] - (level + trend);
+          sse += error * error;
+          const previousLevel = level;
+          level = alpha * prices[t] + (1 - alpha) * (level + trend);
+          trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        }
+
+        if (!best || sse < best.sse) {
+          best = { alpha, beta, level, trend, sse };
+        }
+      }
+    }
+
+    return {
+      alpha: best.alpha,
+      beta: best.beta,
+      level: best.level,
+      trend: best.trend,
+      residualStd: Math.sqrt(best.sse / Math.max(1, prices.length - 3)),
+    };
+  }
+
+  /**
+   * Standard deviation of an h-step-ahead Holt forecast
+   * Below one step the error is scaled like a random walk, sqrt(h) times the one-step error
+   * @param {Object} fit - Fitted model
+   * @param {number} steps - Steps ahead
+   * @returns {number} Forecast standard deviation
+   */
+  getForecastStd(fit, steps) {
+    if (steps < 1) {
+      return fit.residualStd * Math.sqrt(steps);
+    }
+
+    let variance = 1;
+    for (let j = 1; j < steps; j++) {
+      variance += (fit.alpha * (1 + j * fit.beta)) ** 2;
+    }
+    return fit.residualStd * Math.sqrt(variance);
+  }
+
+  describeForecast(asset, fit, forecast, currentPrice, indicators) {
+    const changePercent = ((forecast.priceTarget - currentPrice) / currentPrice) * 100;
+    const trendPercent = (Math.exp(fit.trend * forecast.steps) - 1) * 100;
+    const rsi = indicators?.rsi;
+
+    let analysis = `A Holt linear trend model (alpha ${fit.alpha}, beta ${fit.beta}) fitted to the ${asset} log price history `
+      + `projects $${forecast.priceTarget.toFixed(2)} in ${forecast.horizon}, ${changePercent >= 0 ? 'up' : 'down'} ${Math.abs(changePercent).toFixed(2)}% from the current $${currentPrice.toFixed(2)}. `;
+    analysis += `The smoothed trend contributes ${trendPercent.toFixed(2)}% over that horizon, and the 95% forecast interval spans `
+      + `$${forecast.lower.toFixed(2)} to $${forecast.upper.toFixed(2)}. `;
+    if (rsi != null) {
+      analysis += `RSI at ${rsi.toFixed(2)} indicates ${rsi > 70 ? 'overbought' : rsi < 30 ? 'oversold' : 'neutral'} momentum, which the model does not use directly. `;
+    }
+    analysis += 'This is a purely statistical extrapolation of recent prices and does not account for news or market sentiment.';
+
+    return analysis;
+  }
+
+  describeFactors(fit, forecast, currentPrice, indicators) {
+    const factors = [
+      `Smoothed level $${Math.exp(fit.level).toFixed(2)} with a trend of ${fit.trend >= 0 ? '+' : ''}${((Math.exp(fit.trend) - 1) * 100).toFixed(4)}% per period.`,
+      `One-step residual standard deviation of ${(fit.residualStd * 100).toFixed(2)}% of price (in log returns).`,
+      `Forecast move of ${(((forecast.priceTarget - currentPrice) / currentPrice) * 100).toFixed(2)}% against a ${forecast.horizon} forecast uncertainty of ±${(forecast.std * 100).toFixed(2)}% in log returns.`,
+    ];
+
+    if (indicators?.sma7 && indicators?.sma30) {
+      factors.push(`7-Day SMA $${indicators.sma7.toFixed(2)} is ${indicators.sma7 > indicators.sma30 ? 'above' : 'below'} the 30-Day SMA $${indicators.sma30.toFixed(2)}.`);
+    }
+
+    return factors;
+  }
+}
+
+export default new StatisticalProvider();
@@ -0,0 +1,26 @@
+import express from 'express';
+import marketAnalytics from '../services/marketAnalytics.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/analytics/correlation?interval=1h&days=30&window=168&benchmark=BTC
+ * Get the return correlations (whole range and rolling over `window` returns), beta and relative strength
+ * against the benchmark, and market regime of every tracked asset, from the FTSO candles in the historical store
+ */
+router.get('/correlation', async (req, res) => {
+  try {
+    const toInteger = (value) => (value === undefined ? undefined : Number(value));
+    const report = await marketAnalytics.getCorrelationReport({
+      interval: req.query.interval,
+      days: toInteger(req.query.days),
+      window: toInteger(req.query.window),
+      benchmark: req.query.benchmark,
+    });
+    res.json(report);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
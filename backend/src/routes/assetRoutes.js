@@ -0,0 +1,37 @@
+import express from 'express';
+import assetRegistry from '../services/assetRegistry.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/assets
+ * Get the tracked assets, or every registered asset with ?all=true
+ */
+router.get('/', (req, res) => {
+  const assets = req.query.all === 'true'
+    ? assetRegistry.getAllAssets()
+    : assetRegistry.getTrackedAssets();
+
+  res.json({
+    tracked: assetRegistry.getTrackedSymbols(),
+    assets,
+  });
+});
+
+/**
+ * GET /api/assets/:symbol
+ * Get a registered asset with its feed ID and CoinGecko ID
+ */
+router.get('/:symbol', (req, res) => {
+  const asset = assetRegistry.get(req.params.symbol);
+  if (!asset) {
+    return res.status(404).json({ error: `Unknown asset: ${req.params.symbol}` });
+  }
+
+  res.json({
+    ...asset,
+    tracked: assetRegistry.isTracked(asset.symbol),
+  });
+});
+
+export default router;
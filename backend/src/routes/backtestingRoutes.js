@@ -1,16 +1,43 @@
 import express from 'express';
 import backtestingService from '../services/backtestingService.js';
+import backtestJobService from '../services/backtestJobService.js';
+import strategySimulator from '../services/strategySimulator.js';
+import calibrationService from '../services/calibrationService.js';
+import assetRegistry from '../services/assetRegistry.js';
+import { resolveProvider } from '../providers/index.js';
+import { parseHorizons } from '../providers/horizons.js';
+import storage from '../storage/index.js';
+import { BACKTEST_CONFIG } from '../config/backtestConfig.js';
 
 const router = express.Router();
 
+/**
+ * Horizons of a backtest request: the explicit list, or one per day up to daysToPredict
+ * @param {Object} body - Request body
+ * @returns {string[]} Horizons
+ * @throws {Error} With status 400 for invalid horizons or daysToPredict
+ */
+function resolveHorizons({ horizons, daysToPredict = 1 }) {
+  if (horizons) return parseHorizons(horizons);
+
+  const days = parseInt(daysToPredict, 10);
+  if (isNaN(days) || days < 1 || days > 30) {
+    const error = new Error('daysToPredict must be between 1 and 30');
+    error.status = 400;
+    throw error;
+  }
+  return parseHorizons(Array.from({ length: days }, (_, i) => (i === 0 ? '24h' : `${i + 1}d`)));
+}
+
 /**
  * POST /api/backtesting/test
  * Run a single backtest for a specific date
- * Body: { asset: 'BTC', testDate: '2024-07-15', daysToPredict: 1 }
+ * Body: { asset: 'BTC', testDate: '2024-07-15', horizons: ['1h', '24h', '7d'], model: 'statistical' }
+ * (daysToPredict: n is accepted instead of horizons and scores every day up to n)
  */
 router.post('/test', async (req, res) => {
   try {
-    const { asset, testDate, daysToPredict = 1 } = req.body;
+    const { asset, testDate, model } = req.body;
 
     if (!asset || !testDate) {
       return res.status(400).json({
@@ -19,7 +46,7 @@ router.post('/test', async (req, res) => {
     }
 
     // Validate asset
-    const validAssets = ['BTC', 'ETH', 'FLR'];
+    const validAssets = assetRegistry.getTrackedSymbols();
     if (!validAssets.includes(asset.toUpperCase())) {
       return res.status(400).json({
         error: `Invalid asset. Must be one of: ${validAssets.join(', ')}`,
@@ -41,25 +68,41 @@ router.post('/test', async (req, res) => {
       });
     }
 
-    // Validate daysToPredict
-    const days = parseInt(daysToPredict, 10);
-    if (isNaN(days) || days < 1 || days > 30) {
-      return res.status(400).json({
-        error: 'daysToPredict must be between 1 and 30',
-      });
+    let provider;
+    let horizons;
+    try {
+      provider = resolveProvider(model);
+      horizons = resolveHorizons(req.body);
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message });
     }
 
-    console.log(`\n🔬 Backtest request: ${asset} on ${testDate}, predicting ${days} day(s) ahead`);
+    console.log(`\n🔬 Backtest request: ${asset} on ${testDate}, predicting ${horizons.join(', ')} ahead with ${provider.name}`);
 
     // Run the backtest
     const results = await backtestingService.runBacktest(
       asset.toUpperCase(),
       testDateObj,
-      days
+      horizons,
+      provider
     );
 
+    const runId = storage.saveBacktestRun({
+      asset: results.asset,
+      kind: 'single',
+      params: { testDate: results.testDate, horizons, model: provider.name },
+      summary: {
+        direction: results.prediction.direction,
+        predictedPrice: results.predictedPrice,
+        directionalAccuracy: results.metrics.directionalAccuracy,
+        mape: results.metrics.mape,
+      },
+      results,
+    });
+
     res.json({
       success: true,
+      runId,
       ...results,
     });
   } catch (error) {
@@ -72,73 +115,129 @@ router.post('/test', async (req, res) => {
 });
 
 /**
- * POST /api/backtesting/multiple
- * Run multiple backtests for a date range
- * Body: { asset: 'BTC', startDate: '2024-01-01', endDate: '2024-07-01', stepDays: 7, daysToPredict: 1 }
+ * Validate a walk-forward backtest request
+ * @param {Object} body - Request body
+ * @returns {Object} { asset, startDate, endDate, stepDays, horizons, provider, window, lookbackDays, concurrency, strategy }
+ * @throws {Error} With status 400 for invalid parameters and 503 for an unavailable model
  */
-router.post('/multiple', async (req, res) => {
-  try {
-    const { asset, startDate, endDate, stepDays = 7, daysToPredict = 1 } = req.body;
+function parseWalkForwardRequest(body) {
+  const {
+    asset,
+    startDate,
+    endDate,
+    stepDays = 7,
+    model,
+    window = 'rolling',
+    lookbackDays = BACKTEST_CONFIG.LOOKBACK_DAYS,
+    concurrency = BACKTEST_CONFIG.CONCURRENCY,
+  } = body;
 
-    if (!asset || !startDate || !endDate) {
-      return res.status(400).json({
-        error: 'Missing required parameters: asset, startDate, and endDate are required',
-      });
-    }
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
 
-    // Validate asset
-    const validAssets = ['BTC', 'ETH', 'FLR'];
-    if (!validAssets.includes(asset.toUpperCase())) {
-      return res.status(400).json({
-        error: `Invalid asset. Must be one of: ${validAssets.join(', ')}`,
-      });
-    }
+  if (!asset || !startDate || !endDate) {
+    throw invalid('Missing required parameters: asset, startDate, and endDate are required');
+  }
 
-    // Parse and validate dates
-    const startDateObj = new Date(startDate);
-    const endDateObj = new Date(endDate);
+  // Validate asset
+  const validAssets = assetRegistry.getTrackedSymbols();
+  if (!validAssets.includes(asset.toUpperCase())) {
+    throw invalid(`Invalid asset. Must be one of: ${validAssets.join(', ')}`);
+  }
 
-    if (isNaN(startDateObj.getTime()) || isNaN(endDateObj.getTime())) {
-      return res.status(400).json({
-        error: 'Invalid date format. Use YYYY-MM-DD format',
-      });
-    }
+  // Parse and validate dates
+  const startDateObj = new Date(startDate);
+  const endDateObj = new Date(endDate);
 
-    if (startDateObj >= endDateObj) {
-      return res.status(400).json({
-        error: 'startDate must be before endDate',
-      });
-    }
+  if (isNaN(startDateObj.getTime()) || isNaN(endDateObj.getTime())) {
+    throw invalid('Invalid date format. Use YYYY-MM-DD format');
+  }
 
-    // Validate stepDays
-    const step = parseInt(stepDays, 10);
-    if (isNaN(step) || step < 1 || step > 30) {
-      return res.status(400).json({
-        error: 'stepDays must be between 1 and 30',
-      });
-    }
+  if (startDateObj >= endDateObj) {
+    throw invalid('startDate must be before endDate');
+  }
 
-    // Validate daysToPredict
-    const days = parseInt(daysToPredict, 10);
-    if (isNaN(days) || days < 1 || days > 30) {
-      return res.status(400).json({
-        error: 'daysToPredict must be between 1 and 30',
-      });
+  // Validate stepDays
+  const step = parseInt(stepDays, 10);
+  if (isNaN(step) || step < 1 || step > 30) {
+    throw invalid('stepDays must be between 1 and 30');
+  }
+
+  if (!['rolling', 'expanding'].includes(window)) {
+    throw invalid('window must be rolling or expanding');
+  }
+
+  const lookback = parseInt(lookbackDays, 10);
+  if (isNaN(lookback) || lookback < 7 || lookback > 365) {
+    throw invalid('lookbackDays must be between 7 and 365');
+  }
+
+  const workers = parseInt(concurrency, 10);
+  if (isNaN(workers) || workers < 1 || workers > 16) {
+    throw invalid('concurrency must be between 1 and 16');
+  }
+
+  return {
+    asset: asset.toUpperCase(),
+    startDate: startDateObj,
+    endDate: endDateObj,
+    stepDays: step,
+    horizons: resolveHorizons(body),
+    provider: resolveProvider(model),
+    window,
+    lookbackDays: lookback,
+    concurrency: workers,
+    strategy: strategySimulator.resolveParameters(body.strategy),
+  };
+}
+
+/**
+ * POST /api/backtesting/multiple
+ * Run a walk-forward backtest over a date range and wait for the results
+ * Long ranges should be submitted to POST /api/backtesting/jobs instead
+ * Body: { asset: 'BTC', startDate: '2024-01-01', endDate: '2024-07-01', stepDays: 7, horizons: ['24h', '7d'], model: 'statistical',
+ *         window: 'rolling' | 'expanding', lookbackDays: 30, concurrency: 4,
+ *         strategy: { sizing: 'confidence' | 'fixed', allowShort: true, minConfidence: 50, feeBps: 10, slippageBps: 5, initialCapital: 10000 } }
+ */
+router.post('/multiple', async (req, res) => {
+  try {
+    let request;
+    try {
+      request = parseWalkForwardRequest(req.body);
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message });
     }
 
-    console.log(`\n🔬 Multiple backtests request: ${asset} from ${startDate} to ${endDate}, step: ${step} days`);
+    console.log(`\n🔬 Multiple backtests request: ${request.asset} from ${req.body.startDate} to ${req.body.endDate}, step: ${request.stepDays} days, model: ${request.provider.name}`);
 
     // Run multiple backtests
     const results = await backtestingService.runMultipleBacktests(
-      asset.toUpperCase(),
-      startDateObj,
-      endDateObj,
-      step,
-      days
+      request.asset,
+      request.startDate,
+      request.endDate,
+      request.stepDays,
+      request.horizons,
+      request.provider,
+      { window: request.window, lookbackDays: request.lookbackDays, concurrency: request.concurrency, strategy: request.strategy }
     );
 
+    const runId = backtestJobService.saveRun(results, {
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      stepDays: request.stepDays,
+      horizons: request.horizons,
+      model: request.provider.name,
+      window: request.window,
+      lookbackDays: request.lookbackDays,
+      strategy: request.strategy,
+    });
+
     res.json({
       success: true,
+      runId,
       ...results,
     });
   } catch (error) {
@@ -150,6 +249,90 @@ router.post('/multiple', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/backtesting/jobs
+ * Submit a walk-forward backtest to run in the background
+ * Body: same as POST /api/backtesting/multiple
+ * Responds 202 with the queued job; poll GET /api/backtesting/jobs/:id for progress
+ */
+router.post('/jobs', (req, res) => {
+  try {
+    let request;
+    try {
+      request = parseWalkForwardRequest(req.body);
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    let job;
+    try {
+      job = backtestJobService.submit(request);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job,
+    });
+  } catch (error) {
+    console.error('Backtest job submission error:', error);
+    res.status(500).json({ error: error.message || 'Failed to submit backtest job' });
+  }
+});
+
+/**
+ * GET /api/backtesting/jobs
+ * List backtest jobs with their progress
+ * Query: ?asset=BTC&status=running&limit=50
+ */
+router.get('/jobs', (req, res) => {
+  try {
+    const { asset, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({
+      jobs: backtestJobService.listJobs({ asset, status, limit }),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/backtesting/jobs/:id
+ * Get a backtest job's status and progress (completed and failed steps, ETA)
+ * Finished jobs include runId; fetch the results from GET /api/backtesting/runs/:runId
+ */
+router.get('/jobs/:id', (req, res) => {
+  try {
+    const job = backtestJobService.getJob(parseInt(req.params.id, 10));
+    if (!job) {
+      return res.status(404).json({ error: `Backtest job not found: ${req.params.id}` });
+    }
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/backtesting/jobs/:id
+ * Cancel a queued or running backtest job; tests that already finished are kept
+ */
+router.delete('/jobs/:id', (req, res) => {
+  try {
+    const job = backtestJobService.cancel(parseInt(req.params.id, 10));
+    if (!job) {
+      return res.status(404).json({ error: `Backtest job not found: ${req.params.id}` });
+    }
+    res.status(202).json(job);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/backtesting/validate
  * Validate if a backtest can be run for a given date
@@ -203,5 +386,56 @@ router.get('/validate', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/backtesting/runs
+ * List stored backtest runs (without full results)
+ * Query: ?asset=BTC&limit=50
+ */
+router.get('/runs', (req, res) => {
+  try {
+    const { asset } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({
+      runs: storage.listBacktestRuns({ asset, limit }),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/backtesting/runs/:id
+ * Get a stored backtest run with its full results
+ */
+router.get('/runs/:id', (req, res) => {
+  try {
+    const run = storage.getBacktestRun(parseInt(req.params.id, 10));
+    if (!run) {
+      return res.status(404).json({ error: `Backtest run not found: ${req.params.id}` });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/backtesting/runs/:id/calibration
+ * Fit a confidence recalibration mapping from a stored run's predictions and apply it to the
+ * run's model for every live prediction from now on
+ * Body: { method: 'isotonic' | 'platt' }
+ */
+router.post('/runs/:id/calibration', (req, res) => {
+  try {
+    const mapping = calibrationService.fitFromRun(parseInt(req.params.id, 10), req.body.method || 'isotonic');
+    if (!mapping) {
+      return res.status(404).json({ error: `Backtest run not found: ${req.params.id}` });
+    }
+    res.json(mapping);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 export default router;
 
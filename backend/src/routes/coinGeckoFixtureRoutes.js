@@ -0,0 +1,56 @@
+import express from 'express';
+import recordingStore from '../services/recordingStore.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v3/ping
+ * CoinGecko's health check
+ */
+router.get('/ping', (req, res) => {
+  res.json({ gecko_says: '(V3) To the Moon!' });
+});
+
+/**
+ * GET /api/v3/coins/:id/market_chart/range?vs_currency=usd&from=&to=
+ * Recorded prices, market caps and total volumes between two Unix timestamps (seconds)
+ */
+router.get('/coins/:id/market_chart/range', (req, res) => {
+  try {
+    const { vs_currency: currency, from, to } = req.query;
+    if (currency !== 'usd') {
+      return res.status(400).json({ error: 'Only vs_currency=usd is recorded' });
+    }
+    if (!Number.isFinite(Number(from)) || !Number.isFinite(Number(to))) {
+      return res.status(400).json({ error: 'from and to must be Unix timestamps in seconds' });
+    }
+
+    res.json(recordingStore.getMarketChart(req.params.id, Number(from), Number(to)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/v3/simple/price?ids=bitcoin,ethereum&vs_currencies=usd
+ * Latest recorded USD price of each coin; coins without a recording are left out, as CoinGecko does
+ */
+router.get('/simple/price', (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map((id) => id.trim()).filter(Boolean);
+    const prices = {};
+
+    for (const id of ids) {
+      const recorded = recordingStore.getRecordedMarketChart(id)?.prices || [];
+      if (recorded.length > 0) {
+        prices[id] = { usd: recorded[recorded.length - 1][1] };
+      }
+    }
+
+    res.json(prices);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
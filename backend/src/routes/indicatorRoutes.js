@@ -0,0 +1,92 @@
+import express from 'express';
+import ftsoService from '../services/ftsoService.js';
+import fdcService from '../services/fdcService.js';
+import technicalIndicators from '../services/technicalIndicators.js';
+import liveIndicators from '../services/liveIndicators.js';
+import candleService from '../services/candleService.js';
+
+const router = express.Router();
+
+const DEFAULT_SERIES = ['sma7', 'sma30', 'rsi14'];
+const MAX_DAYS = 365;
+
+/**
+ * GET /api/indicators/:asset?names=sma7,rsi14,macd&days=90
+ * GET /api/indicators/:asset?names=sma20,macd&interval=1h&from=&to=&source=ftso
+ * Get indicator series aligned with candle timestamps: by default over the same OHLC candles as
+ * /api/prices/historical, or with `interval` over the candles of /api/prices/candles, warmed up on
+ * the candles before `from`. Points before an indicator's first full period are null
+ */
+router.get('/:asset', async (req, res) => {
+  try {
+    const asset = req.params.asset.toUpperCase();
+    if (!ftsoService.getFeedIdFromAsset(asset)) {
+      return res.status(400).json({ error: `Unsupported asset: ${asset}` });
+    }
+
+    const names = req.query.names
+      ? String(req.query.names).split(',').map((name) => name.trim()).filter(Boolean)
+      : DEFAULT_SERIES;
+    // Validate the names before fetching any data
+    names.forEach((name) => technicalIndicators.parseSeriesName(name));
+
+    if (req.query.interval) {
+      const { interval } = req.query;
+      const intervalMs = candleService.getIntervalMs(interval);
+      const { from, to } = candleService.resolveRange(interval, candleService.parseTime(req.query.from), candleService.parseTime(req.query.to));
+      const { candles, source } = await candleService.getCandles(asset, {
+        interval,
+        from: from - technicalIndicators.getWarmupPoints(names) * intervalMs,
+        to,
+        source: req.query.source || 'ftso',
+      });
+      const { timestamps, price, series } = technicalIndicators.calculateIndicatorSeries(candles, names, { from });
+
+      return res.json({ asset, interval, source, from, to, names: Object.keys(series), timestamps, price, series });
+    }
+
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_DAYS}` });
+    }
+
+    const historical = await fdcService.getHistoricalData(asset, days);
+    const { timestamps, price, series } = technicalIndicators.calculateIndicatorSeries(historical.dataPoints, names);
+
+    res.json({
+      asset,
+      days,
+      names: Object.keys(series),
+      timestamps,
+      price,
+      series,
+      note: historical.note,
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/indicators/:asset/live
+ * Get the indicators of the live FTSO tick series, updated incrementally as each tick is recorded
+ */
+router.get('/:asset/live', (req, res) => {
+  try {
+    const asset = req.params.asset.toUpperCase();
+    if (!ftsoService.getFeedIdFromAsset(asset)) {
+      return res.status(400).json({ error: `Unsupported asset: ${asset}` });
+    }
+
+    const snapshot = liveIndicators.getSnapshot(asset);
+    if (!snapshot) {
+      return res.status(404).json({ error: `No FTSO ticks recorded for ${asset} yet` });
+    }
+
+    res.json(snapshot);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
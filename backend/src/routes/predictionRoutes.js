@@ -1,28 +1,88 @@
 import express from 'express';
 import dataAggregator from '../services/dataAggregator.js';
-import geminiService from '../services/geminiService.js';
+import { resolveProvider, listProviders, getDefaultProvider } from '../providers/index.js';
+import { parseHorizons } from '../providers/horizons.js';
+import predictionLedger from '../services/predictionLedger.js';
+import calibrationService from '../services/calibrationService.js';
+import assetRegistry from '../services/assetRegistry.js';
+import storage from '../storage/index.js';
 
 const router = express.Router();
 
+/**
+ * GET /api/predictions/models
+ * List prediction models and whether they are available
+ */
+router.get('/models', (req, res) => {
+  res.json({ models: listProviders(), default: getDefaultProvider().name });
+});
+
+/**
+ * GET /api/predictions/calibration
+ * List the confidence recalibration mappings applied to live predictions, one per model
+ * Mappings are fitted from backtest runs with POST /api/backtesting/runs/:id/calibration
+ */
+router.get('/calibration', (req, res) => {
+  try {
+    res.json({ mappings: storage.listCalibrationMappings() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/predictions/calibration/:model
+ * Stop recalibrating a model's live predictions
+ */
+router.delete('/calibration/:model', (req, res) => {
+  try {
+    if (!storage.deleteCalibrationMapping(req.params.model)) {
+      return res.status(404).json({ error: `No calibration mapping for model: ${req.params.model}` });
+    }
+    res.json({ success: true, model: req.params.model });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/predictions/:asset
  * Get price prediction for a specific asset
+ * Query: ?model=gemini|statistical (defaults to PREDICTION_MODEL)
+ *        &horizons=1h,24h,7d,30d (defaults to PREDICTION_HORIZONS)
  */
 router.get('/:asset', async (req, res) => {
   try {
     const { asset } = req.params;
 
+    let provider;
+    let horizons;
+    try {
+      provider = resolveProvider(req.query.model);
+      horizons = parseHorizons(req.query.horizons);
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+
     // Aggregate data from all sources
     const aggregatedData = await dataAggregator.aggregateAssetData(asset);
 
     // Format data for prediction
     const formattedData = dataAggregator.formatForPrediction(aggregatedData);
 
-    // Generate prediction using Gemini API
-    const predictionResult = await geminiService.generatePrediction(formattedData);
+    // Generate prediction with the selected model, recalibrating its confidence if a mapping is active
+    const predictionResult = calibrationService.applyToPrediction(
+      await provider.generatePrediction(formattedData, { horizons }),
+      provider.name
+    );
+    const predictionIds = predictionLedger.recordPricePath(asset, predictionResult, provider.name);
 
     res.json({
+      predictionId: predictionIds[predictionResult.prediction.timeframe],
+      predictionIds,
       asset,
+      model: provider.name,
+      source: predictionResult.source || 'model',
       timestamp: Date.now(),
       dataPointsUsed: predictionResult.dataPointsUsed || formattedData.totalDataPoints || 0,
       currentPrice: predictionResult.currentPrice,
@@ -32,36 +92,100 @@ router.get('/:asset', async (req, res) => {
         direction: predictionResult.prediction?.direction || 'NEUTRAL',
         priceTarget: predictionResult.prediction?.priceTarget || predictionResult.currentPrice,
         confidence: predictionResult.prediction?.confidence || 65,
+        rawConfidence: predictionResult.prediction?.rawConfidence,
         riskLevel: predictionResult.prediction?.riskLevel || 'MEDIUM',
         timeframe: predictionResult.prediction?.timeframe || '24h',
         analysis: predictionResult.prediction?.analysis || '',
         keyFactors: predictionResult.prediction?.keyFactors || [],
         technicalIndicators: predictionResult.prediction?.technicalIndicators || predictionResult.technicalIndicators || {},
       },
+      horizons,
+      pricePath: predictionResult.pricePath || [],
+      calibration: predictionResult.calibration || null,
+      consensus: formattedData.consensus,
+      quality: formattedData.quality,
     });
   } catch (error) {
     console.error('Prediction error:', error);
-    res.status(500).json({ 
-      error: error.message,
-      note: 'Make sure GEMINI_API_KEY is set in environment variables'
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/predictions/:asset/history
+ * Get previously generated predictions for an asset
+ * Query: ?limit=50&model=statistical
+ */
+router.get('/:asset/history', (req, res) => {
+  try {
+    const { asset } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const predictions = storage.listPredictions({ asset, model: req.query.model, limit });
+
+    res.json({
+      asset,
+      count: predictions.length,
+      predictions,
     });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/predictions/:asset/track-record
+ * Get hit rate, MAPE and calibration of resolved live predictions, per timeframe
+ * Query: ?from=<ms>&to=<ms>&bucket=day|week&model=statistical&timeframe=24h
+ */
+router.get('/:asset/track-record', (req, res) => {
+  try {
+    const { asset } = req.params;
+    const from = req.query.from ? Number(req.query.from) : undefined;
+    const to = req.query.to ? Number(req.query.to) : undefined;
+    const bucket = req.query.bucket === 'week' ? 'week' : 'day';
+    const timeframe = req.query.timeframe?.toLowerCase();
+
+    if (timeframe !== undefined && !predictionLedger.parseTimeframe(timeframe)) {
+      return res.status(400).json({ error: `Invalid timeframe: ${timeframe}. Use e.g. 1h, 24h, 7d or 30d` });
+    }
+
+    res.json(predictionLedger.getTrackRecord(asset, { from, to, bucket, model: req.query.model, timeframe }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
 /**
  * GET /api/predictions
  * Get predictions for all supported assets
+ * Query: ?model=gemini|statistical&horizons=1h,24h,7d,30d
  */
 router.get('/', async (req, res) => {
   try {
+    let provider;
+    let horizons;
+    try {
+      provider = resolveProvider(req.query.model);
+      horizons = parseHorizons(req.query.horizons);
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+
     const predictions = {};
-    const assets = ['BTC', 'ETH', 'FLR'];
+    const assets = assetRegistry.getTrackedSymbols();
 
     for (const asset of assets) {
       try {
         const aggregatedData = await dataAggregator.aggregateAssetData(asset);
         const formattedData = dataAggregator.formatForPrediction(aggregatedData);
-        predictions[asset] = await geminiService.generatePrediction(formattedData);
+        predictions[asset] = calibrationService.applyToPrediction(
+          await provider.generatePrediction(formattedData, { horizons }),
+          provider.name
+        );
+        predictions[asset].predictionIds = predictionLedger.recordPricePath(asset, predictions[asset], provider.name);
+        predictions[asset].predictionId = predictions[asset].predictionIds[predictions[asset].prediction.timeframe];
+        predictions[asset].consensus = formattedData.consensus;
+        predictions[asset].quality = formattedData.quality;
       } catch (error) {
         console.error(`Error predicting for ${asset}:`, error);
         predictions[asset] = { error: error.message };
@@ -70,6 +194,8 @@ router.get('/', async (req, res) => {
 
     res.json({
       timestamp: Date.now(),
+      model: provider.name,
+      horizons,
       predictions,
     });
   } catch (error) {
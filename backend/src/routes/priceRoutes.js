@@ -3,6 +3,9 @@ import ftsoService from '../services/ftsoService.js';
 import fassetsService from '../services/fassetsService.js';
 import fdcService from '../services/fdcService.js';
 import dataAggregator from '../services/dataAggregator.js';
+import candleService from '../services/candleService.js';
+import priceConsensus from '../services/priceConsensus.js';
+import { listPriceSources } from '../priceSources/index.js';
 
 const router = express.Router();
 
@@ -68,6 +71,70 @@ router.get('/historical/:asset', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/prices/candles/:asset?interval=1h&from=&to=&source=ftso&gaps=fill
+ * Get OHLCV candles aggregated from FTSO ticks (default) or CoinGecko prices
+ */
+router.get('/candles/:asset', async (req, res) => {
+  try {
+    const { asset } = req.params;
+    if (!ftsoService.getFeedIdFromAsset(asset)) {
+      return res.status(400).json({ error: `Unsupported asset: ${asset}` });
+    }
+
+    const candles = await candleService.getCandles(asset, {
+      interval: req.query.interval || '1h',
+      from: candleService.parseTime(req.query.from),
+      to: candleService.parseTime(req.query.to),
+      source: req.query.source || 'ftso',
+      gaps: req.query.gaps || 'fill',
+    });
+    res.json(candles);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/prices/attested/:asset
+ * Get the latest FDC-attested price for an asset
+ */
+router.get('/attested/:asset', async (req, res) => {
+  try {
+    const { asset } = req.params;
+    const trackingData = await fdcService.getLiveTrackingData(asset);
+    res.json(trackingData);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/prices/consensus/:asset
+ * Get the consensus of the enabled price sources for an asset, with outliers flagged
+ */
+router.get('/consensus/:asset', async (req, res) => {
+  try {
+    const asset = req.params.asset.toUpperCase();
+    if (!ftsoService.getFeedIdFromAsset(asset)) {
+      return res.status(400).json({ error: `Unsupported asset: ${asset}` });
+    }
+
+    const consensus = await priceConsensus.getConsensus(asset);
+    res.json(consensus);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/prices/sources
+ * List the price sources, which are enabled, and the health of the enabled ones
+ */
+router.get('/sources', (req, res) => {
+  res.json({ sources: listPriceSources(), health: priceConsensus.getHealth() });
+});
+
 /**
  * GET /api/prices/aggregated/:asset
  * Get aggregated data from all sources for an asset
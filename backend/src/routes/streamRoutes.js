@@ -0,0 +1,45 @@
+import express from 'express';
+import priceStream from '../services/priceStream.js';
+
+const router = express.Router();
+
+// Comment line sent periodically so proxies do not close idle connections
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * GET /api/stream/prices
+ * Server-Sent Events stream of live FTSO prices
+ * Query: ?assets=BTC,ETH to only receive some assets
+ * Each `prices` event carries the same payload as GET /api/prices/live
+ */
+router.get('/prices', (req, res) => {
+  const assets = req.query.assets
+    ? req.query.assets.split(',').map((asset) => asset.trim().toUpperCase())
+    : null;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = priceStream.subscribe((snapshot) => {
+    const prices = assets
+      ? Object.fromEntries(Object.entries(snapshot.prices).filter(([asset]) => assets.includes(asset)))
+      : snapshot.prices;
+
+    res.write(`event: prices\nid: ${snapshot.timestamp}\ndata: ${JSON.stringify({ timestamp: snapshot.timestamp, prices })}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,156 @@
+/**
+ * Asset Registry
+ * Single source of truth for supported assets: FTSO v2 feed IDs, feed names and CoinGecko IDs
+ * Feed IDs are bytes21: one category byte followed by the feed name, UTF-8 encoded and
+ * zero-padded to 20 bytes (e.g. 0x01 + "XRP/USD")
+ */
+
+import fs from 'fs';
+import { FLARE_CONFIG } from '../config/flareConfig.js';
+import { FEED_REGISTRY } from '../config/feedRegistry.js';
+
+const FEED_NAME_BYTES = 20;
+
+class AssetRegistry {
+  constructor() {
+    this.assets = new Map();
+    this.feedIds = new Map();
+
+    FEED_REGISTRY.forEach((entry) => this.register(entry));
+    if (FLARE_CONFIG.FEED_REGISTRY_PATH) {
+      JSON.parse(fs.readFileSync(FLARE_CONFIG.FEED_REGISTRY_PATH, 'utf8')).forEach((entry) => this.register(entry));
+    }
+
+    const unknown = FLARE_CONFIG.ASSETS.filter((symbol) => !this.assets.has(symbol));
+    if (unknown.length > 0) {
+      console.warn(`⚠️  Ignoring assets missing from the feed registry: ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Add or replace an asset
+   * @param {Object} entry - { symbol, name, category, feed, coinGeckoId, color }
+   */
+  register(entry) {
+    const symbol = entry.symbol.toUpperCase();
+    const previous = this.assets.get(symbol);
+    if (previous) {
+      this.feedIds.delete(previous.feedId);
+    }
+
+    const asset = {
+      ...entry,
+      symbol,
+      feedId: this.encodeFeedId(entry.category, entry.feed),
+    };
+    this.assets.set(symbol, asset);
+    this.feedIds.set(asset.feedId, asset);
+  }
+
+  /**
+   * Encode a feed category and name as an FTSO v2 feed ID
+   * @param {string} category - Category as a hex byte (e.g. '01' for crypto)
+   * @param {string} name - Feed name (e.g. 'XRP/USD')
+   * @returns {string} bytes21 feed ID
+   */
+  encodeFeedId(category, name) {
+    const nameHex = Buffer.from(name, 'utf8').toString('hex');
+    if (nameHex.length > FEED_NAME_BYTES * 2) {
+      throw new Error(`Feed name is longer than ${FEED_NAME_BYTES} bytes: ${name}`);
+    }
+    return `0x${category.padStart(2, '0')}${nameHex.padEnd(FEED_NAME_BYTES * 2, '0')}`.toLowerCase();
+  }
+
+  /**
+   * Decode an FTSO v2 feed ID into its category and name
+   * @param {string} feedId - bytes21 feed ID
+   * @returns {Object} { category, name }
+   */
+  decodeFeedId(feedId) {
+    const hex = feedId.replace(/^0x/, '');
+    return {
+      category: hex.slice(0, 2),
+      name: Buffer.from(hex.slice(2), 'hex').toString('utf8').replace(/\0+$/, ''),
+    };
+  }
+
+  /**
+   * Get a registered asset
+   * @param {string} symbol - Asset symbol
+   * @returns {Object|null} Asset with symbol, name, category, feed, feedId, coinGeckoId
+   */
+  get(symbol) {
+    return this.assets.get(String(symbol).toUpperCase()) || null;
+  }
+
+  /**
+   * Get the feed ID of an asset
+   * @param {string} symbol - Asset symbol
+   * @returns {string|null} Feed ID
+   */
+  getFeedId(symbol) {
+    return this.get(symbol)?.feedId || null;
+  }
+
+  /**
+   * Get the asset symbol of a feed ID
+   * @param {string} feedId - Feed ID
+   * @returns {string|null} Asset symbol
+   */
+  getSymbol(feedId) {
+    return this.feedIds.get(feedId.toLowerCase())?.symbol || null;
+  }
+
+  /**
+   * Get the feed name of a feed ID, decoding it when the feed is not registered
+   * @param {string} feedId - Feed ID
+   * @returns {string} Feed name (e.g. 'BTC/USD')
+   */
+  getFeedName(feedId) {
+    return this.feedIds.get(feedId.toLowerCase())?.feed || this.decodeFeedId(feedId).name;
+  }
+
+  /**
+   * Get the CoinGecko ID of an asset
+   * @param {string} symbol - Asset symbol
+   * @returns {string|null} CoinGecko ID
+   */
+  getCoinGeckoId(symbol) {
+    return this.get(symbol)?.coinGeckoId || null;
+  }
+
+  /**
+   * Get the tracked assets (FLARE_CONFIG.ASSETS that are registered)
+   * @returns {Object[]} Assets
+   */
+  getTrackedAssets() {
+    return FLARE_CONFIG.ASSETS.map((symbol) => this.assets.get(symbol)).filter(Boolean);
+  }
+
+  /**
+   * Get the tracked asset symbols
+   * @returns {string[]} Asset symbols
+   */
+  getTrackedSymbols() {
+    return this.getTrackedAssets().map((asset) => asset.symbol);
+  }
+
+  /**
+   * Check whether an asset is tracked
+   * @param {string} symbol - Asset symbol
+   * @returns {boolean} Whether the asset is tracked
+   */
+  isTracked(symbol) {
+    return this.getTrackedSymbols().includes(String(symbol).toUpperCase());
+  }
+
+  /**
+   * Get every registered asset
+   * @returns {Object[]} Assets
+   */
+  getAllAssets() {
+    return [...this.assets.values()];
+  }
+}
+
+export default new AssetRegistry();
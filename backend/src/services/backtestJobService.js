@@ -0,0 +1,224 @@
+/**
+ * Backtest Job Service
+ * Runs walk-forward backtests in the background so clients do not hold a connection open for
+ * the whole run. Jobs wait queued until one of BACKTEST_CONFIG.JOB_CONCURRENCY slots is free. Job
+ * state and progress are persisted as the run advances, and the finished results are stored as a
+ * backtest run the job links to
+ */
+
+import storage from '../storage/index.js';
+import backtestingService from './backtestingService.js';
+import { TaskQueue } from './taskPool.js';
+import { BACKTEST_CONFIG } from '../config/backtestConfig.js';
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+class BacktestJobService {
+  constructor() {
+    this.controllers = new Map();
+    this.queue = new TaskQueue(BACKTEST_CONFIG.JOB_CONCURRENCY);
+  }
+
+  /**
+   * Fail jobs left queued or running by a previous process; their work died with it
+   */
+  start() {
+    for (const status of ACTIVE_STATUSES) {
+      for (const job of storage.listBacktestJobs({ status, limit: 1000 })) {
+        storage.updateBacktestJob(job.id, {
+          status: 'failed',
+          finishedAt: Date.now(),
+          error: 'Interrupted by a server restart',
+        });
+      }
+    }
+  }
+
+  /**
+   * Queue a walk-forward backtest to run in the background once a job slot is free
+   * @param {Object} request - { asset, startDate, endDate, stepDays, horizons, provider, window, lookbackDays, concurrency, strategy }
+   * @returns {Object} Queued job
+   * @throws {Error} With status 429 when MAX_PENDING_JOBS jobs are already running or queued
+   */
+  submit(request) {
+    if (this.queue.pending >= BACKTEST_CONFIG.MAX_PENDING_JOBS) {
+      const error = new Error(`${this.queue.pending} backtest jobs are already running or queued; try again once one has finished`);
+      error.status = 429;
+      throw error;
+    }
+
+    const params = {
+      startDate: request.startDate.toISOString().split('T')[0],
+      endDate: request.endDate.toISOString().split('T')[0],
+      stepDays: request.stepDays,
+      horizons: request.horizons,
+      model: request.provider.name,
+      window: request.window,
+      lookbackDays: request.lookbackDays,
+      concurrency: request.concurrency,
+      strategy: request.strategy,
+    };
+
+    const id = storage.saveBacktestJob({
+      asset: request.asset,
+      status: 'queued',
+      params,
+      progress: { total: null, completed: 0, failed: 0 },
+    });
+
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+    this.queue.push(() => this.run(id, request, params, controller.signal)).finally(() => this.controllers.delete(id));
+
+    return this.getJob(id);
+  }
+
+  /**
+   * Run a job to completion, recording progress as each test settles
+   * @param {number} id - Job ID
+   * @param {Object} request - Submitted request
+   * @param {Object} params - Stored job parameters
+   * @param {AbortSignal} signal - Cancellation signal
+   */
+  async run(id, request, params, signal) {
+    // Cancelled while it was still queued
+    if (signal.aborted) {
+      storage.updateBacktestJob(id, { status: 'cancelled', finishedAt: Date.now() });
+      return;
+    }
+
+    storage.updateBacktestJob(id, { status: 'running', startedAt: Date.now() });
+    console.log(`🔬 Backtest job ${id} started: ${request.asset} from ${params.startDate} to ${params.endDate}`);
+
+    try {
+      const results = await backtestingService.runMultipleBacktests(
+        request.asset,
+        request.startDate,
+        request.endDate,
+        request.stepDays,
+        request.horizons,
+        request.provider,
+        {
+          window: request.window,
+          lookbackDays: request.lookbackDays,
+          concurrency: request.concurrency,
+          strategy: request.strategy,
+          signal,
+          onProgress: (progress) => storage.updateBacktestJob(id, { progress }),
+        }
+      );
+
+      // A cancelled job still keeps the tests that finished before it was stopped
+      const runId = this.saveRun(results, params);
+      storage.updateBacktestJob(id, {
+        status: results.cancelled ? 'cancelled' : 'completed',
+        finishedAt: Date.now(),
+        runId,
+      });
+      console.log(`✅ Backtest job ${id} ${results.cancelled ? 'cancelled' : 'completed'}: ${results.totalTests} tests, run ${runId}`);
+    } catch (error) {
+      console.error(`Backtest job ${id} failed:`, error.message);
+      storage.updateBacktestJob(id, {
+        status: signal.aborted ? 'cancelled' : 'failed',
+        finishedAt: Date.now(),
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Persist the results of a walk-forward backtest as a backtest run
+   * @param {Object} results - Results from runMultipleBacktests
+   * @param {Object} params - Run parameters
+   * @returns {number} Run ID
+   */
+  saveRun(results, params) {
+    return storage.saveBacktestRun({
+      asset: results.asset,
+      kind: 'multiple',
+      params,
+      summary: {
+        totalTests: results.totalTests,
+        ...(results.cancelled && { cancelled: true }),
+        ...results.aggregateMetrics,
+        ...(results.strategy && {
+          strategyReturn: results.strategy.cumulativeReturn,
+          benchmarkReturn: results.strategy.benchmark.cumulativeReturn,
+        }),
+      },
+      results,
+    });
+  }
+
+  /**
+   * Get a job with its progress and, while running, an estimate of the time remaining
+   * @param {number} id - Job ID
+   * @returns {Object|null} Job
+   */
+  getJob(id) {
+    const job = storage.getBacktestJob(id);
+    return job ? this.describeJob(job) : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [filter] - { asset, status, limit }
+   * @returns {Object[]} Jobs
+   */
+  listJobs(filter) {
+    return storage.listBacktestJobs(filter).map((job) => this.describeJob(job));
+  }
+
+  /**
+   * Cancel a queued or running job. Tests already in flight finish; no new ones start
+   * @param {number} id - Job ID
+   * @returns {Object|null} Job, or null if it does not exist
+   * @throws {Error} With status 409 if the job has already finished
+   */
+  cancel(id) {
+    const job = storage.getBacktestJob(id);
+    if (!job) return null;
+
+    const controller = this.controllers.get(id);
+    if (!controller || !ACTIVE_STATUSES.includes(job.status)) {
+      const error = new Error(`Backtest job ${id} has already ${job.status === 'failed' ? 'failed' : `been ${job.status}`}`);
+      error.status = 409;
+      throw error;
+    }
+
+    controller.abort();
+    console.log(`🛑 Backtest job ${id} cancellation requested`);
+    return { ...this.describeJob(job), cancelRequested: true };
+  }
+
+  /**
+   * Add percent complete and the estimated time remaining, extrapolated from the average
+   * time per settled test so far
+   * @param {Object} job - Stored job
+   * @returns {Object} Job with progress.percent and progress.etaMs
+   */
+  describeJob(job) {
+    const { total, completed = 0, failed = 0 } = job.progress || {};
+    const settled = completed + failed;
+    let etaMs = null;
+
+    if (job.status === 'running' && total && settled > 0) {
+      etaMs = Math.round(((Date.now() - job.startedAt) / settled) * (total - settled));
+    } else if (!ACTIVE_STATUSES.includes(job.status)) {
+      etaMs = 0;
+    }
+
+    return {
+      ...job,
+      progress: {
+        total: total ?? null,
+        completed,
+        failed,
+        percent: total ? Number(((settled / total) * 100).toFixed(1)) : 0,
+        etaMs,
+      },
+    };
+  }
+}
+
+export default new BacktestJobService();
@@ -1,169 +1,233 @@
 /**
  * Backtesting Service
- * Tests Gemini AI predictions against historical data
+ * Tests model predictions against historical data
  */
 
 import coinGeckoService from './coinGeckoService.js';
-import geminiService from './geminiService.js';
+import { getDefaultProvider } from '../providers/index.js';
 import technicalIndicators from './technicalIndicators.js';
+import { horizonToMs, getPrimaryHorizon } from '../providers/horizons.js';
+import { runWithConcurrency } from './taskPool.js';
+import strategySimulator from './strategySimulator.js';
+import baselineForecasters from './baselineForecasters.js';
+import calibrationService from './calibrationService.js';
+import { BACKTEST_CONFIG } from '../config/backtestConfig.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
 
 class BacktestingService {
   /**
    * Run a backtest for a specific date and asset
-   * @param {string} asset - Asset symbol (BTC, ETH, FLR)
-   * @param {Date} testDate - Date to test (will use 30 days before this for prediction)
-   * @param {number} daysToPredict - Number of days to predict (default: 1)
+   * @param {string} asset - Asset symbol (e.g. BTC, XRP)
+   * @param {Date} testDate - Date to test (will use the lookback window before this for prediction)
+   * @param {string[]} horizons - Horizons to predict and score, from parseHorizons (default: 24h)
+   * @param {PredictionProvider} [provider] - Model to test (defaults to the default provider)
    * @returns {Promise<Object>} Backtest results with accuracy metrics
    */
-  async runBacktest(asset, testDate, daysToPredict = 1) {
+  async runBacktest(asset, testDate, horizons = ['24h'], provider = getDefaultProvider()) {
     try {
-      console.log(`\n🔬 Starting backtest for ${asset} on ${testDate.toISOString().split('T')[0]}, predicting ${daysToPredict} day(s) ahead`);
-
-      // Step 1: Calculate the date range for historical data (30 days before testDate)
-      const historicalEndDate = new Date(testDate);
-      historicalEndDate.setHours(0, 0, 0, 0);
-      
-      const historicalStartDate = new Date(historicalEndDate);
-      historicalStartDate.setDate(historicalStartDate.getDate() - 30);
-
-      // Step 2: Fetch 30 days of historical data from CoinGecko
-      console.log(`📈 Fetching historical data from ${historicalStartDate.toISOString().split('T')[0]} to ${historicalEndDate.toISOString().split('T')[0]}`);
-      const historicalData = await coinGeckoService.getHistoricalData(
-        asset,
-        historicalStartDate,
-        historicalEndDate
-      );
+      console.log(`\n🔬 Starting backtest for ${asset} on ${testDate.toISOString().split('T')[0]}, predicting ${horizons.join(', ')} ahead`);
 
-      if (historicalData.length === 0) {
-        throw new Error('No historical data available for the specified date range');
-      }
-
-      // Get the "current" price (price on testDate)
-      const currentPrice = historicalData[historicalData.length - 1].price;
+      const testTime = this.startOfDay(testDate).getTime();
+      const windowStart = testTime - BACKTEST_CONFIG.LOOKBACK_DAYS * DAY_MS;
 
-      // Step 3: Calculate technical indicators for historical data
-      const prices = historicalData.map(dp => dp.price).filter(p => p && p > 0);
-      const indicators = technicalIndicators.calculateAllIndicators(prices, currentPrice);
+      // The lookback window and the prices the horizons are scored against come from one request
+      const series = await this.fetchSeries(asset, windowStart, testTime, horizons);
+      const results = await this.evaluateAt(asset, series, testTime, windowStart, horizons, provider);
 
-      // Calculate 24h price change
-      let priceChange24h = 0;
-      if (historicalData.length >= 2) {
-        const yesterdayPrice = historicalData[historicalData.length - 2].price;
-        priceChange24h = ((currentPrice - yesterdayPrice) / yesterdayPrice) * 100;
-      }
+      console.log(`✅ Backtest completed! Accuracy: ${(results.metrics.directionalAccuracy * 100).toFixed(2)}%`);
+      return results;
+    } catch (error) {
+      console.error(`❌ Backtest failed for ${asset}:`, error);
+      throw error;
+    }
+  }
 
-      // Step 4: Format data for Gemini (same format as live predictions)
-      const formattedData = {
-        asset,
-        dataPoints: historicalData.map(dp => ({
-          timestamp: dp.timestamp,
-          date: dp.date,
-          price: dp.price,
-        })),
-        currentPrice,
-        currentTimestamp: historicalData[historicalData.length - 1].timestamp,
-        totalDataPoints: historicalData.length,
-        timeRange: {
-          start: historicalData[0].date,
-          end: historicalData[historicalData.length - 1].date,
-        },
-        technicalIndicators: indicators,
-        priceChange24h,
-      };
+  /**
+   * Fetch the price series covering a lookback window and every horizon after the last test date
+   * @param {string} asset - Asset symbol
+   * @param {number} from - Start of the first lookback window (Unix ms)
+   * @param {number} lastTestTime - Last test time (Unix ms)
+   * @param {string[]} horizons - Horizons to score
+   * @returns {Promise<Object[]>} Price data points
+   */
+  async fetchSeries(asset, from, lastTestTime, horizons) {
+    const longestHorizon = Math.max(...horizons.map((horizon) => horizonToMs(horizon)));
+    const to = Math.min(lastTestTime + longestHorizon + DAY_MS, Date.now());
 
-      // Step 5: Get Gemini prediction
-      console.log(`🤖 Getting Gemini prediction...`);
-      const predictionResult = await geminiService.generatePrediction(formattedData);
-      const predictedPrice = predictionResult.prediction?.priceTarget || predictionResult.currentPrice;
-
-      // Step 6: Calculate the dates we're predicting for
-      const predictedDates = [];
-      for (let i = 1; i <= daysToPredict; i++) {
-        const date = new Date(testDate);
-        date.setDate(date.getDate() + i);
-        date.setHours(0, 0, 0, 0);
-        predictedDates.push(date);
-      }
+    console.log(`📈 Fetching price history from ${new Date(from).toISOString().split('T')[0]} to ${new Date(to).toISOString().split('T')[0]}`);
+    // Hourly throughout, so long walk-forward runs see the same granularity as short ones
+    const series = await coinGeckoService.getHistoricalData(asset, new Date(from), new Date(to), { granularity: 'hourly' });
 
-      // Step 7: Fetch actual prices for predicted days
-      console.log(`📊 Fetching actual prices for predicted dates...`);
-      const actualPrices = await coinGeckoService.getPricesForDates(asset, predictedDates);
+    if (series.length === 0) {
+      throw new Error('No historical data available for the specified date range');
+    }
+    return series;
+  }
 
-      if (actualPrices.length === 0) {
-        throw new Error('No actual prices found for predicted dates');
-      }
+  /**
+   * Predict from the lookback window ending at a test time and score every horizon against the
+   * prices that follow it; only prices up to the test time are visible to the model
+   * @param {string} asset - Asset symbol
+   * @param {Object[]} series - Price data points covering the window and the horizons
+   * @param {number} testTime - Test time (Unix ms)
+   * @param {number} windowStart - Start of the lookback window (Unix ms)
+   * @param {string[]} horizons - Horizons to predict and score
+   * @param {PredictionProvider} provider - Model to test
+   * @returns {Promise<Object>} Backtest result
+   */
+  async evaluateAt(asset, series, testTime, windowStart, horizons, provider) {
+    const historicalData = series.filter((dp) => dp.timestamp >= windowStart && dp.timestamp <= testTime && dp.price > 0);
 
-      // Step 8: For multiple days, we use the same predicted price for all days
-      // (Alternatively, we could calculate a trend-based prediction for each day)
-      // Create array of predicted prices (same price for all days, or calculate trend)
-      const predictedPrices = [];
-      if (daysToPredict === 1) {
-        // Single day: use the predicted price directly
-        predictedPrices.push(predictedPrice);
-      } else {
-        // Multiple days: use the predicted price as the target for the last day
-        // For intermediate days, interpolate or use the same price
-        // Simple approach: use predicted price for all days
-        // (More sophisticated: calculate daily increments based on predicted change)
-        const priceChange = predictedPrice - currentPrice;
-        const dailyChange = priceChange / daysToPredict;
-        
-        for (let i = 1; i <= daysToPredict; i++) {
-          // Linear interpolation: distribute the total change across days
-          predictedPrices.push(currentPrice + (dailyChange * i));
-        }
-      }
+    if (historicalData.length < 2) {
+      throw new Error(`Not enough price history before ${new Date(testTime).toISOString().split('T')[0]}`);
+    }
 
-      // Step 9: Calculate accuracy metrics
-      const actualPriceArray = actualPrices.map(ap => ap.price).filter(p => p != null && !isNaN(p));
-      
-      if (predictedPrices.length !== actualPriceArray.length) {
-        console.warn(`⚠️  Mismatch: ${predictedPrices.length} predicted prices vs ${actualPriceArray.length} actual prices`);
-        // Adjust to match lengths
-        const minLength = Math.min(predictedPrices.length, actualPriceArray.length);
-        predictedPrices.splice(minLength);
-        actualPriceArray.splice(minLength);
-      }
+    // Get the "current" price (price on testDate)
+    const currentPrice = historicalData[historicalData.length - 1].price;
+
+    // Calculate technical indicators for historical data
+    const prices = historicalData.map(dp => dp.price);
+    const indicators = technicalIndicators.calculateAllIndicators(prices, currentPrice, { candles: historicalData });
+
+    // Calculate 24h price change
+    const dayAgo = this.findClosestPoint(historicalData, testTime - DAY_MS, DAY_MS / 2);
+    const priceChange24h = dayAgo ? ((currentPrice - dayAgo.price) / dayAgo.price) * 100 : 0;
+
+    // Format data for the model (same format as live predictions)
+    const formattedData = {
+      asset,
+      dataPoints: historicalData.map(dp => ({
+        timestamp: dp.timestamp,
+        date: dp.date,
+        price: dp.price,
+      })),
+      currentPrice,
+      currentTimestamp: historicalData[historicalData.length - 1].timestamp,
+      totalDataPoints: historicalData.length,
+      timeRange: {
+        start: historicalData[0].date,
+        end: historicalData[historicalData.length - 1].date,
+      },
+      technicalIndicators: indicators,
+      priceChange24h,
+    };
 
-      const metrics = this.calculateMetrics(
-        predictedPrices,
-        actualPriceArray,
-        currentPrice
-      );
+    // Get the model's prediction for every horizon
+    const predictionResult = await provider.generatePrediction(formattedData, { horizons });
+    const pricePath = predictionResult.pricePath?.length
+      ? predictionResult.pricePath
+      : [{ horizon: getPrimaryHorizon(horizons), priceTarget: predictionResult.prediction?.priceTarget || currentPrice }];
+
+    // Score every horizon independently against the actual price at its end; horizons that have
+    // not elapsed yet, or have no price close enough to their end, are skipped. The baselines
+    // forecast the same horizons from the same window
+    const baselineContext = baselineForecasters.buildContext(historicalData, currentPrice, indicators);
+    const horizonResults = pricePath.map((entry) => {
+      const horizonMs = horizonToMs(entry.horizon);
+      const targetTime = testTime + horizonMs;
+      const actual = targetTime <= Date.now()
+        ? this.findClosestPoint(series, targetTime, Math.max(HOUR_MS, horizonMs / 2))
+        : null;
+      const hasInterval = entry.lower != null && entry.upper != null;
 
-      // Step 10: Prepare results
-      const results = {
-        asset,
-        testDate: testDate.toISOString().split('T')[0],
-        historicalDateRange: {
-          start: historicalStartDate.toISOString().split('T')[0],
-          end: historicalEndDate.toISOString().split('T')[0],
-        },
-        daysToPredict,
-        currentPrice,
-        predictedPrice: daysToPredict === 1 ? predictedPrice : predictedPrices[predictedPrices.length - 1], // Main target price
-        predictedPrices: predictedPrices, // Array of predicted prices for each day
-        actualPrices: actualPrices.map(ap => ({
-          date: ap.date.split('T')[0],
-          price: ap.price,
-        })),
-        prediction: {
-          direction: predictionResult.prediction?.direction || 'NEUTRAL',
-          priceTarget: predictedPrice,
-          confidence: predictionResult.prediction?.confidence || 65,
-          analysis: predictionResult.prediction?.analysis || '',
-        },
-        metrics,
-        technicalIndicators: indicators,
-        dataPointsUsed: historicalData.length,
+      return {
+        horizon: entry.horizon,
+        targetDate: new Date(targetTime).toISOString(),
+        predictedPrice: entry.priceTarget,
+        lower: entry.lower ?? null,
+        upper: entry.upper ?? null,
+        confidence: entry.confidence ?? null,
+        actualPrice: actual?.price ?? null,
+        withinInterval: hasInterval && actual ? actual.price >= entry.lower && actual.price <= entry.upper : null,
+        scale: baselineForecasters.getScale(historicalData, baselineContext.spacing, horizonMs),
+        baselines: baselineForecasters.forecastAll(baselineContext, horizonMs),
       };
+    }).filter((result) => result.actualPrice != null);
 
-      console.log(`✅ Backtest completed! Accuracy: ${(metrics.directionalAccuracy * 100).toFixed(2)}%`);
-      return results;
-    } catch (error) {
-      console.error(`❌ Backtest failed for ${asset}:`, error);
-      throw error;
+    if (horizonResults.length === 0) {
+      throw new Error('None of the predicted horizons have elapsed yet');
+    }
+
+    const predictedPrices = horizonResults.map((result) => result.predictedPrice);
+    const metrics = this.calculateMetrics(
+      predictedPrices,
+      horizonResults.map((result) => result.actualPrice),
+      currentPrice
+    );
+    horizonResults.forEach((result, index) => {
+      result.absoluteError = metrics.absoluteErrors[index];
+      result.percentageError = metrics.percentageErrors[index];
+      result.directionCorrect = metrics.directionalCorrect[index];
+    });
+
+    const withInterval = horizonResults.filter((result) => result.withinInterval !== null);
+    metrics.intervalCoverage = withInterval.length > 0
+      ? Number((withInterval.filter((result) => result.withinInterval).length / withInterval.length).toFixed(4))
+      : null;
+
+    const primary = pricePath.find((entry) => entry.horizon === getPrimaryHorizon(horizons)) || pricePath[0];
+
+    return {
+      asset,
+      testDate: new Date(testTime).toISOString().split('T')[0],
+      model: provider.name,
+      source: predictionResult.source || 'model',
+      historicalDateRange: {
+        start: new Date(windowStart).toISOString().split('T')[0],
+        end: new Date(testTime).toISOString().split('T')[0],
+      },
+      horizons,
+      currentPrice,
+      predictedPrice: primary.priceTarget, // Main target price
+      predictedPrices, // Predicted price for each scored horizon
+      actualPrices: horizonResults.map((result) => ({
+        horizon: result.horizon,
+        date: result.targetDate,
+        price: result.actualPrice,
+      })),
+      pricePath,
+      horizonResults,
+      prediction: {
+        direction: predictionResult.prediction?.direction || 'NEUTRAL',
+        priceTarget: primary.priceTarget,
+        confidence: predictionResult.prediction?.confidence || 65,
+        analysis: predictionResult.prediction?.analysis || '',
+      },
+      metrics,
+      skill: this.calculateSkillScores(horizonResults.map((result) => ({ ...result, currentPrice }))),
+      technicalIndicators: indicators,
+      dataPointsUsed: historicalData.length,
+    };
+  }
+
+  /**
+   * Find the data point closest to a time
+   * @param {Object[]} series - Price data points sorted by timestamp
+   * @param {number} time - Target time (Unix ms)
+   * @param {number} tolerance - Largest accepted distance from the target (ms)
+   * @returns {Object|null} Closest data point, or null if none is within the tolerance
+   */
+  findClosestPoint(series, time, tolerance) {
+    let closest = null;
+    for (const point of series) {
+      if (!closest || Math.abs(point.timestamp - time) < Math.abs(closest.timestamp - time)) {
+        closest = point;
+      }
     }
+    return closest && Math.abs(closest.timestamp - time) <= tolerance ? closest : null;
+  }
+
+  /**
+   * Midnight (local time) of a date, which is where each test's lookback window ends
+   * @param {Date} date - Date
+   * @returns {Date} Start of the day
+   */
+  startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
   }
 
   /**
@@ -189,7 +253,8 @@ class BacktestingService {
     for (let i = 0; i < predicted.length; i++) {
       const predictedPrice = predicted[i];
       const actualPrice = actual[i];
-      const basePrice = i === 0 ? currentPrice : actual[i - 1];
+      // Every horizon is scored independently from the price at prediction time
+      const basePrice = currentPrice;
 
       // Absolute Error
       const absoluteError = Math.abs(predictedPrice - actualPrice);
@@ -228,47 +293,103 @@ class BacktestingService {
   }
 
   /**
-   * Run multiple backtests for a date range
+   * Run a walk-forward backtest over a date range
+   * The price range is fetched once and each test's lookback window is sliced from it in memory;
+   * predictions run with bounded concurrency and back off together when the model is rate limited
    * @param {string} asset - Asset symbol
    * @param {Date} startDate - Start date for backtesting
    * @param {Date} endDate - End date for backtesting
    * @param {number} stepDays - Days between each test (default: 7)
-   * @param {number} daysToPredict - Days to predict for each test (default: 1)
-   * @returns {Promise<Object>} Aggregated backtest results
+   * @param {string[]} horizons - Horizons to predict and score for each test (default: 24h)
+   * @param {PredictionProvider} [provider] - Model to test (defaults to the default provider)
+   * @param {Object} [options] - { window: 'rolling' | 'expanding', lookbackDays, concurrency,
+   *   strategy: trading-strategy parameters (see strategySimulator), signal: AbortSignal that stops starting
+   *   new tests, onProgress({ total, completed, failed }) }
+   * @returns {Promise<Object>} Aggregated backtest results (cancelled: true when stopped early)
    */
-  async runMultipleBacktests(asset, startDate, endDate, stepDays = 7, daysToPredict = 1) {
+  async runMultipleBacktests(asset, startDate, endDate, stepDays = 7, horizons = ['24h'], provider = getDefaultProvider(), options = {}) {
+    const {
+      window = 'rolling',
+      lookbackDays = BACKTEST_CONFIG.LOOKBACK_DAYS,
+      concurrency = BACKTEST_CONFIG.CONCURRENCY,
+      strategy,
+      signal,
+      onProgress,
+    } = options;
+
     try {
-      const results = [];
-      const currentDate = new Date(startDate);
-
-      while (currentDate <= endDate) {
-        try {
-          const result = await this.runBacktest(asset, new Date(currentDate), daysToPredict);
-          results.push(result);
-          
-          // Wait a bit to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        } catch (error) {
-          console.error(`Backtest failed for ${currentDate.toISOString().split('T')[0]}:`, error.message);
+      const startedAt = Date.now();
+      const testTimes = [];
+      for (let date = this.startOfDay(startDate); date <= endDate; date.setDate(date.getDate() + stepDays)) {
+        testTimes.push(date.getTime());
+      }
+
+      // Rolling windows keep a fixed lookback; expanding windows all start at the first window's start
+      const rangeStart = testTimes[0] - lookbackDays * DAY_MS;
+      const series = await this.fetchSeries(asset, rangeStart, testTimes[testTimes.length - 1], horizons);
+      const workers = Math.min(concurrency, provider.maxConcurrency ?? Infinity);
+      const progress = { total: testTimes.length, completed: 0, failed: 0 };
+      onProgress?.({ ...progress });
+
+      console.log(`🔬 Walk-forward backtest: ${testTimes.length} ${window} windows for ${asset} with ${provider.name}, ${workers} at a time`);
+
+      const outcomes = await runWithConcurrency(
+        testTimes.map((testTime) => () => this.evaluateAt(
+          asset,
+          series,
+          testTime,
+          window === 'expanding' ? rangeStart : testTime - lookbackDays * DAY_MS,
+          horizons,
+          provider
+        )),
+        {
+          concurrency: workers,
+          maxRetries: BACKTEST_CONFIG.MAX_RETRIES,
+          retryDelay: BACKTEST_CONFIG.RETRY_DELAY,
+          signal,
+          onSettled: (outcome) => {
+            progress[outcome.status === 'fulfilled' ? 'completed' : 'failed']++;
+            onProgress?.({ ...progress });
+          },
         }
+      );
 
-        currentDate.setDate(currentDate.getDate() + stepDays);
-      }
+      const results = [];
+      const failedTests = [];
+      outcomes.forEach((outcome, index) => {
+        const testDate = new Date(testTimes[index]).toISOString().split('T')[0];
+        if (outcome.status === 'fulfilled') {
+          results.push(outcome.value);
+        } else if (outcome.status === 'rejected') {
+          console.error(`Backtest failed for ${testDate}:`, outcome.reason.message);
+          failedTests.push({ testDate, error: outcome.reason.message });
+        }
+      });
 
       // Calculate aggregate metrics
       const aggregateMetrics = this.calculateAggregateMetrics(results);
 
       return {
         asset,
+        model: provider.name,
         dateRange: {
           start: startDate.toISOString().split('T')[0],
           end: endDate.toISOString().split('T')[0],
         },
         stepDays,
-        daysToPredict,
+        horizons,
+        window: { type: window, lookbackDays },
         totalTests: results.length,
+        fallbackTests: results.filter((result) => result.source === 'fallback').length,
+        failedTests,
+        cancelled: outcomes.some((outcome) => outcome.status === 'cancelled'),
+        durationMs: Date.now() - startedAt,
         results,
         aggregateMetrics,
+        horizonMetrics: this.calculateHorizonMetrics(results, horizons),
+        skill: this.calculateSkillScores(this.flattenHorizonResults(results)),
+        calibration: calibrationService.analyze(calibrationService.collectSamples(results)),
+        strategy: strategySimulator.simulate(results, strategy),
       };
     } catch (error) {
       console.error(`Multiple backtests failed for ${asset}:`, error);
@@ -303,7 +424,120 @@ class BacktestingService {
       averageDirectionalAccuracy: Number((totalDirAcc / results.length).toFixed(4)),
     };
   }
+
+  /**
+   * Aggregate metrics per horizon across multiple backtests
+   * @param {Array} results - Array of backtest results
+   * @param {string[]} horizons - Backtested horizons
+   * @returns {Object[]} { horizon, tests, averageMAE, averageMAPE, directionalAccuracy, intervalCoverage, theilU, mase } per horizon
+   */
+  calculateHorizonMetrics(results, horizons) {
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    return horizons.map((horizon) => {
+      const scored = this.flattenHorizonResults(results).filter((result) => result.horizon === horizon);
+      if (scored.length === 0) {
+        return { horizon, tests: 0, averageMAE: null, averageMAPE: null, directionalAccuracy: null, intervalCoverage: null, theilU: null, mase: null };
+      }
+
+      const withInterval = scored.filter((result) => result.withinInterval !== null);
+      return {
+        horizon,
+        tests: scored.length,
+        averageMAE: Number(average(scored.map((result) => result.absoluteError)).toFixed(4)),
+        averageMAPE: Number(average(scored.map((result) => result.percentageError)).toFixed(2)),
+        directionalAccuracy: Number((scored.filter((result) => result.directionCorrect).length / scored.length).toFixed(4)),
+        intervalCoverage: withInterval.length > 0
+          ? Number((withInterval.filter((result) => result.withinInterval).length / withInterval.length).toFixed(4))
+          : null,
+        ...this.calculateSkillScores(scored).model,
+      };
+    });
+  }
+
+  /**
+   * Scored horizons of every backtest, each tagged with its test's current price
+   * @param {Array} results - Array of backtest results
+   * @returns {Object[]} Horizon results with currentPrice
+   */
+  flattenHorizonResults(results) {
+    return results.flatMap((result) => (result.horizonResults || []).map((horizonResult) => ({
+      ...horizonResult,
+      currentPrice: result.currentPrice,
+    })));
+  }
+
+  /**
+   * Score the model against the baseline forecasters on the same horizons
+   * Theil's U is the model's root squared relative error over the naive forecast's (below 1 beats
+   * persistence); MASE divides absolute errors by the lookback window's mean absolute change over
+   * the same horizon. maeSkill is 1 - model MAE / baseline MAE, positive when the model is better
+   * @param {Object[]} entries - Scored horizon results with currentPrice, predictedPrice, actualPrice, scale and baselines
+   * @returns {Object|null} { model: { theilU, mase }, baselines: [{ name, description, mae, mape, directionalAccuracy, theilU, mase, maeSkill }] }
+   */
+  calculateSkillScores(entries) {
+    if (entries.length === 0) return null;
+
+    const round = (value, digits = 4) => (value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits)));
+    const score = (predict) => {
+      let squared = 0;
+      let naiveSquared = 0;
+      let absolute = 0;
+      let percentage = 0;
+      let scaled = 0;
+      let scaledCount = 0;
+      let directional = 0;
+      let correct = 0;
+
+      for (const entry of entries) {
+        const predicted = predict(entry);
+        const error = predicted - entry.actualPrice;
+        squared += (error / entry.currentPrice) ** 2;
+        naiveSquared += ((entry.actualPrice - entry.currentPrice) / entry.currentPrice) ** 2;
+        absolute += Math.abs(error);
+        percentage += Math.abs(error / entry.actualPrice) * 100;
+        if (entry.scale) {
+          scaled += Math.abs(error) / entry.scale;
+          scaledCount++;
+        }
+        // Forecasts of no change take no side and are left out of directional accuracy
+        if (predicted !== entry.currentPrice) {
+          directional++;
+          if ((predicted > entry.currentPrice) === (entry.actualPrice > entry.currentPrice)) correct++;
+        }
+      }
+
+      return {
+        mae: absolute / entries.length,
+        mape: percentage / entries.length,
+        directionalAccuracy: directional > 0 ? correct / directional : null,
+        theilU: naiveSquared > 0 ? Math.sqrt(squared / naiveSquared) : null,
+        mase: scaledCount > 0 ? scaled / scaledCount : null,
+      };
+    };
+
+    const model = score((entry) => entry.predictedPrice);
+
+    return {
+      model: {
+        theilU: round(model.theilU),
+        mase: round(model.mase),
+      },
+      baselines: baselineForecasters.list().map(({ name, description }) => {
+        const baseline = score((entry) => entry.baselines?.[name] ?? entry.currentPrice);
+        return {
+          name,
+          description,
+          mae: round(baseline.mae),
+          mape: round(baseline.mape, 2),
+          directionalAccuracy: round(baseline.directionalAccuracy),
+          theilU: round(baseline.theilU),
+          mase: round(baseline.mase),
+          maeSkill: baseline.mae > 0 ? round(1 - model.mae / baseline.mae) : null,
+        };
+      }),
+    };
+  }
 }
 
 export default new BacktestingService();
-
@@ -0,0 +1,134 @@
+/**
+ * Baseline Forecasters
+ * Simple reference predictors scored on the same dates and horizons as the model, so its
+ * accuracy can be read as skill over what a trivial rule would have achieved
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Expected absolute value of a standard normal draw, sqrt(2 / pi)
+const MEAN_ABS_NORMAL = Math.sqrt(2 / Math.PI);
+
+class BaselineForecasters {
+  constructor() {
+    this.baselines = [
+      { name: 'naive', description: 'Last price persists' },
+      { name: 'drift', description: 'Random walk with the lookback window\'s drift' },
+      { name: 'sma-crossover', description: 'Trend-following on the SMA7/SMA30 crossover' },
+      { name: 'rsi-reversion', description: 'Mean reversion when RSI is above 70 or below 30' },
+    ];
+  }
+
+  /**
+   * Describe every baseline
+   * @returns {Object[]} { name, description }
+   */
+  list() {
+    return this.baselines;
+  }
+
+  /**
+   * Summarize the lookback window into what the baselines forecast from
+   * @param {Object[]} historicalData - Price data points up to the test time
+   * @param {number} currentPrice - Price at the test time
+   * @param {Object} indicators - Technical indicators of the window
+   * @returns {Object} { currentPrice, indicators, driftPerMs, spacing, stepStd }
+   */
+  buildContext(historicalData, currentPrice, indicators) {
+    const first = historicalData[0];
+    const last = historicalData[historicalData.length - 1];
+    const span = last.timestamp - first.timestamp;
+    const spacing = historicalData.length > 1 ? span / (historicalData.length - 1) : HOUR_MS;
+
+    const logReturns = historicalData
+      .slice(1)
+      .map((dp, i) => Math.log(dp.price / historicalData[i].price))
+      .filter(Number.isFinite);
+    const mean = logReturns.reduce((sum, r) => sum + r, 0) / Math.max(1, logReturns.length);
+    const variance = logReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / Math.max(1, logReturns.length - 1);
+
+    return {
+      currentPrice,
+      indicators,
+      driftPerMs: span > 0 ? (last.price - first.price) / span : 0,
+      spacing: spacing || HOUR_MS,
+      stepStd: Math.sqrt(variance),
+    };
+  }
+
+  /**
+   * Expected size of a move over a horizon, as a fraction of the price
+   * @param {Object} context - Forecast context
+   * @param {number} horizonMs - Horizon in milliseconds
+   * @returns {number} Expected absolute return
+   */
+  typicalMove(context, horizonMs) {
+    return context.stepStd * Math.sqrt(horizonMs / context.spacing) * MEAN_ABS_NORMAL;
+  }
+
+  /**
+   * Forecast the price at the end of a horizon with one baseline
+   * Directional baselines target the current price moved by a typical move for the horizon
+   * @param {string} name - Baseline name
+   * @param {Object} context - Forecast context
+   * @param {number} horizonMs - Horizon in milliseconds
+   * @returns {number} Predicted price
+   */
+  forecast(name, context, horizonMs) {
+    const { currentPrice, indicators } = context;
+    const move = currentPrice * this.typicalMove(context, horizonMs);
+
+    switch (name) {
+      case 'naive':
+        return currentPrice;
+
+      case 'drift':
+        return currentPrice + context.driftPerMs * horizonMs;
+
+      case 'sma-crossover':
+        if (!indicators?.sma7 || !indicators?.sma30 || indicators.sma7 === indicators.sma30) return currentPrice;
+        return indicators.sma7 > indicators.sma30 ? currentPrice + move : currentPrice - move;
+
+      case 'rsi-reversion':
+        if (indicators?.rsi > 70) return currentPrice - move;
+        if (indicators?.rsi < 30) return currentPrice + move;
+        return currentPrice;
+
+      default:
+        throw new Error(`Unknown baseline: ${name}`);
+    }
+  }
+
+  /**
+   * Forecast a horizon with every baseline
+   * @param {Object} context - Forecast context
+   * @param {number} horizonMs - Horizon in milliseconds
+   * @returns {Object} Predicted price by baseline name
+   */
+  forecastAll(context, horizonMs) {
+    return Object.fromEntries(
+      this.baselines.map(({ name }) => [name, this.forecast(name, context, horizonMs)])
+    );
+  }
+
+  /**
+   * In-sample scale for MASE: mean absolute change of the lookback window over the horizon
+   * @param {Object[]} historicalData - Price data points up to the test time
+   * @param {number} spacing - Sample spacing in milliseconds
+   * @param {number} horizonMs - Horizon in milliseconds
+   * @returns {number|null} Mean absolute h-step change, or null if the window is too short
+   */
+  getScale(historicalData, spacing, horizonMs) {
+    const lag = Math.min(Math.max(1, Math.round(horizonMs / spacing)), historicalData.length - 1);
+    if (lag < 1) return null;
+
+    let total = 0;
+    for (let i = lag; i < historicalData.length; i++) {
+      total += Math.abs(historicalData[i].price - historicalData[i - lag].price);
+    }
+    const scale = total / (historicalData.length - lag);
+    return scale > 0 ? scale : null;
+  }
+}
+
+export default new BaselineForecasters();
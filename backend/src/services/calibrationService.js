@@ -0,0 +1,253 @@
+/**
+ * Calibration Service
+ * Checks whether stated confidence matches how often predictions turn out right (reliability
+ * curve, Brier score, expected calibration error) and fits a recalibration mapping from backtest
+ * results, isotonic regression or Platt scaling, that is applied to live predictions of the model
+ */
+
+import storage from '../storage/index.js';
+import { PREDICTION_CONFIG } from '../config/predictionConfig.js';
+
+const METHODS = ['isotonic', 'platt'];
+const BIN_WIDTH = 10;
+
+// Keeps logit() finite for 0% and 100% confidence
+const EPSILON = 1e-6;
+
+const clampProbability = (p) => Math.min(1 - EPSILON, Math.max(EPSILON, p));
+const logit = (p) => Math.log(clampProbability(p) / (1 - clampProbability(p)));
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+class CalibrationService {
+  /**
+   * Confidence/outcome pairs of every scored horizon in backtest results
+   * @param {Object[]} results - Backtest results
+   * @returns {Object[]} { confidence (0-100), hit }
+   */
+  collectSamples(results) {
+    return results.flatMap((result) => (result.horizonResults || [])
+      .map((horizonResult) => ({
+        confidence: horizonResult.confidence ?? result.prediction?.confidence,
+        hit: horizonResult.directionCorrect,
+      }))
+      .filter((sample) => typeof sample.confidence === 'number' && typeof sample.hit === 'boolean'));
+  }
+
+  /**
+   * Reliability curve and calibration scores
+   * @param {Object[]} samples - { confidence, hit }
+   * @returns {Object|null} { samples, brierScore, expectedCalibrationError, maxCalibrationError, reliability }
+   */
+  analyze(samples) {
+    if (samples.length === 0) return null;
+
+    const bins = new Map();
+    let brier = 0;
+    for (const { confidence, hit } of samples) {
+      brier += (confidence / 100 - (hit ? 1 : 0)) ** 2;
+      const lower = Math.min(100 - BIN_WIDTH, Math.floor(confidence / BIN_WIDTH) * BIN_WIDTH);
+      if (!bins.has(lower)) bins.set(lower, []);
+      bins.get(lower).push({ confidence, hit });
+    }
+
+    const reliability = [...bins.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([lower, binSamples]) => {
+        const averageConfidence = binSamples.reduce((sum, s) => sum + s.confidence, 0) / binSamples.length;
+        const hitRate = binSamples.filter((s) => s.hit).length / binSamples.length;
+        return {
+          range: `${lower}-${lower + BIN_WIDTH}`,
+          count: binSamples.length,
+          averageConfidence: Number(averageConfidence.toFixed(2)),
+          hitRate: Number(hitRate.toFixed(4)),
+          gap: Number((averageConfidence / 100 - hitRate).toFixed(4)),
+        };
+      });
+
+    // ECE weights each bin's |confidence - hit rate| by its share of the samples
+    const ece = reliability.reduce((sum, bin) => sum + (bin.count / samples.length) * Math.abs(bin.gap), 0);
+
+    return {
+      samples: samples.length,
+      brierScore: Number((brier / samples.length).toFixed(4)),
+      expectedCalibrationError: Number(ece.toFixed(4)),
+      maxCalibrationError: Number(Math.max(...reliability.map((bin) => Math.abs(bin.gap))).toFixed(4)),
+      reliability,
+    };
+  }
+
+  /**
+   * Fit a recalibration mapping
+   * @param {Object[]} samples - { confidence, hit }
+   * @param {string} method - 'isotonic' or 'platt'
+   * @returns {Object} { method, params, before, after }
+   * @throws {Error} With status 400 for an unknown method or too few samples
+   */
+  fit(samples, method) {
+    if (!METHODS.includes(method)) {
+      const error = new Error(`Unknown calibration method: ${method}. Available: ${METHODS.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    if (samples.length < PREDICTION_CONFIG.CALIBRATION_MIN_SAMPLES) {
+      const error = new Error(`Calibration needs at least ${PREDICTION_CONFIG.CALIBRATION_MIN_SAMPLES} scored predictions (got ${samples.length})`);
+      error.status = 400;
+      throw error;
+    }
+
+    const params = method === 'isotonic' ? this.fitIsotonic(samples) : this.fitPlatt(samples);
+    const mapping = { method, params };
+
+    return {
+      ...mapping,
+      before: this.analyze(samples),
+      after: this.analyze(samples.map((sample) => ({ ...sample, confidence: this.calibrate(mapping, sample.confidence) }))),
+    };
+  }
+
+  /**
+   * Isotonic regression by pool-adjacent-violators: the non-decreasing step function of
+   * confidence that best fits the outcomes
+   * @param {Object[]} samples - { confidence, hit }
+   * @returns {Object} { points: [{ confidence, probability }] } with confidence the upper edge of each step
+   */
+  fitIsotonic(samples) {
+    // Samples with the same confidence start out pooled, so a stated value maps to one step
+    const byConfidence = new Map();
+    for (const { confidence, hit } of samples) {
+      const block = byConfidence.get(confidence) || { confidence, sum: 0, count: 0 };
+      block.sum += hit ? 1 : 0;
+      block.count += 1;
+      byConfidence.set(confidence, block);
+    }
+
+    const blocks = [];
+    for (const block of [...byConfidence.values()].sort((x, y) => x.confidence - y.confidence)) {
+      blocks.push(block);
+      while (blocks.length > 1 && blocks[blocks.length - 2].sum / blocks[blocks.length - 2].count >= blocks[blocks.length - 1].sum / blocks[blocks.length - 1].count) {
+        const last = blocks.pop();
+        const previous = blocks[blocks.length - 1];
+        previous.sum += last.sum;
+        previous.count += last.count;
+        previous.confidence = last.confidence;
+      }
+    }
+
+    return {
+      points: blocks.map((block) => ({
+        confidence: block.confidence,
+        probability: Number((block.sum / block.count).toFixed(4)),
+      })),
+    };
+  }
+
+  /**
+   * Platt scaling: logistic regression of the outcome on the logit of stated confidence,
+   * fitted by Newton's method
+   * @param {Object[]} samples - { confidence, hit }
+   * @returns {Object} { a, b } with p = sigmoid(a * logit(confidence) + b)
+   */
+  fitPlatt(samples) {
+    let a = 1;
+    let b = 0;
+
+    for (let iteration = 0; iteration < 50; iteration++) {
+      let gA = 0;
+      let gB = 0;
+      let hAA = 0;
+      let hAB = 0;
+      let hBB = 0;
+
+      for (const { confidence, hit } of samples) {
+        const x = logit(confidence / 100);
+        const p = sigmoid(a * x + b);
+        const residual = p - (hit ? 1 : 0);
+        const weight = p * (1 - p);
+        gA += residual * x;
+        gB += residual;
+        hAA += weight * x * x;
+        hAB += weight * x;
+        hBB += weight;
+      }
+
+      // Small ridge term keeps the Hessian invertible when every sample has the same confidence
+      hAA += 1e-6;
+      hBB += 1e-6;
+      const determinant = hAA * hBB - hAB * hAB;
+      if (!Number.isFinite(determinant) || determinant <= 0) break;
+
+      const stepA = (hBB * gA - hAB * gB) / determinant;
+      const stepB = (hAA * gB - hAB * gA) / determinant;
+      a -= stepA;
+      b -= stepB;
+      if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) break;
+    }
+
+    return { a: Number(a.toFixed(6)), b: Number(b.toFixed(6)) };
+  }
+
+  /**
+   * Map a stated confidence through a recalibration mapping
+   * @param {Object} mapping - { method, params }
+   * @param {number} confidence - Stated confidence (0-100)
+   * @returns {number} Recalibrated confidence (0-100, rounded like stated confidence)
+   */
+  calibrate(mapping, confidence) {
+    let probability;
+    if (mapping.method === 'platt') {
+      probability = sigmoid(mapping.params.a * logit(confidence / 100) + mapping.params.b);
+    } else {
+      const { points } = mapping.params;
+      const step = points.find((point) => confidence <= point.confidence) || points[points.length - 1];
+      probability = step.probability;
+    }
+    return Math.round(probability * 100);
+  }
+
+  /**
+   * Fit a mapping from a stored backtest run and make it the active mapping of the run's model
+   * @param {number} runId - Backtest run ID
+   * @param {string} method - 'isotonic' or 'platt'
+   * @returns {Object|null} Saved mapping, or null if the run does not exist
+   */
+  fitFromRun(runId, method) {
+    const run = storage.getBacktestRun(runId);
+    if (!run) return null;
+
+    const results = run.kind === 'multiple' ? run.results.results : [run.results];
+    const model = run.params?.model || run.results.model;
+    const fitted = this.fit(this.collectSamples(results), method);
+
+    const mapping = { model, runId, createdAt: Date.now(), ...fitted };
+    storage.saveCalibrationMapping(mapping);
+    console.log(`🎯 ${method} calibration for ${model} fitted from backtest run ${runId} (${fitted.before.samples} samples)`);
+    return mapping;
+  }
+
+  /**
+   * Recalibrate a prediction's confidence with the model's active mapping, if it has one
+   * The stated confidence is kept as rawConfidence
+   * @param {Object} predictionResult - Result from a prediction provider
+   * @param {string} model - Model name
+   * @returns {Object} Prediction result, with calibration describing the applied mapping
+   */
+  applyToPrediction(predictionResult, model) {
+    const mapping = storage.getCalibrationMapping(model);
+    if (!mapping) return predictionResult;
+
+    const recalibrate = (entry) => (typeof entry?.confidence === 'number'
+      ? { ...entry, confidence: this.calibrate(mapping, entry.confidence), rawConfidence: entry.confidence }
+      : entry);
+
+    const prediction = recalibrate(predictionResult.prediction);
+    return {
+      ...predictionResult,
+      prediction,
+      confidence: prediction?.confidence ?? predictionResult.confidence,
+      pricePath: predictionResult.pricePath?.map(recalibrate),
+      calibration: { method: mapping.method, runId: mapping.runId, fittedAt: mapping.createdAt },
+    };
+  }
+}
+
+export default new CalibrationService();
@@ -0,0 +1,301 @@
+/**
+ * Candle Service
+ * Aggregates raw price ticks, FTSO samples recorded by the history indexer or CoinGecko prices,
+ * into OHLCV candles at fixed intervals aligned to the Unix epoch (UTC midnight for daily candles)
+ * Closed FTSO candles are persisted as the indexer records ticks and read back from storage
+ */
+
+import storage from '../storage/index.js';
+import coinGeckoService from './coinGeckoService.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const CANDLE_INTERVALS = {
+  '1m': MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '1h': 60 * MINUTE_MS,
+  '4h': 4 * 60 * MINUTE_MS,
+  '1d': DAY_MS,
+};
+
+// Range returned when a request gives no `from`, sized to a few hundred candles per interval
+const DEFAULT_RANGES = {
+  '1m': 6 * 60 * MINUTE_MS,
+  '5m': DAY_MS,
+  '1h': 14 * DAY_MS,
+  '4h': 60 * DAY_MS,
+  '1d': 365 * DAY_MS,
+};
+
+const MAX_CANDLES = 5000;
+const SOURCES = ['ftso', 'coingecko'];
+
+class CandleService {
+  /**
+   * Interval length in milliseconds
+   * @param {string} interval - Interval name (1m, 5m, 1h, 4h, 1d)
+   * @returns {number} Interval in milliseconds
+   * @throws {Error} With status 400 for an unknown interval
+   */
+  getIntervalMs(interval) {
+    const ms = CANDLE_INTERVALS[interval];
+    if (!ms) {
+      const error = new Error(`Unknown candle interval: ${interval}. Available: ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return ms;
+  }
+
+  /**
+   * Parse a time query parameter given as Unix milliseconds or a date string
+   * @param {string} [value] - Query value
+   * @returns {number|undefined} Unix ms, or undefined when absent
+   * @throws {Error} With status 400 for an unparseable value
+   */
+  parseTime(value) {
+    if (value === undefined || value === '') return undefined;
+    const time = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+    if (!Number.isFinite(time)) {
+      const error = new Error(`Invalid time: ${value}. Use Unix milliseconds or a date`);
+      error.status = 400;
+      throw error;
+    }
+    return time;
+  }
+
+  /**
+   * Fill in a missing end (now) and start (a default range for the interval)
+   * @param {string} interval - Interval name
+   * @param {number} [from] - Start (Unix ms)
+   * @param {number} [to] - End (Unix ms)
+   * @returns {Object} { from, to }
+   */
+  resolveRange(interval, from, to) {
+    const end = to ?? Date.now();
+    return { from: from ?? end - DEFAULT_RANGES[interval], to: end };
+  }
+
+  /**
+   * Aggregate ticks into candles
+   * A bucket without ticks between two that have them is a gap: with `gaps: 'fill'` it becomes a
+   * flat candle at the previous close marked `gap: true` with no volume, with `gaps: 'skip'` it is left out
+   * @param {Object[]} ticks - Ticks ordered by timestamp with price and optional volume (traded in the tick)
+   *   or volume24h (rolling 24h volume, spread evenly over the day)
+   * @param {number} intervalMs - Bucket size in milliseconds
+   * @param {Object} [options] - { gaps: 'fill' | 'skip' }
+   * @returns {Object[]} Candles with timestamp, date, open, high, low, close, price (= close), volume, samples
+   */
+  buildCandles(ticks, intervalMs, { gaps = 'skip' } = {}) {
+    const candles = [];
+    let current = null;
+    let volume24hSum = 0;
+
+    const close = () => {
+      // A rolling 24h volume sampled through the bucket, scaled to the bucket's share of a day
+      if (current && current.volume === null && current.volumeSamples > 0) {
+        current.volume = (volume24hSum / current.volumeSamples) * (intervalMs / DAY_MS);
+      }
+      if (current) delete current.volumeSamples;
+    };
+
+    for (const tick of ticks) {
+      if (!(tick.price > 0)) continue;
+      const bucketStart = Math.floor(tick.timestamp / intervalMs) * intervalMs;
+
+      if (!current || current.timestamp !== bucketStart) {
+        close();
+        current = {
+          timestamp: bucketStart,
+          date: new Date(bucketStart).toISOString(),
+          open: tick.price,
+          high: tick.price,
+          low: tick.price,
+          close: tick.price,
+          price: tick.price,
+          volume: null,
+          samples: 0,
+          volumeSamples: 0,
+        };
+        volume24hSum = 0;
+        candles.push(current);
+      }
+
+      current.high = Math.max(current.high, tick.price);
+      current.low = Math.min(current.low, tick.price);
+      current.close = tick.price;
+      current.price = tick.price;
+      current.samples++;
+
+      if (Number.isFinite(tick.volume)) {
+        current.volume = (current.volume ?? 0) + tick.volume;
+      } else if (Number.isFinite(tick.volume24h)) {
+        volume24hSum += tick.volume24h;
+        current.volumeSamples++;
+      }
+    }
+    close();
+
+    return gaps === 'fill' ? this.fillGaps(candles, intervalMs) : candles;
+  }
+
+  /**
+   * Insert a flat gap candle for every empty bucket between consecutive candles
+   * @param {Object[]} candles - Candles ordered by timestamp
+   * @param {number} intervalMs - Bucket size in milliseconds
+   * @returns {Object[]} Candles with gap candles in between
+   */
+  fillGaps(candles, intervalMs) {
+    const filled = [];
+    for (const candle of candles) {
+      const previous = filled[filled.length - 1];
+      if (previous) {
+        for (let gapStart = previous.timestamp + intervalMs; gapStart < candle.timestamp; gapStart += intervalMs) {
+          filled.push(this.createGapCandle(gapStart, previous.close));
+        }
+      }
+      filled.push(candle);
+    }
+    return filled;
+  }
+
+  /**
+   * Flat candle standing in for a bucket without ticks
+   * @param {number} timestamp - Bucket start
+   * @param {number} price - Close of the previous candle
+   * @returns {Object} Gap candle
+   */
+  createGapCandle(timestamp, price) {
+    return {
+      timestamp,
+      date: new Date(timestamp).toISOString(),
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      price,
+      volume: null,
+      samples: 0,
+      gap: true,
+    };
+  }
+
+  /**
+   * Persist the closed FTSO candles of every interval that new ticks fell into, and of every bucket that
+   * closed since the latest stored candle (all of them the first time). Called after each insert of FTSO
+   * ticks, so a backfilled tick rewrites its bucket and the stored closed candles always match the ticks
+   * @param {Object[]} ticks - Newly recorded FTSO ticks with asset and timestamp
+   * @param {number} [now] - Unix ms
+   */
+  persistClosedCandles(ticks, now = Date.now()) {
+    const touched = new Map();
+    for (const { asset, timestamp } of ticks) {
+      const range = touched.get(asset);
+      touched.set(asset, {
+        from: Math.min(range?.from ?? timestamp, timestamp),
+        to: Math.max(range?.to ?? timestamp, timestamp),
+      });
+    }
+
+    for (const [asset, range] of touched) {
+      for (const [interval, intervalMs] of Object.entries(CANDLE_INTERVALS)) {
+        const closedEnd = Math.floor(now / intervalMs) * intervalMs;
+        const latest = storage.getLatestCandle(asset, interval);
+        const rebuild = [
+          [latest ? latest.timestamp + intervalMs : 0, closedEnd],
+          [Math.floor(range.from / intervalMs) * intervalMs, Math.min(closedEnd, (Math.floor(range.to / intervalMs) + 1) * intervalMs)],
+        ];
+
+        for (const [from, to] of rebuild) {
+          if (from >= to) continue;
+          storage.upsertCandles(asset, interval, this.buildCandles(storage.getPriceTicks(asset, from, to - 1, 'ftso'), intervalMs));
+        }
+      }
+    }
+  }
+
+  /**
+   * FTSO candles in a range: whole persisted buckets from storage, the partial buckets at either end
+   * and those not persisted yet (still open, or the indexer is not running) from ticks
+   * @param {string} asset - Asset symbol
+   * @param {string} interval - Interval name
+   * @param {number} from - Start (Unix ms, inclusive)
+   * @param {number} to - End (Unix ms, inclusive)
+   * @returns {Object[]} Candles without gap candles
+   */
+  getFtsoCandles(asset, interval, from, to) {
+    const intervalMs = this.getIntervalMs(interval);
+    const latest = storage.getLatestCandle(asset, interval);
+    const storedFrom = Math.ceil(from / intervalMs) * intervalMs;
+    const storedTo = Math.min(Math.floor((to + 1) / intervalMs) * intervalMs, latest ? latest.timestamp + intervalMs : -Infinity);
+    const fromTicks = (start, end) => this.buildCandles(storage.getPriceTicks(asset, start, end, 'ftso'), intervalMs);
+
+    if (!(storedFrom < storedTo)) return fromTicks(from, to);
+
+    return [
+      ...(from < storedFrom ? fromTicks(from, storedFrom - 1) : []),
+      ...storage.getCandles(asset, interval, storedFrom, storedTo - 1).map((candle) => ({
+        timestamp: candle.timestamp,
+        date: new Date(candle.timestamp).toISOString(),
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        price: candle.close,
+        volume: candle.volume,
+        samples: candle.samples,
+      })),
+      ...(storedTo <= to ? fromTicks(storedTo, to) : []),
+    ];
+  }
+
+  /**
+   * Get candles for an asset from FTSO candles and ticks in storage or from CoinGecko prices
+   * @param {string} asset - Asset symbol
+   * @param {Object} options - { interval, from, to (Unix ms), source: 'ftso' | 'coingecko', gaps: 'fill' | 'skip' }
+   * @returns {Promise<Object>} { asset, interval, source, from, to, candles, gaps }
+   * @throws {Error} With status 400 for an invalid interval, range or source
+   */
+  async getCandles(asset, { interval = '1h', from, to, source = 'ftso', gaps = 'fill' } = {}) {
+    const intervalMs = this.getIntervalMs(interval);
+    const { from: start, to: end } = this.resolveRange(interval, from, to);
+
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      return error;
+    };
+
+    if (!SOURCES.includes(source)) {
+      throw invalid(`Unknown candle source: ${source}. Available: ${SOURCES.join(', ')}`);
+    }
+    if (!['fill', 'skip'].includes(gaps)) {
+      throw invalid('gaps must be fill or skip');
+    }
+    if (!(start < end)) {
+      throw invalid('from must be before to');
+    }
+    if ((end - start) / intervalMs > MAX_CANDLES) {
+      throw invalid(`Range too long for ${interval} candles (at most ${MAX_CANDLES}); use a larger interval`);
+    }
+
+    const symbol = asset.toUpperCase();
+    const built = source === 'ftso'
+      ? this.getFtsoCandles(symbol, interval, start, end)
+      : this.buildCandles(await coinGeckoService.getHistoricalData(symbol, new Date(start), new Date(end)), intervalMs);
+    const candles = gaps === 'fill' ? this.fillGaps(built, intervalMs) : built;
+
+    return {
+      asset: symbol,
+      interval,
+      source,
+      from: start,
+      to: end,
+      candles,
+      gaps: candles.filter((candle) => candle.gap).length,
+    };
+  }
+}
+
+export default new CandleService();
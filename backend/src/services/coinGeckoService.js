@@ -1,67 +1,110 @@
 /**
  * CoinGecko Service
  * Fetches historical cryptocurrency price data from CoinGecko API
+ * Requests share a token-bucket rate limit, are retried with exponential backoff (honoring Retry-After)
+ * and cached on disk. With DATA_MODE=record responses are saved to disk, with DATA_MODE=replay they are
+ * served from there
  */
 
 import axios from 'axios';
+import { COINGECKO_CONFIG } from '../config/coinGeckoConfig.js';
+import { REPLAY_CONFIG } from '../config/replayConfig.js';
+import assetRegistry from './assetRegistry.js';
+import recordingStore from './recordingStore.js';
+import { TokenBucket } from './rateLimiter.js';
+import { DiskCache } from './diskCache.js';
+import { isRateLimitError, getRetryDelay } from './taskPool.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Regular series getHistoricalData can resample to; 'auto' keeps CoinGecko's own granularity
+// (5-minute up to 1 day, hourly up to 90 days, daily beyond)
+const GRANULARITIES = {
+  hourly: HOUR_MS,
+  daily: DAY_MS,
+};
+
+// Ranges are fetched in chunks aligned to the Unix epoch, so requests for a range ending now share the
+// current chunk's cache entry. The chunk size keeps the granularity CoinGecko returns for the requested
+// span: 5-minute points up to a day, hourly up to 90 days, daily beyond
+const CHUNK_SIZES = [
+  { maxSpan: DAY_MS, chunkMs: DAY_MS },
+  { maxSpan: 90 * DAY_MS, chunkMs: 30 * DAY_MS },
+  { maxSpan: Infinity, chunkMs: 360 * DAY_MS },
+];
+// Hourly series are always fetched in hourly-granularity chunks, however long the range
+const HOURLY_CHUNK_MS = 30 * DAY_MS;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 class CoinGeckoService {
   constructor() {
-    this.baseURL = 'https://api.coingecko.com/api/v3';
-    this.assetMapping = {
-      BTC: 'bitcoin',
-      ETH: 'ethereum',
-      FLR: 'flare-network',
-    };
+    this.baseURL = COINGECKO_CONFIG.BASE_URL;
+    this.limiter = new TokenBucket({ rate: COINGECKO_CONFIG.RATE_LIMIT, burst: COINGECKO_CONFIG.BURST });
+    this.cache = COINGECKO_CONFIG.CACHE.ENABLED
+      ? new DiskCache(COINGECKO_CONFIG.CACHE.PATH, { maxBytes: COINGECKO_CONFIG.CACHE.MAX_SIZE })
+      : null;
   }
 
   /**
    * Get CoinGecko asset ID from symbol
-   * @param {string} asset - Asset symbol (BTC, ETH, FLR)
-   * @returns {string} CoinGecko asset ID
+   * @param {string} asset - Asset symbol (e.g. BTC, XRP)
+   * @returns {string|null} CoinGecko asset ID
    */
   getAssetId(asset) {
-    return this.assetMapping[asset.toUpperCase()] || null;
+    return assetRegistry.getCoinGeckoId(asset);
   }
 
   /**
    * Fetch historical price data from CoinGecko
-   * @param {string} asset - Asset symbol (BTC, ETH, FLR)
+   * With an hourly or daily granularity the points are resampled to the first price of each
+   * hour or UTC day, stamped with its start, whatever granularity CoinGecko returned
+   * @param {string} asset - Asset symbol (e.g. BTC, XRP)
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
+   * @param {Object} [options] - { granularity: 'auto' | 'hourly' | 'daily' }
    * @returns {Promise<Array>} Array of price data points
    */
-  async getHistoricalData(asset, startDate, endDate) {
+  async getHistoricalData(asset, startDate, endDate, { granularity = 'auto' } = {}) {
     try {
       const assetId = this.getAssetId(asset);
       if (!assetId) {
         throw new Error(`Unsupported asset: ${asset}`);
       }
+      if (granularity !== 'auto' && !GRANULARITIES[granularity]) {
+        throw new Error(`Unknown granularity: ${granularity}. Use auto, hourly or daily`);
+      }
 
-      // Convert dates to timestamps
-      const fromTimestamp = Math.floor(startDate.getTime() / 1000);
-      const toTimestamp = Math.floor(endDate.getTime() / 1000);
+      const from = startDate.getTime();
+      const to = endDate.getTime();
 
       console.log(`📊 Fetching CoinGecko data for ${asset} from ${startDate.toISOString()} to ${endDate.toISOString()}`);
 
-      // CoinGecko market chart range endpoint
-      const response = await axios.get(`${this.baseURL}/coins/${assetId}/market_chart/range`, {
-        params: {
-          vs_currency: 'usd',
-          from: fromTimestamp,
-          to: toTimestamp,
-        },
-        timeout: 10000,
-      });
+      const chunkMs = granularity === 'hourly'
+        ? HOURLY_CHUNK_MS
+        : CHUNK_SIZES.find(({ maxSpan }) => to - from <= maxSpan).chunkMs;
+      const charts = [];
+      for (let chunkStart = Math.floor(from / chunkMs) * chunkMs; chunkStart < to; chunkStart += chunkMs) {
+        charts.push(await this.getMarketChart(assetId, chunkStart, chunkStart + chunkMs));
+      }
 
-      const { prices } = response.data;
+      // Transform CoinGecko data to our format; total_volumes is the rolling 24h volume at each point
+      const points = new Map();
+      for (const { prices, total_volumes: volumes = [] } of charts) {
+        prices.forEach(([timestamp, price], index) => {
+          if (timestamp < from || timestamp > to) return;
+          points.set(timestamp, {
+            timestamp: timestamp,
+            date: new Date(timestamp).toISOString(),
+            price: price,
+            ...(volumes[index]?.[0] === timestamp && { volume24h: volumes[index][1] }),
+          });
+        });
+      }
 
-      // Transform CoinGecko data to our format
-      const dataPoints = prices.map(([timestamp, price]) => ({
-        timestamp: timestamp,
-        date: new Date(timestamp).toISOString(),
-        price: price,
-      }));
+      const sorted = [...points.values()].sort((a, b) => a.timestamp - b.timestamp);
+      const dataPoints = granularity === 'auto' ? sorted : this.resample(sorted, GRANULARITIES[granularity]);
 
       console.log(`✅ Fetched ${dataPoints.length} data points from CoinGecko`);
       return dataPoints;
@@ -74,6 +117,136 @@ class CoinGeckoService {
     }
   }
 
+  /**
+   * Resample points of any granularity to one per interval: the first point of each interval,
+   * stamped with the interval start, so no price from later in the interval leaks in
+   * Intervals without points are left out
+   * @param {Object[]} dataPoints - Points ordered by timestamp
+   * @param {number} intervalMs - Interval in milliseconds, aligned to the Unix epoch
+   * @returns {Object[]} Resampled points
+   */
+  resample(dataPoints, intervalMs) {
+    const resampled = [];
+    for (const point of dataPoints) {
+      const bucketStart = Math.floor(point.timestamp / intervalMs) * intervalMs;
+      if (resampled[resampled.length - 1]?.timestamp === bucketStart) continue;
+      resampled.push({ ...point, timestamp: bucketStart, date: new Date(bucketStart).toISOString() });
+    }
+    return resampled;
+  }
+
+  /**
+   * Get the market chart of one chunk from the CoinGecko range endpoint, or from the recordings in replay mode
+   * The chunk is cached under its own bounds; one still in progress is fetched up to the current hour
+   * @param {string} assetId - CoinGecko asset ID
+   * @param {number} from - Chunk start (Unix ms)
+   * @param {number} to - Chunk end (Unix ms)
+   * @returns {Promise<Object>} { prices, market_caps, total_volumes }
+   */
+  async getMarketChart(assetId, from, to) {
+    const fromSeconds = Math.floor(from / HOUR_MS) * (HOUR_MS / 1000);
+    const toSeconds = Math.ceil(to / HOUR_MS) * (HOUR_MS / 1000);
+
+    if (REPLAY_CONFIG.MODE === 'replay') {
+      return recordingStore.getMarketChart(assetId, fromSeconds, toSeconds);
+    }
+
+    const cacheKey = `${assetId}/${fromSeconds}-${toSeconds}`;
+    const cached = this.cache?.get(cacheKey);
+    // A chunk that ended an hour before it was fetched is complete and never changes
+    const complete = cached && toSeconds * 1000 <= cached.storedAt - HOUR_MS;
+    let chart = cached && (complete || Date.now() - cached.storedAt < COINGECKO_CONFIG.CACHE.TTL) ? cached.value : null;
+
+    if (!chart) {
+      chart = await this.request(`/coins/${assetId}/market_chart/range`, {
+        vs_currency: 'usd',
+        from: fromSeconds,
+        to: Math.min(toSeconds, Math.ceil(Date.now() / HOUR_MS) * (HOUR_MS / 1000)),
+      });
+      this.cache?.set(cacheKey, chart);
+    }
+
+    if (REPLAY_CONFIG.MODE === 'record') {
+      recordingStore.recordMarketChart(assetId, chart);
+    }
+    return chart;
+  }
+
+  /**
+   * Get the current aggregated price of an asset from the simple price endpoint, or the last
+   * recorded price in replay mode
+   * @param {string} asset - Asset symbol
+   * @returns {Promise<Object>} { price, timestamp } with the time CoinGecko last updated it (Unix ms)
+   */
+  async getCurrentPrice(asset) {
+    const assetId = this.getAssetId(asset);
+    if (!assetId) {
+      throw new Error(`Unsupported asset: ${asset}`);
+    }
+
+    if (REPLAY_CONFIG.MODE === 'replay') {
+      const prices = recordingStore.getRecordedMarketChart(assetId)?.prices || [];
+      if (prices.length === 0) {
+        throw new Error(`No CoinGecko recording for ${assetId}`);
+      }
+      const [timestamp, price] = prices[prices.length - 1];
+      return { price, timestamp };
+    }
+
+    const data = await this.request('/simple/price', {
+      ids: assetId,
+      vs_currencies: 'usd',
+      include_last_updated_at: true,
+    });
+    if (!data[assetId]?.usd) {
+      throw new Error(`CoinGecko returned no price for ${assetId}`);
+    }
+    return { price: data[assetId].usd, timestamp: data[assetId].last_updated_at * 1000 };
+  }
+
+  /**
+   * Send a GET request through the rate limiter, retrying rate limits, server errors and
+   * network failures with exponential backoff
+   * A 429 pauses every request, not just the one that got it
+   * @param {string} path - API path
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response body
+   */
+  async request(path, params) {
+    const headers = COINGECKO_CONFIG.API_KEY
+      ? { [COINGECKO_CONFIG.API_PLAN === 'demo' ? 'x-cg-demo-api-key' : 'x-cg-pro-api-key']: COINGECKO_CONFIG.API_KEY }
+      : {};
+
+    for (let attempt = 0; ; attempt++) {
+      await this.limiter.take();
+
+      try {
+        const response = await axios.get(`${this.baseURL}${path}`, {
+          params,
+          headers,
+          timeout: COINGECKO_CONFIG.TIMEOUT,
+        });
+        return response.data;
+      } catch (error) {
+        const rateLimited = isRateLimitError(error);
+        const retryable = rateLimited || !error.response || error.response.status >= 500;
+        if (!retryable || attempt >= COINGECKO_CONFIG.MAX_RETRIES) {
+          throw error;
+        }
+
+        const delay = Math.min(
+          COINGECKO_CONFIG.MAX_RETRY_DELAY,
+          (rateLimited && getRetryDelay(error)) || COINGECKO_CONFIG.RETRY_DELAY * 2 ** attempt
+        );
+        if (rateLimited) {
+          this.limiter.pause(delay);
+        }
+        console.warn(`⏳ CoinGecko ${rateLimited ? 'rate limited' : `request failed (${error.message})`}, retrying in ${Math.ceil(delay / 1000)}s (${attempt + 1}/${COINGECKO_CONFIG.MAX_RETRIES})`);
+        await sleep(delay);
+      }
+    }
+  }
+
   /**
    * Get price data for a specific date
    * @param {string} asset - Asset symbol
@@ -151,7 +324,7 @@ class CoinGeckoService {
   }
 
   /**
-   * Get daily prices for a date range (one price per day)
+   * Get daily prices for a date range (one price per day, at 00:00 UTC)
    * @param {string} asset - Asset symbol
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
@@ -159,37 +332,13 @@ class CoinGeckoService {
    */
   async getDailyPrices(asset, startDate, endDate) {
     try {
-      const allData = await this.getHistoricalData(asset, startDate, endDate);
-      
-      // Group by day and get the price closest to midnight UTC for each day
-      const dailyPrices = {};
-      
-      allData.forEach(point => {
-        const date = new Date(point.timestamp);
-        const dayKey = date.toISOString().split('T')[0]; // YYYY-MM-DD
-        
-        if (!dailyPrices[dayKey]) {
-          dailyPrices[dayKey] = point;
-        } else {
-          // Use the point closest to midnight (00:00 UTC)
-          const currentMidnight = new Date(dayKey + 'T00:00:00Z').getTime();
-          const currentDiff = Math.abs(dailyPrices[dayKey].timestamp - currentMidnight);
-          const newDiff = Math.abs(point.timestamp - currentMidnight);
-          
-          if (newDiff < currentDiff) {
-            dailyPrices[dayKey] = point;
-          }
-        }
-      });
+      const dailyData = await this.getHistoricalData(asset, startDate, endDate, { granularity: 'daily' });
 
-      // Convert to array and sort by date
-      return Object.values(dailyPrices)
-        .sort((a, b) => a.timestamp - b.timestamp)
-        .map(point => ({
-          timestamp: point.timestamp,
-          date: new Date(point.timestamp).toISOString().split('T')[0],
-          price: point.price,
-        }));
+      return dailyData.map(point => ({
+        timestamp: point.timestamp,
+        date: point.date.split('T')[0],
+        price: point.price,
+      }));
     } catch (error) {
       console.error(`Error getting daily prices for ${asset}:`, error.message);
       throw error;
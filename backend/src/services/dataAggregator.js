@@ -1,30 +1,37 @@
 /**
  * Data Aggregator Service
  * Aggregates data from FTSO, FAssets, and FDC
- * Prepares data for prediction analysis
+ * Cross-checks the live FTSO price against the other price sources, reports data quality and prepares data for prediction analysis
  */
 
 import ftsoService from './ftsoService.js';
 import fassetsService from './fassetsService.js';
 import fdcService from './fdcService.js';
 import technicalIndicators from './technicalIndicators.js';
+import assetRegistry from './assetRegistry.js';
+import priceConsensus from './priceConsensus.js';
+import dataQuality from './dataQuality.js';
+import marketAnalytics from './marketAnalytics.js';
 import { FLARE_CONFIG } from '../config/flareConfig.js';
 
 class DataAggregator {
   /**
    * Aggregate all data sources for an asset
-   * @param {string} asset - Asset symbol (BTC, ETH, FLR)
+   * @param {string} asset - Asset symbol (e.g. BTC, XRP)
    * @returns {Promise<Object>} Aggregated data from all sources
    */
   async aggregateAssetData(asset) {
     try {
       console.log(`🔄 Aggregating data for ${asset}...`);
 
-      const [liveData, weekData, historicalData] = await Promise.all([
+      const [liveData, weekData, historicalData, market] = await Promise.all([
         this.getLiveData(asset),
         this.getWeekData(asset),
         this.getHistoricalData(asset),
+        this.getMarketContext(asset),
       ]);
+      const consensus = await this.getConsensus(asset, liveData);
+      const quality = dataQuality.assess({ live: liveData, week: weekData, historical: historicalData, consensus });
 
       return {
         asset,
@@ -32,7 +39,10 @@ class DataAggregator {
         live: liveData,
         week: weekData,
         historical: historicalData,
-        summary: this.createSummary(liveData, weekData, historicalData),
+        consensus,
+        quality,
+        market,
+        summary: this.createSummary(liveData, weekData, historicalData, consensus, quality),
       };
     } catch (error) {
       console.error(`Error aggregating data for ${asset}:`, error);
@@ -53,6 +63,33 @@ class DataAggregator {
     return await ftsoService.getLivePrice(feedId);
   }
 
+  /**
+   * Cross-check the live FTSO price against the other price sources
+   * @param {string} asset - Asset symbol
+   * @param {Object} live - Live FTSO data, reused as the FTSO quote
+   * @returns {Promise<Object>} Consensus from priceConsensus.getConsensus
+   */
+  async getConsensus(asset, live) {
+    return await priceConsensus.getConsensus(asset, {
+      quotes: { ftso: { price: live.price, timestamp: live.timestamp * 1000 } },
+    });
+  }
+
+  /**
+   * Get the asset's market regime and its relation to the other tracked assets
+   * The context only adds to a prediction, so it is left out rather than failing the aggregation
+   * @param {string} asset - Asset symbol
+   * @returns {Promise<Object|null>} Context from marketAnalytics.getMarketContext, or null
+   */
+  async getMarketContext(asset) {
+    try {
+      return await marketAnalytics.getMarketContext(asset);
+    } catch (error) {
+      console.warn(`⚠️  Market context unavailable for ${asset}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Get latest week data from FAssets
    * @param {string} asset - Asset symbol
@@ -76,12 +113,16 @@ class DataAggregator {
    * @param {Object} live - Live data
    * @param {Object} week - Week data
    * @param {Object} historical - Historical data
+   * @param {Object} consensus - Price consensus
+   * @param {Object} quality - Data-quality report
    * @returns {Object} Summary statistics
    */
-  createSummary(live, week, historical) {
+  createSummary(live, week, historical, consensus, quality) {
     return {
       currentPrice: live.price,
       currentTimestamp: live.timestamp,
+      consensusPrice: consensus.referencePrice,
+      consensusStatus: consensus.status,
       weekDataPoints: week.dataPoints?.length || 0,
       historicalDataPoints: historical.dataPoints?.length || 0,
       dataCompleteness: {
@@ -89,6 +130,43 @@ class DataAggregator {
         week: week.dataPoints?.length > 0,
         historical: historical.dataPoints?.length > 0,
       },
+      dataQuality: quality.status,
+      warnings: quality.warnings.length,
+    };
+  }
+
+  /**
+   * Pick the current price: the live FTSO value unless the consensus flagged it as an outlier,
+   * in which case the consensus reference price stands in for it
+   * @param {Object} live - Live FTSO data
+   * @param {Object} [consensus] - Price consensus
+   * @returns {Object} { price, timestamp (Unix ms), source: 'ftso' | 'consensus' }
+   */
+  selectCurrentPrice(live, consensus) {
+    const ftsoQuote = consensus?.quotes.find((quote) => quote.source === 'ftso');
+    if (ftsoQuote?.status === 'outlier' && consensus.referencePrice) {
+      return { price: consensus.referencePrice, timestamp: consensus.timestamp, source: 'consensus' };
+    }
+    return { price: live.price, timestamp: live.timestamp * 1000, source: 'ftso' };
+  }
+
+  /**
+   * Summarize the consensus for prediction inputs
+   * @param {Object} [consensus] - Price consensus
+   * @param {string} currentPriceSource - Where the current price came from
+   * @returns {Object|null} Status, reference price, spread and each source's price and deviation
+   */
+  summarizeConsensus(consensus, currentPriceSource) {
+    if (!consensus) return null;
+
+    return {
+      status: consensus.status,
+      referencePrice: consensus.referencePrice,
+      spread: consensus.spread,
+      threshold: consensus.threshold,
+      currentPriceSource,
+      sources: consensus.quotes.map(({ source, price, deviation, status }) => ({ source, price, deviation: deviation ?? null, status })),
+      excludedSources: consensus.excludedSources,
     };
   }
 
@@ -98,12 +176,14 @@ class DataAggregator {
    * @returns {Object} Formatted data for AI prediction
    */
   formatForPrediction(aggregatedData) {
-    const { asset, live, week, historical } = aggregatedData;
+    const { asset, live, week, historical, consensus, quality, market } = aggregatedData;
+    const current = this.selectCurrentPrice(live, consensus);
 
-    // Extract price points from all sources
+    // Extract price points from the history and the live value; the FAssets week carries supply and
+    // collateral metrics rather than prices and reaches the prompt through summarizeFAssets
     const pricePoints = [];
 
-    // Add historical data points
+    // Add historical data points, keeping the candle range for the range-based indicators
     if (historical.dataPoints) {
       historical.dataPoints.forEach((point) => {
         if (point.price) {
@@ -111,28 +191,16 @@ class DataAggregator {
             timestamp: point.timestamp,
             date: point.date,
             price: point.price,
+            ...(point.high != null && { high: point.high, low: point.low }),
+            ...(point.volume != null && { volume: point.volume }),
             source: 'historical',
           });
         }
       });
     }
 
-    // Add week data points
-    if (week.dataPoints) {
-      week.dataPoints.forEach((point) => {
-        if (point.price) {
-          pricePoints.push({
-            timestamp: point.timestamp,
-            date: point.date,
-            price: point.price,
-            source: 'week',
-          });
-        }
-      });
-    }
-
-    // Add live data point
-    if (live.price) {
+    // Add live data point, unless the consensus flagged it
+    if (live.price && current.source === 'ftso') {
       pricePoints.push({
         timestamp: live.timestamp * 1000,
         date: live.date,
@@ -146,7 +214,7 @@ class DataAggregator {
 
     // Calculate technical indicators
     const prices = pricePoints.map(dp => dp.price).filter(p => p && p > 0);
-    const indicators = technicalIndicators.calculateAllIndicators(prices, live.price);
+    const indicators = technicalIndicators.calculateAllIndicators(prices, current.price, { candles: pricePoints });
 
     // Calculate 24h price change
     let priceChange24h = 0;
@@ -162,8 +230,8 @@ class DataAggregator {
     return {
       asset,
       dataPoints: pricePoints,
-      currentPrice: live.price,
-      currentTimestamp: live.timestamp * 1000,
+      currentPrice: current.price,
+      currentTimestamp: current.timestamp,
       totalDataPoints: pricePoints.length,
       timeRange: {
         start: pricePoints[0]?.date,
@@ -171,6 +239,35 @@ class DataAggregator {
       },
       technicalIndicators: indicators,
       priceChange24h,
+      fassets: this.summarizeFAssets(week),
+      consensus: this.summarizeConsensus(consensus, current.source),
+      quality,
+      market: market || null,
+    };
+  }
+
+  /**
+   * Summarize FAssets week data into prediction inputs
+   * @param {Object} week - Week data from FAssets
+   * @returns {Object|null} Latest FAssets metrics with weekly supply change, or null if no FAsset exists
+   */
+  summarizeFAssets(week) {
+    const points = week.dataPoints || [];
+    if (!week.fAsset || points.length === 0) return null;
+
+    const first = points[0];
+    const latest = points[points.length - 1];
+
+    return {
+      fAsset: week.fAsset,
+      mintedSupply: latest.mintedSupply,
+      mintedSupplyChange7d: first.mintedSupply > 0
+        ? ((latest.mintedSupply - first.mintedSupply) / first.mintedSupply) * 100
+        : null,
+      vaultCollateralRatio: latest.vaultCollateralRatio,
+      poolCollateralRatio: latest.poolCollateralRatio,
+      redemptionQueueValue: latest.redemptionQueueValue,
+      agentsInLiquidation: latest.agentsInLiquidation,
     };
   }
 
@@ -179,7 +276,7 @@ class DataAggregator {
    * @returns {Promise<Object>} Aggregated data for all assets
    */
   async aggregateAllAssetsData() {
-    const assets = FLARE_CONFIG.ASSETS;
+    const assets = assetRegistry.getTrackedSymbols();
     const aggregated = {};
 
     for (const asset of assets) {
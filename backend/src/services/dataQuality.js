@@ -0,0 +1,222 @@
+/**
+ * Data Quality
+ * Reports, per aggregation, where each input came from, whether replayed or substituted data stands in for
+ * live data, how old the FTSO value is and how complete the history is, with warnings for the UI
+ */
+
+import { DATA_QUALITY_CONFIG } from '../config/dataQualityConfig.js';
+import { REPLAY_CONFIG } from '../config/replayConfig.js';
+
+// Most severe first
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+/**
+ * Count timestamps that appear more than once
+ * @param {Object[]} points - Points with timestamp
+ * @returns {number} Points sharing their timestamp with an earlier one
+ */
+const countDuplicates = (points) => points.length - new Set(points.map((point) => point.timestamp)).size;
+
+/**
+ * Format a duration for warning messages
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. 45s, 12m, 3.5h, 2.0d
+ */
+const formatDuration = (ms) => {
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  if (seconds < 86400) return `${(seconds / 3600).toFixed(1)}h`;
+  return `${(seconds / 86400).toFixed(1)}d`;
+};
+
+class DataQuality {
+  /**
+   * Assess aggregated data
+   * @param {Object} aggregated - { live, week, historical, consensus } from dataAggregator
+   * @param {Object} [options] - { now (Unix ms) }
+   * @returns {Object} { status ('good' | 'degraded' | 'poor'), synthetic, warnings, live, history, week, consensus }
+   *   where each warning is { code, severity ('critical' | 'warning' | 'info'), source, message }
+   */
+  assess({ live, week, historical, consensus }, { now = Date.now() } = {}) {
+    const warnings = [];
+    const warn = (severity, source, code, message) => warnings.push({ code, severity, source, message });
+
+    const report = {
+      live: this.assessLive(live, consensus, now, warn),
+      history: this.assessHistory(historical, now, warn),
+      week: this.assessWeek(week, warn),
+      consensus: this.assessConsensus(consensus, warn),
+    };
+
+    if (REPLAY_CONFIG.MODE === 'replay') {
+      warn('info', 'all', 'replayed', `Replaying data recorded in ${REPLAY_CONFIG.RECORDINGS_PATH} (DATA_MODE=replay), not live market data`);
+    }
+
+    warnings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    const has = (severity) => warnings.some((warning) => warning.severity === severity);
+
+    return {
+      status: has('critical') ? 'poor' : has('warning') ? 'degraded' : 'good',
+      // Whether any input is replayed or was substituted for the live value
+      synthetic: REPLAY_CONFIG.MODE === 'replay' || report.live.substituted,
+      warnings,
+      ...report,
+    };
+  }
+
+  /**
+   * Live FTSO value: its source, age and whether the consensus replaced it
+   * @param {Object} live - Live FTSO data (timestamp in Unix seconds)
+   * @param {Object} [consensus] - Price consensus
+   * @param {number} now - Unix ms
+   * @param {Function} warn - Warning collector
+   * @returns {Object} { source, feedTimestamp, ageMs, stale, substituted }
+   */
+  assessLive(live, consensus, now, warn) {
+    const feedTimestamp = live.timestamp ? live.timestamp * 1000 : null;
+    const ageMs = feedTimestamp === null ? null : Math.max(0, now - feedTimestamp);
+    const stale = ageMs === null || ageMs > DATA_QUALITY_CONFIG.MAX_LIVE_AGE;
+    const ftsoQuote = consensus?.quotes.find((quote) => quote.source === 'ftso');
+    const substituted = ftsoQuote?.status === 'outlier' && !!consensus.referencePrice;
+
+    if (!live.price) {
+      warn('critical', 'live', 'live-missing', 'The FTSO returned no live price');
+    } else if (stale) {
+      warn('warning', 'live', 'live-stale', `The FTSO value was last updated ${formatDuration(ageMs)} ago`);
+    }
+    if (substituted) {
+      warn('warning', 'live', 'live-substituted',
+        `The FTSO price deviates ${ftsoQuote.deviation.toFixed(2)}% from the other sources; the consensus price is used instead`);
+    }
+
+    return {
+      source: REPLAY_CONFIG.MODE === 'replay' ? 'ftso-replay' : 'ftso',
+      feedTimestamp,
+      ageMs,
+      stale,
+      substituted,
+    };
+  }
+
+  /**
+   * History candles built from indexed FTSO samples: coverage of the requested range, gaps and lag
+   * @param {Object} historical - Historical data from fdcService (dataPoints, intervalMs, startDate, endDate)
+   * @param {number} now - Unix ms
+   * @param {Function} warn - Warning collector
+   * @returns {Object} { source, intervalMs, points, expectedPoints, coverage, gaps, largestGapMs, duplicates, samples, lagMs }
+   */
+  assessHistory(historical, now, warn) {
+    const points = historical.dataPoints || [];
+    const { intervalMs } = historical;
+    const start = new Date(historical.startDate).getTime();
+    const end = new Date(historical.endDate).getTime();
+    const expectedPoints = intervalMs ? Math.ceil((end - start) / intervalMs) : null;
+
+    // Consecutive candles further than one interval apart have empty intervals between them
+    let gaps = 0;
+    let largestGapMs = 0;
+    for (let i = 1; i < points.length; i++) {
+      const spacing = points[i].timestamp - points[i - 1].timestamp;
+      if (intervalMs && spacing > intervalMs) {
+        gaps += Math.round(spacing / intervalMs) - 1;
+        largestGapMs = Math.max(largestGapMs, spacing - intervalMs);
+      }
+    }
+
+    const duplicates = countDuplicates(points);
+    const coverage = expectedPoints ? Math.min(1, (points.length - duplicates) / expectedPoints) : null;
+    const lagMs = points.length > 0 ? Math.max(0, now - points[points.length - 1].timestamp) : null;
+
+    if (points.length === 0) {
+      warn('critical', 'history', 'history-missing', 'No indexed FTSO history yet; indicators cannot be calculated');
+    } else {
+      if (coverage !== null && coverage < DATA_QUALITY_CONFIG.MIN_HISTORY_COVERAGE) {
+        warn('warning', 'history', 'history-incomplete',
+          `FTSO history covers ${Math.round(coverage * 100)}% of the last ${historical.period} (${points.length - duplicates} of ${expectedPoints} candles)`);
+      }
+      if (gaps > 0) {
+        warn('warning', 'history', 'history-gaps',
+          `${gaps} candle interval${gaps === 1 ? '' : 's'} without FTSO samples, the longest ${formatDuration(largestGapMs)}`);
+      }
+      if (intervalMs && lagMs > DATA_QUALITY_CONFIG.MAX_HISTORY_LAG_INTERVALS * intervalMs) {
+        warn('warning', 'history', 'history-stale', `The latest FTSO history candle is ${formatDuration(lagMs)} old; the history indexer may have stopped`);
+      }
+    }
+    if (duplicates > 0) {
+      warn('warning', 'history', 'history-duplicates', `${duplicates} history candle${duplicates === 1 ? ' shares' : 's share'} a timestamp`);
+    }
+
+    return {
+      source: 'ftso-indexer',
+      intervalMs: intervalMs ?? null,
+      points: points.length,
+      expectedPoints,
+      coverage,
+      gaps,
+      largestGapMs,
+      duplicates,
+      samples: historical.samplesUsed ?? null,
+      lagMs,
+    };
+  }
+
+  /**
+   * FAssets week: stored daily snapshots, a single live read when none were stored, or nothing when that read failed
+   * @param {Object} week - Week data from fassetsService
+   * @param {Function} warn - Warning collector
+   * @returns {Object} { source, fAsset, points, expectedPoints, duplicates, liveReadOnly }
+   */
+  assessWeek(week, warn) {
+    const points = week.dataPoints || [];
+    const duplicates = countDuplicates(points);
+    const liveReadOnly = !!week.liveReadOnly;
+
+    if (week.fAsset) {
+      if (week.replayed) {
+        warn('info', 'week', 'week-not-recorded', `${week.fAsset} data is not recorded, so it is left out in replay mode`);
+      } else if (week.error) {
+        warn('warning', 'week', 'week-unavailable', `${week.fAsset} data unavailable: ${week.error}`);
+      } else if (liveReadOnly) {
+        warn('info', 'week', 'week-live-read', `No ${week.fAsset} snapshots stored this week; the week is a single read of the current state`);
+      } else if (points.length < DATA_QUALITY_CONFIG.EXPECTED_WEEK_POINTS) {
+        warn('info', 'week', 'week-incomplete',
+          `${points.length} of ${DATA_QUALITY_CONFIG.EXPECTED_WEEK_POINTS} daily ${week.fAsset} snapshots this week`);
+      }
+      if (duplicates > 0) {
+        warn('warning', 'week', 'week-duplicates', `${duplicates} ${week.fAsset} snapshot${duplicates === 1 ? ' shares' : 's share'} a timestamp`);
+      }
+    }
+
+    return {
+      source: week.fAsset ? 'fassets' : null,
+      fAsset: week.fAsset || null,
+      points: points.length,
+      expectedPoints: week.fAsset ? DATA_QUALITY_CONFIG.EXPECTED_WEEK_POINTS : 0,
+      duplicates,
+      liveReadOnly,
+      error: week.error || null,
+    };
+  }
+
+  /**
+   * Price consensus: whether the live price could be cross-checked
+   * @param {Object} [consensus] - Price consensus
+   * @param {Function} warn - Warning collector
+   * @returns {Object|null} { status, excludedSources }
+   */
+  assessConsensus(consensus, warn) {
+    if (!consensus) return null;
+
+    if (consensus.status === 'divergent') {
+      warn('warning', 'consensus', 'consensus-divergent',
+        `Price sources disagree by ${consensus.spread.toFixed(2)}% and there are too few to tell which is wrong`);
+    } else if (consensus.status === 'single' || consensus.status === 'unavailable') {
+      warn('info', 'consensus', 'consensus-unchecked', 'The live price could not be cross-checked against another source');
+    }
+
+    return { status: consensus.status, excludedSources: consensus.excludedSources };
+  }
+}
+
+export default new DataQuality();
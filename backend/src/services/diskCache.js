@@ -0,0 +1,123 @@
+/**
+ * Disk Cache
+ * JSON values stored one file per key, so cached responses survive restarts
+ * With a size limit the least recently used entries are removed once the files outgrow it;
+ * reads touch an entry's modification time, so the order survives restarts too
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export class DiskCache {
+  /**
+   * @param {string} directory - Cache directory
+   * @param {Object} [options] - { maxBytes: total size of the entries (default unlimited) }
+   */
+  constructor(directory, { maxBytes = Infinity } = {}) {
+    this.directory = directory;
+    this.maxBytes = maxBytes;
+    // File path to { size, usedAt }, scanned from disk on the first write
+    this.entries = null;
+  }
+
+  /**
+   * File of a key; keys may contain '/' to group entries in subdirectories
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  filePath(key) {
+    const safeKey = key.split('/').map((part) => part.replace(/[^a-zA-Z0-9._-]/g, '_')).join(path.sep);
+    return path.join(this.directory, `${safeKey}.json`);
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Object|null} { value, storedAt }, or null when missing or unreadable
+   */
+  get(key) {
+    try {
+      const file = this.filePath(key);
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (Number.isFinite(this.maxBytes)) this.touch(file);
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Write an entry; a failed write only costs a cache miss later
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serializable value
+   */
+  set(key, value) {
+    try {
+      const file = this.filePath(key);
+      const contents = JSON.stringify({ value, storedAt: Date.now() });
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, contents);
+
+      if (Number.isFinite(this.maxBytes)) {
+        this.getEntries().set(file, { size: Buffer.byteLength(contents), usedAt: Date.now() });
+        this.evict(file);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not write cache entry ${key}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark an entry as used now
+   * @param {string} file - Entry file
+   */
+  touch(file) {
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    const entry = this.entries?.get(file);
+    if (entry) entry.usedAt = now.getTime();
+  }
+
+  /**
+   * Entries on disk with their size and last use, scanned once
+   * @returns {Map<string, Object>} File path to { size, usedAt }
+   */
+  getEntries() {
+    if (this.entries) return this.entries;
+
+    this.entries = new Map();
+    const scan = (directory) => {
+      for (const dirent of fs.readdirSync(directory, { withFileTypes: true })) {
+        const file = path.join(directory, dirent.name);
+        if (dirent.isDirectory()) {
+          scan(file);
+        } else if (dirent.name.endsWith('.json')) {
+          const stats = fs.statSync(file);
+          this.entries.set(file, { size: stats.size, usedAt: stats.mtimeMs });
+        }
+      }
+    };
+    if (fs.existsSync(this.directory)) scan(this.directory);
+    return this.entries;
+  }
+
+  /**
+   * Remove the least recently used entries until the cache fits its size limit
+   * @param {string} [keep] - Entry file never removed (the one just written)
+   */
+  evict(keep) {
+    const entries = this.getEntries();
+    let total = 0;
+    for (const { size } of entries.values()) total += size;
+    if (total <= this.maxBytes) return;
+
+    const oldestFirst = [...entries.entries()].sort(([, a], [, b]) => a.usedAt - b.usedAt);
+    for (const [file, { size }] of oldestFirst) {
+      if (total <= this.maxBytes) break;
+      if (file === keep) continue;
+      fs.rmSync(file, { force: true });
+      entries.delete(file);
+      total -= size;
+    }
+  }
+}
@@ -1,58 +1,328 @@
 /**
  * FAssets Service
- * Handles interaction with FAssets for latest week data
- * FAssets provides aggregated historical data for cryptocurrencies
+ * Handles interaction with the FAssets system for latest week data
+ * Reads minted supply, agent collateral ratios and redemption queue data from each
+ * asset manager (resolved through the Flare ContractRegistry) and records them as snapshots
  */
 
 import { ethers } from 'ethers';
+import { interfaceToAbi } from '@flarenetwork/flare-periphery-contract-artifacts';
 import { FLARE_CONFIG } from '../config/flareConfig.js';
+import { REPLAY_CONFIG } from '../config/replayConfig.js';
+import ftsoService from './ftsoService.js';
+import storage from '../storage/index.js';
+
+const ERC20_ABI = [
+  'function totalSupply() view returns (uint256)',
+  'function decimals() view returns (uint8)',
+];
+
+const AGENT_PAGE_SIZE = 100;
+const REDEMPTION_PAGE_SIZE = 20;
+const MAX_REDEMPTION_PAGES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// AgentInfo.status values from IAssetManager
+const AGENT_STATUS_NORMAL = 0n;
+const AGENT_STATUS_LIQUIDATION = 1n;
+const AGENT_STATUS_FULL_LIQUIDATION = 2n;
 
 class FAssetsService {
   constructor() {
     this.provider = new ethers.JsonRpcProvider(FLARE_CONFIG.RPC_URL);
-    // Note: FAssets contract addresses would be configured here
-    // This is a placeholder structure
+    this.registry = new ethers.Contract(
+      FLARE_CONFIG.CONTRACT_REGISTRY_ADDRESS,
+      interfaceToAbi('IFlareContractRegistry', 'coston2'),
+      this.provider
+    );
+    // FAssets state is not recorded, so replay mode never reads the chain
+    this.replaying = REPLAY_CONFIG.MODE === 'replay';
+    this.contracts = new Map();
+    this.unavailable = new Set();
+    this.snapshotInterval = null;
+  }
+
+  /**
+   * Start recording snapshots: backfill the past week, then snapshot periodically
+   */
+  start() {
+    const fAssets = Object.keys(FLARE_CONFIG.FASSETS);
+
+    this.recordSnapshots();
+    this.snapshotInterval = setInterval(() => this.recordSnapshots(), FLARE_CONFIG.FASSETS_SNAPSHOT_INTERVAL);
+
+    (async () => {
+      for (const fAsset of fAssets) {
+        try {
+          await this.queryFAssetsContract(fAsset, 7);
+        } catch (error) {
+          this.logUnavailable(fAsset, error);
+        }
+      }
+    })();
+  }
+
+  /**
+   * Stop periodic snapshots
+   */
+  stop() {
+    if (this.snapshotInterval) {
+      clearInterval(this.snapshotInterval);
+      this.snapshotInterval = null;
+    }
+  }
+
+  /**
+   * Resolve an asset symbol to its FAsset symbol
+   * @param {string} asset - FAsset (FXRP) or underlying (XRP) symbol
+   * @returns {string|null} FAsset symbol
+   */
+  resolveFAsset(asset) {
+    const symbol = asset.toUpperCase();
+    if (FLARE_CONFIG.FASSETS[symbol]) return symbol;
+
+    const match = Object.entries(FLARE_CONFIG.FASSETS).find(([, config]) => config.underlying === symbol);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Get the asset manager and FAsset token contracts, resolving them through the ContractRegistry
+   * @param {string} fAsset - FAsset symbol
+   * @returns {Promise<Object>} { assetManager, token }
+   */
+  async getContracts(fAsset) {
+    if (this.contracts.has(fAsset)) {
+      return this.contracts.get(fAsset);
+    }
+
+    const registryName = FLARE_CONFIG.FASSETS[fAsset].assetManager;
+    const assetManagerAddress = await this.registry.getContractAddressByName(registryName);
+    if (assetManagerAddress === ethers.ZeroAddress) {
+      throw new Error(`${registryName} is not registered in the Flare ContractRegistry on this network`);
+    }
+
+    const assetManager = new ethers.Contract(
+      assetManagerAddress,
+      interfaceToAbi('IAssetManager', 'coston2'),
+      this.provider
+    );
+    const token = new ethers.Contract(await assetManager.fAsset(), ERC20_ABI, this.provider);
+
+    const contracts = { assetManager, token };
+    this.contracts.set(fAsset, contracts);
+    return contracts;
+  }
+
+  /**
+   * Read an FAssets snapshot from chain
+   * @param {string} fAsset - FAsset symbol
+   * @param {number|string} blockTag - Block to read at (defaults to latest)
+   * @returns {Promise<Object>} Snapshot with supply, agent collateral and redemption queue metrics
+   */
+  async readSnapshot(fAsset, blockTag = 'latest') {
+    const { assetManager, token } = await this.getContracts(fAsset);
+    const overrides = { blockTag };
+
+    const [block, settings, totalSupply] = await Promise.all([
+      this.provider.getBlock(blockTag),
+      assetManager.getSettings(overrides),
+      token.totalSupply(overrides),
+    ]);
+    const decimals = Number(settings.assetDecimals);
+    const toUnits = (uba) => Number(ethers.formatUnits(uba, decimals));
+
+    const agents = await this.readAgents(assetManager, overrides);
+    const queue = await this.readRedemptionQueue(assetManager, overrides);
+
+    // Collateral ratios are only meaningful for agents backing minted FAssets
+    const backing = agents.filter((agent) => agent.mintedUBA > 0n);
+    const totalMinted = backing.reduce((sum, agent) => sum + toUnits(agent.mintedUBA), 0);
+    const weightedRatio = (field) => (totalMinted > 0
+      ? backing.reduce((sum, agent) => sum + (Number(agent[field]) / 10000) * toUnits(agent.mintedUBA), 0) / totalMinted
+      : null);
+    const minRatio = (field) => (backing.length > 0
+      ? Math.min(...backing.map((agent) => Number(agent[field]) / 10000))
+      : null);
+
+    return {
+      fAsset,
+      underlying: FLARE_CONFIG.FASSETS[fAsset].underlying,
+      timestamp: block.timestamp * 1000,
+      blockNumber: block.number,
+      mintedSupply: toUnits(totalSupply),
+      lotSize: toUnits(BigInt(settings.lotSizeAMG) * BigInt(settings.assetMintingGranularityUBA)),
+      agents: {
+        total: agents.length,
+        normal: agents.filter((agent) => agent.status === AGENT_STATUS_NORMAL).length,
+        inLiquidation: agents.filter((agent) => agent.status === AGENT_STATUS_LIQUIDATION
+          || agent.status === AGENT_STATUS_FULL_LIQUIDATION).length,
+        backing: backing.length,
+        freeCollateralLots: agents.reduce((sum, agent) => sum + Number(agent.freeCollateralLots), 0),
+      },
+      collateral: {
+        vaultRatioWeighted: weightedRatio('vaultCollateralRatioBIPS'),
+        vaultRatioMin: minRatio('vaultCollateralRatioBIPS'),
+        poolRatioWeighted: weightedRatio('poolCollateralRatioBIPS'),
+        poolRatioMin: minRatio('poolCollateralRatioBIPS'),
+      },
+      redeemingSupply: agents.reduce((sum, agent) => sum + toUnits(agent.redeemingUBA), 0),
+      redemptionQueue: {
+        tickets: queue.tickets.length,
+        totalValue: queue.tickets.reduce((sum, ticket) => sum + toUnits(ticket.ticketValueUBA), 0),
+        truncated: queue.truncated,
+      },
+    };
+  }
+
+  /**
+   * Read info for every agent of an asset manager
+   * @param {ethers.Contract} assetManager - Asset manager contract
+   * @param {Object} overrides - Call overrides (blockTag)
+   * @returns {Promise<Object[]>} Agent info structs
+   */
+  async readAgents(assetManager, overrides) {
+    const agents = [];
+    let start = 0;
+    let total = Infinity;
+
+    while (start < total) {
+      const [vaults, totalLength] = await assetManager.getAllAgents(start, start + AGENT_PAGE_SIZE, overrides);
+      total = Number(totalLength);
+      if (vaults.length === 0) break;
+
+      const infos = await Promise.all(vaults.map((vault) => assetManager.getAgentInfo(vault, overrides)));
+      agents.push(...infos);
+      start += AGENT_PAGE_SIZE;
+    }
+
+    return agents;
+  }
+
+  /**
+   * Read the global redemption queue
+   * @param {ethers.Contract} assetManager - Asset manager contract
+   * @param {Object} overrides - Call overrides (blockTag)
+   * @returns {Promise<Object>} { tickets, truncated }
+   */
+  async readRedemptionQueue(assetManager, overrides) {
+    const tickets = [];
+    let nextTicketId = 0n;
+
+    for (let page = 0; page < MAX_REDEMPTION_PAGES; page++) {
+      const [pageTickets, nextId] = await assetManager.redemptionQueue(nextTicketId, REDEMPTION_PAGE_SIZE, overrides);
+      tickets.push(...pageTickets);
+      nextTicketId = nextId;
+      if (nextTicketId === 0n) {
+        return { tickets, truncated: false };
+      }
+    }
+
+    return { tickets, truncated: true };
+  }
+
+  /**
+   * Snapshot every configured FAsset and store the results
+   */
+  async recordSnapshots() {
+    for (const fAsset of Object.keys(FLARE_CONFIG.FASSETS)) {
+      try {
+        storage.saveFAssetSnapshot(await this.readSnapshot(fAsset));
+        this.unavailable.delete(fAsset);
+      } catch (error) {
+        this.logUnavailable(fAsset, error);
+      }
+    }
+  }
+
+  /**
+   * Log an FAsset read failure once until the FAsset becomes readable again
+   * @param {string} fAsset - FAsset symbol
+   * @param {Error} error - Read error
+   */
+  logUnavailable(fAsset, error) {
+    if (this.unavailable.has(fAsset)) return;
+    this.unavailable.add(fAsset);
+    console.warn(`⚠️  FAssets data unavailable for ${fAsset}: ${error.message}`);
   }
 
   /**
    * Get latest week data for an asset
-   * @param {string} asset - Asset symbol (BTC, ETH, FLR)
-   * @returns {Promise<Object>} Week data with price points
+   * @param {string} asset - FAsset (FXRP, FBTC, FDOGE) or underlying (XRP, BTC, DOGE) symbol
+   * @returns {Promise<Object>} Week data with one FAssets data point per day; with no stored snapshots and a
+   *   failed chain read, an empty week with the read `error`; in replay mode, an empty week marked `replayed`
    */
   async getLatestWeekData(asset) {
     try {
-      // TODO: Implement actual FAssets integration
-      // FAssets would provide aggregated data for the past week
-      
       console.log(`📊 Fetching latest week data for ${asset} from FAssets`);
-      
-      // Placeholder: In production, this would query FAssets contracts
-      // For now, we'll simulate by getting current price and creating a week's worth of data
-      // In real implementation, query FAssets historical aggregation contracts
-      
+
+      const endTime = Date.now();
+      const startTime = endTime - 7 * DAY_MS;
       const weekData = {
         asset,
+        fAsset: this.resolveFAsset(asset),
         period: '1 week',
         dataPoints: [],
-        startDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
-        endDate: new Date().toISOString(),
+        startDate: new Date(startTime).toISOString(),
+        endDate: new Date(endTime).toISOString(),
       };
 
-      // Simulated data points (in production, fetch from FAssets)
-      const currentTime = Date.now();
-      for (let i = 6; i >= 0; i--) {
-        const timestamp = currentTime - (i * 24 * 60 * 60 * 1000);
-        weekData.dataPoints.push({
-          timestamp,
-          date: new Date(timestamp).toISOString(),
-          price: null, // Would be populated from FAssets
-          volume: null, // Would be populated from FAssets
-        });
+      if (!weekData.fAsset) {
+        return {
+          ...weekData,
+          note: `No FAsset is minted for ${asset}`,
+        };
+      }
+
+      let snapshots = storage.getFAssetSnapshots(weekData.fAsset, startTime, endTime);
+      if (snapshots.length === 0 && this.replaying) {
+        return {
+          ...weekData,
+          replayed: true,
+          note: `FAssets state is not recorded, so there is no ${weekData.fAsset} data in replay mode`,
+        };
+      }
+      if (snapshots.length === 0) {
+        let snapshot;
+        try {
+          snapshot = await this.readSnapshot(weekData.fAsset);
+        } catch (error) {
+          // The week only adds to the price data, so a chain failure must not fail the callers
+          this.logUnavailable(weekData.fAsset, error);
+          return {
+            ...weekData,
+            error: error.message,
+            note: `No ${weekData.fAsset} snapshots stored this week and the chain read failed`,
+          };
+        }
+        storage.saveFAssetSnapshot(snapshot);
+        snapshots = [snapshot];
+        // Nothing was stored this week, so the week is the current state alone
+        weekData.liveReadOnly = true;
+      }
+
+      // Keep the last snapshot of each UTC day
+      const daily = new Map();
+      for (const snapshot of snapshots) {
+        daily.set(Math.floor(snapshot.timestamp / DAY_MS), snapshot);
       }
 
+      weekData.dataPoints = [...daily.values()].map((snapshot) => ({
+        timestamp: snapshot.timestamp,
+        date: new Date(snapshot.timestamp).toISOString(),
+        mintedSupply: snapshot.mintedSupply,
+        redeemingSupply: snapshot.redeemingSupply,
+        vaultCollateralRatio: snapshot.collateral.vaultRatioWeighted,
+        poolCollateralRatio: snapshot.collateral.poolRatioWeighted,
+        minVaultCollateralRatio: snapshot.collateral.vaultRatioMin,
+        redemptionQueueValue: snapshot.redemptionQueue.totalValue,
+        redemptionQueueTickets: snapshot.redemptionQueue.tickets,
+        backingAgents: snapshot.agents.backing,
+        agentsInLiquidation: snapshot.agents.inLiquidation,
+      }));
+
       return {
         ...weekData,
-        note: 'FAssets integration pending - using placeholder structure',
+        latest: snapshots[snapshots.length - 1],
       };
     } catch (error) {
       console.error(`Error fetching FAssets data for ${asset}:`, error);
@@ -61,15 +331,14 @@ class FAssetsService {
   }
 
   /**
-   * Get latest week data for all supported assets
-   * @returns {Promise<Object>} Week data for all assets
+   * Get latest week data for all configured FAssets
+   * @returns {Promise<Object>} Week data for all FAssets
    */
   async getAllLatestWeekData() {
-    const assets = FLARE_CONFIG.ASSETS;
     const weekData = {};
 
-    for (const asset of assets) {
-      weekData[asset] = await this.getLatestWeekData(asset);
+    for (const fAsset of Object.keys(FLARE_CONFIG.FASSETS)) {
+      weekData[fAsset] = await this.getLatestWeekData(fAsset);
     }
 
     return {
@@ -79,22 +348,36 @@ class FAssetsService {
   }
 
   /**
-   * Query FAssets contract for historical aggregation
-   * This is a placeholder for actual FAssets contract interaction
-   * @param {string} asset - Asset symbol
+   * Read daily FAssets snapshots for past days from chain at historical blocks and store them
+   * Requires an RPC node that serves historical state for the requested range
+   * @param {string} asset - FAsset or underlying symbol
    * @param {number} days - Number of days
-   * @returns {Promise<Object>} Aggregated data
+   * @returns {Promise<Object[]>} Snapshots read
    */
   async queryFAssetsContract(asset, days = 7) {
-    // TODO: Implement actual FAssets contract query
-    // Would involve:
-    // 1. Getting FAssets contract address from registry
-    // 2. Calling aggregation functions
-    // 3. Parsing and formatting results
-    
-    throw new Error('FAssets contract integration not yet implemented');
+    const fAsset = this.resolveFAsset(asset);
+    if (!fAsset) {
+      throw new Error(`No FAsset is minted for ${asset}`);
+    }
+
+    const latestBlock = await this.provider.getBlock('latest');
+    const blockTime = await ftsoService.estimateBlockTime(latestBlock);
+    const snapshots = [];
+
+    for (let day = days; day >= 1; day--) {
+      const timestamp = latestBlock.timestamp * 1000 - day * DAY_MS;
+      if (storage.getFAssetSnapshots(fAsset, timestamp - DAY_MS / 2, timestamp + DAY_MS / 2).length > 0) {
+        continue;
+      }
+
+      const blockNumber = latestBlock.number - Math.round((day * DAY_MS) / 1000 / blockTime);
+      const snapshot = await this.readSnapshot(fAsset, blockNumber);
+      storage.saveFAssetSnapshot(snapshot);
+      snapshots.push(snapshot);
+    }
+
+    return snapshots;
   }
 }
 
 export default new FAssetsService();
-
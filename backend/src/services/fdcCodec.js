@@ -0,0 +1,226 @@
+/**
+ * FDC Codec
+ * ABI encoding, hashing and Merkle proof helpers for FDC attestation requests and responses
+ * Struct layouts are taken from the IFdcVerification ABI, so every attestation type it can
+ * verify on-chain (Web2Json, EVMTransaction, Payment, ...) is supported here as well
+ */
+
+import { ethers } from 'ethers';
+import { interfaceToAbi } from '@flarenetwork/flare-periphery-contract-artifacts';
+
+class FdcCodec {
+  constructor() {
+    this.coder = ethers.AbiCoder.defaultAbiCoder();
+    this.verificationAbi = interfaceToAbi('IFdcVerification', 'coston2');
+    this.types = new Map();
+  }
+
+  /**
+   * Get the ABI types of an attestation type
+   * @param {string} attestationType - Attestation type name (e.g. Web2Json)
+   * @returns {Object} { request, response, requestBody, responseBody } ParamTypes
+   */
+  getTypes(attestationType) {
+    if (this.types.has(attestationType)) {
+      return this.types.get(attestationType);
+    }
+
+    const verify = this.verificationAbi.find((item) => item.name === `verify${attestationType}`);
+    if (!verify) {
+      throw new Error(`Unsupported attestation type: ${attestationType}`);
+    }
+
+    // verifyX(Proof { bytes32[] merkleProof; Response data })
+    const responseAbi = verify.inputs[0].components.find((component) => component.name === 'data');
+    const requestBodyAbi = responseAbi.components.find((component) => component.name === 'requestBody');
+    const responseBodyAbi = responseAbi.components.find((component) => component.name === 'responseBody');
+
+    const types = {
+      request: ethers.ParamType.from({
+        name: 'request',
+        type: 'tuple',
+        components: [
+          { name: 'attestationType', type: 'bytes32' },
+          { name: 'sourceId', type: 'bytes32' },
+          { name: 'messageIntegrityCode', type: 'bytes32' },
+          requestBodyAbi,
+        ],
+      }),
+      response: ethers.ParamType.from(responseAbi),
+      requestBody: ethers.ParamType.from(requestBodyAbi),
+      responseBody: ethers.ParamType.from(responseBodyAbi),
+    };
+
+    this.types.set(attestationType, types);
+    return types;
+  }
+
+  /**
+   * Encode a name (attestation type or source ID) as zero-padded bytes32
+   * @param {string} name - Name such as 'Web2Json' or 'PublicWeb2'
+   * @returns {string} bytes32 hex
+   */
+  encodeName(name) {
+    return ethers.encodeBytes32String(name);
+  }
+
+  /**
+   * Decode a zero-padded bytes32 name
+   * @param {string} value - bytes32 hex
+   * @returns {string} Name
+   */
+  decodeName(value) {
+    return ethers.decodeBytes32String(value);
+  }
+
+  /**
+   * ABI-encode an attestation request
+   * @param {string} attestationType - Attestation type name
+   * @param {string} sourceId - Source ID name
+   * @param {Object} requestBody - Request body matching the attestation type
+   * @param {string} [messageIntegrityCode] - MIC, zero when the request is not prepared by a verifier
+   * @returns {string} ABI-encoded request
+   */
+  encodeRequest(attestationType, sourceId, requestBody, messageIntegrityCode = ethers.ZeroHash) {
+    return this.coder.encode([this.getTypes(attestationType).request], [{
+      attestationType: this.encodeName(attestationType),
+      sourceId: this.encodeName(sourceId),
+      messageIntegrityCode,
+      requestBody,
+    }]);
+  }
+
+  /**
+   * Decode an ABI-encoded attestation request
+   * @param {string} abiEncodedRequest - ABI-encoded request
+   * @returns {Object} { attestationType, sourceId, messageIntegrityCode, requestBody } with names decoded
+   */
+  decodeRequest(abiEncodedRequest) {
+    // The request is a dynamic tuple: word 0 is its offset, word 1 the attestation type
+    const attestationType = this.decodeName(ethers.dataSlice(abiEncodedRequest, 32, 64));
+    const { request } = this.getTypes(attestationType);
+    const [decoded] = this.coder.decode([request], abiEncodedRequest);
+    const plain = this.toPlain(decoded, request);
+
+    return {
+      ...plain,
+      attestationType,
+      sourceId: this.decodeName(plain.sourceId),
+    };
+  }
+
+  /**
+   * ABI-encode an attestation response
+   * @param {string} attestationType - Attestation type name
+   * @param {Object} response - Response struct
+   * @returns {string} ABI-encoded response
+   */
+  encodeResponse(attestationType, response) {
+    return this.coder.encode([this.getTypes(attestationType).response], [response]);
+  }
+
+  /**
+   * Decode an ABI-encoded attestation response into a JSON-safe object (integers as strings)
+   * @param {string} attestationType - Attestation type name
+   * @param {string} responseHex - ABI-encoded response
+   * @returns {Object} Response struct
+   */
+  decodeResponse(attestationType, responseHex) {
+    const { response } = this.getTypes(attestationType);
+    const [decoded] = this.coder.decode([response], responseHex);
+    return this.toPlain(decoded, response);
+  }
+
+  /**
+   * Hash a response into its Merkle tree leaf, as FdcVerification does: keccak256(abi.encode(response))
+   * @param {string} attestationType - Attestation type name
+   * @param {Object} response - Response struct
+   * @returns {string} Leaf hash
+   */
+  hashResponse(attestationType, response) {
+    return ethers.keccak256(this.encodeResponse(attestationType, response));
+  }
+
+  /**
+   * Hash a pair of nodes in sorted order
+   * @param {string} a - Node hash
+   * @param {string} b - Node hash
+   * @returns {string} Parent hash
+   */
+  hashPair(a, b) {
+    return BigInt(a) <= BigInt(b)
+      ? ethers.keccak256(ethers.concat([a, b]))
+      : ethers.keccak256(ethers.concat([b, a]));
+  }
+
+  /**
+   * Verify a Merkle proof against a root (sorted-pair hashing, as in OpenZeppelin MerkleProof)
+   * @param {string} leaf - Leaf hash
+   * @param {string[]} proof - Sibling hashes from the leaf up
+   * @param {string} root - Expected Merkle root
+   * @returns {boolean} Whether the proof is valid
+   */
+  verifyMerkleProof(leaf, proof, root) {
+    const computed = proof.reduce((node, sibling) => this.hashPair(node, sibling), leaf);
+    return computed.toLowerCase() === root.toLowerCase();
+  }
+
+  /**
+   * Build a Merkle tree the way the FDC protocol does: leaves sorted and deduplicated,
+   * stored as a complete binary tree in an array with the root at index 0
+   * @param {string[]} leaves - Leaf hashes
+   * @returns {Object} { root, getProof(leaf) }
+   */
+  buildMerkleTree(leaves) {
+    const sorted = [...new Set(leaves.map((leaf) => leaf.toLowerCase()))]
+      .sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+    const count = sorted.length;
+
+    if (count === 0) {
+      return { root: ethers.ZeroHash, getProof: () => null };
+    }
+
+    const tree = new Array(2 * count - 1);
+    sorted.forEach((leaf, index) => {
+      tree[count - 1 + index] = leaf;
+    });
+    for (let i = count - 2; i >= 0; i--) {
+      tree[i] = this.hashPair(tree[2 * i + 1], tree[2 * i + 2]);
+    }
+
+    return {
+      root: tree[0],
+      getProof: (leaf) => {
+        const index = sorted.indexOf(leaf.toLowerCase());
+        if (index === -1) return null;
+
+        const proof = [];
+        for (let position = count - 1 + index; position > 0; position = Math.floor((position - 1) / 2)) {
+          proof.push(tree[position % 2 === 1 ? position + 1 : position - 1]);
+        }
+        return proof;
+      },
+    };
+  }
+
+  /**
+   * Convert a decoded ABI value into a plain object, using the ParamType for field names
+   * @param {*} value - Decoded value
+   * @param {ethers.ParamType} type - Value type
+   * @returns {*} Plain value with integers as decimal strings
+   */
+  toPlain(value, type) {
+    if (type.isTuple()) {
+      return Object.fromEntries(type.components.map((component, index) => [
+        component.name,
+        this.toPlain(value[index], component),
+      ]));
+    }
+    if (type.isArray()) {
+      return [...value].map((item) => this.toPlain(item, type.arrayChildren));
+    }
+    return typeof value === 'bigint' ? value.toString() : value;
+  }
+}
+
+export default new FdcCodec();
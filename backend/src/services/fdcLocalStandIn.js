@@ -0,0 +1,195 @@
+/**
+ * FDC Local Stand-in
+ * In-process replacement for the verifier, FdcHub, Relay and DA layer, so the full FDC request,
+ * finalization and proof verification flow can run without network access
+ * Responses come from fixtures keyed by the request's source (URL or transaction hash);
+ * each voting round's responses are committed to a Merkle tree once the round has ended
+ */
+
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { FLARE_CONFIG } from '../config/flareConfig.js';
+import fdcCodec from './fdcCodec.js';
+
+// Request body field that identifies the fixture for each attestation type
+const FIXTURE_KEYS = {
+  Web2Json: 'url',
+  EVMTransaction: 'transactionHash',
+  Payment: 'transactionId',
+  AddressValidity: 'addressStr',
+};
+
+class FdcLocalStandIn {
+  constructor() {
+    this.roundDuration = FLARE_CONFIG.FDC.LOCAL_ROUND_DURATION * 1000;
+    this.rounds = new Map();
+    this.fixtures = {};
+
+    if (FLARE_CONFIG.FDC.LOCAL_FIXTURES_PATH) {
+      this.loadFixtures(FLARE_CONFIG.FDC.LOCAL_FIXTURES_PATH);
+    }
+  }
+
+  /**
+   * Reason requests cannot be submitted, if they cannot; the stand-in always accepts them
+   * @returns {string|null} Reason
+   */
+  getUnavailableReason() {
+    return null;
+  }
+
+  /**
+   * Load fixtures from a JSON file: { [attestationType]: { [key]: fixture } }
+   * A fixture is { responseBody, lowestUsedTimestamp }; Web2Json fixtures may give
+   * { data } instead, which is ABI-encoded with the request's abiSignature
+   * @param {string} filePath - Fixtures file path
+   */
+  loadFixtures(filePath) {
+    const fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [attestationType, entries] of Object.entries(fixtures)) {
+      for (const [key, fixture] of Object.entries(entries)) {
+        this.registerFixture(attestationType, key, fixture);
+      }
+    }
+  }
+
+  /**
+   * Register the response to serve for a request
+   * @param {string} attestationType - Attestation type name
+   * @param {string} key - URL, transaction hash or address the request refers to
+   * @param {Object} fixture - Fixture
+   */
+  registerFixture(attestationType, key, fixture) {
+    if (!this.fixtures[attestationType]) this.fixtures[attestationType] = {};
+    this.fixtures[attestationType][key] = fixture;
+  }
+
+  /**
+   * Find the fixture for a request
+   * @param {string} attestationType - Attestation type name
+   * @param {Object} requestBody - Request body
+   * @returns {Object} Fixture
+   */
+  getFixture(attestationType, requestBody) {
+    const key = requestBody[FIXTURE_KEYS[attestationType]];
+    const fixture = this.fixtures[attestationType]?.[key];
+    if (!fixture) {
+      throw new Error(`No local FDC fixture for ${attestationType} ${key}`);
+    }
+    return fixture;
+  }
+
+  /**
+   * Voting round that contains a timestamp
+   * @param {number} timestamp - Unix milliseconds
+   * @returns {number} Voting round ID
+   */
+  getVotingRoundId(timestamp = Date.now()) {
+    return Math.floor(timestamp / this.roundDuration);
+  }
+
+  /**
+   * Encode a request, rejecting it like a verifier would if it cannot be answered
+   * @param {string} attestationType - Attestation type name
+   * @param {string} sourceId - Source ID name
+   * @param {Object} requestBody - Request body
+   * @returns {Promise<string>} ABI-encoded request
+   */
+  async prepareRequest(attestationType, sourceId, requestBody) {
+    this.getFixture(attestationType, requestBody);
+    return fdcCodec.encodeRequest(attestationType, sourceId, requestBody);
+  }
+
+  /**
+   * Accept a request into the current voting round and answer it from its fixture
+   * @param {string} abiEncodedRequest - ABI-encoded request
+   * @returns {Promise<Object>} { votingRoundId, transactionHash, fee }
+   */
+  async submitRequest(abiEncodedRequest) {
+    const votingRoundId = this.getVotingRoundId();
+    const { attestationType, sourceId, requestBody } = fdcCodec.decodeRequest(abiEncodedRequest);
+    const fixture = this.getFixture(attestationType, requestBody);
+
+    let { responseBody } = fixture;
+    if (!responseBody && attestationType === 'Web2Json') {
+      responseBody = {
+        abiEncodedData: fixture.abiEncodedData || fdcCodec.coder.encode(
+          [ethers.ParamType.from(JSON.parse(requestBody.abiSignature))],
+          [fixture.data]
+        ),
+      };
+    }
+
+    const responseHex = fdcCodec.encodeResponse(attestationType, {
+      attestationType: fdcCodec.encodeName(attestationType),
+      sourceId: fdcCodec.encodeName(sourceId),
+      votingRound: votingRoundId,
+      lowestUsedTimestamp: fixture.lowestUsedTimestamp ?? Math.floor(Date.now() / 1000),
+      requestBody,
+      responseBody,
+    });
+
+    if (!this.rounds.has(votingRoundId)) {
+      this.rounds.set(votingRoundId, { responses: new Map(), tree: null });
+    }
+    this.rounds.get(votingRoundId).responses.set(abiEncodedRequest.toLowerCase(), { attestationType, responseHex });
+
+    return { votingRoundId, transactionHash: null, fee: '0.0' };
+  }
+
+  /**
+   * A round is finalized as soon as it has ended
+   * @param {number} votingRoundId - Voting round ID
+   * @returns {Promise<boolean>} Whether the round is finalized
+   */
+  async isFinalized(votingRoundId) {
+    return Date.now() >= (votingRoundId + 1) * this.roundDuration;
+  }
+
+  /**
+   * Build (once) the Merkle tree of a finalized round
+   * @param {number} votingRoundId - Voting round ID
+   * @returns {Promise<Object|null>} Round with its tree, or null if not finalized
+   */
+  async getFinalizedRound(votingRoundId) {
+    if (!(await this.isFinalized(votingRoundId))) return null;
+
+    const round = this.rounds.get(votingRoundId) || { responses: new Map(), tree: null };
+    if (!round.tree) {
+      round.tree = fdcCodec.buildMerkleTree(
+        [...round.responses.values()].map(({ responseHex }) => ethers.keccak256(responseHex))
+      );
+      this.rounds.set(votingRoundId, round);
+    }
+    return round;
+  }
+
+  /**
+   * Get the Merkle root of a voting round
+   * @param {number} votingRoundId - Voting round ID
+   * @returns {Promise<string>} Merkle root (zero hash if not finalized)
+   */
+  async getMerkleRoot(votingRoundId) {
+    const round = await this.getFinalizedRound(votingRoundId);
+    return round ? round.tree.root : ethers.ZeroHash;
+  }
+
+  /**
+   * Get the response and Merkle proof of a request
+   * @param {number} votingRoundId - Voting round ID
+   * @param {string} abiEncodedRequest - ABI-encoded request
+   * @returns {Promise<Object|null>} { responseHex, proof }, or null if not available
+   */
+  async getProof(votingRoundId, abiEncodedRequest) {
+    const round = await this.getFinalizedRound(votingRoundId);
+    const entry = round?.responses.get(abiEncodedRequest.toLowerCase());
+    if (!entry) return null;
+
+    return {
+      responseHex: entry.responseHex,
+      proof: round.tree.getProof(ethers.keccak256(entry.responseHex)),
+    };
+  }
+}
+
+export default new FdcLocalStandIn();
@@ -0,0 +1,175 @@
+/**
+ * FDC Network Client
+ * Talks to the real Flare Data Connector: verifier servers prepare requests, FdcHub accepts
+ * them on-chain, the Relay contract finalizes voting rounds and the DA layer serves proofs
+ */
+
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { interfaceToAbi } from '@flarenetwork/flare-periphery-contract-artifacts';
+import { FLARE_CONFIG } from '../config/flareConfig.js';
+
+// Verifier route segment for each source ID
+const VERIFIER_SOURCES = {
+  PublicWeb2: 'web2',
+  testETH: 'eth',
+  testFLR: 'flr',
+  testSGB: 'sgb',
+  ETH: 'eth',
+  FLR: 'flr',
+  SGB: 'sgb',
+};
+
+class FdcNetworkClient {
+  constructor() {
+    this.provider = new ethers.JsonRpcProvider(FLARE_CONFIG.RPC_URL);
+    this.registry = new ethers.Contract(
+      FLARE_CONFIG.CONTRACT_REGISTRY_ADDRESS,
+      interfaceToAbi('IFlareContractRegistry', 'coston2'),
+      this.provider
+    );
+    this.contracts = null;
+  }
+
+  /**
+   * Resolve FdcHub, Relay and the request fee configuration through the ContractRegistry
+   * @returns {Promise<Object>} { fdcHub, relay, feeConfigurations }
+   */
+  async getContracts() {
+    if (this.contracts) {
+      return this.contracts;
+    }
+
+    const [fdcHubAddress, relayAddress] = await Promise.all([
+      this.registry.getContractAddressByName('FdcHub'),
+      this.registry.getContractAddressByName('Relay'),
+    ]);
+
+    const fdcHub = new ethers.Contract(fdcHubAddress, interfaceToAbi('IFdcHub', 'coston2'), this.provider);
+    const relay = new ethers.Contract(relayAddress, interfaceToAbi('IRelay', 'coston2'), this.provider);
+    const feeConfigurations = new ethers.Contract(
+      await fdcHub.fdcRequestFeeConfigurations(),
+      interfaceToAbi('IFdcRequestFeeConfigurations', 'coston2'),
+      this.provider
+    );
+
+    this.contracts = { fdcHub, relay, feeConfigurations };
+    return this.contracts;
+  }
+
+  /**
+   * Have a verifier validate a request and return it ABI-encoded with its message integrity code
+   * @param {string} attestationType - Attestation type name (e.g. Web2Json)
+   * @param {string} sourceId - Source ID name (e.g. PublicWeb2)
+   * @param {Object} requestBody - Request body
+   * @returns {Promise<string>} ABI-encoded request
+   */
+  async prepareRequest(attestationType, sourceId, requestBody) {
+    const source = VERIFIER_SOURCES[sourceId];
+    if (!source) {
+      throw new Error(`No FDC verifier configured for source ${sourceId}`);
+    }
+
+    const response = await axios.post(
+      `${FLARE_CONFIG.FDC.VERIFIER_URL}/verifier/${source}/${attestationType}/prepareRequest`,
+      {
+        attestationType: ethers.encodeBytes32String(attestationType),
+        sourceId: ethers.encodeBytes32String(sourceId),
+        requestBody,
+      },
+      {
+        headers: { 'X-API-KEY': FLARE_CONFIG.FDC.VERIFIER_API_KEY },
+        timeout: 30000,
+      }
+    );
+
+    if (response.data.status !== 'VALID') {
+      throw new Error(`Verifier rejected ${attestationType} request: ${response.data.status}`);
+    }
+    return response.data.abiEncodedRequest;
+  }
+
+  /**
+   * Reason requests cannot be submitted, if they cannot
+   * @returns {string|null} Reason
+   */
+  getUnavailableReason() {
+    return FLARE_CONFIG.FDC.PRIVATE_KEY ? null : 'FDC_PRIVATE_KEY is not set, so no attestation requests can be submitted';
+  }
+
+  /**
+   * Submit a request to FdcHub, paying the request fee
+   * @param {string} abiEncodedRequest - ABI-encoded request
+   * @returns {Promise<Object>} { votingRoundId, transactionHash, fee }
+   */
+  async submitRequest(abiEncodedRequest) {
+    if (!FLARE_CONFIG.FDC.PRIVATE_KEY) {
+      throw new Error('FDC_PRIVATE_KEY is required to submit FDC attestation requests');
+    }
+
+    const { fdcHub, relay, feeConfigurations } = await this.getContracts();
+    const signer = new ethers.Wallet(FLARE_CONFIG.FDC.PRIVATE_KEY, this.provider);
+
+    const fee = await feeConfigurations.getRequestFee(abiEncodedRequest);
+    const transaction = await fdcHub.connect(signer).requestAttestation(abiEncodedRequest, { value: fee });
+    const receipt = await transaction.wait();
+    const block = await this.provider.getBlock(receipt.blockNumber);
+
+    // The request is answered in the voting round that contains the block it was included in
+    const votingRoundId = Number(await relay.getVotingRoundId(block.timestamp));
+
+    return {
+      votingRoundId,
+      transactionHash: receipt.hash,
+      fee: ethers.formatEther(fee),
+    };
+  }
+
+  /**
+   * Check whether a voting round has been finalized for the FDC protocol
+   * @param {number} votingRoundId - Voting round ID
+   * @returns {Promise<boolean>} Whether the round is finalized
+   */
+  async isFinalized(votingRoundId) {
+    const { relay } = await this.getContracts();
+    return relay.isFinalized(FLARE_CONFIG.FDC.PROTOCOL_ID, votingRoundId);
+  }
+
+  /**
+   * Get the finalized FDC Merkle root of a voting round
+   * @param {number} votingRoundId - Voting round ID
+   * @returns {Promise<string>} Merkle root (zero hash if not finalized)
+   */
+  async getMerkleRoot(votingRoundId) {
+    const { relay } = await this.getContracts();
+    return relay.merkleRoots(FLARE_CONFIG.FDC.PROTOCOL_ID, votingRoundId);
+  }
+
+  /**
+   * Fetch the response and Merkle proof of a request from the DA layer
+   * @param {number} votingRoundId - Voting round ID
+   * @param {string} abiEncodedRequest - ABI-encoded request
+   * @returns {Promise<Object|null>} { responseHex, proof }, or null if not available yet
+   */
+  async getProof(votingRoundId, abiEncodedRequest) {
+    try {
+      const response = await axios.post(
+        `${FLARE_CONFIG.FDC.DA_LAYER_URL}/api/v1/fdc/proof-by-request-round-raw`,
+        { votingRoundId, requestBytes: abiEncodedRequest },
+        {
+          headers: FLARE_CONFIG.FDC.DA_LAYER_API_KEY ? { 'x-api-key': FLARE_CONFIG.FDC.DA_LAYER_API_KEY } : {},
+          timeout: 30000,
+        }
+      );
+
+      if (!response.data?.response_hex) return null;
+      return { responseHex: response.data.response_hex, proof: response.data.proof || [] };
+    } catch (error) {
+      // The DA layer answers 400/404 until it has indexed the finalized round
+      if (error.response && [400, 404].includes(error.response.status)) return null;
+      throw error;
+    }
+  }
+}
+
+export default new FdcNetworkClient();
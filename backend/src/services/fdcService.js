@@ -1,128 +1,75 @@
 /**
  * FDC (Flare Data Connector) Service
  * Handles interaction with FDC for historical and live data tracking
- * FDC provides additional data sources and historical tracking capabilities
+ * Live data is proven through FDC attestation requests (Web2Json, EVMTransaction, ...),
+ * verified against the Merkle root finalized on-chain for their voting round
  */
 
 import { ethers } from 'ethers';
 import { FLARE_CONFIG } from '../config/flareConfig.js';
 import ftsoService from './ftsoService.js';
+import coinGeckoService from './coinGeckoService.js';
+import fdcCodec from './fdcCodec.js';
+import fdcNetworkClient from './fdcNetworkClient.js';
+import fdcLocalStandIn from './fdcLocalStandIn.js';
+import candleService from './candleService.js';
+import storage from '../storage/index.js';
+
+// Web2Json price attestations carry the USD price as a fixed-point uint256
+const PRICE_DECIMALS = 6;
+const PRICE_ABI_SIGNATURE = {
+  components: [{ internalType: 'uint256', name: 'price', type: 'uint256' }],
+  name: 'task',
+  type: 'tuple',
+};
 
 class FDCService {
   constructor() {
     this.provider = new ethers.JsonRpcProvider(FLARE_CONFIG.RPC_URL);
-    // Cache for historical data
-    this.cache = new Map();
-    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    this.client = FLARE_CONFIG.FDC.MODE === 'local' ? fdcLocalStandIn : fdcNetworkClient;
+    this.attestations = new Map();
+    this.pendingAttestations = new Map();
+    // Consecutive failed attestations per asset: { count, error, retryAt }
+    this.failedAttestations = new Map();
   }
 
   /**
    * Get historical data from FDC
-   * @param {string} asset - Asset symbol (BTC, ETH, FLR)
+   * @param {string} asset - Asset symbol (e.g. BTC, XRP)
    * @param {number} days - Number of days to fetch
    * @returns {Promise<Object>} Historical data
    */
   async getHistoricalData(asset, days = 30) {
     try {
       console.log(`📈 Fetching ${days} days of historical data for ${asset} from FDC`);
-      
-      // Check cache first
-      const cacheKey = `${asset}-${days}`;
-      const cached = this.cache.get(cacheKey);
-      if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
-        return cached.data;
-      }
 
-      // Get current price to base historical data on
       const feedId = ftsoService.getFeedIdFromAsset(asset);
       if (!feedId) {
         throw new Error(`Unsupported asset: ${asset}`);
       }
 
-      let currentPriceData;
-      try {
-        currentPriceData = await ftsoService.getLivePrice(feedId);
-      } catch (error) {
-        console.warn(`Could not fetch current price for ${asset}, using fallback`);
-        // Fallback prices if FTSO is unavailable
-        const fallbackPrices = {
-          BTC: 90000,
-          ETH: 3500,
-          FLR: 0.05,
-        };
-        currentPriceData = {
-          price: fallbackPrices[asset] || 100,
-          timestamp: Math.floor(Date.now() / 1000),
-        };
-      }
-
-      const currentPrice = currentPriceData.price;
-      const historicalData = {
-        asset,
-        period: `${days} days`,
-        dataPoints: [],
-        startDate: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
-        endDate: new Date().toISOString(),
-      };
-
-      // Generate realistic historical data based on current price
-      // Create 30 data points (one per day) with realistic variations
-      const currentTime = Date.now();
-      const pointsPerDay = Math.max(1, Math.floor(30 / days)); // At least 1 point per day
-      const totalPoints = days * pointsPerDay;
-      const interval = (days * 24 * 60 * 60 * 1000) / totalPoints;
-      
-      // Start from a price slightly different from current (simulating 30 days of movement)
-      let basePrice = currentPrice * (0.85 + Math.random() * 0.3); // Start 15% lower to 15% higher
-      
-      for (let i = 0; i < totalPoints; i++) {
-        const timestamp = currentTime - ((totalPoints - i) * interval);
-        const progress = i / totalPoints; // 0 to 1
-        
-        // Create realistic price movement with trends and volatility
-        const trend = (currentPrice - basePrice) * progress; // Linear trend toward current price
-        const volatility = currentPrice * 0.02 * (Math.random() - 0.5); // ±2% random volatility
-        const dailyVariation = Math.sin(progress * Math.PI * 2) * currentPrice * 0.01; // Daily cycle
-        
-        let price = basePrice + trend + volatility + dailyVariation;
-        
-        // Ensure price doesn't go negative or too extreme
-        price = Math.max(currentPrice * 0.5, Math.min(currentPrice * 1.5, price));
-        
-        // Calculate high/low for the day
-        const dailyVolatility = price * 0.03; // ±3% daily range
-        const high = price + Math.random() * dailyVolatility;
-        const low = price - Math.random() * dailyVolatility;
-        
-        historicalData.dataPoints.push({
-          timestamp,
-          date: new Date(timestamp).toISOString(),
-          price: Number(price.toFixed(2)),
-          high: Number(high.toFixed(2)),
-          low: Number(low.toFixed(2)),
-          volume: Math.random() * 1000000, // Placeholder volume
-        });
-      }
+      // Bucket stored FTSO ticks into OHLC candles (one per day, or finer for short ranges)
+      const endTime = Date.now();
+      const startTime = endTime - days * 24 * 60 * 60 * 1000;
+      const candlesPerDay = Math.max(1, Math.floor(30 / days));
+      const interval = (24 * 60 * 60 * 1000) / candlesPerDay;
 
-      // Ensure the last point is exactly the current price
-      if (historicalData.dataPoints.length > 0) {
-        const lastPoint = historicalData.dataPoints[historicalData.dataPoints.length - 1];
-        lastPoint.price = Number(currentPrice.toFixed(2));
-        lastPoint.timestamp = currentTime;
-        lastPoint.date = new Date(currentTime).toISOString();
-      }
+      const ticks = storage.getPriceTicks(asset, startTime, endTime, 'ftso');
+      const dataPoints = candleService.buildCandles(ticks, interval);
 
       const result = {
-        ...historicalData,
-        note: 'Generated historical data based on current FTSO price',
+        asset,
+        period: `${days} days`,
+        intervalMs: interval,
+        dataPoints,
+        startDate: new Date(startTime).toISOString(),
+        endDate: new Date(endTime).toISOString(),
+        samplesUsed: ticks.length,
+        note: ticks.length > 0
+          ? 'OHLC candles built from indexed FTSO v2 feed samples'
+          : 'No indexed FTSO history yet - the history indexer is still backfilling',
       };
 
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now(),
-      });
-
       return result;
     } catch (error) {
       console.error(`Error fetching FDC data for ${asset}:`, error);
@@ -131,21 +78,70 @@ class FDCService {
   }
 
   /**
-   * Get live tracking data from FDC
+   * Get the latest FDC-attested price for an asset
+   * Returns the most recent verified attestation straight away and, when it is older than
+   * the attestation interval, requests a fresh one in the background. No request is made while the
+   * client cannot submit any (no FDC_PRIVATE_KEY in network mode), nor before a failed one's retry time
    * @param {string} asset - Asset symbol
    * @returns {Promise<Object>} Live tracking data
    */
   async getLiveTrackingData(asset) {
     try {
-      // TODO: Implement actual FDC live data integration
-      
+      const symbol = asset.toUpperCase();
+      const latest = this.attestations.get(symbol);
+      const stale = !latest || Date.now() - latest.attestedAt > FLARE_CONFIG.FDC.ATTESTATION_INTERVAL;
+      const unavailableReason = this.client.getUnavailableReason();
+      const failure = this.failedAttestations.get(symbol);
+
+      if (stale && !unavailableReason && !(failure && Date.now() < failure.retryAt) && !this.pendingAttestations.has(symbol)) {
+        const pending = this.queryFDCContract(symbol, 'price')
+          .then(() => this.failedAttestations.delete(symbol))
+          .catch((error) => {
+            console.error(`FDC price attestation for ${symbol} failed:`, error.message);
+            this.recordFailedAttestation(symbol, error);
+          })
+          .finally(() => this.pendingAttestations.delete(symbol));
+        this.pendingAttestations.set(symbol, pending);
+      }
+
+      if (!latest) {
+        const lastFailure = this.failedAttestations.get(symbol);
+        let note = 'No FDC attestation yet - one is requested and becomes available once its voting round is finalized';
+        if (unavailableReason) {
+          note = `No FDC attestation: ${unavailableReason}`;
+        } else if (lastFailure && !this.pendingAttestations.has(symbol)) {
+          note = `The last FDC attestation failed (${lastFailure.error}); retrying at ${new Date(lastFailure.retryAt).toISOString()}`;
+        }
+
+        return {
+          asset: symbol,
+          timestamp: Date.now(),
+          price: null,
+          change24h: null,
+          volume24h: null,
+          status: this.pendingAttestations.has(symbol) ? 'pending' : 'unavailable',
+          note,
+        };
+      }
+
+      // Compare against the oldest attested price of the past day
+      const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+      const [reference] = storage.getPriceTicks(symbol, dayAgo, latest.attestedAt, 'fdc');
+      const change24h = reference && reference.timestamp < latest.attestedAt
+        ? ((latest.price - reference.price) / reference.price) * 100
+        : null;
+
       return {
-        asset,
-        timestamp: Date.now(),
-        price: null,
-        change24h: null,
+        asset: symbol,
+        timestamp: latest.attestedAt,
+        price: latest.price,
+        change24h,
         volume24h: null,
-        note: 'FDC live tracking integration pending',
+        status: 'attested',
+        votingRoundId: latest.votingRoundId,
+        transactionHash: latest.transactionHash,
+        verified: latest.verified,
+        source: latest.source,
       };
     } catch (error) {
       console.error(`Error fetching FDC live data for ${asset}:`, error);
@@ -154,15 +150,140 @@ class FDCService {
   }
 
   /**
-   * Query FDC contract for data
-   * Placeholder for actual FDC contract interaction
+   * Back off after a failed attestation: RETRY_DELAY, doubled on every further failure up to ATTESTATION_INTERVAL
+   * @param {string} symbol - Asset symbol
+   * @param {Error} error - Failure
+   */
+  recordFailedAttestation(symbol, error) {
+    const count = (this.failedAttestations.get(symbol)?.count ?? 0) + 1;
+    const delay = Math.min(FLARE_CONFIG.FDC.RETRY_DELAY * 2 ** (count - 1), FLARE_CONFIG.FDC.ATTESTATION_INTERVAL);
+    this.failedAttestations.set(symbol, { count, error: error.message, retryAt: Date.now() + delay });
+  }
+
+  /**
+   * Query the FDC for data about an asset and return it once proven
    * @param {string} asset - Asset symbol
-   * @param {string} dataType - Type of data to fetch
-   * @returns {Promise<Object>} FDC data
+   * @param {string} dataType - Type of data to fetch (currently 'price')
+   * @returns {Promise<Object>} Attested data with its voting round and verification status
+   */
+  async queryFDCContract(asset, dataType = 'price') {
+    if (dataType !== 'price') {
+      throw new Error(`Unsupported FDC data type: ${dataType}`);
+    }
+
+    const symbol = asset.toUpperCase();
+    const coinId = coinGeckoService.getAssetId(symbol);
+    if (!coinId) {
+      throw new Error(`Unsupported asset: ${asset}`);
+    }
+
+    // Web2Json: the verifiers fetch the URL, run the jq filter and ABI-encode the result
+    const url = `https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd`;
+    const attestation = await this.requestAttestation('Web2Json', 'PublicWeb2', {
+      url,
+      httpMethod: 'GET',
+      headers: '{}',
+      queryParams: '{}',
+      body: '{}',
+      postProcessJq: `{price: (."${coinId}".usd * ${10 ** PRICE_DECIMALS} | floor)}`,
+      abiSignature: JSON.stringify(PRICE_ABI_SIGNATURE),
+    });
+
+    const [decoded] = fdcCodec.coder.decode(
+      [ethers.ParamType.from(PRICE_ABI_SIGNATURE)],
+      attestation.response.responseBody.abiEncodedData
+    );
+    const attestedAt = Number(attestation.response.lowestUsedTimestamp) * 1000;
+
+    const result = {
+      asset: symbol,
+      dataType,
+      price: Number(ethers.formatUnits(decoded.price, PRICE_DECIMALS)),
+      attestedAt,
+      votingRoundId: attestation.votingRoundId,
+      transactionHash: attestation.transactionHash,
+      verified: attestation.verified,
+      source: url,
+    };
+
+    this.attestations.set(symbol, result);
+    storage.insertPriceTicks([{
+      source: 'fdc',
+      asset: symbol,
+      timestamp: attestedAt,
+      value: decoded.price.toString(),
+      decimals: PRICE_DECIMALS,
+      price: result.price,
+    }]);
+
+    return result;
+  }
+
+  /**
+   * Run an attestation request through the FDC: prepare, submit, wait for the voting round
+   * to be finalized, fetch the proof and verify it against the finalized Merkle root
+   * @param {string} attestationType - Attestation type name (e.g. Web2Json, EVMTransaction)
+   * @param {string} sourceId - Source ID name (e.g. PublicWeb2, testETH)
+   * @param {Object} requestBody - Request body for the attestation type
+   * @returns {Promise<Object>} { votingRoundId, transactionHash, abiEncodedRequest, response, merkleProof, verified }
    */
-  async queryFDCContract(asset, dataType = 'historical') {
-    // TODO: Implement actual FDC contract query
-    throw new Error('FDC contract integration not yet implemented');
+  async requestAttestation(attestationType, sourceId, requestBody) {
+    const abiEncodedRequest = await this.client.prepareRequest(attestationType, sourceId, requestBody);
+    const { votingRoundId, transactionHash } = await this.client.submitRequest(abiEncodedRequest);
+    console.log(`🛰️  Submitted ${attestationType} FDC request in voting round ${votingRoundId}`);
+
+    const deadline = Date.now() + FLARE_CONFIG.FDC.ROUND_TIMEOUT;
+    await this.waitFor(() => this.client.isFinalized(votingRoundId), deadline,
+      `Voting round ${votingRoundId} was not finalized in time`);
+
+    // The DA layer indexes finalized rounds with a short delay
+    const proof = await this.waitFor(() => this.client.getProof(votingRoundId, abiEncodedRequest), deadline,
+      `No FDC proof available for voting round ${votingRoundId}`);
+
+    const response = fdcCodec.decodeResponse(attestationType, proof.responseHex);
+    const verified = await this.verifyAttestation(attestationType, response, proof.proof);
+    if (!verified) {
+      throw new Error(`FDC proof for voting round ${votingRoundId} does not match the finalized Merkle root`);
+    }
+
+    return {
+      attestationType,
+      votingRoundId,
+      transactionHash,
+      abiEncodedRequest,
+      response,
+      merkleProof: proof.proof,
+      verified,
+    };
+  }
+
+  /**
+   * Verify an attestation response against the Merkle root finalized on-chain for its voting round
+   * @param {string} attestationType - Attestation type name
+   * @param {Object} response - Response struct
+   * @param {string[]} merkleProof - Merkle proof
+   * @returns {Promise<boolean>} Whether the response is part of the finalized round
+   */
+  async verifyAttestation(attestationType, response, merkleProof) {
+    const root = await this.client.getMerkleRoot(Number(response.votingRound));
+    if (root === ethers.ZeroHash) return false;
+    return fdcCodec.verifyMerkleProof(fdcCodec.hashResponse(attestationType, response), merkleProof, root);
+  }
+
+  /**
+   * Poll until a check returns a truthy value
+   * @param {Function} check - Async check
+   * @param {number} deadline - Timestamp to give up at
+   * @param {string} timeoutMessage - Error message on timeout
+   * @returns {Promise<*>} The truthy value
+   */
+  async waitFor(check, deadline, timeoutMessage) {
+    for (;;) {
+      const value = await check();
+      if (value) return value;
+      if (Date.now() >= deadline) throw new Error(timeoutMessage);
+      await new Promise((resolve) => setTimeout(resolve, FLARE_CONFIG.FDC.POLL_INTERVAL));
+    }
   }
 }
 
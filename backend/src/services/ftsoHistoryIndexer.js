@@ -0,0 +1,170 @@
+/**
+ * FTSO History Indexer
+ * Backfills and continuously records FTSO v2 feed values as price ticks in storage
+ * FTSO v2 keeps only the current value on-chain, so history is rebuilt by sampling
+ * getFeedsById at past blocks and by polling the latest value going forward
+ */
+
+import { FLARE_CONFIG } from '../config/flareConfig.js';
+import ftsoService from './ftsoService.js';
+import assetRegistry from './assetRegistry.js';
+import liveIndicators from './liveIndicators.js';
+import candleService from './candleService.js';
+import storage from '../storage/index.js';
+
+class FtsoHistoryIndexer {
+  constructor() {
+    this.liveInterval = null;
+    this.backfilling = false;
+  }
+
+  /**
+   * Start the indexer: backfill missing history, then sample the latest values periodically
+   */
+  start() {
+    if (!FLARE_CONFIG.INDEXER.ENABLED) {
+      console.log('⏸️  FTSO history indexer disabled');
+      return;
+    }
+
+    this.sampleLatest();
+    this.liveInterval = setInterval(() => this.sampleLatest(), FLARE_CONFIG.LIVE_UPDATE_INTERVAL);
+
+    this.backfill(FLARE_CONFIG.INDEXER.BACKFILL_DAYS).catch((error) => {
+      console.error('❌ FTSO history backfill failed:', error.message);
+    });
+  }
+
+  /**
+   * Stop periodic sampling
+   */
+  stop() {
+    if (this.liveInterval) {
+      clearInterval(this.liveInterval);
+      this.liveInterval = null;
+    }
+  }
+
+  /**
+   * Get tracked assets with their feed IDs
+   * @returns {Array<{asset: string, feedId: string}>} Indexed feeds
+   */
+  getIndexedFeeds() {
+    return assetRegistry.getTrackedAssets().map(({ symbol, feedId }) => ({ asset: symbol, feedId }));
+  }
+
+  /**
+   * Sample all indexed feeds at a block and record them
+   * @param {number|string} blockTag - Block number or tag
+   * @returns {Promise<number>} Number of newly recorded samples
+   */
+  async sampleAtBlock(blockTag = 'latest') {
+    return this.record(await this.readTicks(blockTag));
+  }
+
+  /**
+   * Store ticks and bring the persisted candles of the buckets they fall into up to date
+   * @param {Object[]} ticks - FTSO ticks
+   * @returns {number} Number of newly recorded samples
+   */
+  record(ticks) {
+    const inserted = storage.insertPriceTicks(ticks);
+    candleService.persistClosedCandles(ticks);
+    return inserted;
+  }
+
+  /**
+   * Read all indexed feeds at a block as price ticks
+   * @param {number|string} blockTag - Block number or tag
+   * @returns {Promise<Object[]>} Ticks with a valid timestamp and price
+   */
+  async readTicks(blockTag) {
+    const feeds = this.getIndexedFeeds();
+    const prices = await ftsoService.getLivePrices(feeds.map(({ feedId }) => feedId), blockTag);
+    const blockNumber = typeof blockTag === 'number' ? blockTag : null;
+
+    return prices
+      .map((price, index) => ({
+        source: 'ftso',
+        feedId: price.feedId,
+        asset: feeds[index].asset,
+        timestamp: price.timestamp * 1000,
+        blockNumber,
+        value: price.value,
+        decimals: price.decimals,
+        price: price.price,
+      }))
+      .filter((tick) => tick.timestamp > 0 && tick.price > 0);
+  }
+
+  /**
+   * Record the latest feed values and pass them on to the live indicators
+   */
+  async sampleLatest() {
+    try {
+      const blockNumber = await ftsoService.provider.getBlockNumber();
+      const ticks = await this.readTicks(blockNumber);
+      this.record(ticks);
+      liveIndicators.push(ticks);
+    } catch (error) {
+      console.error('Error sampling latest FTSO values:', error.message);
+    }
+  }
+
+  /**
+   * Backfill history by sampling past blocks at a fixed time interval
+   * Slots that already hold a sample are skipped, so restarts resume where they left off
+   * @param {number} days - Number of days to backfill
+   * @returns {Promise<Object>} Backfill summary
+   */
+  async backfill(days = FLARE_CONFIG.INDEXER.BACKFILL_DAYS) {
+    if (this.backfilling) {
+      return { skipped: true };
+    }
+    this.backfilling = true;
+
+    try {
+      const interval = FLARE_CONFIG.INDEXER.BACKFILL_INTERVAL;
+      const latestBlock = await ftsoService.provider.getBlock('latest');
+      const blockTime = await ftsoService.estimateBlockTime(latestBlock);
+      const referenceAsset = this.getIndexedFeeds()[0]?.asset;
+
+      const endTimestamp = latestBlock.timestamp;
+      const startTimestamp = endTimestamp - days * 24 * 60 * 60;
+      let recorded = 0;
+      let skipped = 0;
+      let failed = 0;
+
+      console.log(`🗂️  Backfilling ${days} days of FTSO history every ${interval}s (~${blockTime.toFixed(2)}s/block)`);
+
+      // Walk backwards from the present so the most recent history becomes available first
+      for (let slot = endTimestamp - interval; slot >= startTimestamp; slot -= interval) {
+        if (storage.countPriceTicks(referenceAsset, (slot - interval / 2) * 1000, (slot + interval / 2) * 1000) > 0) {
+          skipped++;
+          continue;
+        }
+
+        const blockNumber = latestBlock.number - Math.round((endTimestamp - slot) / blockTime);
+        if (blockNumber <= 0) break;
+
+        try {
+          recorded += await this.sampleAtBlock(blockNumber);
+        } catch (error) {
+          failed++;
+          // Non-archive RPC nodes cannot serve state this old; there is nothing further back to fetch
+          if (/missing trie node|historical state|pruned/i.test(error.message)) {
+            console.warn(`⚠️  RPC node has no state at block ${blockNumber}, stopping backfill`);
+            break;
+          }
+        }
+      }
+
+      console.log(`✅ FTSO backfill complete: ${recorded} samples recorded, ${skipped} slots already indexed, ${failed} failed`);
+      return { recorded, skipped, failed };
+    } finally {
+      this.backfilling = false;
+    }
+  }
+}
+
+export default new FtsoHistoryIndexer();
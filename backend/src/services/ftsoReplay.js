@@ -0,0 +1,62 @@
+/**
+ * FTSO Replay
+ * Stands in for the Flare RPC provider and the FtsoV2 contract when DATA_MODE=replay, answering
+ * getFeedsById from the recorded feed values
+ * The recording is tiled over real time, repeating every recording length, so a given moment always
+ * replays the same value and restarts (or the history indexer's backfill) see the same history
+ * The virtual chain has one block per second: a block's number is its Unix timestamp
+ */
+
+import recordingStore from './recordingStore.js';
+
+class FtsoReplay {
+  /**
+   * @returns {Promise<number>} Number of the latest virtual block
+   */
+  async getBlockNumber() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  /**
+   * @param {number|string} [blockTag] - Block number or 'latest'
+   * @returns {Promise<Object>} { number, timestamp }
+   */
+  async getBlock(blockTag = 'latest') {
+    const number = blockTag === 'latest' ? await this.getBlockNumber() : Number(blockTag);
+    return { number, timestamp: number };
+  }
+
+  /**
+   * Recorded feed values at a block, in the shape FtsoV2.getFeedsById returns them
+   * @param {string[]} feedIds - Feed IDs
+   * @param {number|string} [blockTag] - Block number or 'latest'
+   * @returns {Promise<Array>} [values (bigint[]), decimals (number[]), timestamp (bigint)]
+   * @throws {Error} With status 503 when a feed was never recorded
+   */
+  async getFeedsById(feedIds, blockTag = 'latest') {
+    const { timestamp: time } = await this.getBlock(blockTag);
+    const range = recordingStore.getFeedTimeRange();
+    const length = range ? range.end - range.start : 0;
+    const recordedTime = range ? range.start + (length > 0 ? (((time - range.start) % length) + length) % length : 0) : 0;
+    const shift = time - recordedTime;
+
+    let timestamp = 0;
+    const values = [];
+    const decimals = [];
+    for (const feedId of feedIds) {
+      const entry = recordingStore.getFeedValue(feedId, recordedTime);
+      if (!entry) {
+        const error = new Error(`No FTSO recording for feed ${feedId}; record one with DATA_MODE=record`);
+        error.status = 503;
+        throw error;
+      }
+      values.push(BigInt(entry[1]));
+      decimals.push(entry[2]);
+      timestamp = Math.max(timestamp, entry[0] + shift);
+    }
+
+    return [values, decimals, BigInt(timestamp)];
+  }
+}
+
+export default new FtsoReplay();
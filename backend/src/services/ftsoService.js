@@ -7,15 +7,27 @@
 import { ethers } from 'ethers';
 import { interfaceToAbi } from '@flarenetwork/flare-periphery-contract-artifacts';
 import { FLARE_CONFIG } from '../config/flareConfig.js';
+import { REPLAY_CONFIG } from '../config/replayConfig.js';
+import assetRegistry from './assetRegistry.js';
+import storage from '../storage/index.js';
+import recordingStore from './recordingStore.js';
+import ftsoReplay from './ftsoReplay.js';
 
 class FtsoService {
   constructor() {
-    this.provider = new ethers.JsonRpcProvider(FLARE_CONFIG.RPC_URL);
+    this.replaying = REPLAY_CONFIG.MODE === 'replay';
+    // In replay mode the replay also answers the block lookups of the history indexer
+    this.provider = this.replaying ? ftsoReplay : new ethers.JsonRpcProvider(FLARE_CONFIG.RPC_URL);
     this.ftsoV2 = null;
     this.initializeContract();
   }
 
   async initializeContract() {
+    if (this.replaying) {
+      console.log(`⏯️  Replaying FTSO feeds recorded in ${REPLAY_CONFIG.RECORDINGS_PATH}`);
+      return;
+    }
+
     try {
       const abi = interfaceToAbi('FtsoV2Interface', 'coston2');
       this.ftsoV2 = new ethers.Contract(
@@ -32,54 +44,52 @@ class FtsoService {
 
   /**
    * Get live price for a single feed
-   * @param {string} feedId - The feed ID (e.g., BTC/USD)
+   * @param {string} feedId - The bytes21 feed ID (e.g., 0x01 + BTC/USD)
    * @returns {Promise<Object>} Price data with value, decimals, and timestamp
    */
   async getLivePrice(feedId) {
-    try {
-      if (!this.ftsoV2) {
-        await this.initializeContract();
-      }
-
-      const result = await this.ftsoV2.getFeedById.staticCall(feedId);
-      const [value, decimals, timestamp] = result;
-
-      const decimalsNum = Number(decimals);
-
-      return {
-        feedId,
-        feedName: FLARE_CONFIG.FEED_NAMES[feedId] || 'Unknown',
-        value: value.toString(),
-        decimals: decimalsNum,
-        timestamp: Number(timestamp),
-        price: this.formatPrice(value, decimalsNum),
-        date: new Date(Number(timestamp) * 1000).toISOString(),
-      };
-    } catch (error) {
-      console.error(`Error fetching live price for ${feedId}:`, error);
-      throw error;
+    const [price] = await this.getLivePrices([feedId]);
+    return price;
+  }
+
+  /**
+   * Read feeds from the FtsoV2 contract, or from the recordings in replay mode
+   * In record mode every result is saved for later replay
+   * @param {string[]} feedIds - Array of feed IDs
+   * @param {number|string} blockTag - Block to read the feeds at
+   * @returns {Promise<Array>} [values, decimals, timestamp] as returned by getFeedsById
+   */
+  async readFeeds(feedIds, blockTag) {
+    if (this.replaying) {
+      return ftsoReplay.getFeedsById(feedIds, blockTag);
     }
+
+    if (!this.ftsoV2) {
+      await this.initializeContract();
+    }
+
+    const result = await this.ftsoV2.getFeedsById.staticCall(feedIds, { blockTag });
+    if (REPLAY_CONFIG.MODE === 'record') {
+      recordingStore.recordFeeds(feedIds, result);
+    }
+    return result;
   }
 
   /**
    * Get live prices for multiple feeds
    * @param {string[]} feedIds - Array of feed IDs
+   * @param {number|string} [blockTag] - Block to read the feeds at (defaults to latest)
    * @returns {Promise<Object[]>} Array of price data
    */
-  async getLivePrices(feedIds) {
+  async getLivePrices(feedIds, blockTag = 'latest') {
     try {
-      if (!this.ftsoV2) {
-        await this.initializeContract();
-      }
-
-      const result = await this.ftsoV2.getFeedsById.staticCall(feedIds);
-      const [values, decimals, timestamp] = result;
+      const [values, decimals, timestamp] = await this.readFeeds(feedIds, blockTag);
 
       return feedIds.map((feedId, index) => {
         const decimalsNum = Number(decimals[index]);
         return {
           feedId,
-          feedName: FLARE_CONFIG.FEED_NAMES[feedId] || 'Unknown',
+          feedName: assetRegistry.getFeedName(feedId),
           value: values[index].toString(),
           decimals: decimalsNum,
           timestamp: Number(timestamp),
@@ -94,11 +104,11 @@ class FtsoService {
   }
 
   /**
-   * Get all supported asset prices
-   * @returns {Promise<Object>} Prices for all supported assets
+   * Get all tracked asset prices
+   * @returns {Promise<Object>} Prices for all tracked assets
    */
   async getAllLivePrices() {
-    const feedIds = Object.values(FLARE_CONFIG.FEED_IDS);
+    const feedIds = assetRegistry.getTrackedAssets().map((asset) => asset.feedId);
     const prices = await this.getLivePrices(feedIds);
     
     return {
@@ -112,34 +122,37 @@ class FtsoService {
   }
 
   /**
-   * Get historical price data (simulated - FTSO doesn't store historical data directly)
-   * In production, you would query blockchain events or use FDC/FAssets
+   * Get historical price data recorded by the FTSO history indexer
+   * FTSO v2 only exposes the current value, so history comes from stored price ticks
    * @param {string} feedId - The feed ID
    * @param {number} days - Number of days to fetch
-   * @returns {Promise<Object[]>} Historical price data
+   * @returns {Promise<Object>} Historical price data
    */
   async getHistoricalPrices(feedId, days = 30) {
-    // Note: FTSO v2 doesn't store historical data on-chain
-    // This would typically require:
-    // 1. Querying blockchain events for past price updates
-    // 2. Using FDC (Flare Data Connector) for historical data
-    // 3. Using FAssets for aggregated historical data
-    
-    console.warn('⚠️  Historical data fetching requires event querying or FDC/FAssets integration');
-    
-    // For now, return current price as placeholder
-    // In production, implement event querying or FDC integration
     const currentPrice = await this.getLivePrice(feedId);
-    
+    const asset = this.getAssetFromFeedId(feedId);
+    const now = Date.now();
+
     return {
       feedId,
       feedName: currentPrice.feedName,
       current: currentPrice,
-      historical: [], // Would be populated with actual historical data
-      note: 'Historical data requires FDC/FAssets integration or event querying',
+      historical: storage.getPriceTicks(asset, now - days * 24 * 60 * 60 * 1000, now, 'ftso'),
     };
   }
 
+  /**
+   * Estimate the average block time from recent chain history
+   * Used to map past timestamps to approximate block numbers for historical reads
+   * @param {Object} latestBlock - Latest block
+   * @returns {Promise<number>} Average seconds per block
+   */
+  async estimateBlockTime(latestBlock) {
+    const sampleSpan = Math.min(100000, latestBlock.number - 1);
+    const pastBlock = await this.provider.getBlock(latestBlock.number - sampleSpan);
+    return (latestBlock.timestamp - pastBlock.timestamp) / sampleSpan;
+  }
+
   /**
    * Format price value based on decimals
    * @param {BigInt} value - Raw value
@@ -162,26 +175,16 @@ class FtsoService {
    * @returns {string} Asset symbol
    */
   getAssetFromFeedId(feedId) {
-    const mapping = {
-      [FLARE_CONFIG.FEED_IDS.FLR_USD]: 'FLR',
-      [FLARE_CONFIG.FEED_IDS.BTC_USD]: 'BTC',
-      [FLARE_CONFIG.FEED_IDS.ETH_USD]: 'ETH',
-    };
-    return mapping[feedId] || 'UNKNOWN';
+    return assetRegistry.getSymbol(feedId) || 'UNKNOWN';
   }
 
   /**
    * Get feed ID from asset symbol
-   * @param {string} asset - Asset symbol (BTC, ETH, FLR)
-   * @returns {string} Feed ID
+   * @param {string} asset - Asset symbol (e.g. BTC, XRP)
+   * @returns {string|null} Feed ID
    */
   getFeedIdFromAsset(asset) {
-    const mapping = {
-      BTC: FLARE_CONFIG.FEED_IDS.BTC_USD,
-      ETH: FLARE_CONFIG.FEED_IDS.ETH_USD,
-      FLR: FLARE_CONFIG.FEED_IDS.FLR_USD,
-    };
-    return mapping[asset.toUpperCase()];
+    return assetRegistry.getFeedId(asset);
   }
 }
 
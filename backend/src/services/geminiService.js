@@ -6,11 +6,17 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
 import technicalIndicators from './technicalIndicators.js';
+import { PredictionProvider } from '../providers/predictionProvider.js';
+import { PREDICTION_CONFIG } from '../config/predictionConfig.js';
+import { buildPredictionSchema, toGeminiSchema, validateAgainstSchema, validatePricePath } from '../providers/predictionSchema.js';
+import { parseHorizons, getPrimaryHorizon, horizonToMs, INTERVAL_LEVEL, INTERVAL_Z } from '../providers/horizons.js';
 
 dotenv.config();
 
-class GeminiService {
+class GeminiService extends PredictionProvider {
   constructor() {
+    super('gemini', `Google Gemini (${PREDICTION_CONFIG.GEMINI_MODEL})`);
+    this.maxConcurrency = PREDICTION_CONFIG.GEMINI_CONCURRENCY;
     const apiKey = process.env.GEMINI_API_KEY;
     if (!apiKey) {
       console.warn('⚠️  GEMINI_API_KEY not found in environment variables');
@@ -26,43 +32,83 @@ class GeminiService {
       return;
     }
     try {
-      this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
+      this.model = this.genAI.getGenerativeModel({ model: PREDICTION_CONFIG.GEMINI_MODEL });
       console.log('✅ Gemini API initialized');
     } catch (error) {
       console.error('❌ Error initializing Gemini API:', error);
     }
   }
 
+  isAvailable() {
+    return !!this.model;
+  }
+
+  getUnavailableReason() {
+    return this.model ? null : 'GEMINI_API_KEY is not set';
+  }
+
   /**
    * Generate price prediction using Gemini API
+   * The response is constrained to the prediction schema and validated against it; invalid
+   * responses are sent back with their validation errors for repair, and only when every
+   * attempt fails is the heuristic fallback used (source 'fallback' instead of 'model')
    * @param {Object} formattedData - Formatted data from dataAggregator
+   * @param {Object} [options] - { horizons }
    * @returns {Promise<Object>} Prediction results
    */
-  async generatePrediction(formattedData) {
+  async generatePrediction(formattedData, options = {}) {
     if (!this.model) {
       throw new Error('Gemini API not initialized. Please set GEMINI_API_KEY in environment variables.');
     }
 
     try {
-      const { asset, dataPoints, currentPrice, timeRange, technicalIndicators: indicators, priceChange24h } = formattedData;
+      const { asset, dataPoints, currentPrice, timeRange, technicalIndicators: indicators, priceChange24h, fassets, consensus, market } = formattedData;
 
       // Prepare prompt for Gemini with technical indicators
-      const prompt = this.createPredictionPrompt(asset, dataPoints, currentPrice, timeRange, indicators, priceChange24h);
+      const horizons = options.horizons || parseHorizons();
+      const prompt = this.createPredictionPrompt(asset, dataPoints, currentPrice, timeRange, indicators, priceChange24h, fassets, horizons, consensus, market);
+      const schema = buildPredictionSchema(currentPrice, horizons);
+
+      // Structured output: Gemini answers with JSON shaped by the schema
+      const chat = this.genAI.getGenerativeModel({
+        model: PREDICTION_CONFIG.GEMINI_MODEL,
+        generationConfig: {
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(schema),
+        },
+      }).startChat();
 
-      // Generate prediction
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      let text = (await chat.sendMessage(prompt)).response.text();
+      let { parsed, errors } = this.parsePrediction(text, schema, horizons);
+      let repairAttempts = 0;
 
-      // Parse prediction from response
-      const prediction = this.parsePrediction(text, asset, currentPrice, indicators, priceChange24h);
+      while (errors.length > 0 && repairAttempts < PREDICTION_CONFIG.GEMINI_REPAIR_ATTEMPTS) {
+        repairAttempts++;
+        console.warn(`Gemini ${asset} prediction failed validation (repair attempt ${repairAttempts}):`, errors);
+        text = (await chat.sendMessage(this.createRepairPrompt(errors))).response.text();
+        ({ parsed, errors } = this.parsePrediction(text, schema, horizons));
+      }
+
+      const source = errors.length === 0 ? 'model' : 'fallback';
+      const { prediction, pricePath } = source === 'model'
+        ? this.buildPrediction(parsed, horizons, indicators)
+        : this.generateFallbackPrediction(currentPrice, indicators, priceChange24h, horizons);
+
+      if (source === 'fallback') {
+        console.warn(`Gemini ${asset} prediction still invalid after ${repairAttempts} repair attempts, using fallback`);
+      }
 
       return {
         asset,
         timestamp: Date.now(),
         currentPrice,
         prediction,
-        confidence: prediction.confidence || prediction.overallConfidence || 'medium',
+        pricePath,
+        confidence: prediction.confidence,
+        model: this.name,
+        source,
+        repairAttempts,
+        validationErrors: errors,
         rawResponse: text,
         dataPointsUsed: dataPoints.length,
         technicalIndicators: indicators,
@@ -77,7 +123,7 @@ class GeminiService {
   /**
    * Create prediction prompt for Gemini with technical indicators
    */
-  createPredictionPrompt(asset, dataPoints, currentPrice, timeRange, indicators, priceChange24h) {
+  createPredictionPrompt(asset, dataPoints, currentPrice, timeRange, indicators, priceChange24h, fassets, horizons = ['24h'], consensus = null, market = null) {
     const recentPrices = dataPoints.slice(-50).map((dp) => dp.price).filter(Boolean);
     const sma7 = indicators?.sma7;
     const sma30 = indicators?.sma30;
@@ -85,6 +131,8 @@ class GeminiService {
     const rsi = indicators?.rsi;
     const volatility = indicators?.volatility;
     const trend = indicators?.trend;
+    const { macd, bollinger, atr, stochastic, adx, obv, vwap, periods } = indicators || {};
+    const formatUsd = (value) => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
     return `You are an expert cryptocurrency technical analyst. Analyze the following ${asset} price data with technical indicators and provide a comprehensive prediction.
 
@@ -93,7 +141,12 @@ class GeminiService {
 - 24h Price Change: ${priceChange24h ? priceChange24h.toFixed(2) : '0.00'}%
 - Data Range: ${timeRange.start ? new Date(timeRange.start).toLocaleDateString() : 'N/A'} to ${timeRange.end ? new Date(timeRange.end).toLocaleDateString() : 'N/A'}
 - Total Data Points: ${dataPoints.length}
-
+${consensus && consensus.status !== 'unavailable' ? `
+**PRICE SOURCE CONSENSUS:**
+- Status: ${consensus.status}${consensus.spread != null ? `, spread ${consensus.spread.toFixed(2)}% across sources (outlier threshold ${consensus.threshold}%)` : ''}
+- Current price taken from: ${consensus.currentPriceSource === 'ftso' ? 'FTSO' : 'the consensus reference (the FTSO value was an outlier)'}
+${consensus.sources.map(({ source, price, deviation, status }) => `- ${source}: ${price ? `$${formatUsd(price)}` : 'N/A'}${deviation != null ? ` (${deviation >= 0 ? '+' : ''}${deviation.toFixed(2)}%)` : ''}${status !== 'ok' ? ` [${status}]` : ''}`).join('\n')}
+` : ''}
 **TECHNICAL INDICATORS:**
 ${sma7 ? `- 7-Day SMA: $${sma7.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : '- 7-Day SMA: N/A'}
 ${sma30 ? `- 30-Day SMA: $${sma30.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : '- 30-Day SMA: N/A'}
@@ -101,7 +154,28 @@ ${ema12 ? `- 12-Day EMA: $${ema12.toLocaleString('en-US', { minimumFractionDigit
 ${rsi ? `- RSI (14): ${rsi.toFixed(2)}` : '- RSI: N/A'}
 ${volatility ? `- Volatility: ${volatility.toFixed(2)}%` : '- Volatility: N/A'}
 ${trend ? `- Trend Direction: ${trend.direction}, Strength: ${trend.strength?.toFixed(2) || '0.00'}%, Price Change: ${trend.priceChange?.toFixed(2) || '0.00'}%` : '- Trend: N/A'}
-
+${macd ? `- MACD (${periods.macd.fast}, ${periods.macd.slow}, ${periods.macd.signal}): ${macd.macd.toFixed(4)}, Signal: ${macd.signal.toFixed(4)}, Histogram: ${macd.histogram.toFixed(4)}` : '- MACD: N/A'}
+${bollinger ? `- Bollinger Bands (${periods.bollinger.period}, ${periods.bollinger.stdDev}σ): Upper $${formatUsd(bollinger.upper)}, Middle $${formatUsd(bollinger.middle)}, Lower $${formatUsd(bollinger.lower)}, %B: ${bollinger.percentB.toFixed(2)}, Bandwidth: ${bollinger.bandwidth?.toFixed(2) ?? 'N/A'}%` : '- Bollinger Bands: N/A'}
+${atr ? `- ATR (${periods.atr}): $${formatUsd(atr)} (${((atr / currentPrice) * 100).toFixed(2)}% of price)` : '- ATR: N/A'}
+${stochastic ? `- Stochastic (${periods.stochastic.k}, ${periods.stochastic.d}): %K ${stochastic.k.toFixed(2)}, %D ${stochastic.d.toFixed(2)}` : '- Stochastic: N/A'}
+${adx ? `- ADX (${periods.adx}): ${adx.adx.toFixed(2)}, +DI ${adx.plusDI.toFixed(2)}, -DI ${adx.minusDI.toFixed(2)}` : '- ADX: N/A'}
+${obv != null ? `- OBV: ${obv.toLocaleString('en-US', { maximumFractionDigits: 0 })}` : '- OBV: N/A (no volume data)'}
+${vwap ? `- VWAP: $${formatUsd(vwap)}` : '- VWAP: N/A (no volume data)'}
+${fassets ? `
+**FASSETS ON-CHAIN DATA (${fassets.fAsset}):**
+- Minted Supply: ${fassets.mintedSupply.toLocaleString('en-US', { maximumFractionDigits: 2 })} ${asset}${fassets.mintedSupplyChange7d != null ? ` (${fassets.mintedSupplyChange7d.toFixed(2)}% over 7 days)` : ''}
+- Agent Vault Collateral Ratio (minted-weighted): ${fassets.vaultCollateralRatio != null ? fassets.vaultCollateralRatio.toFixed(2) : 'N/A'}
+- Agent Pool Collateral Ratio (minted-weighted): ${fassets.poolCollateralRatio != null ? fassets.poolCollateralRatio.toFixed(2) : 'N/A'}
+- Redemption Queue: ${fassets.redemptionQueueValue.toLocaleString('en-US', { maximumFractionDigits: 2 })} ${asset}
+- Agents in Liquidation: ${fassets.agentsInLiquidation}
+` : ''}${market ? `
+**MARKET CONTEXT (last ${market.days} days, ${market.interval} returns):**
+- ${asset} Regime: ${market.regime}${market.volatility != null ? ` (annualized volatility ${market.volatility.toFixed(2)}%, trend ${market.trend.direction} with strength ${market.trend.strength.toFixed(2)})` : ''}
+- Market Regime: ${market.market.regime}${market.market.averageCorrelation != null ? `, average cross-asset correlation ${market.market.averageCorrelation.toFixed(2)}` : ''}
+${asset === market.benchmark ? `- ${asset} is the benchmark the other assets are measured against` : `- Beta to ${market.benchmark}: ${market.beta != null ? market.beta.toFixed(2) : 'N/A'}, correlation ${market.correlationToBenchmark != null ? market.correlationToBenchmark.toFixed(2) : 'N/A'}
+- Relative Strength vs ${market.benchmark}: ${market.relativeStrength != null ? `${market.relativeStrength.toFixed(3)} (${market.outperformance >= 0 ? '+' : ''}${market.outperformance.toFixed(2)} percentage points)` : 'N/A'}`}
+${Object.entries(market.correlations).map(([other, value]) => `- Correlation with ${other}: ${value != null ? value.toFixed(2) : 'N/A'}`).join('\n')}
+` : ''}
 **PRICE HISTORY (Last 30 Days):**
 ${recentPrices.slice(-30).map((p, i) => {
   const date = dataPoints[dataPoints.length - 30 + i]?.date;
@@ -113,21 +187,23 @@ ${recentPrices.slice(-30).map((p, i) => {
 
 Provide a comprehensive technical analysis and prediction in JSON format:
 
-1. **PREDICTION SUMMARY:**
-   - Overall direction (UP/DOWN/NEUTRAL)
-   - Price target for 24h
-   - Confidence percentage (0-100)
-   - Risk level (LOW/MEDIUM/HIGH)
-   - Timeframe (24h)
+1. **PRICE PATH:**
+   - One entry for each horizon: ${horizons.join(', ')}
+   - For each horizon: direction (UP/DOWN/NEUTRAL), price target at the end of the horizon,
+     the ${INTERVAL_LEVEL * 100}% confidence interval (lower and upper bound) and confidence percentage (0-100)
+   - Intervals should widen with the horizon in line with the volatility
+   - Overall risk level (LOW/MEDIUM/HIGH)
 
 2. **DETAILED ANALYSIS:**
    - Write a comprehensive 3-4 paragraph analysis explaining:
      * Current market condition (contradictions, trends, patterns)
      * Relationship between current price and moving averages
-     * RSI interpretation and momentum analysis
+     * RSI, Stochastic and MACD interpretation and momentum analysis
+     * Position within the Bollinger Bands and ADX trend strength
      * Trend strength and potential reversals
      * Market sentiment and likely scenarios
-   - Be specific, technical, and professional
+${market ? `     * How the market regime and the correlation with the other assets shape the outlook
+` : ''}   - Be specific, technical, and professional
 
 3. **KEY FACTORS:**
    - List 3-5 key technical factors driving the prediction
@@ -138,15 +214,14 @@ Provide a comprehensive technical analysis and prediction in JSON format:
 - Be specific about moving average relationships
 - Analyze RSI in context of overbought/oversold conditions
 - Consider trend strength and potential reversals
-- Provide realistic price targets based on volatility
+- Provide realistic price targets based on volatility and the ATR
 
 **RESPONSE FORMAT (Strict JSON only):**
 {
-  "direction": "UP|DOWN|NEUTRAL",
-  "priceTarget": number,
-  "confidence": number (0-100),
+  "pricePath": [
+${horizons.map((horizon) => `    { "horizon": "${horizon}", "direction": "UP|DOWN|NEUTRAL", "priceTarget": number, "lower": number, "upper": number, "confidence": number (0-100) }`).join(',\n')}
+  ],
   "riskLevel": "LOW|MEDIUM|HIGH",
-  "timeframe": "24h",
   "analysis": "Detailed 3-4 paragraph technical analysis explaining current market conditions, moving average relationships, RSI interpretation, trend strength, and likely scenarios",
   "keyFactors": [
     "Detailed factor 1 explaining technical indicator relationship",
@@ -158,68 +233,122 @@ Provide a comprehensive technical analysis and prediction in JSON format:
   }
 
   /**
-   * Parse prediction from Gemini response
+   * Ask the model to correct a response that failed validation
+   * @param {string[]} errors - Validation errors
+   * @returns {string} Repair prompt
    */
-  parsePrediction(responseText, asset, currentPrice, indicators, priceChange24h) {
+  createRepairPrompt(errors) {
+    return `Your previous response was rejected because it failed validation:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Respond again with the complete prediction as a single JSON object that fixes these errors. Return only the JSON.`;
+  }
+
+  /**
+   * Parse and validate a prediction from a Gemini response
+   * @param {string} responseText - Response text
+   * @param {Object} schema - Prediction schema
+   * @param {string[]} horizons - Requested horizons
+   * @returns {Object} { parsed, errors } where errors is empty when the prediction is valid
+   */
+  parsePrediction(responseText, schema, horizons) {
+    // Structured output is plain JSON, but tolerate a fenced block
+    const jsonText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+
+    let parsed;
     try {
-      // Try to extract JSON from response
-      let jsonText = responseText;
-      jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-      
-      const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          const parsed = JSON.parse(jsonMatch[0]);
-          
-          // Enhance with technical indicators
-          return {
-            direction: parsed.direction || 'NEUTRAL',
-            priceTarget: parsed.priceTarget || currentPrice,
-            confidence: parsed.confidence || 65,
-            riskLevel: parsed.riskLevel || (indicators?.volatility > 20 ? 'HIGH' : indicators?.volatility > 10 ? 'MEDIUM' : 'LOW'),
-            timeframe: parsed.timeframe || '24h',
-            analysis: parsed.analysis || this.generateFallbackAnalysis(indicators, currentPrice, priceChange24h),
-            keyFactors: parsed.keyFactors || this.generateFallbackFactors(indicators, currentPrice),
-            technicalIndicators: {
-              sma7: indicators?.sma7,
-              sma30: indicators?.sma30,
-              ema12: indicators?.ema12,
-              rsi: indicators?.rsi,
-              volatility: indicators?.volatility,
-              trend: indicators?.trend,
-            },
-          };
-        } catch (parseError) {
-          console.warn('JSON parse error:', parseError);
-        }
-      }
-      
-      // Fallback if JSON parsing fails
-      return this.generateFallbackPrediction(currentPrice, indicators, priceChange24h);
+      parsed = JSON.parse(jsonText);
     } catch (error) {
-      console.error('Error parsing prediction:', error);
-      return this.generateFallbackPrediction(currentPrice, indicators, priceChange24h);
+      return { parsed: null, errors: [`response is not valid JSON: ${error.message}`] };
     }
+
+    const errors = validateAgainstSchema(parsed, schema);
+    return { parsed, errors: errors.length > 0 ? errors : validatePricePath(parsed.pricePath, horizons) };
   }
 
-  generateFallbackPrediction(currentPrice, indicators, priceChange24h) {
+  /**
+   * Turn a validated response into the headline prediction and the ordered price path
+   * @param {Object} parsed - Validated response
+   * @param {string[]} horizons - Requested horizons
+   * @param {Object} indicators - Technical indicators
+   * @returns {Object} { prediction, pricePath }
+   */
+  buildPrediction(parsed, horizons, indicators) {
+    const pricePath = horizons.map((horizon) => {
+      const { direction, priceTarget, lower, upper, confidence } = parsed.pricePath.find((entry) => entry.horizon === horizon);
+      return { horizon, direction, priceTarget, lower, upper, confidence };
+    });
+    const primary = pricePath.find((entry) => entry.horizon === getPrimaryHorizon(horizons));
+
+    return {
+      prediction: {
+        direction: primary.direction,
+        priceTarget: primary.priceTarget,
+        confidence: primary.confidence,
+        riskLevel: parsed.riskLevel,
+        timeframe: primary.horizon,
+        analysis: parsed.analysis,
+        keyFactors: parsed.keyFactors,
+        technicalIndicators: this.pickIndicators(indicators),
+      },
+      pricePath,
+    };
+  }
+
+  pickIndicators(indicators) {
+    return {
+      sma7: indicators?.sma7,
+      sma30: indicators?.sma30,
+      ema12: indicators?.ema12,
+      rsi: indicators?.rsi,
+      volatility: indicators?.volatility,
+      trend: indicators?.trend,
+      macd: indicators?.macd,
+      bollinger: indicators?.bollinger,
+      atr: indicators?.atr,
+      stochastic: indicators?.stochastic,
+      adx: indicators?.adx,
+      obv: indicators?.obv,
+      vwap: indicators?.vwap,
+    };
+  }
+
+  /**
+   * Heuristic prediction used when Gemini does not produce a valid one: RSI/trend direction,
+   * the last 24h change extrapolated per horizon and intervals from the daily volatility
+   */
+  generateFallbackPrediction(currentPrice, indicators, priceChange24h, horizons = ['24h']) {
     const rsi = indicators?.rsi || 50;
     const volatility = indicators?.volatility || 15;
     const trend = indicators?.trend;
+    const band = PREDICTION_CONFIG.PRICE_TARGET_BAND;
+    const dailyVolatility = volatility / 100 / Math.sqrt(365);
     
     let direction = 'NEUTRAL';
     if (rsi > 60 || (trend && trend.direction === 'uptrend')) direction = 'UP';
     else if (rsi < 40 || (trend && trend.direction === 'downtrend')) direction = 'DOWN';
+
+    const pricePath = horizons.map((horizon) => {
+      const days = horizonToMs(horizon) / horizonToMs('1d');
+      const change = Math.max(-band, Math.min(band, ((priceChange24h || 0) / 100) * days));
+      const priceTarget = currentPrice * (1 + change);
+      const spread = INTERVAL_Z * currentPrice * dailyVolatility * Math.sqrt(days);
+      return { horizon, direction, priceTarget, lower: priceTarget - spread, upper: priceTarget + spread, confidence: 65 };
+    });
+    const primary = pricePath.find((entry) => entry.horizon === getPrimaryHorizon(horizons));
     
     return {
-      direction,
-      priceTarget: currentPrice * (1 + (priceChange24h || 0) / 100),
-      confidence: 65,
-      riskLevel: volatility > 20 ? 'HIGH' : volatility > 10 ? 'MEDIUM' : 'LOW',
-      timeframe: '24h',
-      analysis: this.generateFallbackAnalysis(indicators, currentPrice, priceChange24h),
-      keyFactors: this.generateFallbackFactors(indicators, currentPrice),
-      technicalIndicators: indicators,
+      prediction: {
+        direction,
+        priceTarget: primary.priceTarget,
+        confidence: 65,
+        riskLevel: volatility > 20 ? 'HIGH' : volatility > 10 ? 'MEDIUM' : 'LOW',
+        timeframe: primary.horizon,
+        analysis: this.generateFallbackAnalysis(indicators, currentPrice, priceChange24h),
+        keyFactors: this.generateFallbackFactors(indicators, currentPrice),
+        technicalIndicators: indicators,
+      },
+      pricePath,
     };
   }
 
@@ -279,6 +408,15 @@ Provide a comprehensive technical analysis and prediction in JSON format:
       factors.push(`Trend direction is ${indicators.trend.direction} with ${indicators.trend.strength?.toFixed(2) || 0}% strength, ${indicators.trend.strength < 50 ? 'making it susceptible to counter-trend moves' : 'indicating strong directional bias'}.`);
     }
     
+    if (indicators?.macd) {
+      factors.push(`MACD histogram at ${indicators.macd.histogram.toFixed(4)} shows ${indicators.macd.histogram > 0 ? 'bullish' : 'bearish'} momentum, with MACD ${indicators.macd.macd > indicators.macd.signal ? 'above' : 'below'} its signal line.`);
+    }
+
+    if (indicators?.bollinger) {
+      const { percentB } = indicators.bollinger;
+      factors.push(`Price sits at ${(percentB * 100).toFixed(0)}% of the Bollinger Band range, ${percentB > 1 ? 'above the upper band' : percentB < 0 ? 'below the lower band' : percentB > 0.8 ? 'near the upper band' : percentB < 0.2 ? 'near the lower band' : 'inside the bands'}.`);
+    }
+
     if (indicators?.volatility) {
       factors.push(`Volatility at ${indicators.volatility.toFixed(2)}% suggests ${indicators.volatility > 20 ? 'high risk' : indicators.volatility > 10 ? 'moderate risk' : 'lower risk'} trading conditions.`);
     }
@@ -0,0 +1,433 @@
+/**
+ * Incremental Indicators
+ * Stateful indicator calculators that take one price or candle at a time and update in O(1),
+ * so a live feed does not recompute its whole history on every tick. They are also the reference
+ * implementations behind the batch series in technicalIndicators.js
+ *
+ * Every calculator's update() returns the indicator value after the new point, or null while it
+ * has seen fewer points than its first full period
+ */
+
+import { INDICATOR_CONFIG } from '../config/indicatorConfig.js';
+
+/**
+ * Simple moving average over a fixed window
+ */
+export class SMACalculator {
+  /**
+   * @param {number} period - Number of periods
+   */
+  constructor(period) {
+    this.period = period;
+    this.window = new Array(period);
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  /**
+   * @param {number} value - New value
+   * @returns {number|null} SMA
+   */
+  update(value) {
+    const slot = this.count % this.period;
+    if (this.count >= this.period) this.sum -= this.window[slot];
+    this.window[slot] = value;
+    this.sum += value;
+    this.count++;
+    return this.count >= this.period ? this.sum / this.period : null;
+  }
+}
+
+/**
+ * Exponential average seeded with the simple average of the first period, the convention of
+ * exchange charts. With the default multiplier 2 / (period + 1) this is the standard EMA;
+ * a multiplier of 1 / period gives Wilder's smoothing
+ */
+export class EMACalculator {
+  /**
+   * @param {number} period - Number of periods
+   * @param {number} [multiplier] - Weight of the newest value
+   */
+  constructor(period, multiplier = 2 / (period + 1)) {
+    this.period = period;
+    this.multiplier = multiplier;
+    this.count = 0;
+    this.seedSum = 0;
+    this.value = null;
+  }
+
+  /**
+   * @param {number} value - New value
+   * @returns {number|null} EMA
+   */
+  update(value) {
+    this.count++;
+    if (this.count < this.period) {
+      this.seedSum += value;
+    } else if (this.count === this.period) {
+      this.value = (this.seedSum + value) / this.period;
+    } else {
+      this.value = value * this.multiplier + this.value * (1 - this.multiplier);
+    }
+    return this.value;
+  }
+}
+
+/**
+ * Wilder's smoothing: an EMA with multiplier 1 / period
+ */
+export class WilderCalculator extends EMACalculator {
+  /**
+   * @param {number} period - Number of periods
+   */
+  constructor(period) {
+    super(period, 1 / period);
+  }
+}
+
+/**
+ * Relative Strength Index with Wilder's smoothing of the average gain and loss
+ */
+export class RSICalculator {
+  /**
+   * @param {number} period - Number of periods (default 14)
+   */
+  constructor(period = 14) {
+    this.previous = null;
+    this.gains = new WilderCalculator(period);
+    this.losses = new WilderCalculator(period);
+  }
+
+  /**
+   * @param {number} price - New price
+   * @returns {number|null} RSI (0-100)
+   */
+  update(price) {
+    const previous = this.previous;
+    this.previous = price;
+    if (previous === null) return null;
+
+    const change = price - previous;
+    const gain = this.gains.update(Math.max(0, change));
+    const loss = this.losses.update(Math.max(0, -change));
+    if (gain === null) return null;
+    if (loss === 0) return 100;
+    return 100 - 100 / (1 + gain / loss);
+  }
+}
+
+/**
+ * MACD line (fast EMA - slow EMA), its signal line and histogram
+ */
+export class MACDCalculator {
+  /**
+   * @param {number} fastPeriod - Fast EMA period
+   * @param {number} slowPeriod - Slow EMA period
+   * @param {number} signalPeriod - Signal line EMA period
+   */
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    this.fast = new EMACalculator(fastPeriod);
+    this.slow = new EMACalculator(slowPeriod);
+    this.signal = new EMACalculator(signalPeriod);
+  }
+
+  /**
+   * @param {number} price - New price
+   * @returns {Object} { macd, signal, histogram }, each null until it has a full period
+   */
+  update(price) {
+    const fast = this.fast.update(price);
+    const slow = this.slow.update(price);
+    if (slow === null) return { macd: null, signal: null, histogram: null };
+
+    const macd = fast - slow;
+    const signal = this.signal.update(macd);
+    return { macd, signal, histogram: signal === null ? null : macd - signal };
+  }
+}
+
+/**
+ * Bollinger Bands from a running sum and sum of squares over the window
+ */
+export class BollingerCalculator {
+  /**
+   * @param {number} period - Number of periods
+   * @param {number} stdDevs - Band width in standard deviations
+   */
+  constructor(period = 20, stdDevs = 2) {
+    this.period = period;
+    this.stdDevs = stdDevs;
+    this.window = new Array(period);
+    this.count = 0;
+    this.sum = 0;
+    this.sumSquares = 0;
+  }
+
+  /**
+   * @param {number} price - New price
+   * @returns {Object|null} { upper, middle, lower, bandwidth (% of middle), percentB (0 = lower, 1 = upper) }
+   */
+  update(price) {
+    const slot = this.count % this.period;
+    if (this.count >= this.period) {
+      this.sum -= this.window[slot];
+      this.sumSquares -= this.window[slot] ** 2;
+    }
+    this.window[slot] = price;
+    this.sum += price;
+    this.sumSquares += price ** 2;
+    this.count++;
+    if (this.count < this.period) return null;
+
+    const middle = this.sum / this.period;
+    // Rounding in the running sums can leave a tiny negative variance for a flat window
+    const stdDev = Math.sqrt(Math.max(0, this.sumSquares / this.period - middle ** 2));
+    const upper = middle + this.stdDevs * stdDev;
+    const lower = middle - this.stdDevs * stdDev;
+
+    return {
+      upper,
+      middle,
+      lower,
+      bandwidth: middle > 0 ? ((upper - lower) / middle) * 100 : null,
+      percentB: upper > lower ? (price - lower) / (upper - lower) : 0.5,
+    };
+  }
+}
+
+/**
+ * Average True Range with Wilder's smoothing
+ */
+export class ATRCalculator {
+  /**
+   * @param {number} period - Number of periods (default 14)
+   */
+  constructor(period = 14) {
+    this.previousClose = null;
+    this.average = new WilderCalculator(period);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {number|null} ATR in price units
+   */
+  update({ high, low, close }) {
+    const previousClose = this.previousClose;
+    this.previousClose = close;
+    if (previousClose === null) return null;
+
+    return this.average.update(Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose)));
+  }
+}
+
+/**
+ * Extreme of a sliding window, kept in a monotonic queue so each update is amortized O(1)
+ */
+class SlidingExtreme {
+  /**
+   * @param {number} period - Window length
+   * @param {Function} keeps - keeps(a, b) is true when a should stay in front of a newer b
+   */
+  constructor(period, keeps) {
+    this.period = period;
+    this.keeps = keeps;
+    this.queue = [];
+    this.head = 0;
+    this.count = 0;
+  }
+
+  /**
+   * @param {number} value - New value
+   * @returns {number} Extreme of the last period values
+   */
+  update(value) {
+    const index = this.count++;
+    while (this.queue.length > this.head && !this.keeps(this.queue[this.queue.length - 1].value, value)) {
+      this.queue.pop();
+    }
+    this.queue.push({ index, value });
+    while (this.queue[this.head].index <= index - this.period) this.head++;
+
+    // Drop the consumed front once it dominates the queue, keeping memory bounded
+    if (this.head > this.period) {
+      this.queue = this.queue.slice(this.head);
+      this.head = 0;
+    }
+    return this.queue[this.head].value;
+  }
+}
+
+/**
+ * Stochastic oscillator: %K places the close within the high-low range of the lookback,
+ * %D is the simple average of the last %K values
+ */
+export class StochasticCalculator {
+  /**
+   * @param {number} kPeriod - %K lookback
+   * @param {number} dPeriod - %D smoothing
+   */
+  constructor(kPeriod = 14, dPeriod = 3) {
+    this.kPeriod = kPeriod;
+    this.count = 0;
+    this.highest = new SlidingExtreme(kPeriod, (a, b) => a > b);
+    this.lowest = new SlidingExtreme(kPeriod, (a, b) => a < b);
+    this.d = new SMACalculator(dPeriod);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {Object} { k, d } (0-100), each null until it has a full period
+   */
+  update({ high, low, close }) {
+    const highest = this.highest.update(high);
+    const lowest = this.lowest.update(low);
+    if (++this.count < this.kPeriod) return { k: null, d: null };
+
+    // A flat window has no range to place the close in
+    const k = highest > lowest ? ((close - lowest) / (highest - lowest)) * 100 : 50;
+    return { k, d: this.d.update(k) };
+  }
+}
+
+/**
+ * Average Directional Index with the +DI/-DI directional indicators, all Wilder-smoothed
+ */
+export class ADXCalculator {
+  /**
+   * @param {number} period - Number of periods (default 14)
+   */
+  constructor(period = 14) {
+    this.previous = null;
+    this.trueRange = new WilderCalculator(period);
+    this.plusDM = new WilderCalculator(period);
+    this.minusDM = new WilderCalculator(period);
+    this.adx = new WilderCalculator(period);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {Object} { adx, plusDI, minusDI } (0-100), each null until it has a full period
+   */
+  update({ high, low, close }) {
+    const previous = this.previous;
+    this.previous = { high, low, close };
+    if (previous === null) return { adx: null, plusDI: null, minusDI: null };
+
+    const up = high - previous.high;
+    const down = previous.low - low;
+    const trueRange = this.trueRange.update(Math.max(high - low, Math.abs(high - previous.close), Math.abs(low - previous.close)));
+    const plus = this.plusDM.update(up > down && up > 0 ? up : 0);
+    const minus = this.minusDM.update(down > up && down > 0 ? down : 0);
+    if (trueRange === null) return { adx: null, plusDI: null, minusDI: null };
+
+    const plusDI = trueRange > 0 ? (plus / trueRange) * 100 : 0;
+    const minusDI = trueRange > 0 ? (minus / trueRange) * 100 : 0;
+    const sum = plusDI + minusDI;
+    const adx = this.adx.update(sum > 0 ? (Math.abs(plusDI - minusDI) / sum) * 100 : 0);
+
+    return { adx, plusDI, minusDI };
+  }
+}
+
+/**
+ * On-Balance Volume; candles without volume leave it unchanged
+ */
+export class OBVCalculator {
+  constructor() {
+    this.previousClose = null;
+    this.value = 0;
+  }
+
+  /**
+   * @param {Object} candle - { close, volume }
+   * @returns {number} OBV
+   */
+  update({ close, volume }) {
+    if (this.previousClose !== null && Number.isFinite(volume)) {
+      if (close > this.previousClose) this.value += volume;
+      else if (close < this.previousClose) this.value -= volume;
+    }
+    this.previousClose = close;
+    return this.value;
+  }
+}
+
+/**
+ * Volume-Weighted Average Price anchored at the first candle
+ */
+export class VWAPCalculator {
+  constructor() {
+    this.weighted = 0;
+    this.volume = 0;
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close, volume }
+   * @returns {number|null} VWAP, or null until a candle with volume has been seen
+   */
+  update({ high, low, close, volume }) {
+    if (Number.isFinite(volume)) {
+      this.weighted += ((high + low + close) / 3) * volume;
+      this.volume += volume;
+    }
+    return this.volume > 0 ? this.weighted / this.volume : null;
+  }
+}
+
+/**
+ * The full indicator set returned with predictions, kept up to date one candle at a time
+ */
+export class IndicatorSet {
+  constructor() {
+    this.count = 0;
+    this.hasVolume = false;
+    this.latest = null;
+    this.calculators = {
+      sma7: new SMACalculator(7),
+      sma30: new SMACalculator(30),
+      ema12: new EMACalculator(12),
+      rsi: new RSICalculator(INDICATOR_CONFIG.RSI_PERIOD),
+      macd: new MACDCalculator(INDICATOR_CONFIG.MACD.FAST, INDICATOR_CONFIG.MACD.SLOW, INDICATOR_CONFIG.MACD.SIGNAL),
+      bollinger: new BollingerCalculator(INDICATOR_CONFIG.BOLLINGER.PERIOD, INDICATOR_CONFIG.BOLLINGER.STD_DEV),
+      atr: new ATRCalculator(INDICATOR_CONFIG.ATR_PERIOD),
+      stochastic: new StochasticCalculator(INDICATOR_CONFIG.STOCHASTIC.K_PERIOD, INDICATOR_CONFIG.STOCHASTIC.D_PERIOD),
+      adx: new ADXCalculator(INDICATOR_CONFIG.ADX_PERIOD),
+      obv: new OBVCalculator(),
+      vwap: new VWAPCalculator(),
+    };
+  }
+
+  /**
+   * Add a candle, or a single price sample as a flat candle
+   * @param {Object} point - { price } or { high, low, close, volume }
+   * @returns {Object} Indicator values after the new point
+   */
+  update(point) {
+    const close = point.close ?? point.price;
+    const candle = { high: point.high ?? close, low: point.low ?? close, close, volume: point.volume ?? null };
+    this.count++;
+    this.hasVolume ||= Number.isFinite(candle.volume);
+
+    const { sma7, sma30, ema12, rsi, macd, bollinger, atr, stochastic, adx, obv, vwap } = this.calculators;
+    const macdValue = macd.update(close);
+    const stochasticValue = stochastic.update(candle);
+    const adxValue = adx.update(candle);
+    const obvValue = obv.update(candle);
+
+    this.latest = {
+      sma7: sma7.update(close),
+      sma30: sma30.update(close),
+      ema12: ema12.update(close),
+      rsi: rsi.update(close),
+      macd: macdValue.histogram === null ? null : macdValue,
+      bollinger: bollinger.update(close),
+      atr: atr.update(candle),
+      stochastic: stochasticValue.d === null ? null : stochasticValue,
+      adx: adxValue.adx === null ? null : adxValue,
+      obv: this.hasVolume && this.count > 1 ? obvValue : null,
+      vwap: vwap.update(candle),
+      currentPrice: close,
+    };
+    return this.latest;
+  }
+}
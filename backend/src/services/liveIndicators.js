@@ -0,0 +1,80 @@
+/**
+ * Live Indicators
+ * Keeps an incremental indicator set per asset that follows the FTSO ticks recorded by the
+ * history indexer. An asset is warmed up from stored ticks the first time it is asked for and
+ * from then on every new tick is an O(1) update
+ */
+
+import { INDICATOR_CONFIG } from '../config/indicatorConfig.js';
+import { IndicatorSet } from './incrementalIndicators.js';
+import storage from '../storage/index.js';
+
+const WARMUP_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+class LiveIndicators {
+  constructor() {
+    this.trackers = new Map();
+  }
+
+  /**
+   * Get the tracker of an asset, warming it up from stored ticks on first use
+   * @param {string} asset - Asset symbol
+   * @returns {Object} { set, lastTimestamp, ticks }
+   */
+  track(asset) {
+    const symbol = asset.toUpperCase();
+    if (!this.trackers.has(symbol)) {
+      const now = Date.now();
+      const ticks = storage.getPriceTicks(symbol, now - WARMUP_RANGE_MS, now, 'ftso').slice(-INDICATOR_CONFIG.LIVE_WARMUP_TICKS);
+      const tracker = { set: new IndicatorSet(), lastTimestamp: 0, ticks: 0 };
+      this.trackers.set(symbol, tracker);
+      this.apply(tracker, ticks);
+    }
+    return this.trackers.get(symbol);
+  }
+
+  /**
+   * Feed newly recorded ticks to the assets being tracked
+   * @param {Object[]} ticks - Ticks with asset, timestamp and price
+   */
+  push(ticks) {
+    for (const tick of ticks) {
+      const tracker = this.trackers.get(tick.asset.toUpperCase());
+      if (tracker) this.apply(tracker, [tick]);
+    }
+  }
+
+  /**
+   * Update a tracker with ticks newer than the last one it has seen
+   * A feed that has not moved on keeps its timestamp, so re-read values are skipped
+   * @param {Object} tracker - Asset tracker
+   * @param {Object[]} ticks - Ticks ordered by timestamp
+   */
+  apply(tracker, ticks) {
+    for (const tick of ticks) {
+      if (tick.timestamp <= tracker.lastTimestamp || !(tick.price > 0)) continue;
+      tracker.set.update({ price: tick.price });
+      tracker.lastTimestamp = tick.timestamp;
+      tracker.ticks++;
+    }
+  }
+
+  /**
+   * Latest indicator values of an asset
+   * @param {string} asset - Asset symbol
+   * @returns {Object|null} { asset, timestamp, ticks, indicators }, or null before any tick is recorded
+   */
+  getSnapshot(asset) {
+    const tracker = this.track(asset);
+    if (tracker.ticks === 0) return null;
+
+    return {
+      asset: asset.toUpperCase(),
+      timestamp: tracker.lastTimestamp,
+      ticks: tracker.ticks,
+      indicators: tracker.set.latest,
+    };
+  }
+}
+
+export default new LiveIndicators();
@@ -0,0 +1,310 @@
+/**
+ * Market Analytics
+ * Cross-asset analytics over the FTSO candles in the historical store: return correlations (over the whole
+ * range and rolling), beta and relative strength against a benchmark asset, and a market-regime classifier
+ */
+
+import { ANALYTICS_CONFIG } from '../config/analyticsConfig.js';
+import candleService from './candleService.js';
+import technicalIndicators from './technicalIndicators.js';
+import assetRegistry from './assetRegistry.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 365;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Population covariance of two equally long series
+ * @param {number[]} xs - First series
+ * @param {number[]} ys - Second series
+ * @returns {number} Covariance
+ */
+const covariance = (xs, ys) => {
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  return xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / xs.length;
+};
+
+/**
+ * Pearson correlation of two equally long series
+ * @param {number[]} xs - First series
+ * @param {number[]} ys - Second series
+ * @returns {number|null} Correlation (-1 to 1), or null with fewer than two points or a flat series
+ */
+const correlation = (xs, ys) => {
+  if (xs.length < 2) return null;
+  const denominator = Math.sqrt(covariance(xs, xs) * covariance(ys, ys));
+  return denominator > 0 ? covariance(xs, ys) / denominator : null;
+};
+
+/**
+ * Simple returns of consecutive candles, keyed by the later candle's timestamp
+ * A candle after an interval without samples has no return, so a gap does not pass for a one-interval move
+ * @param {Object[]} candles - Candles sorted by timestamp
+ * @param {number} intervalMs - Candle interval
+ * @returns {Map<number, number>} Returns by timestamp
+ */
+const toReturns = (candles, intervalMs) => {
+  const returns = new Map();
+  for (let i = 1; i < candles.length; i++) {
+    if (candles[i].timestamp - candles[i - 1].timestamp === intervalMs && candles[i - 1].close > 0) {
+      returns.set(candles[i].timestamp, candles[i].close / candles[i - 1].close - 1);
+    }
+  }
+  return returns;
+};
+
+/**
+ * Line two return series up on the timestamps they share
+ * @param {Map<number, number>} a - First returns
+ * @param {Map<number, number>} b - Second returns
+ * @returns {Object} { timestamps, xs, ys }
+ */
+const alignReturns = (a, b) => {
+  const timestamps = [...a.keys()].filter((timestamp) => b.has(timestamp)).sort((x, y) => x - y);
+  return {
+    timestamps,
+    xs: timestamps.map((timestamp) => a.get(timestamp)),
+    ys: timestamps.map((timestamp) => b.get(timestamp)),
+  };
+};
+
+/**
+ * Last close of each UTC day, the daily series calculateVolatility annualizes
+ * @param {Object[]} candles - Candles sorted by timestamp
+ * @returns {number[]} Daily closes
+ */
+const toDailyCloses = (candles) => {
+  const daily = new Map();
+  candles.forEach((candle) => daily.set(Math.floor(candle.timestamp / DAY_MS), candle.close));
+  return [...daily.values()];
+};
+
+class MarketAnalytics {
+  constructor() {
+    this.context = null;
+  }
+
+  /**
+   * Classify the market regime of a daily close series
+   * 'high-volatility' when the annualized volatility exceeds REGIME.HIGH_VOLATILITY, otherwise 'trending'
+   * for an up- or downtrend of at least REGIME.TREND_STRENGTH, otherwise 'ranging'; 'unknown' under 10 days
+   * @param {number[]} closes - Daily closes
+   * @returns {Object} { regime, volatility, trend: { direction, strength, priceChange }, days }
+   */
+  classifyRegime(closes) {
+    const volatility = technicalIndicators.calculateVolatility(closes);
+    const trend = technicalIndicators.calculateTrend(closes);
+
+    let regime = 'ranging';
+    if (closes.length < 10) {
+      regime = 'unknown';
+    } else if (volatility > ANALYTICS_CONFIG.REGIME.HIGH_VOLATILITY) {
+      regime = 'high-volatility';
+    } else if (trend.direction !== 'neutral' && trend.strength >= ANALYTICS_CONFIG.REGIME.TREND_STRENGTH) {
+      regime = 'trending';
+    }
+
+    return { regime, volatility, trend, days: closes.length };
+  }
+
+  /**
+   * Correlation, beta, relative strength and regime of every tracked asset
+   * @param {Object} [options] - { interval, days, window (returns per rolling correlation), benchmark }
+   * @returns {Promise<Object>} { interval, from, to, days, window, benchmark, assets, matrix, pairs, metrics, market }
+   * @throws {Error} With status 400 for invalid options
+   */
+  async getCorrelationReport({
+    interval = ANALYTICS_CONFIG.INTERVAL,
+    days = ANALYTICS_CONFIG.LOOKBACK_DAYS,
+    window = ANALYTICS_CONFIG.WINDOW,
+    benchmark = ANALYTICS_CONFIG.BENCHMARK,
+  } = {}) {
+    const intervalMs = candleService.getIntervalMs(interval);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      throw invalid(`days must be an integer between 1 and ${MAX_DAYS}`);
+    }
+    if (!Number.isInteger(window) || window < 2) {
+      throw invalid('window must be an integer of at least 2');
+    }
+    const benchmarkSymbol = String(benchmark).toUpperCase();
+    if (!assetRegistry.isTracked(benchmarkSymbol)) {
+      throw invalid(`Benchmark is not a tracked asset: ${benchmarkSymbol}`);
+    }
+
+    const to = Date.now();
+    const from = to - days * DAY_MS;
+    const assets = assetRegistry.getTrackedSymbols();
+    const series = await Promise.all(assets.map((asset) => candleService.getCandles(asset, {
+      interval, from, to, source: 'ftso', gaps: 'skip',
+    })));
+
+    const candles = Object.fromEntries(assets.map((asset, i) => [asset, series[i].candles]));
+    const returns = Object.fromEntries(assets.map((asset) => [asset, toReturns(candles[asset], intervalMs)]));
+
+    const matrix = Object.fromEntries(assets.map((asset) => [asset, { [asset]: 1 }]));
+    const pairs = [];
+    for (let i = 0; i < assets.length; i++) {
+      for (let j = i + 1; j < assets.length; j++) {
+        const pair = this.correlatePair(returns[assets[i]], returns[assets[j]], window);
+        matrix[assets[i]][assets[j]] = pair.correlation;
+        matrix[assets[j]][assets[i]] = pair.correlation;
+        pairs.push({ assets: [assets[i], assets[j]], ...pair });
+      }
+    }
+
+    const metrics = Object.fromEntries(assets.map((asset) => [asset, {
+      candles: candles[asset].length,
+      returns: returns[asset].size,
+      ...this.compareToBenchmark(candles[asset], returns[asset], candles[benchmarkSymbol], returns[benchmarkSymbol]),
+      ...this.classifyRegime(toDailyCloses(candles[asset])),
+    }]));
+
+    // Rank by relative strength, strongest first
+    assets
+      .filter((asset) => metrics[asset].relativeStrength !== null)
+      .sort((a, b) => metrics[b].relativeStrength - metrics[a].relativeStrength)
+      .forEach((asset, index) => {
+        metrics[asset].relativeStrengthRank = index + 1;
+      });
+
+    return {
+      interval,
+      from,
+      to,
+      days,
+      window,
+      benchmark: benchmarkSymbol,
+      assets,
+      matrix,
+      pairs,
+      metrics,
+      market: this.summarizeMarket(metrics, pairs, benchmarkSymbol),
+    };
+  }
+
+  /**
+   * Correlate two assets' returns over the timestamps they share, overall and over a rolling window
+   * @param {Map<number, number>} a - First returns
+   * @param {Map<number, number>} b - Second returns
+   * @param {number} window - Returns per rolling window
+   * @returns {Object} { correlation, returns, rolling: { timestamps, values } }, the rolling values at the
+   *   last return of each full window
+   */
+  correlatePair(a, b, window) {
+    const { timestamps, xs, ys } = alignReturns(a, b);
+    const rolling = { timestamps: [], values: [] };
+
+    for (let end = window; end <= timestamps.length; end++) {
+      rolling.timestamps.push(timestamps[end - 1]);
+      rolling.values.push(correlation(xs.slice(end - window, end), ys.slice(end - window, end)));
+    }
+
+    return { correlation: correlation(xs, ys), returns: timestamps.length, rolling };
+  }
+
+  /**
+   * Beta, correlation and relative strength of an asset against the benchmark
+   * Relative strength is the asset's growth over the benchmark's, (1 + asset return) / (1 + benchmark return),
+   * between the first and last candles both have
+   * @param {Object[]} candles - Asset candles
+   * @param {Map<number, number>} returns - Asset returns
+   * @param {Object[]} benchmarkCandles - Benchmark candles
+   * @param {Map<number, number>} benchmarkReturns - Benchmark returns
+   * @returns {Object} { beta, correlationToBenchmark, totalReturn (%), benchmarkReturn (%), relativeStrength, outperformance (% points) }
+   */
+  compareToBenchmark(candles, returns, benchmarkCandles, benchmarkReturns) {
+    const { xs, ys } = alignReturns(returns, benchmarkReturns);
+    const benchmarkVariance = ys.length >= 2 ? covariance(ys, ys) : 0;
+
+    const benchmarkCloses = new Map(benchmarkCandles.map((candle) => [candle.timestamp, candle.close]));
+    const shared = candles.filter((candle) => benchmarkCloses.has(candle.timestamp));
+    let totalReturn = null;
+    let benchmarkReturn = null;
+    let relativeStrength = null;
+
+    if (shared.length >= 2) {
+      const first = shared[0];
+      const last = shared[shared.length - 1];
+      totalReturn = (last.close / first.close - 1) * 100;
+      benchmarkReturn = (benchmarkCloses.get(last.timestamp) / benchmarkCloses.get(first.timestamp) - 1) * 100;
+      relativeStrength = (1 + totalReturn / 100) / (1 + benchmarkReturn / 100);
+    }
+
+    return {
+      beta: benchmarkVariance > 0 ? covariance(xs, ys) / benchmarkVariance : null,
+      correlationToBenchmark: correlation(xs, ys),
+      totalReturn,
+      benchmarkReturn,
+      relativeStrength,
+      outperformance: totalReturn === null ? null : totalReturn - benchmarkReturn,
+    };
+  }
+
+  /**
+   * Market-wide view: the regime most assets are in (the benchmark's on a tie) and how tightly they move together
+   * @param {Object} metrics - Metrics by asset
+   * @param {Object[]} pairs - Pair correlations
+   * @param {string} benchmark - Benchmark symbol
+   * @returns {Object} { regime, regimes (asset count per regime), averageCorrelation }
+   */
+  summarizeMarket(metrics, pairs, benchmark) {
+    const regimes = {};
+    Object.values(metrics).forEach(({ regime }) => {
+      regimes[regime] = (regimes[regime] || 0) + 1;
+    });
+    const benchmarkRegime = metrics[benchmark].regime;
+    const classified = Object.entries(regimes)
+      .filter(([regime]) => regime !== 'unknown')
+      .sort((a, b) => b[1] - a[1] || (b[0] === benchmarkRegime) - (a[0] === benchmarkRegime));
+    const correlations = pairs.map((pair) => pair.correlation).filter((value) => value !== null);
+
+    return {
+      regime: classified.length > 0 ? classified[0][0] : 'unknown',
+      regimes,
+      averageCorrelation: correlations.length > 0 ? mean(correlations) : null,
+    };
+  }
+
+  /**
+   * Market context of an asset for predictions, from a report over the default options
+   * that is reused for CONTEXT_TTL
+   * @param {string} asset - Asset symbol
+   * @returns {Promise<Object|null>} { benchmark, regime, volatility, trend, beta, correlationToBenchmark,
+   *   relativeStrength, outperformance, correlations, market }, or null for an untracked asset
+   */
+  async getMarketContext(asset) {
+    if (!this.context || Date.now() - this.context.computedAt > ANALYTICS_CONFIG.CONTEXT_TTL) {
+      this.context = { report: await this.getCorrelationReport(), computedAt: Date.now() };
+    }
+
+    const { report } = this.context;
+    const symbol = asset.toUpperCase();
+    const metrics = report.metrics[symbol];
+    if (!metrics) return null;
+
+    return {
+      benchmark: report.benchmark,
+      interval: report.interval,
+      days: report.days,
+      regime: metrics.regime,
+      volatility: metrics.volatility,
+      trend: metrics.trend,
+      beta: metrics.beta,
+      correlationToBenchmark: metrics.correlationToBenchmark,
+      relativeStrength: metrics.relativeStrength,
+      outperformance: metrics.outperformance,
+      correlations: Object.fromEntries(Object.entries(report.matrix[symbol]).filter(([other]) => other !== symbol)),
+      market: report.market,
+    };
+  }
+}
+
+export default new MarketAnalytics();
@@ -0,0 +1,321 @@
+/**
+ * Prediction Ledger
+ * Records every live prediction, resolves it against the FTSO price at the end of its timeframe,
+ * and scores the resolved predictions into a track record
+ */
+
+import cron from 'node-cron';
+import storage from '../storage/index.js';
+import { PREDICTION_CONFIG } from '../config/predictionConfig.js';
+import ftsoService from './ftsoService.js';
+import backtestingService from './backtestingService.js';
+import calibrationService from './calibrationService.js';
+
+const TIMEFRAME_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+const BUCKET_SIZES = {
+  day: TIMEFRAME_UNITS.d,
+  week: TIMEFRAME_UNITS.w,
+};
+
+// Predictions read per query when building a track record
+const PAGE_SIZE = 1000;
+
+class PredictionLedger {
+  constructor() {
+    this.task = null;
+    this.resolving = false;
+  }
+
+  /**
+   * Start the resolution scheduler (runs every minute)
+   */
+  start() {
+    if (this.task) return;
+    this.task = cron.schedule('* * * * *', () => this.resolveDuePredictions());
+    console.log('✅ Prediction ledger scheduler started');
+  }
+
+  /**
+   * Stop the resolution scheduler
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Parse a timeframe such as '24h', '7d' or '30m' into milliseconds
+   * @param {string} timeframe - Timeframe string
+   * @returns {number|null} Duration in milliseconds
+   */
+  parseTimeframe(timeframe) {
+    const match = /^(\d+)\s*([mhdw])$/i.exec(String(timeframe || '').trim());
+    if (!match) return null;
+    return parseInt(match[1], 10) * TIMEFRAME_UNITS[match[2].toLowerCase()];
+  }
+
+  /**
+   * Record a generated prediction as pending
+   * @param {string} asset - Asset symbol
+   * @param {Object} predictionResult - Result from a prediction provider
+   * @param {string} [model] - Model that produced the prediction (defaults to predictionResult.model)
+   * @returns {number} Stored prediction ID
+   */
+  record(asset, predictionResult, model = predictionResult.model || 'gemini') {
+    const { prediction = {} } = predictionResult;
+    const createdAt = predictionResult.timestamp || Date.now();
+    const timeframe = prediction.timeframe || '24h';
+    const duration = this.parseTimeframe(timeframe);
+
+    return storage.savePrediction({
+      asset,
+      model,
+      createdAt,
+      currentPrice: predictionResult.currentPrice,
+      direction: prediction.direction,
+      priceTarget: prediction.priceTarget,
+      confidence: prediction.confidence,
+      timeframe,
+      resolveAt: duration ? createdAt + duration : null,
+      payload: {
+        prediction,
+        source: predictionResult.source,
+        technicalIndicators: predictionResult.technicalIndicators,
+        priceChange24h: predictionResult.priceChange24h,
+        dataPointsUsed: predictionResult.dataPointsUsed,
+      },
+    });
+  }
+
+  /**
+   * Record every horizon of a prediction's price path as its own pending prediction,
+   * so each one is resolved when its own horizon elapses
+   * @param {string} asset - Asset symbol
+   * @param {Object} predictionResult - Result from a prediction provider
+   * @param {string} [model] - Model that produced the prediction
+   * @returns {Object} Stored prediction ID per horizon
+   */
+  recordPricePath(asset, predictionResult, model = predictionResult.model || 'gemini') {
+    const { prediction = {}, pricePath } = predictionResult;
+    if (!pricePath?.length) {
+      return { [prediction.timeframe || '24h']: this.record(asset, predictionResult, model) };
+    }
+
+    return Object.fromEntries(pricePath.map(({ horizon, ...entry }) => [
+      horizon,
+      this.record(asset, { ...predictionResult, prediction: { ...prediction, ...entry, timeframe: horizon } }, model),
+    ]));
+  }
+
+  /**
+   * Find the FTSO price closest to a moment, within RESOLUTION_GRACE of it
+   * Stored ticks from the history indexer come first; the live value is used when it is close enough
+   * @param {string} asset - Asset symbol
+   * @param {number} time - Unix ms
+   * @param {Object} livePrices - Live prices fetched so far this run, by asset
+   * @returns {Promise<Object|null>} { timestamp (Unix ms), price }, or null when no price is close enough
+   */
+  async findPriceAt(asset, time, livePrices) {
+    const grace = PREDICTION_CONFIG.RESOLUTION_GRACE;
+    const ticks = storage.getPriceTicks(asset, time - grace, time + grace, 'ftso');
+    if (ticks.length > 0) {
+      return ticks.reduce((nearest, tick) => (
+        Math.abs(tick.timestamp - time) < Math.abs(nearest.timestamp - time) ? tick : nearest
+      ));
+    }
+
+    if (!livePrices[asset]) {
+      livePrices[asset] = await ftsoService.getLivePrice(ftsoService.getFeedIdFromAsset(asset));
+    }
+    const live = livePrices[asset];
+    return Math.abs(live.timestamp * 1000 - time) <= grace
+      ? { timestamp: live.timestamp * 1000, price: live.price }
+      : null;
+  }
+
+  /**
+   * Resolve every pending prediction whose timeframe has elapsed against the FTSO price closest to its
+   * resolution time. A prediction with no price within RESOLUTION_GRACE of that time stays pending until
+   * the grace has passed, then becomes unresolvable, so one resolved late (after downtime) is not scored
+   * against a later price
+   * @returns {Promise<number>} Number of predictions resolved
+   */
+  async resolveDuePredictions() {
+    if (this.resolving) return 0;
+    this.resolving = true;
+
+    try {
+      const now = Date.now();
+      const due = storage.listDuePredictions(now);
+      if (due.length === 0) return 0;
+
+      const livePrices = {};
+      let resolved = 0;
+
+      for (const prediction of due) {
+        try {
+          if (!ftsoService.getFeedIdFromAsset(prediction.asset)) {
+            storage.resolvePrediction(prediction.id, { status: 'unresolvable' });
+            continue;
+          }
+
+          const price = await this.findPriceAt(prediction.asset, prediction.resolveAt, livePrices);
+          if (!price) {
+            if (now > prediction.resolveAt + PREDICTION_CONFIG.RESOLUTION_GRACE) {
+              storage.resolvePrediction(prediction.id, { status: 'unresolvable' });
+            }
+            continue;
+          }
+
+          storage.resolvePrediction(prediction.id, {
+            resolvedAt: price.timestamp,
+            actualPrice: price.price,
+          });
+          resolved++;
+        } catch (error) {
+          console.error(`Error resolving prediction ${prediction.id}:`, error.message);
+        }
+      }
+
+      if (resolved > 0) {
+        console.log(`📒 Resolved ${resolved} prediction(s) against FTSO prices`);
+      }
+      return resolved;
+    } finally {
+      this.resolving = false;
+    }
+  }
+
+  /**
+   * Score a single resolved prediction using the backtesting metric math
+   * @param {Object} prediction - Resolved prediction
+   * @returns {Object} Prediction with metrics
+   */
+  scorePrediction(prediction) {
+    return {
+      ...prediction,
+      metrics: backtestingService.calculateMetrics(
+        [prediction.priceTarget],
+        [prediction.actualPrice],
+        prediction.currentPrice
+      ),
+    };
+  }
+
+  /**
+   * List every stored prediction matching a filter, a page at a time so none are cut off
+   * @param {Object} filter - listPredictions filter without limit and offset
+   * @returns {Object[]} Predictions, oldest first
+   */
+  listAllPredictions(filter) {
+    const byId = new Map();
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = storage.listPredictions({ ...filter, limit: PAGE_SIZE, offset });
+      // Predictions saved while paging shift later pages; the map drops the repeats
+      for (const prediction of page) byId.set(prediction.id, prediction);
+      if (page.length < PAGE_SIZE) break;
+    }
+    return [...byId.values()].sort((a, b) => a.createdAt - b.createdAt || a.id - b.id);
+  }
+
+  /**
+   * Build the live track record for an asset, one per timeframe, since each horizon of a price path is
+   * stored as its own prediction and errors over 1h and 30d are not comparable
+   * Heuristic fallback predictions (the model gave no valid answer) are scored separately under `fallback`
+   * @param {string} asset - Asset symbol
+   * @param {Object} [options] - { from, to, bucket: 'day' | 'week', model, timeframe }
+   * @returns {Object} { asset, model, timeframes } with hit rate, MAPE and calibration, overall and over
+   *   time, per timeframe from shortest to longest
+   */
+  getTrackRecord(asset, { from, to, bucket = 'day', model, timeframe } = {}) {
+    const byTimeframe = new Map();
+    for (const prediction of this.listAllPredictions({ asset, model, timeframe, from, to })) {
+      if (!byTimeframe.has(prediction.timeframe)) byTimeframe.set(prediction.timeframe, []);
+      byTimeframe.get(prediction.timeframe).push(prediction);
+    }
+
+    return {
+      asset: asset.toUpperCase(),
+      model: model || null,
+      timeframes: [...byTimeframe.entries()]
+        .sort(([a], [b]) => (this.parseTimeframe(a) ?? Infinity) - (this.parseTimeframe(b) ?? Infinity))
+        .map(([predictionTimeframe, predictions]) => ({
+          timeframe: predictionTimeframe,
+          ...this.buildTimeframeRecord(predictions, bucket),
+        })),
+    };
+  }
+
+  /**
+   * Score the predictions of one timeframe
+   * @param {Object[]} predictions - Stored predictions of a single timeframe, oldest first
+   * @param {string} bucket - 'day' or 'week'
+   * @returns {Object} Counts, hit rate and error metrics, fallback, calibration and overTime
+   */
+  buildTimeframeRecord(predictions, bucket) {
+    const scored = predictions
+      .filter((p) => p.status === 'resolved' && p.priceTarget != null && p.actualPrice != null && p.currentPrice)
+      .map((p) => this.scorePrediction(p));
+    const resolved = scored.filter((p) => p.payload?.source !== 'fallback');
+    const fallback = scored.filter((p) => p.payload?.source === 'fallback');
+    const bucketSize = BUCKET_SIZES[bucket] || BUCKET_SIZES.day;
+
+    const periods = new Map();
+    for (const prediction of resolved) {
+      const periodStart = Math.floor(prediction.createdAt / bucketSize) * bucketSize;
+      if (!periods.has(periodStart)) periods.set(periodStart, []);
+      periods.get(periodStart).push(prediction);
+    }
+
+    return {
+      resolvedPredictions: resolved.length,
+      pendingPredictions: predictions.filter((p) => p.status === 'pending').length,
+      unresolvablePredictions: predictions.filter((p) => p.status === 'unresolvable').length,
+      ...this.summarize(resolved),
+      fallback: { resolvedPredictions: fallback.length, ...this.summarize(fallback) },
+      calibration: calibrationService.analyze(this.collectCalibrationSamples(resolved)),
+      overTime: [...periods.entries()].map(([periodStart, periodPredictions]) => ({
+        periodStart,
+        date: new Date(periodStart).toISOString(),
+        count: periodPredictions.length,
+        ...this.summarize(periodPredictions),
+      })),
+    };
+  }
+
+  /**
+   * Summarize scored predictions
+   * @param {Object[]} scored - Predictions with metrics
+   * @returns {Object} Hit rate and error metrics
+   */
+  summarize(scored) {
+    const aggregate = backtestingService.calculateAggregateMetrics(scored);
+    return {
+      hitRate: aggregate.averageDirectionalAccuracy,
+      mape: aggregate.averageMAPE,
+      mae: aggregate.averageMAE,
+      rmse: aggregate.averageRMSE,
+    };
+  }
+
+  /**
+   * Confidence/outcome pairs of scored predictions, binned and scored by calibrationService like backtests
+   * @param {Object[]} scored - Predictions with metrics
+   * @returns {Object[]} { confidence (0-100), hit }
+   */
+  collectCalibrationSamples(scored) {
+    return scored
+      .filter((prediction) => typeof prediction.confidence === 'number')
+      .map((prediction) => ({ confidence: prediction.confidence, hit: prediction.metrics.directionalCorrect[0] }));
+  }
+}
+
+export default new PredictionLedger();
@@ -0,0 +1,252 @@
+/**
+ * Price Consensus
+ * Cross-checks the live FTSO price against the other enabled price sources: computes a weighted-median
+ * reference price, flags quotes that diverge from it beyond a threshold and keeps per-source health,
+ * so the prediction pipeline can leave out bad data
+ */
+
+import { CONSENSUS_CONFIG } from '../config/consensusConfig.js';
+import { getEnabledPriceSources } from '../priceSources/index.js';
+
+/**
+ * Reject a promise that takes too long
+ * @param {Promise} promise - Promise
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} name - Name for the error message
+ * @returns {Promise} Promise settling like `promise` or rejecting after `ms`
+ */
+const withTimeout = (promise, ms, name) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} did not answer within ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Weighted median of quotes: the price with half of the total weight on either side,
+ * halfway between two prices when the weight splits exactly between them
+ * @param {Object[]} quotes - Quotes with price and weight
+ * @returns {number} Weighted median
+ */
+const weightedMedian = (quotes) => {
+  const sorted = [...quotes].sort((a, b) => a.price - b.price);
+  const half = sorted.reduce((sum, quote) => sum + quote.weight, 0) / 2;
+  let cumulative = 0;
+
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i].weight;
+    if (Math.abs(cumulative - half) < 1e-9 && i < sorted.length - 1) {
+      return (sorted[i].price + sorted[i + 1].price) / 2;
+    }
+    if (cumulative > half) return sorted[i].price;
+  }
+  return sorted[sorted.length - 1].price;
+};
+
+class PriceConsensus {
+  constructor() {
+    this.quotes = new Map();
+    this.health = new Map();
+  }
+
+  /**
+   * Get a quote from a source, reusing one fetched within QUOTE_TTL
+   * @param {PriceSource} source - Source
+   * @param {string} asset - Asset symbol
+   * @param {Object} [prefetched] - { price, timestamp } the caller already has from this source
+   * @returns {Promise<Object>} { quote, fresh } where quote has source, weight, price, timestamp,
+   *   status ('ok' | 'stale' | 'error' | 'unsupported'), error and latencyMs
+   */
+  async fetchQuote(source, asset, prefetched) {
+    const key = `${source.name}:${asset}`;
+    const cached = this.quotes.get(key);
+    if (!prefetched && cached && Date.now() - cached.fetchedAt < CONSENSUS_CONFIG.QUOTE_TTL) {
+      return { quote: cached.quote, fresh: false };
+    }
+
+    const startedAt = Date.now();
+    const quote = {
+      source: source.name,
+      weight: CONSENSUS_CONFIG.WEIGHTS[source.name] ?? 1,
+      price: null,
+      timestamp: null,
+      status: 'ok',
+    };
+
+    try {
+      const { price, timestamp } = prefetched
+        || await withTimeout(source.getQuote(asset), CONSENSUS_CONFIG.SOURCE_TIMEOUT, source.name);
+      if (!(price > 0)) {
+        throw new Error(`${source.name} returned an invalid price: ${price}`);
+      }
+
+      quote.price = price;
+      quote.timestamp = timestamp;
+      if (Date.now() - timestamp > CONSENSUS_CONFIG.MAX_QUOTE_AGE) {
+        quote.status = 'stale';
+        quote.error = `Last updated ${Math.round((Date.now() - timestamp) / 1000)}s ago`;
+      }
+    } catch (error) {
+      quote.status = error.unsupported ? 'unsupported' : 'error';
+      quote.error = error.message;
+    }
+    quote.latencyMs = prefetched ? null : Date.now() - startedAt;
+
+    this.quotes.set(key, { quote, fetchedAt: Date.now() });
+    return { quote, fresh: true };
+  }
+
+  /**
+   * Compare the enabled sources for an asset
+   * With at least MIN_SOURCES_FOR_OUTLIERS current quotes, and at least two of them agreeing, the quotes
+   * beyond DIVERGENCE_THRESHOLD of the weighted median are outliers and the reference price is the weighted
+   * mean of the rest. With fewer quotes there is no telling which one is wrong: a divergence makes the
+   * consensus 'divergent' and the reference price is the weighted median
+   * @param {string} asset - Asset symbol
+   * @param {Object} [options] - { quotes: { [source]: { price, timestamp } } already fetched by the caller }
+   * @returns {Promise<Object>} { asset, timestamp, status ('agreed' | 'outliers' | 'divergent' | 'single' |
+   *   'unavailable'), referencePrice, median, spread (%), threshold, quotes, excludedSources }
+   */
+  async getConsensus(asset, { quotes: prefetched = {} } = {}) {
+    const symbol = asset.toUpperCase();
+    const fetched = await Promise.all(getEnabledPriceSources()
+      .map((source) => this.fetchQuote(source, symbol, prefetched[source.name])));
+
+    // Copies, so flagging outliers does not change the cached quotes
+    const quotes = fetched.map(({ quote }) => ({ ...quote }));
+    const current = quotes.filter((quote) => quote.status === 'ok');
+    const threshold = CONSENSUS_CONFIG.DIVERGENCE_THRESHOLD;
+
+    let status = 'unavailable';
+    let median = null;
+    let referencePrice = null;
+    let spread = null;
+
+    if (current.length > 0) {
+      median = weightedMedian(current);
+      current.forEach((quote) => {
+        quote.deviation = ((quote.price - median) / median) * 100;
+      });
+
+      const divergent = current.filter((quote) => Math.abs(quote.deviation) > threshold);
+      const prices = current.map((quote) => quote.price);
+      spread = ((Math.max(...prices) - Math.min(...prices)) / median) * 100;
+
+      if (current.length === 1) {
+        status = 'single';
+        referencePrice = median;
+      } else if (divergent.length === 0) {
+        status = 'agreed';
+      } else if (current.length >= CONSENSUS_CONFIG.MIN_SOURCES_FOR_OUTLIERS && current.length - divergent.length >= 2) {
+        status = 'outliers';
+        divergent.forEach((quote) => {
+          quote.status = 'outlier';
+        });
+      } else {
+        status = 'divergent';
+        referencePrice = median;
+      }
+
+      if (referencePrice === null) {
+        const inliers = current.filter((quote) => quote.status === 'ok');
+        const totalWeight = inliers.reduce((sum, quote) => sum + quote.weight, 0);
+        referencePrice = inliers.reduce((sum, quote) => sum + quote.price * quote.weight, 0) / totalWeight;
+      }
+    }
+
+    fetched.forEach(({ fresh }, index) => {
+      if (fresh) this.recordOutcome(quotes[index]);
+    });
+
+    return {
+      asset: symbol,
+      timestamp: Date.now(),
+      status,
+      referencePrice,
+      median,
+      spread,
+      threshold,
+      quotes,
+      excludedSources: quotes.filter((quote) => quote.status !== 'ok').map((quote) => quote.source),
+    };
+  }
+
+  /**
+   * Add a quote's outcome to its source's health; assets a source does not list are not counted
+   * @param {Object} quote - Quote after outlier detection
+   */
+  recordOutcome(quote) {
+    if (quote.status === 'unsupported') return;
+
+    if (!this.health.has(quote.source)) {
+      this.health.set(quote.source, {
+        outcomes: [],
+        lastSuccessAt: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastDeviation: null,
+        latencyMs: null,
+      });
+    }
+    const health = this.health.get(quote.source);
+
+    health.outcomes.push(quote.status);
+    if (health.outcomes.length > CONSENSUS_CONFIG.HEALTH_WINDOW) health.outcomes.shift();
+
+    if (quote.status === 'ok' || quote.status === 'outlier') {
+      health.lastSuccessAt = Date.now();
+      health.lastDeviation = quote.deviation ?? null;
+    } else {
+      health.lastError = quote.error;
+      health.lastErrorAt = Date.now();
+    }
+    if (quote.latencyMs != null) {
+      health.latencyMs = health.latencyMs === null ? quote.latencyMs : 0.8 * health.latencyMs + 0.2 * quote.latencyMs;
+    }
+  }
+
+  /**
+   * Health of a source over its recent outcomes
+   * 'down' after three failed (error or stale) quotes in a row, 'degraded' when over 20% of recent
+   * quotes failed or were outliers, 'unknown' before the first quote
+   * @param {string} name - Source name
+   * @returns {Object} { source, status, samples, okRate, outlierRate, staleRate, errorRate, lastSuccessAt,
+   *   lastError, lastErrorAt, lastDeviation, latencyMs }
+   */
+  getSourceHealth(name) {
+    const health = this.health.get(name);
+    if (!health || health.outcomes.length === 0) {
+      return { source: name, status: 'unknown', samples: 0 };
+    }
+
+    const { outcomes, ...details } = health;
+    const rate = (outcome) => outcomes.filter((value) => value === outcome).length / outcomes.length;
+    const rates = {
+      okRate: rate('ok'),
+      outlierRate: rate('outlier'),
+      staleRate: rate('stale'),
+      errorRate: rate('error'),
+    };
+
+    const recent = outcomes.slice(-3);
+    let status = 'healthy';
+    if (recent.length === 3 && recent.every((outcome) => outcome === 'error' || outcome === 'stale')) {
+      status = 'down';
+    } else if (1 - rates.okRate > 0.2) {
+      status = 'degraded';
+    }
+
+    return { source: name, status, samples: outcomes.length, ...rates, ...details };
+  }
+
+  /**
+   * Health of every enabled source
+   * @returns {Object[]} Source health
+   */
+  getHealth() {
+    return getEnabledPriceSources().map((source) => this.getSourceHealth(source.name));
+  }
+}
+
+export default new PriceConsensus();
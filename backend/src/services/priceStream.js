@@ -0,0 +1,99 @@
+/**
+ * Price Stream
+ * Polls FTSO v2 centrally and pushes price updates to subscribers (SSE clients)
+ * Polling only runs while someone is subscribed, and an update is only published
+ * when a feed has moved on to a new timestamp
+ */
+
+import { EventEmitter } from 'events';
+import { FLARE_CONFIG } from '../config/flareConfig.js';
+import ftsoService from './ftsoService.js';
+
+class PriceStream {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.running = false;
+    this.generation = 0;
+    this.timer = null;
+    this.latest = null;
+    this.failures = 0;
+  }
+
+  /**
+   * Subscribe to price updates; the latest snapshot is delivered right away if there is one
+   * @param {Function} listener - Called with { timestamp, prices }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.emitter.on('prices', listener);
+    if (this.latest) listener(this.latest);
+    if (!this.running) {
+      this.running = true;
+      this.poll(++this.generation);
+    }
+
+    return () => {
+      this.emitter.off('prices', listener);
+      if (this.emitter.listenerCount('prices') === 0) this.stop();
+    };
+  }
+
+  /**
+   * Number of active subscribers
+   * @returns {number} Subscriber count
+   */
+  getSubscriberCount() {
+    return this.emitter.listenerCount('prices');
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Read the latest prices, publish them if they changed and schedule the next poll
+   * Consecutive failures back off exponentially up to one minute
+   * @param {number} generation - Polling loop this call belongs to; a restart begins a new one
+   */
+  async poll(generation) {
+    try {
+      const snapshot = await ftsoService.getAllLivePrices();
+      this.failures = 0;
+      if (this.hasChanged(snapshot)) {
+        this.latest = snapshot;
+        this.emitter.emit('prices', snapshot);
+      }
+    } catch (error) {
+      this.failures++;
+      console.error('Error polling FTSO for the price stream:', error.message);
+    }
+
+    if (!this.running || generation !== this.generation) return;
+
+    const delay = Math.min(60000, FLARE_CONFIG.PRICE_STREAM_INTERVAL * 2 ** this.failures);
+    this.timer = setTimeout(() => this.poll(generation), delay);
+  }
+
+  /**
+   * Check whether any feed has a newer timestamp than the last published snapshot
+   * @param {Object} snapshot - { timestamp, prices }
+   * @returns {boolean} Whether the snapshot carries new data
+   */
+  hasChanged(snapshot) {
+    if (!this.latest) return true;
+    return Object.entries(snapshot.prices).some(([asset, price]) => (
+      this.latest.prices[asset]?.timestamp !== price.timestamp
+      || this.latest.prices[asset]?.value !== price.value
+    ));
+  }
+}
+
+export default new PriceStream();
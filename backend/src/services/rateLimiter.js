@@ -0,0 +1,62 @@
+/**
+ * Rate Limiter
+ * Token bucket shared by every caller of an API: requests are let through in arrival order at most
+ * `rate` per minute, with up to `burst` back to back after a quiet period
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class TokenBucket {
+  /**
+   * @param {Object} options - { rate: tokens per minute, burst: bucket capacity }
+   */
+  constructor({ rate, burst = 1 }) {
+    this.capacity = Math.max(1, burst);
+    this.tokensPerMs = rate / 60000;
+    this.tokens = this.capacity;
+    this.refilledAt = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    if (now <= this.refilledAt) return;
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.refilledAt) * this.tokensPerMs);
+    this.refilledAt = now;
+  }
+
+  /**
+   * Wait for a token; callers are served in the order they asked
+   * @returns {Promise<void>} Resolves when the request may be sent
+   */
+  take() {
+    const turn = this.queue.then(async () => {
+      const pause = this.pausedUntil - Date.now();
+      if (pause > 0) await sleep(pause);
+
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep((1 - this.tokens) / this.tokensPerMs);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Hold every caller back, e.g. for the Retry-After of a 429, and empty the bucket so requests
+   * resume at the steady rate instead of in a burst
+   * @param {number} ms - Pause in milliseconds
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+    this.refilledAt = this.pausedUntil;
+  }
+}
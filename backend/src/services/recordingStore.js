@@ -0,0 +1,201 @@
+/**
+ * Recording Store
+ * Saves CoinGecko market charts and FTSO feed values seen during live sessions (DATA_MODE=record)
+ * and serves them back for replay (DATA_MODE=replay) and the CoinGecko fixture server
+ * Layout under RECORDINGS_PATH:
+ *   coingecko/<coin id>.json - one market_chart/range response per coin, merged across requests
+ *   ftso/feeds.jsonl - one line per getFeedsById read: { timestamp (s), feeds: { [feedId]: [value, decimals] } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { REPLAY_CONFIG } from '../config/replayConfig.js';
+
+const MARKET_CHART_SERIES = ['prices', 'market_caps', 'total_volumes'];
+const COIN_ID_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * Index of the last entry at or before a timestamp in entries sorted by their first element
+ * @param {Array[]} entries - [timestamp, ...] entries in ascending order
+ * @param {number} timestamp - Timestamp
+ * @returns {number} Index, or -1 when every entry is later
+ */
+const lastIndexAtOrBefore = (entries, timestamp) => {
+  let low = 0;
+  let high = entries.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (entries[middle][0] <= timestamp) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
+
+class RecordingStore {
+  constructor(directory = REPLAY_CONFIG.RECORDINGS_PATH) {
+    this.directory = directory;
+    this.marketCharts = new Map();
+    this.feeds = null;
+  }
+
+  /**
+   * Path of the recorded market chart of a coin
+   * @param {string} coinId - CoinGecko coin ID
+   * @returns {string} File path
+   * @throws {Error} With status 400 for an ID that is not a CoinGecko slug
+   */
+  marketChartPath(coinId) {
+    if (!COIN_ID_PATTERN.test(coinId)) {
+      const error = new Error(`Invalid CoinGecko coin ID: ${coinId}`);
+      error.status = 400;
+      throw error;
+    }
+    return path.join(this.directory, 'coingecko', `${coinId}.json`);
+  }
+
+  /**
+   * Recorded market chart of a coin
+   * @param {string} coinId - CoinGecko coin ID
+   * @returns {Object|null} { prices, market_caps, total_volumes }, or null when nothing was recorded
+   */
+  getRecordedMarketChart(coinId) {
+    if (!this.marketCharts.has(coinId)) {
+      const file = this.marketChartPath(coinId);
+      this.marketCharts.set(coinId, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+    }
+    return this.marketCharts.get(coinId);
+  }
+
+  /**
+   * Merge a market_chart/range response into the coin's recording
+   * Points are keyed by timestamp, so overlapping requests do not duplicate them
+   * @param {string} coinId - CoinGecko coin ID
+   * @param {Object} chart - Response body { prices, market_caps, total_volumes }
+   */
+  recordMarketChart(coinId, chart) {
+    const recorded = this.getRecordedMarketChart(coinId) || {};
+    const merged = Object.fromEntries(MARKET_CHART_SERIES.map((series) => {
+      const points = new Map((recorded[series] || []).map((point) => [point[0], point]));
+      (chart[series] || []).forEach((point) => points.set(point[0], point));
+      return [series, [...points.values()].sort((a, b) => a[0] - b[0])];
+    }));
+
+    const file = this.marketChartPath(coinId);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(merged));
+    this.marketCharts.set(coinId, merged);
+  }
+
+  /**
+   * Recorded market chart of a coin between two times, as market_chart/range returns it
+   * @param {string} coinId - CoinGecko coin ID
+   * @param {number} from - Start (Unix seconds)
+   * @param {number} to - End (Unix seconds)
+   * @returns {Object} { prices, market_caps, total_volumes }
+   * @throws {Error} With status 404 when the coin was never recorded
+   */
+  getMarketChart(coinId, from, to) {
+    const recorded = this.getRecordedMarketChart(coinId);
+    if (!recorded) {
+      const error = new Error(`No CoinGecko recording for ${coinId}`);
+      error.status = 404;
+      throw error;
+    }
+
+    return Object.fromEntries(MARKET_CHART_SERIES.map((series) => [
+      series,
+      (recorded[series] || []).filter(([timestamp]) => timestamp >= from * 1000 && timestamp <= to * 1000),
+    ]));
+  }
+
+  /**
+   * Path of the FTSO feed recording
+   * @returns {string} File path
+   */
+  feedsPath() {
+    return path.join(this.directory, 'ftso', 'feeds.jsonl');
+  }
+
+  /**
+   * Recorded values of every feed, loaded on first use
+   * @returns {Map<string, Array[]>} Feed ID to [timestamp (s), value, decimals] entries in ascending order
+   */
+  getFeedRecordings() {
+    if (this.feeds) return this.feeds;
+
+    this.feeds = new Map();
+    if (fs.existsSync(this.feedsPath())) {
+      fs.readFileSync(this.feedsPath(), 'utf8').split('\n').filter(Boolean).forEach((line) => {
+        const { timestamp, feeds } = JSON.parse(line);
+        Object.entries(feeds).forEach(([feedId, [value, decimals]]) => this.addFeedValue(feedId, [timestamp, value, decimals]));
+      });
+    }
+    return this.feeds;
+  }
+
+  /**
+   * Add a value to a feed's entries, keeping them sorted
+   * @param {string} feedId - Feed ID
+   * @param {Array} entry - [timestamp (s), value, decimals]
+   * @returns {boolean} False when the feed already has a value at that timestamp
+   */
+  addFeedValue(feedId, entry) {
+    if (!this.feeds.has(feedId)) this.feeds.set(feedId, []);
+    const entries = this.feeds.get(feedId);
+    const index = lastIndexAtOrBefore(entries, entry[0]);
+    if (index >= 0 && entries[index][0] === entry[0]) return false;
+    entries.splice(index + 1, 0, entry);
+    return true;
+  }
+
+  /**
+   * Record a getFeedsById result; values already recorded at the same timestamp are skipped
+   * @param {string[]} feedIds - Feed IDs that were read
+   * @param {Array} result - [values, decimals, timestamp] as returned by the contract
+   */
+  recordFeeds(feedIds, [values, decimals, timestamp]) {
+    this.getFeedRecordings();
+    const time = Number(timestamp);
+    const feeds = {};
+
+    feedIds.forEach((feedId, index) => {
+      const entry = [time, values[index].toString(), Number(decimals[index])];
+      if (this.addFeedValue(feedId, entry)) feeds[feedId] = entry.slice(1);
+    });
+
+    if (Object.keys(feeds).length > 0) {
+      fs.mkdirSync(path.dirname(this.feedsPath()), { recursive: true });
+      fs.appendFileSync(this.feedsPath(), `${JSON.stringify({ timestamp: time, feeds })}\n`);
+    }
+  }
+
+  /**
+   * Time span covered by the feed recording
+   * @returns {Object|null} { start, end } in Unix seconds, or null when nothing was recorded
+   */
+  getFeedTimeRange() {
+    const timestamps = [...this.getFeedRecordings().values()].flatMap((entries) => [entries[0][0], entries[entries.length - 1][0]]);
+    if (timestamps.length === 0) return null;
+    return { start: Math.min(...timestamps), end: Math.max(...timestamps) };
+  }
+
+  /**
+   * Recorded value of a feed at a time: the last one at or before it, or the first one when the
+   * feed's recording starts later
+   * @param {string} feedId - Feed ID
+   * @param {number} timestamp - Unix seconds
+   * @returns {Array|null} [timestamp, value, decimals], or null when the feed was never recorded
+   */
+  getFeedValue(feedId, timestamp) {
+    const entries = this.getFeedRecordings().get(feedId);
+    if (!entries) return null;
+    return entries[Math.max(0, lastIndexAtOrBefore(entries, timestamp))];
+  }
+}
+
+export default new RecordingStore();
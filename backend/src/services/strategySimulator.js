@@ -0,0 +1,202 @@
+/**
+ * Strategy Simulator
+ * Trades the predictions of a walk-forward backtest: at every test date the position is set from
+ * the prediction (long on UP, short on DOWN, flat on NEUTRAL or low confidence) and held until the
+ * next test date. Fees and slippage are charged on every change of position, and the result is
+ * compared with buying and holding the asset over the same period
+ */
+
+import { BACKTEST_CONFIG } from '../config/backtestConfig.js';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const SIZING_MODES = ['confidence', 'fixed'];
+
+class StrategySimulator {
+  /**
+   * Resolve strategy parameters, falling back to the configured defaults
+   * @param {Object|null} [strategy] - { sizing, allowShort, minConfidence, feeBps, slippageBps, initialCapital }
+   * @returns {Object} Strategy parameters
+   * @throws {Error} With status 400 for invalid parameters
+   */
+  resolveParameters(strategy) {
+    const defaults = BACKTEST_CONFIG.STRATEGY;
+    // A body may send "strategy": null as well as leave it out
+    const overrides = strategy ?? {};
+    const parameters = {
+      sizing: overrides.sizing ?? defaults.SIZING,
+      allowShort: overrides.allowShort ?? defaults.ALLOW_SHORT,
+      minConfidence: Number(overrides.minConfidence ?? defaults.MIN_CONFIDENCE),
+      feeBps: Number(overrides.feeBps ?? defaults.FEE_BPS),
+      slippageBps: Number(overrides.slippageBps ?? defaults.SLIPPAGE_BPS),
+      initialCapital: Number(overrides.initialCapital ?? defaults.INITIAL_CAPITAL),
+    };
+
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      return error;
+    };
+
+    if (!SIZING_MODES.includes(parameters.sizing)) {
+      throw invalid(`strategy.sizing must be one of: ${SIZING_MODES.join(', ')}`);
+    }
+    if (typeof parameters.allowShort !== 'boolean') {
+      throw invalid('strategy.allowShort must be a boolean');
+    }
+    if (!(parameters.minConfidence >= 0 && parameters.minConfidence <= 100)) {
+      throw invalid('strategy.minConfidence must be between 0 and 100');
+    }
+    if (!(parameters.feeBps >= 0 && parameters.feeBps <= 1000) || !(parameters.slippageBps >= 0 && parameters.slippageBps <= 1000)) {
+      throw invalid('strategy.feeBps and strategy.slippageBps must be between 0 and 1000');
+    }
+    if (!(parameters.initialCapital > 0)) {
+      throw invalid('strategy.initialCapital must be positive');
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Signed position (-1 to 1) taken on a prediction
+   * @param {Object} prediction - { direction, confidence }
+   * @param {Object} parameters - Strategy parameters
+   * @returns {number} Position as a fraction of equity; negative is short
+   */
+  getPosition(prediction, parameters) {
+    const confidence = prediction?.confidence ?? 0;
+    if (confidence < parameters.minConfidence) return 0;
+
+    const side = prediction?.direction === 'UP' ? 1 : prediction?.direction === 'DOWN' && parameters.allowShort ? -1 : 0;
+    // A 50% directional confidence is a coin flip and earns no position; 100% trades full size
+    const size = parameters.sizing === 'fixed' ? 1 : Math.min(1, Math.max(0, (confidence - 50) / 50));
+
+    return side * size;
+  }
+
+  /**
+   * Simulate the strategy over walk-forward results
+   * @param {Object[]} results - Backtest results in test-date order
+   * @param {Object} [overrides] - Strategy parameters overriding the configured defaults
+   * @returns {Object|null} Strategy performance with its equity curve and buy-and-hold benchmark,
+   *   or null when there are fewer than two tests to trade between
+   */
+  simulate(results, overrides = {}) {
+    const parameters = this.resolveParameters(overrides);
+    const tests = results.filter((result) => result.currentPrice > 0);
+    if (tests.length < 2) return null;
+
+    const costRate = (parameters.feeBps + parameters.slippageBps) / 10000;
+    const strategyReturns = [];
+    const benchmarkReturns = [];
+    const trades = [];
+    const equityCurve = [{
+      date: tests[0].testDate,
+      equity: parameters.initialCapital,
+      benchmark: parameters.initialCapital * (1 - costRate),
+      position: 0,
+    }];
+
+    let equity = parameters.initialCapital;
+    let benchmark = equityCurve[0].benchmark;
+    let position = 0;
+
+    for (let i = 0; i < tests.length - 1; i++) {
+      const assetReturn = tests[i + 1].currentPrice / tests[i].currentPrice - 1;
+      const target = this.getPosition(tests[i].prediction, parameters);
+      const cost = Math.abs(target - position) * costRate;
+      const periodReturn = target * assetReturn - cost;
+
+      equity *= 1 + periodReturn;
+      benchmark *= 1 + assetReturn;
+      position = target;
+
+      strategyReturns.push(periodReturn);
+      benchmarkReturns.push(assetReturn);
+      if (target !== 0) {
+        trades.push({ date: tests[i].testDate, position: target, return: periodReturn });
+      }
+      equityCurve.push({
+        date: tests[i + 1].testDate,
+        equity: Number(equity.toFixed(2)),
+        benchmark: Number(benchmark.toFixed(2)),
+        position: Number(target.toFixed(4)),
+      });
+    }
+
+    // Close the final position at the last test date
+    const closingCost = Math.abs(position) * costRate;
+    equity *= 1 - closingCost;
+    benchmark *= 1 - costRate;
+    equityCurve[equityCurve.length - 1].equity = Number(equity.toFixed(2));
+    equityCurve[equityCurve.length - 1].benchmark = Number(benchmark.toFixed(2));
+
+    const periodsPerYear = YEAR_MS / ((new Date(tests[tests.length - 1].testDate) - new Date(tests[0].testDate)) / strategyReturns.length);
+    const wins = trades.filter((trade) => trade.return > 0).length;
+
+    return {
+      parameters,
+      periods: strategyReturns.length,
+      trades: trades.length,
+      exposure: Number((trades.length / strategyReturns.length).toFixed(4)),
+      finalEquity: Number(equity.toFixed(2)),
+      cumulativeReturn: Number((equity / parameters.initialCapital - 1).toFixed(6)),
+      sharpeRatio: this.sharpeRatio(strategyReturns, periodsPerYear),
+      sortinoRatio: this.sortinoRatio(strategyReturns, periodsPerYear),
+      maxDrawdown: this.maxDrawdown(equityCurve.map((point) => point.equity)),
+      winRate: trades.length > 0 ? Number((wins / trades.length).toFixed(4)) : null,
+      benchmark: {
+        finalEquity: Number(benchmark.toFixed(2)),
+        cumulativeReturn: Number((benchmark / parameters.initialCapital - 1).toFixed(6)),
+        sharpeRatio: this.sharpeRatio(benchmarkReturns, periodsPerYear),
+        sortinoRatio: this.sortinoRatio(benchmarkReturns, periodsPerYear),
+        maxDrawdown: this.maxDrawdown(equityCurve.map((point) => point.benchmark)),
+      },
+      equityCurve,
+    };
+  }
+
+  /**
+   * Annualized Sharpe ratio with a zero risk-free rate
+   * @param {number[]} returns - Period returns
+   * @param {number} periodsPerYear - Periods per year
+   * @returns {number|null} Sharpe ratio, or null when returns do not vary
+   */
+  sharpeRatio(returns, periodsPerYear) {
+    if (returns.length < 2) return null;
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+    if (variance === 0) return null;
+    return Number(((mean / Math.sqrt(variance)) * Math.sqrt(periodsPerYear)).toFixed(4));
+  }
+
+  /**
+   * Annualized Sortino ratio: like Sharpe, but only losing periods count as risk
+   * @param {number[]} returns - Period returns
+   * @param {number} periodsPerYear - Periods per year
+   * @returns {number|null} Sortino ratio, or null when there is no downside
+   */
+  sortinoRatio(returns, periodsPerYear) {
+    if (returns.length < 2) return null;
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const downside = Math.sqrt(returns.reduce((sum, r) => sum + Math.min(0, r) ** 2, 0) / returns.length);
+    if (downside === 0) return null;
+    return Number(((mean / downside) * Math.sqrt(periodsPerYear)).toFixed(4));
+  }
+
+  /**
+   * Largest peak-to-trough fall of an equity curve
+   * @param {number[]} values - Equity values
+   * @returns {number} Maximum drawdown as a fraction of the peak (0 to 1)
+   */
+  maxDrawdown(values) {
+    let peak = -Infinity;
+    let drawdown = 0;
+    for (const value of values) {
+      peak = Math.max(peak, value);
+      drawdown = Math.max(drawdown, (peak - value) / peak);
+    }
+    return Number(drawdown.toFixed(4));
+  }
+}
+
+export default new StrategySimulator();
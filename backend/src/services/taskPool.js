@@ -0,0 +1,134 @@
+/**
+ * Task Pool
+ * Runs async tasks with bounded concurrency. When a task is rate limited every worker pauses
+ * until the retry delay has passed, so a throttled API is not hammered by the other workers
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether an error is a rate limit response (HTTP 429 from axios, Gemini or a wrapped message)
+ * @param {Error} error - Error
+ * @returns {boolean} Whether the request should be retried later
+ */
+export function isRateLimitError(error) {
+  return error?.status === 429
+    || error?.response?.status === 429
+    || /\b429\b|RESOURCE_EXHAUSTED|rate limit/i.test(error?.message || '');
+}
+
+/**
+ * Delay the server asked for, from a Retry-After header (seconds or an HTTP date) or Gemini's RetryInfo detail
+ * @param {Error} error - Rate limit error
+ * @returns {number|null} Delay in milliseconds
+ */
+export function getRetryDelay(error) {
+  const header = error?.response?.headers?.['retry-after'];
+  const retryAfter = Number(header);
+  if (retryAfter > 0) return retryAfter * 1000;
+  const retryAt = Date.parse(header);
+  if (retryAt > Date.now()) return retryAt - Date.now();
+
+  const retryInfo = error?.errorDetails?.find((detail) => detail['@type']?.endsWith('RetryInfo'));
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return seconds > 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Run tasks with at most `concurrency` in flight, retrying rate-limited tasks
+ * Once `signal` is aborted no new task is started; tasks already running are allowed to finish
+ * and the ones never started settle as 'cancelled'
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {Object} [options] - { concurrency, maxRetries, retryDelay, signal, onSettled(outcome, index) }
+ * @returns {Promise<Object[]>} Settled outcomes in task order, like Promise.allSettled
+ */
+export async function runWithConcurrency(tasks, { concurrency = 4, maxRetries = 3, retryDelay = 2000, signal, onSettled } = {}) {
+  const outcomes = new Array(tasks.length);
+  let next = 0;
+  let pausedUntil = 0;
+
+  const worker = async () => {
+    while (next < tasks.length && !signal?.aborted) {
+      const index = next++;
+
+      for (let attempt = 0; ; attempt++) {
+        const wait = pausedUntil - Date.now();
+        if (wait > 0) await sleep(wait);
+
+        try {
+          outcomes[index] = { status: 'fulfilled', value: await tasks[index]() };
+          break;
+        } catch (error) {
+          if (!isRateLimitError(error) || attempt >= maxRetries) {
+            outcomes[index] = { status: 'rejected', reason: error };
+            break;
+          }
+
+          const delay = getRetryDelay(error) ?? retryDelay * 2 ** attempt;
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+          console.warn(`⏳ Rate limited, pausing for ${Math.ceil(delay / 1000)}s (retry ${attempt + 1}/${maxRetries})`);
+        }
+      }
+
+      onSettled?.(outcomes[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, tasks.length)) }, worker));
+  for (let index = next; index < tasks.length; index++) {
+    outcomes[index] = { status: 'cancelled' };
+  }
+  return outcomes;
+}
+
+/**
+ * Queue for tasks submitted over time: at most `concurrency` run at once, the rest wait in
+ * submission order. A task never starts synchronously inside push()
+ */
+export class TaskQueue {
+  /**
+   * @param {number} concurrency - Tasks run at once
+   */
+  constructor(concurrency) {
+    this.concurrency = Math.max(1, concurrency);
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Tasks running or waiting
+   * @returns {number} Pending tasks
+   */
+  get pending() {
+    return this.running + this.waiting.length;
+  }
+
+  /**
+   * Add a task
+   * @param {Function} task - Function returning a promise
+   * @returns {Promise<*>} Settles like the task once it has run
+   */
+  push(task) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ task, resolve, reject });
+      queueMicrotask(() => this.drain());
+    });
+  }
+
+  /**
+   * Start waiting tasks while there are free slots
+   */
+  drain() {
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      const { task, resolve, reject } = this.waiting.shift();
+      this.running++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.running--;
+          this.drain();
+        });
+    }
+  }
+}
@@ -3,6 +3,42 @@
  * Calculates various technical analysis indicators from price data
  */
 
+import { INDICATOR_CONFIG } from '../config/indicatorConfig.js';
+import {
+  SMACalculator,
+  EMACalculator,
+  RSICalculator,
+  MACDCalculator,
+  BollingerCalculator,
+  ATRCalculator,
+  StochasticCalculator,
+  ADXCalculator,
+  OBVCalculator,
+  VWAPCalculator,
+} from './incrementalIndicators.js';
+
+// Indicators available as series, and the alternative names accepted for them
+const SERIES_INDICATORS = ['sma', 'ema', 'rsi', 'macd', 'bollinger', 'atr', 'stochastic', 'adx', 'obv', 'vwap'];
+const SERIES_ALIASES = { bb: 'bollinger', stoch: 'stochastic' };
+
+const last = (values) => (values.length > 0 ? values[values.length - 1] : null);
+
+/**
+ * Run a calculator over every point of a series
+ * @param {Object} calculator - Incremental calculator
+ * @param {Array} points - Prices or candles
+ * @returns {Array} Calculator values aligned with the points
+ */
+const runSeries = (calculator, points) => points.map((point) => calculator.update(point));
+
+/**
+ * Split a series of objects into an object of series
+ * @param {Object[]} values - Values such as { macd, signal, histogram }
+ * @param {string[]} keys - Keys to split out
+ * @returns {Object} Arrays by key
+ */
+const splitSeries = (values, keys) => Object.fromEntries(keys.map((key) => [key, values.map((value) => value?.[key] ?? null)]));
+
 class TechnicalIndicatorsService {
   /**
    * Calculate Simple Moving Average (SMA)
@@ -18,55 +54,24 @@ class TechnicalIndicatorsService {
   }
 
   /**
-   * Calculate Exponential Moving Average (EMA)
+   * Calculate Exponential Moving Average (EMA), seeded with the SMA of the first period
    * @param {Array} prices - Array of price values
    * @param {number} period - Number of periods
    * @returns {number} EMA value
    */
   calculateEMA(prices, period) {
-    if (prices.length < period) return null;
-    
-    const multiplier = 2 / (period + 1);
-    let ema = prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
-    
-    for (let i = period; i < prices.length; i++) {
-      ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
-    }
-    
-    return ema;
+    return last(this.calculateEMASeries(prices, period));
   }
 
   /**
-   * Calculate Relative Strength Index (RSI)
+   * Calculate Relative Strength Index (RSI) with Wilder's smoothing: the first average gain and
+   * loss are simple averages of the first period changes, later ones are smoothed by 1 / period
    * @param {Array} prices - Array of price values
    * @param {number} period - Number of periods (default 14)
    * @returns {number} RSI value (0-100)
    */
   calculateRSI(prices, period = 14) {
-    if (prices.length < period + 1) return null;
-    
-    const changes = [];
-    for (let i = 1; i < prices.length; i++) {
-      changes.push(prices[i] - prices[i - 1]);
-    }
-    
-    let gains = 0;
-    let losses = 0;
-    
-    for (let i = changes.length - period; i < changes.length; i++) {
-      if (changes[i] > 0) gains += changes[i];
-      else losses += Math.abs(changes[i]);
-    }
-    
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-    
-    if (avgLoss === 0) return 100;
-    
-    const rs = avgGain / avgLoss;
-    const rsi = 100 - (100 / (1 + rs));
-    
-    return rsi;
+    return last(this.calculateRSISeries(prices, period));
   }
 
   /**
@@ -135,22 +140,362 @@ class TechnicalIndicatorsService {
     };
   }
 
+  /**
+   * Calculate the SMA at every point
+   * @param {Array} prices - Array of price values
+   * @param {number} period - Number of periods
+   * @returns {Array} SMA values aligned with prices, null until the first full period
+   */
+  calculateSMASeries(prices, period) {
+    return runSeries(new SMACalculator(period), prices);
+  }
+
+  /**
+   * Calculate the EMA at every point, seeded with the SMA of the first period
+   * @param {Array} prices - Array of price values
+   * @param {number} period - Number of periods
+   * @returns {Array} EMA values aligned with prices, null until the first full period
+   */
+  calculateEMASeries(prices, period) {
+    return runSeries(new EMACalculator(period), prices);
+  }
+
+  /**
+   * Calculate the RSI at every point
+   * @param {Array} prices - Array of price values
+   * @param {number} period - Number of periods (default 14)
+   * @returns {Array} RSI values (0-100) aligned with prices, null for the first period points
+   */
+  calculateRSISeries(prices, period = 14) {
+    return runSeries(new RSICalculator(period), prices);
+  }
+
+  /**
+   * Calculate MACD, its signal line and histogram at every point
+   * @param {Array} prices - Array of price values
+   * @param {number} fastPeriod - Fast EMA period
+   * @param {number} slowPeriod - Slow EMA period
+   * @param {number} signalPeriod - Signal line EMA period
+   * @returns {Object} { macd, signal, histogram } arrays aligned with prices
+   */
+  calculateMACDSeries(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    return splitSeries(runSeries(new MACDCalculator(fastPeriod, slowPeriod, signalPeriod), prices), ['macd', 'signal', 'histogram']);
+  }
+
+  /**
+   * Calculate Moving Average Convergence Divergence (MACD)
+   * @param {Array} prices - Array of price values
+   * @param {number} fastPeriod - Fast EMA period
+   * @param {number} slowPeriod - Slow EMA period
+   * @param {number} signalPeriod - Signal line EMA period
+   * @returns {Object|null} { macd, signal, histogram }
+   */
+  calculateMACD(prices, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const series = this.calculateMACDSeries(prices, fastPeriod, slowPeriod, signalPeriod);
+    const histogram = last(series.histogram);
+    if (histogram == null) return null;
+
+    return { macd: last(series.macd), signal: last(series.signal), histogram };
+  }
+
+  /**
+   * Calculate Bollinger Bands at every point
+   * @param {Array} prices - Array of price values
+   * @param {number} period - Number of periods
+   * @param {number} stdDevs - Band width in standard deviations
+   * @returns {Object} { upper, middle, lower, bandwidth, percentB } arrays aligned with prices
+   */
+  calculateBollingerSeries(prices, period = 20, stdDevs = 2) {
+    return splitSeries(runSeries(new BollingerCalculator(period, stdDevs), prices), ['upper', 'middle', 'lower', 'bandwidth', 'percentB']);
+  }
+
+  /**
+   * Calculate Bollinger Bands
+   * @param {Array} prices - Array of price values
+   * @param {number} period - Number of periods
+   * @param {number} stdDevs - Band width in standard deviations
+   * @returns {Object|null} { upper, middle, lower, bandwidth (% of middle), percentB (0 = lower, 1 = upper) }
+   */
+  calculateBollingerBands(prices, period = 20, stdDevs = 2) {
+    if (prices.length < period) return null;
+    return last(runSeries(new BollingerCalculator(period, stdDevs), prices.slice(-period)));
+  }
+
+  /**
+   * Calculate the ATR at every point with Wilder's smoothing
+   * @param {Object[]} candles - Candles with high, low and close
+   * @param {number} period - Number of periods (default 14)
+   * @returns {Array} ATR values aligned with candles, null for the first period candles
+   */
+  calculateATRSeries(candles, period = 14) {
+    return runSeries(new ATRCalculator(period), candles);
+  }
+
+  /**
+   * Calculate Average True Range (ATR) with Wilder's smoothing
+   * @param {Object[]} candles - Candles with high, low and close
+   * @param {number} period - Number of periods (default 14)
+   * @returns {number|null} ATR in price units
+   */
+  calculateATR(candles, period = 14) {
+    return last(this.calculateATRSeries(candles, period));
+  }
+
+  /**
+   * Calculate the Stochastic oscillator at every point
+   * @param {Object[]} candles - Candles with high, low and close
+   * @param {number} kPeriod - %K lookback
+   * @param {number} dPeriod - %D smoothing
+   * @returns {Object} { k, d } arrays (0-100) aligned with candles
+   */
+  calculateStochasticSeries(candles, kPeriod = 14, dPeriod = 3) {
+    return splitSeries(runSeries(new StochasticCalculator(kPeriod, dPeriod), candles), ['k', 'd']);
+  }
+
+  /**
+   * Calculate the Stochastic oscillator
+   * @param {Object[]} candles - Candles with high, low and close
+   * @param {number} kPeriod - %K lookback
+   * @param {number} dPeriod - %D smoothing
+   * @returns {Object|null} { k, d } (0-100)
+   */
+  calculateStochastic(candles, kPeriod = 14, dPeriod = 3) {
+    const series = this.calculateStochasticSeries(candles, kPeriod, dPeriod);
+    const d = last(series.d);
+    return d == null ? null : { k: last(series.k), d };
+  }
+
+  /**
+   * Calculate ADX and the directional indicators at every point
+   * @param {Object[]} candles - Candles with high, low and close
+   * @param {number} period - Number of periods (default 14)
+   * @returns {Object} { adx, plusDI, minusDI } arrays (0-100) aligned with candles
+   */
+  calculateADXSeries(candles, period = 14) {
+    return splitSeries(runSeries(new ADXCalculator(period), candles), ['adx', 'plusDI', 'minusDI']);
+  }
+
+  /**
+   * Calculate the Average Directional Index (ADX) and directional indicators
+   * @param {Object[]} candles - Candles with high, low and close
+   * @param {number} period - Number of periods (default 14)
+   * @returns {Object|null} { adx, plusDI, minusDI } (0-100)
+   */
+  calculateADX(candles, period = 14) {
+    const series = this.calculateADXSeries(candles, period);
+    const adx = last(series.adx);
+    return adx == null ? null : { adx, plusDI: last(series.plusDI), minusDI: last(series.minusDI) };
+  }
+
+  /**
+   * Calculate On-Balance Volume at every point; candles without volume leave it unchanged
+   * @param {Object[]} candles - Candles with close and volume
+   * @returns {Array|null} OBV values aligned with candles, or null without volume data
+   */
+  calculateOBVSeries(candles) {
+    if (candles.filter((c) => Number.isFinite(c.volume)).length < 2) return null;
+    return runSeries(new OBVCalculator(), candles);
+  }
+
+  /**
+   * Calculate On-Balance Volume (OBV)
+   * @param {Object[]} candles - Candles with close and volume
+   * @returns {number|null} OBV over the series, or null without volume data
+   */
+  calculateOBV(candles) {
+    const series = this.calculateOBVSeries(candles);
+    return series ? last(series) : null;
+  }
+
+  /**
+   * Calculate the VWAP anchored at the first candle, at every point
+   * @param {Object[]} candles - Candles with high, low, close and volume
+   * @returns {Array|null} VWAP values aligned with candles, or null without volume data
+   */
+  calculateVWAPSeries(candles) {
+    if (!candles.some((c) => Number.isFinite(c.volume))) return null;
+    return runSeries(new VWAPCalculator(), candles);
+  }
+
+  /**
+   * Calculate the Volume-Weighted Average Price (VWAP) of the series
+   * @param {Object[]} candles - Candles with high, low, close and volume
+   * @returns {number|null} VWAP, or null without volume data
+   */
+  calculateVWAP(candles) {
+    const series = this.calculateVWAPSeries(candles);
+    return series ? last(series) : null;
+  }
+
+  /**
+   * Parse an indicator series name such as sma7, rsi14, macd or bollinger20
+   * Indicators other than SMA and EMA fall back to their configured period when none is given
+   * @param {string} name - Series name
+   * @returns {Object} { name, indicator, period }
+   * @throws {Error} With status 400 for an unknown name or a missing SMA/EMA period
+   */
+  parseSeriesName(name) {
+    const normalized = String(name).trim().toLowerCase();
+    const match = normalized.match(/^([a-z]+)(\d+)?$/);
+    const indicator = SERIES_ALIASES[match?.[1]] || match?.[1];
+    const period = match?.[2] ? parseInt(match[2], 10) : null;
+
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.status = 400;
+      return error;
+    };
+
+    if (!match || !SERIES_INDICATORS.includes(indicator)) {
+      throw invalid(`Unknown indicator: ${name}. Available: ${SERIES_INDICATORS.join(', ')}`);
+    }
+    if ((indicator === 'sma' || indicator === 'ema') && !(period > 0)) {
+      throw invalid(`${indicator} needs a period, e.g. ${indicator}7`);
+    }
+    if (period !== null && !(period > 0 && period <= 500)) {
+      throw invalid(`Indicator period must be between 1 and 500: ${name}`);
+    }
+    if (period !== null && (indicator === 'obv' || indicator === 'vwap' || indicator === 'macd')) {
+      throw invalid(`${indicator} does not take a period: ${name}`);
+    }
+
+    return { name: normalized, indicator, period };
+  }
+
+  /**
+   * Calculate indicator series over price data points, aligned with the points
+   * @param {Object[]} points - Data points ordered by timestamp, with price and optional high, low and volume
+   * @param {string[]} names - Series names (see parseSeriesName)
+   * @param {Object} [options] - { from: only return points from this time on (Unix ms); earlier points
+   *   still warm the indicators up }
+   * @returns {Object} { timestamps, price, series } with one entry per requested name; indicators
+   *   with several lines (macd, bollinger, stochastic, adx) are objects of arrays
+   */
+  calculateIndicatorSeries(points, names, { from } = {}) {
+    const specs = names.map((name) => this.parseSeriesName(name));
+    const valid = points.filter((point) => (point.close ?? point.price) > 0);
+    const candles = this.toCandles(valid);
+    const prices = candles.map((c) => c.close);
+
+    const series = {};
+    for (const { name, indicator, period } of specs) {
+      switch (indicator) {
+        case 'sma':
+          series[name] = this.calculateSMASeries(prices, period);
+          break;
+        case 'ema':
+          series[name] = this.calculateEMASeries(prices, period);
+          break;
+        case 'rsi':
+          series[name] = this.calculateRSISeries(prices, period ?? INDICATOR_CONFIG.RSI_PERIOD);
+          break;
+        case 'macd':
+          series[name] = this.calculateMACDSeries(prices, INDICATOR_CONFIG.MACD.FAST, INDICATOR_CONFIG.MACD.SLOW, INDICATOR_CONFIG.MACD.SIGNAL);
+          break;
+        case 'bollinger':
+          series[name] = this.calculateBollingerSeries(prices, period ?? INDICATOR_CONFIG.BOLLINGER.PERIOD, INDICATOR_CONFIG.BOLLINGER.STD_DEV);
+          break;
+        case 'atr':
+          series[name] = this.calculateATRSeries(candles, period ?? INDICATOR_CONFIG.ATR_PERIOD);
+          break;
+        case 'stochastic':
+          series[name] = this.calculateStochasticSeries(candles, period ?? INDICATOR_CONFIG.STOCHASTIC.K_PERIOD, INDICATOR_CONFIG.STOCHASTIC.D_PERIOD);
+          break;
+        case 'adx':
+          series[name] = this.calculateADXSeries(candles, period ?? INDICATOR_CONFIG.ADX_PERIOD);
+          break;
+        case 'obv':
+          series[name] = this.calculateOBVSeries(candles);
+          break;
+        case 'vwap':
+          series[name] = this.calculateVWAPSeries(candles);
+          break;
+      }
+    }
+
+    const firstInRange = from === undefined ? 0 : valid.findIndex((point) => point.timestamp >= from);
+    const start = firstInRange === -1 ? valid.length : firstInRange;
+    const trim = (values) => {
+      if (Array.isArray(values)) return values.slice(start);
+      if (values && typeof values === 'object') {
+        return Object.fromEntries(Object.entries(values).map(([key, lineValues]) => [key, trim(lineValues)]));
+      }
+      return values;
+    };
+
+    return {
+      timestamps: valid.slice(start).map((point) => point.timestamp),
+      price: prices.slice(start),
+      series: trim(series),
+    };
+  }
+
+  /**
+   * Points needed before a range for the requested series to be warmed up
+   * @param {string[]} names - Series names
+   * @returns {number} Number of warm-up points
+   */
+  getWarmupPoints(names) {
+    const periods = names.map((name) => this.parseSeriesName(name).period ?? 0);
+    // MACD needs its slow EMA plus the signal EMA; smoothed indicators settle after a few periods
+    return Math.max(INDICATOR_CONFIG.MACD.SLOW + INDICATOR_CONFIG.MACD.SIGNAL, 3 * INDICATOR_CONFIG.ADX_PERIOD, ...periods.map((period) => 3 * period));
+  }
+
+  /**
+   * Normalize price data points into candles. Points without a high/low range (single price
+   * samples) become flat candles, so range-based indicators fall back to close-to-close moves
+   * @param {Object[]} points - Data points with price or close and optional high, low and volume
+   * @returns {Object[]} Candles with high, low, close and volume (null when unknown)
+   */
+  toCandles(points) {
+    return points
+      .map((point) => {
+        const close = point.close ?? point.price;
+        return {
+          high: point.high ?? close,
+          low: point.low ?? close,
+          close,
+          volume: point.volume ?? null,
+        };
+      })
+      .filter((c) => c.close > 0);
+  }
+
   /**
    * Calculate all technical indicators for a price series
    * @param {Array} prices - Array of price values
    * @param {number} currentPrice - Current price
+   * @param {Object} [options] - { candles: data points with high, low and volume for the range
+   *   and volume indicators (defaults to the prices), periods: overrides of the configured periods }
    * @returns {Object} All calculated indicators
    */
-  calculateAllIndicators(prices, currentPrice) {
+  calculateAllIndicators(prices, currentPrice, { candles, periods: overrides = {} } = {}) {
     const validPrices = prices.filter(p => p && p > 0);
-    
+    const ohlc = this.toCandles(candles || validPrices.map((price) => ({ price })));
+    const periods = {
+      rsi: overrides.rsi ?? INDICATOR_CONFIG.RSI_PERIOD,
+      macd: { fast: INDICATOR_CONFIG.MACD.FAST, slow: INDICATOR_CONFIG.MACD.SLOW, signal: INDICATOR_CONFIG.MACD.SIGNAL, ...overrides.macd },
+      bollinger: { period: INDICATOR_CONFIG.BOLLINGER.PERIOD, stdDev: INDICATOR_CONFIG.BOLLINGER.STD_DEV, ...overrides.bollinger },
+      atr: overrides.atr ?? INDICATOR_CONFIG.ATR_PERIOD,
+      stochastic: { k: INDICATOR_CONFIG.STOCHASTIC.K_PERIOD, d: INDICATOR_CONFIG.STOCHASTIC.D_PERIOD, ...overrides.stochastic },
+      adx: overrides.adx ?? INDICATOR_CONFIG.ADX_PERIOD,
+    };
+
     return {
       sma7: this.calculateSMA(validPrices, 7),
       sma30: this.calculateSMA(validPrices, 30),
       ema12: this.calculateEMA(validPrices, 12),
-      rsi: this.calculateRSI(validPrices, 14),
+      rsi: this.calculateRSI(validPrices, periods.rsi),
       volatility: this.calculateVolatility(validPrices),
       trend: this.calculateTrend(validPrices),
+      macd: this.calculateMACD(validPrices, periods.macd.fast, periods.macd.slow, periods.macd.signal),
+      bollinger: this.calculateBollingerBands(validPrices, periods.bollinger.period, periods.bollinger.stdDev),
+      atr: this.calculateATR(ohlc, periods.atr),
+      stochastic: this.calculateStochastic(ohlc, periods.stochastic.k, periods.stochastic.d),
+      adx: this.calculateADX(ohlc, periods.adx),
+      obv: this.calculateOBV(ohlc),
+      vwap: this.calculateVWAP(ohlc),
+      periods,
       currentPrice,
     };
   }
@@ -0,0 +1,27 @@
+/**
+ * Storage
+ * Creates the configured storage adapter shared by all services
+ * To add a backend (e.g. Postgres), implement StorageAdapter and register a factory below
+ */
+
+import { STORAGE_CONFIG } from '../config/storageConfig.js';
+import { SqliteAdapter } from './sqliteAdapter.js';
+
+const adapterFactories = {
+  sqlite: () => new SqliteAdapter(STORAGE_CONFIG.SQLITE_PATH),
+};
+
+/**
+ * Create a storage adapter for a driver
+ * @param {string} driver - Driver name
+ * @returns {StorageAdapter} Storage adapter
+ */
+export function createStorage(driver = STORAGE_CONFIG.DRIVER) {
+  const factory = adapterFactories[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver}. Available: ${Object.keys(adapterFactories).join(', ')}`);
+  }
+  return factory();
+}
+
+export default createStorage();
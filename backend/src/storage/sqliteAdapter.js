@@ -0,0 +1,467 @@
+/**
+ * SQLite Storage Adapter
+ * Default local persistence backed by a single SQLite file
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { StorageAdapter } from './storageAdapter.js';
+
+// Schema migrations, applied in order and tracked through PRAGMA user_version
+const MIGRATIONS = [
+  `
+  CREATE TABLE price_ticks (
+    source TEXT NOT NULL,
+    asset TEXT NOT NULL,
+    feed_id TEXT,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER,
+    value TEXT,
+    decimals INTEGER,
+    price REAL NOT NULL,
+    PRIMARY KEY (source, asset, timestamp)
+  );
+  CREATE INDEX idx_price_ticks_asset_ts ON price_ticks (asset, timestamp);
+
+  CREATE TABLE candles (
+    asset TEXT NOT NULL,
+    interval TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    open REAL NOT NULL,
+    high REAL NOT NULL,
+    low REAL NOT NULL,
+    close REAL NOT NULL,
+    volume REAL,
+    samples INTEGER,
+    PRIMARY KEY (asset, interval, timestamp)
+  );
+
+  CREATE TABLE predictions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    asset TEXT NOT NULL,
+    model TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    current_price REAL,
+    direction TEXT,
+    price_target REAL,
+    confidence REAL,
+    timeframe TEXT,
+    payload TEXT
+  );
+  CREATE INDEX idx_predictions_asset_created ON predictions (asset, created_at);
+
+  CREATE TABLE backtest_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    asset TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    params TEXT,
+    summary TEXT,
+    results TEXT
+  );
+  CREATE INDEX idx_backtest_runs_asset_created ON backtest_runs (asset, created_at);
+  `,
+  `
+  ALTER TABLE predictions ADD COLUMN status TEXT NOT NULL DEFAULT 'pending';
+  ALTER TABLE predictions ADD COLUMN resolve_at INTEGER;
+  ALTER TABLE predictions ADD COLUMN resolved_at INTEGER;
+  ALTER TABLE predictions ADD COLUMN actual_price REAL;
+  CREATE INDEX idx_predictions_status_resolve ON predictions (status, resolve_at);
+  `,
+  `
+  CREATE TABLE fasset_snapshots (
+    fasset TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (fasset, timestamp)
+  );
+  `,
+  `
+  CREATE TABLE backtest_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    asset TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    started_at INTEGER,
+    finished_at INTEGER,
+    params TEXT,
+    progress TEXT,
+    error TEXT,
+    run_id INTEGER REFERENCES backtest_runs (id)
+  );
+  CREATE INDEX idx_backtest_jobs_created ON backtest_jobs (created_at);
+  `,
+  `
+  CREATE TABLE calibration_mappings (
+    model TEXT PRIMARY KEY,
+    method TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    run_id INTEGER REFERENCES backtest_runs (id),
+    params TEXT NOT NULL,
+    summary TEXT
+  );
+  `,
+];
+
+const toJson = (value) => (value === undefined ? null : JSON.stringify(value));
+const fromJson = (value) => (value == null ? null : JSON.parse(value));
+
+export class SqliteAdapter extends StorageAdapter {
+  /**
+   * @param {string} filename - Database file path, or ':memory:'
+   */
+  constructor(filename) {
+    super();
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+  }
+
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[i]);
+        this.db.pragma(`user_version = ${i + 1}`);
+      })();
+    }
+  }
+
+  insertPriceTicks(ticks) {
+    const statement = this.db.prepare(`
+      INSERT OR IGNORE INTO price_ticks (source, asset, feed_id, timestamp, block_number, value, decimals, price)
+      VALUES (@source, @asset, @feedId, @timestamp, @blockNumber, @value, @decimals, @price)
+    `);
+
+    return this.db.transaction((rows) => {
+      let inserted = 0;
+      for (const row of rows) {
+        inserted += statement.run({
+          feedId: null,
+          blockNumber: null,
+          value: null,
+          decimals: null,
+          ...row,
+          asset: row.asset.toUpperCase(),
+        }).changes;
+      }
+      return inserted;
+    })(ticks);
+  }
+
+  getPriceTicks(asset, from, to, source) {
+    const sourceClause = source ? 'AND source = @source' : '';
+    return this.db.prepare(`
+      SELECT source, asset, feed_id AS feedId, timestamp, block_number AS blockNumber, value, decimals, price
+      FROM price_ticks
+      WHERE asset = @asset AND timestamp BETWEEN @from AND @to ${sourceClause}
+      ORDER BY timestamp ASC
+    `).all({ asset: asset.toUpperCase(), from, to, source });
+  }
+
+  countPriceTicks(asset, from, to) {
+    return this.db.prepare(`
+      SELECT COUNT(*) AS count FROM price_ticks
+      WHERE asset = ? AND timestamp BETWEEN ? AND ?
+    `).get(asset.toUpperCase(), from, to).count;
+  }
+
+  getLatestPriceTick(asset) {
+    return this.db.prepare(`
+      SELECT source, asset, feed_id AS feedId, timestamp, block_number AS blockNumber, value, decimals, price
+      FROM price_ticks
+      WHERE asset = ?
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `).get(asset.toUpperCase()) || null;
+  }
+
+  upsertCandles(asset, interval, candles) {
+    const statement = this.db.prepare(`
+      INSERT OR REPLACE INTO candles (asset, interval, timestamp, open, high, low, close, volume, samples)
+      VALUES (@asset, @interval, @timestamp, @open, @high, @low, @close, @volume, @samples)
+    `);
+
+    this.db.transaction((rows) => {
+      for (const candle of rows) {
+        statement.run({
+          asset: asset.toUpperCase(),
+          interval,
+          timestamp: candle.timestamp,
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          volume: candle.volume ?? null,
+          samples: candle.samples ?? null,
+        });
+      }
+    })(candles);
+  }
+
+  getCandles(asset, interval, from, to) {
+    return this.db.prepare(`
+      SELECT timestamp, open, high, low, close, volume, samples
+      FROM candles
+      WHERE asset = ? AND interval = ? AND timestamp BETWEEN ? AND ?
+      ORDER BY timestamp ASC
+    `).all(asset.toUpperCase(), interval, from, to);
+  }
+
+  getLatestCandle(asset, interval) {
+    return this.db.prepare(`
+      SELECT timestamp, open, high, low, close, volume, samples
+      FROM candles
+      WHERE asset = ? AND interval = ?
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `).get(asset.toUpperCase(), interval) || null;
+  }
+
+  savePrediction(prediction) {
+    const result = this.db.prepare(`
+      INSERT INTO predictions (asset, model, created_at, current_price, direction, price_target, confidence, timeframe, resolve_at, payload)
+      VALUES (@asset, @model, @createdAt, @currentPrice, @direction, @priceTarget, @confidence, @timeframe, @resolveAt, @payload)
+    `).run({
+      asset: prediction.asset.toUpperCase(),
+      model: prediction.model,
+      createdAt: prediction.createdAt ?? Date.now(),
+      currentPrice: prediction.currentPrice ?? null,
+      direction: prediction.direction ?? null,
+      priceTarget: prediction.priceTarget ?? null,
+      confidence: prediction.confidence ?? null,
+      timeframe: prediction.timeframe ?? null,
+      resolveAt: prediction.resolveAt ?? null,
+      payload: toJson(prediction.payload),
+    });
+    return Number(result.lastInsertRowid);
+  }
+
+  getPrediction(id) {
+    const row = this.db.prepare('SELECT * FROM predictions WHERE id = ?').get(id);
+    return row ? this.mapPrediction(row) : null;
+  }
+
+  listPredictions({ asset, model, status, timeframe, from = 0, to = Number.MAX_SAFE_INTEGER, limit = 100, offset = 0 } = {}) {
+    const assetClause = asset ? 'AND asset = @asset' : '';
+    const modelClause = model ? 'AND model = @model' : '';
+    const statusClause = status ? 'AND status = @status' : '';
+    const timeframeClause = timeframe ? 'AND timeframe = @timeframe' : '';
+    return this.db.prepare(`
+      SELECT * FROM predictions
+      WHERE created_at BETWEEN @from AND @to ${assetClause} ${modelClause} ${statusClause} ${timeframeClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ asset: asset?.toUpperCase(), model, status, timeframe, from, to, limit, offset }).map((row) => this.mapPrediction(row));
+  }
+
+  listDuePredictions(now, limit = 100) {
+    return this.db.prepare(`
+      SELECT * FROM predictions
+      WHERE status = 'pending' AND resolve_at IS NOT NULL AND resolve_at <= ?
+      ORDER BY resolve_at ASC
+      LIMIT ?
+    `).all(now, limit).map((row) => this.mapPrediction(row));
+  }
+
+  resolvePrediction(id, { status = 'resolved', resolvedAt, actualPrice }) {
+    this.db.prepare(`
+      UPDATE predictions SET status = ?, resolved_at = ?, actual_price = ? WHERE id = ?
+    `).run(status, resolvedAt ?? Date.now(), actualPrice ?? null, id);
+  }
+
+  mapPrediction(row) {
+    return {
+      id: row.id,
+      asset: row.asset,
+      model: row.model,
+      createdAt: row.created_at,
+      currentPrice: row.current_price,
+      direction: row.direction,
+      priceTarget: row.price_target,
+      confidence: row.confidence,
+      timeframe: row.timeframe,
+      status: row.status,
+      resolveAt: row.resolve_at,
+      resolvedAt: row.resolved_at,
+      actualPrice: row.actual_price,
+      payload: fromJson(row.payload),
+    };
+  }
+
+  saveFAssetSnapshot(snapshot) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO fasset_snapshots (fasset, timestamp, block_number, data)
+      VALUES (?, ?, ?, ?)
+    `).run(snapshot.fAsset, snapshot.timestamp, snapshot.blockNumber ?? null, toJson(snapshot));
+  }
+
+  getFAssetSnapshots(fAsset, from, to) {
+    return this.db.prepare(`
+      SELECT data FROM fasset_snapshots
+      WHERE fasset = ? AND timestamp BETWEEN ? AND ?
+      ORDER BY timestamp ASC
+    `).all(fAsset, from, to).map((row) => fromJson(row.data));
+  }
+
+  saveBacktestRun(run) {
+    const result = this.db.prepare(`
+      INSERT INTO backtest_runs (asset, kind, created_at, params, summary, results)
+      VALUES (@asset, @kind, @createdAt, @params, @summary, @results)
+    `).run({
+      asset: run.asset.toUpperCase(),
+      kind: run.kind,
+      createdAt: run.createdAt ?? Date.now(),
+      params: toJson(run.params),
+      summary: toJson(run.summary),
+      results: toJson(run.results),
+    });
+    return Number(result.lastInsertRowid);
+  }
+
+  getBacktestRun(id) {
+    const row = this.db.prepare('SELECT * FROM backtest_runs WHERE id = ?').get(id);
+    if (!row) return null;
+    return {
+      ...this.mapBacktestRun(row),
+      results: fromJson(row.results),
+    };
+  }
+
+  listBacktestRuns({ asset, limit = 50 } = {}) {
+    const assetClause = asset ? 'WHERE asset = @asset' : '';
+    return this.db.prepare(`
+      SELECT id, asset, kind, created_at, params, summary FROM backtest_runs
+      ${assetClause}
+      ORDER BY created_at DESC
+      LIMIT @limit
+    `).all({ asset: asset?.toUpperCase(), limit }).map((row) => this.mapBacktestRun(row));
+  }
+
+  mapBacktestRun(row) {
+    return {
+      id: row.id,
+      asset: row.asset,
+      kind: row.kind,
+      createdAt: row.created_at,
+      params: fromJson(row.params),
+      summary: fromJson(row.summary),
+    };
+  }
+
+  saveBacktestJob(job) {
+    const result = this.db.prepare(`
+      INSERT INTO backtest_jobs (asset, status, created_at, params, progress)
+      VALUES (@asset, @status, @createdAt, @params, @progress)
+    `).run({
+      asset: job.asset.toUpperCase(),
+      status: job.status,
+      createdAt: job.createdAt ?? Date.now(),
+      params: toJson(job.params),
+      progress: toJson(job.progress),
+    });
+    return Number(result.lastInsertRowid);
+  }
+
+  updateBacktestJob(id, update) {
+    const columns = {
+      status: 'status',
+      startedAt: 'started_at',
+      finishedAt: 'finished_at',
+      progress: 'progress',
+      error: 'error',
+      runId: 'run_id',
+    };
+    const fields = Object.keys(update).filter((field) => columns[field]);
+    if (fields.length === 0) return;
+
+    this.db.prepare(`
+      UPDATE backtest_jobs SET ${fields.map((field) => `${columns[field]} = @${field}`).join(', ')}
+      WHERE id = @id
+    `).run({
+      ...Object.fromEntries(fields.map((field) => [field, update[field] ?? null])),
+      ...(update.progress !== undefined && { progress: toJson(update.progress) }),
+      id,
+    });
+  }
+
+  getBacktestJob(id) {
+    const row = this.db.prepare('SELECT * FROM backtest_jobs WHERE id = ?').get(id);
+    return row ? this.mapBacktestJob(row) : null;
+  }
+
+  listBacktestJobs({ asset, status, limit = 50 } = {}) {
+    const clauses = [asset && 'asset = @asset', status && 'status = @status'].filter(Boolean);
+    return this.db.prepare(`
+      SELECT * FROM backtest_jobs
+      ${clauses.length ? `WHERE ${clauses.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT @limit
+    `).all({ asset: asset?.toUpperCase(), status, limit }).map((row) => this.mapBacktestJob(row));
+  }
+
+  mapBacktestJob(row) {
+    return {
+      id: row.id,
+      asset: row.asset,
+      status: row.status,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      params: fromJson(row.params),
+      progress: fromJson(row.progress),
+      error: row.error,
+      runId: row.run_id,
+    };
+  }
+
+  saveCalibrationMapping(mapping) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO calibration_mappings (model, method, created_at, run_id, params, summary)
+      VALUES (@model, @method, @createdAt, @runId, @params, @summary)
+    `).run({
+      model: mapping.model,
+      method: mapping.method,
+      createdAt: mapping.createdAt ?? Date.now(),
+      runId: mapping.runId ?? null,
+      params: toJson(mapping.params),
+      summary: toJson({ before: mapping.before, after: mapping.after }),
+    });
+  }
+
+  getCalibrationMapping(model) {
+    const row = this.db.prepare('SELECT * FROM calibration_mappings WHERE model = ?').get(model);
+    return row ? this.mapCalibrationMapping(row) : null;
+  }
+
+  listCalibrationMappings() {
+    return this.db.prepare('SELECT * FROM calibration_mappings ORDER BY model')
+      .all()
+      .map((row) => this.mapCalibrationMapping(row));
+  }
+
+  deleteCalibrationMapping(model) {
+    return this.db.prepare('DELETE FROM calibration_mappings WHERE model = ?').run(model).changes > 0;
+  }
+
+  mapCalibrationMapping(row) {
+    return {
+      model: row.model,
+      method: row.method,
+      createdAt: row.created_at,
+      runId: row.run_id,
+      params: fromJson(row.params),
+      ...fromJson(row.summary),
+    };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
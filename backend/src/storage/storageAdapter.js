@@ -0,0 +1,247 @@
+/**
+ * Storage Adapter
+ * Interface every persistence backend implements
+ * Timestamps are Unix milliseconds; structured payloads are plain JSON-serializable objects
+ */
+
+export class StorageAdapter {
+  /**
+   * Insert price ticks, ignoring ticks already stored for the same source, asset and timestamp
+   * @param {Object[]} ticks - Ticks with source, asset, feedId, timestamp, blockNumber, value, decimals, price
+   * @returns {number} Number of newly inserted ticks
+   */
+  insertPriceTicks(ticks) {
+    throw new Error(`${this.constructor.name} does not implement insertPriceTicks`);
+  }
+
+  /**
+   * Get price ticks for an asset in a time range, ordered by timestamp
+   * @param {string} asset - Asset symbol
+   * @param {number} from - Start timestamp (inclusive)
+   * @param {number} to - End timestamp (inclusive)
+   * @param {string} [source] - Only return ticks from this source
+   * @returns {Object[]} Ticks
+   */
+  getPriceTicks(asset, from, to, source) {
+    throw new Error(`${this.constructor.name} does not implement getPriceTicks`);
+  }
+
+  /**
+   * Count price ticks for an asset in a time range
+   * @param {string} asset - Asset symbol
+   * @param {number} from - Start timestamp (inclusive)
+   * @param {number} to - End timestamp (inclusive)
+   * @returns {number} Tick count
+   */
+  countPriceTicks(asset, from, to) {
+    throw new Error(`${this.constructor.name} does not implement countPriceTicks`);
+  }
+
+  /**
+   * Get the most recent price tick for an asset
+   * @param {string} asset - Asset symbol
+   * @returns {Object|null} Latest tick
+   */
+  getLatestPriceTick(asset) {
+    throw new Error(`${this.constructor.name} does not implement getLatestPriceTick`);
+  }
+
+  /**
+   * Insert or replace candles for an asset and interval
+   * @param {string} asset - Asset symbol
+   * @param {string} interval - Candle interval (e.g. '1d')
+   * @param {Object[]} candles - Candles with timestamp, open, high, low, close, volume, samples
+   */
+  upsertCandles(asset, interval, candles) {
+    throw new Error(`${this.constructor.name} does not implement upsertCandles`);
+  }
+
+  /**
+   * Get candles for an asset and interval in a time range, ordered by timestamp
+   * @param {string} asset - Asset symbol
+   * @param {string} interval - Candle interval
+   * @param {number} from - Start timestamp (inclusive)
+   * @param {number} to - End timestamp (inclusive)
+   * @returns {Object[]} Candles
+   */
+  getCandles(asset, interval, from, to) {
+    throw new Error(`${this.constructor.name} does not implement getCandles`);
+  }
+
+  /**
+   * Get the most recent candle for an asset and interval
+   * @param {string} asset - Asset symbol
+   * @param {string} interval - Candle interval
+   * @returns {Object|null} Latest candle
+   */
+  getLatestCandle(asset, interval) {
+    throw new Error(`${this.constructor.name} does not implement getLatestCandle`);
+  }
+
+  /**
+   * Persist a generated prediction as pending
+   * @param {Object} prediction - Prediction with asset, model, createdAt, currentPrice, direction, priceTarget, confidence, timeframe, resolveAt, payload
+   * @returns {number} Prediction ID
+   */
+  savePrediction(prediction) {
+    throw new Error(`${this.constructor.name} does not implement savePrediction`);
+  }
+
+  /**
+   * Get a stored prediction
+   * @param {number} id - Prediction ID
+   * @returns {Object|null} Prediction
+   */
+  getPrediction(id) {
+    throw new Error(`${this.constructor.name} does not implement getPrediction`);
+  }
+
+  /**
+   * List stored predictions, newest first
+   * @param {Object} [filter] - { asset, model, status, timeframe, from, to, limit, offset }
+   * @returns {Object[]} Predictions
+   */
+  listPredictions(filter) {
+    throw new Error(`${this.constructor.name} does not implement listPredictions`);
+  }
+
+  /**
+   * List pending predictions whose resolveAt has passed, oldest first
+   * @param {number} now - Current timestamp
+   * @param {number} [limit] - Maximum number of predictions
+   * @returns {Object[]} Predictions due for resolution
+   */
+  listDuePredictions(now, limit) {
+    throw new Error(`${this.constructor.name} does not implement listDuePredictions`);
+  }
+
+  /**
+   * Record the outcome of a prediction
+   * @param {number} id - Prediction ID
+   * @param {Object} outcome - { status, resolvedAt, actualPrice }
+   */
+  resolvePrediction(id, outcome) {
+    throw new Error(`${this.constructor.name} does not implement resolvePrediction`);
+  }
+
+  /**
+   * Insert or replace an FAssets snapshot
+   * @param {Object} snapshot - Snapshot with fAsset, timestamp, blockNumber and metrics
+   */
+  saveFAssetSnapshot(snapshot) {
+    throw new Error(`${this.constructor.name} does not implement saveFAssetSnapshot`);
+  }
+
+  /**
+   * Get FAssets snapshots in a time range, ordered by timestamp
+   * @param {string} fAsset - FAsset symbol (e.g. FXRP)
+   * @param {number} from - Start timestamp (inclusive)
+   * @param {number} to - End timestamp (inclusive)
+   * @returns {Object[]} Snapshots
+   */
+  getFAssetSnapshots(fAsset, from, to) {
+    throw new Error(`${this.constructor.name} does not implement getFAssetSnapshots`);
+  }
+
+  /**
+   * Persist a backtest run
+   * @param {Object} run - Run with asset, kind, createdAt, params, results
+   * @returns {number} Run ID
+   */
+  saveBacktestRun(run) {
+    throw new Error(`${this.constructor.name} does not implement saveBacktestRun`);
+  }
+
+  /**
+   * Get a stored backtest run including its full results
+   * @param {number} id - Run ID
+   * @returns {Object|null} Backtest run
+   */
+  getBacktestRun(id) {
+    throw new Error(`${this.constructor.name} does not implement getBacktestRun`);
+  }
+
+  /**
+   * List stored backtest runs without their full results, newest first
+   * @param {Object} [filter] - { asset, limit }
+   * @returns {Object[]} Backtest run summaries
+   */
+  listBacktestRuns(filter) {
+    throw new Error(`${this.constructor.name} does not implement listBacktestRuns`);
+  }
+
+  /**
+   * Persist a new backtest job
+   * @param {Object} job - Job with asset, status, createdAt, params, progress
+   * @returns {number} Job ID
+   */
+  saveBacktestJob(job) {
+    throw new Error(`${this.constructor.name} does not implement saveBacktestJob`);
+  }
+
+  /**
+   * Update a backtest job's state
+   * @param {number} id - Job ID
+   * @param {Object} update - Any of status, startedAt, finishedAt, progress, error, runId
+   */
+  updateBacktestJob(id, update) {
+    throw new Error(`${this.constructor.name} does not implement updateBacktestJob`);
+  }
+
+  /**
+   * Get a backtest job
+   * @param {number} id - Job ID
+   * @returns {Object|null} Backtest job
+   */
+  getBacktestJob(id) {
+    throw new Error(`${this.constructor.name} does not implement getBacktestJob`);
+  }
+
+  /**
+   * List backtest jobs, newest first
+   * @param {Object} [filter] - { asset, status, limit }
+   * @returns {Object[]} Backtest jobs
+   */
+  listBacktestJobs(filter) {
+    throw new Error(`${this.constructor.name} does not implement listBacktestJobs`);
+  }
+
+  /**
+   * Save a model's confidence recalibration mapping, replacing any previous one
+   * @param {Object} mapping - Mapping with model, method, createdAt, runId, params, before, after
+   */
+  saveCalibrationMapping(mapping) {
+    throw new Error(`${this.constructor.name} does not implement saveCalibrationMapping`);
+  }
+
+  /**
+   * Get a model's active recalibration mapping
+   * @param {string} model - Model name
+   * @returns {Object|null} Mapping
+   */
+  getCalibrationMapping(model) {
+    throw new Error(`${this.constructor.name} does not implement getCalibrationMapping`);
+  }
+
+  /**
+   * List the active recalibration mappings of every model
+   * @returns {Object[]} Mappings
+   */
+  listCalibrationMappings() {
+    throw new Error(`${this.constructor.name} does not implement listCalibrationMappings`);
+  }
+
+  /**
+   * Remove a model's recalibration mapping
+   * @param {string} model - Model name
+   * @returns {boolean} Whether a mapping was removed
+   */
+  deleteCalibrationMapping(model) {
+    throw new Error(`${this.constructor.name} does not implement deleteCalibrationMapping`);
+  }
+
+  /**
+   * Release any resources held by the adapter
+   */
+  close() {}
+}
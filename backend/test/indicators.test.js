@@ -0,0 +1,80 @@
+/**
+ * Indicator reference check
+ * Compares the batch and incremental indicators with the worked examples StockCharts publishes
+ * in ChartSchool (values there are rounded to cents)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import technicalIndicators from '../src/services/technicalIndicators.js';
+import { SMACalculator, EMACalculator, RSICalculator } from '../src/services/incrementalIndicators.js';
+
+const TOLERANCE = 0.01;
+// The RSI sheet rounds its average gain and loss to cents, which moves its early values by up to 0.07
+const RSI_TOLERANCE = 0.1;
+
+// ChartSchool "Moving Averages - Simple and Exponential": 10-day SMA and EMA
+const MA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+  22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+  23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17,
+];
+const SMA_10 = [
+  22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21,
+  23.38, 23.53, 23.65, 23.71, 23.69, 23.61, 23.51, 23.43, 23.28, 23.13,
+];
+const EMA_10 = [
+  22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+  23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92,
+];
+
+// ChartSchool "Relative Strength Index (RSI)": 14-day RSI with Wilder's smoothing
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89,
+  46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25,
+  45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13,
+];
+const RSI_14 = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+  54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77,
+];
+
+/**
+ * Assert a series is null before its first full period and matches the reference after it
+ * @param {Array} actual - Calculated series aligned with the closes
+ * @param {number[]} expected - Reference values from the first full period on
+ * @param {number} [tolerance] - Largest accepted difference
+ */
+const assertSeries = (actual, expected, tolerance = TOLERANCE) => {
+  const warmup = actual.length - expected.length;
+  actual.slice(0, warmup).forEach((value, i) => assert.equal(value, null, `index ${i} should be null`));
+  expected.forEach((value, i) => {
+    const index = warmup + i;
+    assert.ok(Math.abs(actual[index] - value) <= tolerance, `index ${index}: ${actual[index]} differs from ${value}`);
+  });
+};
+
+test('SMA matches the StockCharts 10-day example', () => {
+  assertSeries(technicalIndicators.calculateSMASeries(MA_CLOSES, 10), SMA_10);
+  assert.ok(Math.abs(technicalIndicators.calculateSMA(MA_CLOSES, 10) - SMA_10.at(-1)) <= TOLERANCE);
+});
+
+test('EMA matches the StockCharts 10-day example', () => {
+  assertSeries(technicalIndicators.calculateEMASeries(MA_CLOSES, 10), EMA_10);
+  assert.ok(Math.abs(technicalIndicators.calculateEMA(MA_CLOSES, 10) - EMA_10.at(-1)) <= TOLERANCE);
+});
+
+test('RSI matches the StockCharts 14-day example', () => {
+  assertSeries(technicalIndicators.calculateRSISeries(RSI_CLOSES, 14), RSI_14, RSI_TOLERANCE);
+  assert.ok(Math.abs(technicalIndicators.calculateRSI(RSI_CLOSES, 14) - RSI_14.at(-1)) <= RSI_TOLERANCE);
+});
+
+test('incremental calculators match the references one point at a time', () => {
+  const sma = new SMACalculator(10);
+  const ema = new EMACalculator(10);
+  const rsi = new RSICalculator(14);
+
+  assertSeries(MA_CLOSES.map((close) => sma.update(close)), SMA_10);
+  assertSeries(MA_CLOSES.map((close) => ema.update(close)), EMA_10);
+  assertSeries(RSI_CLOSES.map((close) => rsi.update(close)), RSI_14, RSI_TOLERANCE);
+});
@@ -0,0 +1,46 @@
+/**
+ * Statistical provider check
+ * The Holt model is fitted on log prices, so a steady fall must forecast a positive price inside
+ * a positive, correctly ordered interval at every horizon
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import statisticalProvider from '../src/providers/statisticalProvider.js';
+import { validatePricePath } from '../src/providers/predictionSchema.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HORIZONS = ['1h', '24h', '7d', '30d'];
+
+/**
+ * Formatted data for a series of daily prices ending now
+ * @param {number[]} prices - Daily prices, oldest first
+ * @returns {Object} Input for generatePrediction
+ */
+const formatSeries = (prices) => {
+  const end = Date.now();
+  return {
+    asset: 'TEST',
+    currentPrice: prices[prices.length - 1],
+    dataPoints: prices.map((price, i) => ({ timestamp: end - (prices.length - 1 - i) * DAY_MS, price })),
+    technicalIndicators: {},
+    priceChange24h: 0,
+  };
+};
+
+test('a series falling 5% a day forecasts positive prices inside ordered intervals', async () => {
+  const prices = Array.from({ length: 30 }, (_, i) => 100 * 0.95 ** i);
+  const result = await statisticalProvider.generatePrediction(formatSeries(prices), { horizons: HORIZONS });
+
+  assert.deepEqual(validatePricePath(result.pricePath, HORIZONS), []);
+  for (const entry of result.pricePath) {
+    assert.ok(entry.lower > 0, `${entry.horizon}: lower ${entry.lower} is not positive`);
+    assert.ok(entry.lower <= entry.priceTarget && entry.priceTarget <= entry.upper,
+      `${entry.horizon}: ${entry.lower} <= ${entry.priceTarget} <= ${entry.upper} does not hold`);
+    assert.equal(entry.direction, 'DOWN');
+  }
+
+  // Thirty more days of the same fall, 0.95^30 of the current price
+  const monthly = result.pricePath.find((entry) => entry.horizon === '30d');
+  assert.ok(Math.abs(monthly.priceTarget / result.currentPrice - 0.95 ** 30) < 0.01);
+});
@@ -8,22 +8,79 @@ import AssetSelector from './components/AssetSelector';
 import BacktestingPanel from './components/BacktestingPanel';
 import { apiService } from './services/apiService';
 
+// Horizons shown in the predicted price path
+const PREDICTION_HORIZONS = ['1h', '24h', '7d', '30d'];
+
 function App() {
+  const [assets, setAssets] = useState([]);
   const [selectedAsset, setSelectedAsset] = useState('BTC');
   const [livePrices, setLivePrices] = useState(null);
+  const [models, setModels] = useState([]);
+  const [model, setModel] = useState(null);
   const [prediction, setPrediction] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   useEffect(() => {
-    fetchLivePrices();
-    const interval = setInterval(fetchLivePrices, 30000);
-    return () => clearInterval(interval);
+    fetchAssets();
+    fetchModels();
+  }, []);
+
+  useEffect(() => {
+    // Live prices are pushed over the stream; poll only while it is down
+    let pollInterval = null;
+
+    const startPolling = () => {
+      if (pollInterval) return;
+      fetchLivePrices();
+      pollInterval = setInterval(fetchLivePrices, 30000);
+    };
+
+    const stopPolling = () => {
+      clearInterval(pollInterval);
+      pollInterval = null;
+    };
+
+    const unsubscribe = apiService.subscribeToPrices({
+      onPrices: setLivePrices,
+      onOpen: stopPolling,
+      onError: startPolling,
+    });
+
+    if (!unsubscribe) {
+      startPolling();
+    }
+
+    return () => {
+      unsubscribe?.();
+      stopPolling();
+    };
   }, []);
 
   useEffect(() => {
     fetchPrediction();
-  }, [selectedAsset]);
+  }, [selectedAsset, model]);
+
+  const fetchAssets = async () => {
+    try {
+      const data = await apiService.getAssets();
+      setAssets(data.assets);
+      setSelectedAsset((current) => (
+        data.tracked.includes(current) ? current : data.tracked[0] || current
+      ));
+    } catch (err) {
+      console.error('Error fetching assets:', err);
+    }
+  };
+
+  const fetchModels = async () => {
+    try {
+      const data = await apiService.getPredictionModels();
+      setModels(data.models);
+    } catch (err) {
+      console.error('Error fetching prediction models:', err);
+    }
+  };
 
   const fetchLivePrices = async () => {
     try {
@@ -38,7 +95,7 @@ function App() {
     setLoading(true);
     setError(null);
     try {
-      const data = await apiService.getPrediction(selectedAsset);
+      const data = await apiService.getPrediction(selectedAsset, model, PREDICTION_HORIZONS);
       setPrediction(data);
     } catch (err) {
       setError(err.message);
@@ -92,6 +149,7 @@ function App() {
             transition={{ duration: 0.5 }}
           >
             <AssetSelector
+              assets={assets}
               selectedAsset={selectedAsset}
               onAssetChange={setSelectedAsset}
               livePrices={livePrices}
@@ -109,12 +167,15 @@ function App() {
                 loading={loading}
                 error={error}
                 onRefresh={fetchPrediction}
+                models={models}
+                model={model || prediction?.model}
+                onModelChange={setModel}
                 livePrices={livePrices}
               />
             </div>
 
             {/* Backtesting Section */}
-            <BacktestingPanel />
+            <BacktestingPanel assets={assets} />
           </motion.div>
         </AnimatePresence>
       </main>
@@ -1,15 +1,18 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { Bitcoin, Coins, Sparkles } from 'lucide-react';
+import { Bitcoin, CircleDollarSign, Coins, Sparkles } from 'lucide-react';
 import GlassCard from './ui/GlassCard';
 import './AssetSelector.css';
 
-const AssetSelector = ({ selectedAsset, onAssetChange, livePrices }) => {
-  const assets = [
-    { symbol: 'BTC', name: 'Bitcoin', icon: Bitcoin, color: '#f59e0b' },
-    { symbol: 'ETH', name: 'Ethereum', icon: Coins, color: '#627eea' },
-    { symbol: 'FLR', name: 'Flare', icon: Sparkles, color: '#f093fb' },
-  ];
+const ASSET_ICONS = {
+  BTC: Bitcoin,
+  ETH: Coins,
+  FLR: Sparkles,
+};
+
+const FALLBACK_COLORS = ['#667eea', '#4facfe', '#43e97b', '#fa709a', '#fee140', '#30cfd0'];
+
+const AssetSelector = ({ assets = [], selectedAsset, onAssetChange, livePrices }) => {
 
   const getAssetPrice = (asset) => {
     if (!livePrices?.prices?.[asset]) return null;
@@ -40,7 +43,8 @@ const AssetSelector = ({ selectedAsset, onAssetChange, livePrices }) => {
       
       <div className="asset-grid">
         {assets.map((asset, index) => {
-          const Icon = asset.icon;
+          const Icon = ASSET_ICONS[asset.symbol] || CircleDollarSign;
+          const color = asset.color || FALLBACK_COLORS[index % FALLBACK_COLORS.length];
           const isActive = selectedAsset === asset.symbol;
           const price = getAssetPrice(asset.symbol);
           
@@ -56,7 +60,7 @@ const AssetSelector = ({ selectedAsset, onAssetChange, livePrices }) => {
               <button
                 className={`asset-card-premium ${isActive ? 'active' : ''}`}
                 onClick={() => onAssetChange(asset.symbol)}
-                style={{ '--asset-color': asset.color }}
+                style={{ '--asset-color': color }}
               >
                 <div className="asset-card-glow"></div>
                 
@@ -1,6 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { TestTube, Calendar, TrendingUp, AlertCircle, Loader } from 'lucide-react';
+import { TestTube, Calendar, TrendingUp, AlertCircle, Loader, History, XCircle } from 'lucide-react';
 import GlassCard from './ui/GlassCard';
 import GradientButton from './ui/GradientButton';
 import Chip from './ui/Chip';
@@ -8,14 +8,90 @@ import { apiService } from '../services/apiService';
 import BacktestingResults from './BacktestingResults';
 import './BacktestingPanel.css';
 
-const BacktestingPanel = () => {
-  const [asset, setAsset] = useState('BTC');
+const HORIZON_OPTIONS = ['1h', '24h', '7d', '30d'];
+const JOB_POLL_INTERVAL = 2000;
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const formatEta = (ms) => {
+  if (ms === null || ms === undefined) return 'estimating…';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s left`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s left`;
+};
+
+const BacktestingPanel = ({ assets = [] }) => {
+  const [asset, setAsset] = useState(assets[0]?.symbol || 'BTC');
   const [testDate, setTestDate] = useState('');
-  const [daysToPredict, setDaysToPredict] = useState(1);
+  const [horizons, setHorizons] = useState(['24h']);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [results, setResults] = useState(null);
   const [validationError, setValidationError] = useState(null);
+  const [mode, setMode] = useState('single');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [stepDays, setStepDays] = useState(7);
+  const [job, setJob] = useState(null);
+  const [pastRuns, setPastRuns] = useState([]);
+
+  const jobId = job?.id;
+  const jobActive = !!job && ACTIVE_JOB_STATUSES.includes(job.status);
+
+  const fetchPastRuns = useCallback(async () => {
+    try {
+      const data = await apiService.getBacktestRuns(asset);
+      setPastRuns(data.runs || []);
+    } catch (err) {
+      console.error('Error fetching past backtest runs:', err);
+    }
+  }, [asset]);
+
+  useEffect(() => {
+    fetchPastRuns();
+  }, [fetchPastRuns]);
+
+  const openRun = useCallback(async (runId) => {
+    setError(null);
+    try {
+      const run = await apiService.getBacktestRun(runId);
+      setResults({ ...run.results, runId: run.id });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to load backtest run');
+    }
+  }, []);
+
+  // Poll the running job until it finishes, then load its stored results
+  useEffect(() => {
+    if (!jobActive) return undefined;
+
+    const interval = setInterval(async () => {
+      try {
+        const latest = await apiService.getBacktestJob(jobId);
+        setJob(latest);
+
+        if (!ACTIVE_JOB_STATUSES.includes(latest.status)) {
+          if (latest.runId) {
+            await openRun(latest.runId);
+          }
+          if (latest.status === 'failed') {
+            setError(latest.error || 'Backtest job failed');
+          }
+          fetchPastRuns();
+        }
+      } catch (err) {
+        console.error('Error polling backtest job:', err);
+      }
+    }, JOB_POLL_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [jobId, jobActive, fetchPastRuns, openRun]);
+
+  // Fall back to the first tracked asset once the registry has loaded
+  useEffect(() => {
+    if (assets.length > 0 && !assets.some((option) => option.symbol === asset)) {
+      setAsset(assets[0].symbol);
+    }
+  }, [assets, asset]);
 
   // Calculate max date (yesterday)
   const getMaxDate = () => {
@@ -55,6 +131,16 @@ const BacktestingPanel = () => {
     validateDate(date);
   };
 
+  const toggleHorizon = (horizon) => {
+    setHorizons((current) => {
+      if (current.includes(horizon)) {
+        // Keep at least one horizon selected
+        return current.length > 1 ? current.filter((h) => h !== horizon) : current;
+      }
+      return HORIZON_OPTIONS.filter((h) => h === horizon || current.includes(h));
+    });
+  };
+
   const handleRunBacktest = async () => {
     if (!testDate) {
       setError('Please select a test date');
@@ -74,9 +160,10 @@ const BacktestingPanel = () => {
       const backtestResults = await apiService.runBacktest(
         asset,
         testDate,
-        daysToPredict
+        horizons
       );
       setResults(backtestResults);
+      fetchPastRuns();
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Failed to run backtest');
       console.error('Backtest error:', err);
@@ -85,6 +172,34 @@ const BacktestingPanel = () => {
     }
   };
 
+  const handleSubmitJob = async () => {
+    if (!startDate || !endDate) {
+      setError('Please select a start and end date');
+      return;
+    }
+
+    setError(null);
+    setResults(null);
+
+    try {
+      const submitted = await apiService.submitBacktestJob(asset, startDate, endDate, stepDays, horizons);
+      setJob(submitted.job);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to submit backtest job');
+      console.error('Backtest job error:', err);
+    }
+  };
+
+  const handleCancelJob = async () => {
+    try {
+      setJob(await apiService.cancelBacktestJob(job.id));
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to cancel backtest job');
+    }
+  };
+
+  const progress = job?.progress || {};
+
   return (
     <GlassCard className="backtesting-panel" glow>
       <div className="backtesting-header">
@@ -111,64 +226,175 @@ const BacktestingPanel = () => {
             onChange={(e) => setAsset(e.target.value)}
             className="form-select"
           >
-            <option value="BTC">Bitcoin (BTC)</option>
-            <option value="ETH">Ethereum (ETH)</option>
-            <option value="FLR">Flare (FLR)</option>
+            {assets.map((option) => (
+              <option key={option.symbol} value={option.symbol}>
+                {option.name} ({option.symbol})
+              </option>
+            ))}
           </select>
         </div>
 
         <div className="form-group">
-          <label htmlFor="test-date">
-            <Calendar size={18} />
-            Test Date (Past Date)
+          <label>
+            Mode
           </label>
-          <input
-            id="test-date"
-            type="date"
-            value={testDate}
-            onChange={handleDateChange}
-            min={getMinDate()}
-            max={getMaxDate()}
-            className="form-input"
-          />
-          <small className="form-hint">
-            Select a date in the past. The system will use 30 days before this date for prediction.
-          </small>
-          {validationError && (
-            <div className="validation-error">
-              <AlertCircle size={16} />
-              {validationError}
-            </div>
-          )}
+          <div className="horizon-options">
+            <button
+              type="button"
+              className={`horizon-option ${mode === 'single' ? 'selected' : ''}`}
+              onClick={() => setMode('single')}
+            >
+              Single Date
+            </button>
+            <button
+              type="button"
+              className={`horizon-option ${mode === 'range' ? 'selected' : ''}`}
+              onClick={() => setMode('range')}
+            >
+              Date Range
+            </button>
+          </div>
         </div>
 
+        {mode === 'range' ? (
+          <div className="form-group">
+            <label htmlFor="range-start">
+              <Calendar size={18} />
+              Date Range
+            </label>
+            <div className="date-range-inputs">
+              <input
+                id="range-start"
+                type="date"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+                max={endDate || getMaxDate()}
+                className="form-input"
+              />
+              <input
+                type="date"
+                value={endDate}
+                onChange={(e) => setEndDate(e.target.value)}
+                min={startDate}
+                max={getMaxDate()}
+                className="form-input"
+              />
+              <select
+                value={stepDays}
+                onChange={(e) => setStepDays(Number(e.target.value))}
+                className="form-select"
+              >
+                {[1, 3, 7, 14, 30].map((days) => (
+                  <option key={days} value={days}>
+                    Every {days} day{days > 1 ? 's' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <small className="form-hint">
+              Runs a walk-forward backtest in the background, predicting at every step. Finished runs are kept under Past Runs.
+            </small>
+          </div>
+        ) : (
+          <div className="form-group">
+            <label htmlFor="test-date">
+              <Calendar size={18} />
+              Test Date (Past Date)
+            </label>
+            <input
+              id="test-date"
+              type="date"
+              value={testDate}
+              onChange={handleDateChange}
+              min={getMinDate()}
+              max={getMaxDate()}
+              className="form-input"
+            />
+            <small className="form-hint">
+              Select a date in the past. The system will use 30 days before this date for prediction.
+            </small>
+            {validationError && (
+              <div className="validation-error">
+                <AlertCircle size={16} />
+                {validationError}
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="form-group">
-          <label htmlFor="days-predict">
-            Days to Predict
+          <label>
+            Horizons
           </label>
-          <input
-            id="days-predict"
-            type="number"
-            min="1"
-            max="30"
-            value={daysToPredict}
-            onChange={(e) => setDaysToPredict(parseInt(e.target.value) || 1)}
-            className="form-input"
-          />
+          <div className="horizon-options">
+            {HORIZON_OPTIONS.map((horizon) => (
+              <button
+                key={horizon}
+                type="button"
+                className={`horizon-option ${horizons.includes(horizon) ? 'selected' : ''}`}
+                onClick={() => toggleHorizon(horizon)}
+              >
+                {horizon}
+              </button>
+            ))}
+          </div>
           <small className="form-hint">
-            Number of days ahead to predict (1-30)
+            Each horizon is predicted and scored against the actual price independently. Horizons that have not elapsed yet are skipped.
           </small>
         </div>
 
-        <GradientButton
-          onClick={handleRunBacktest}
-          disabled={loading || !testDate || !!validationError}
-          fullWidth
-          size="lg"
-          icon={loading ? <Loader size={20} style={{ animation: 'spin 1s linear infinite' }} /> : <TestTube size={20} />}
-        >
-          {loading ? 'Running Backtest...' : 'Run Backtest'}
-        </GradientButton>
+        {mode === 'range' ? (
+          <GradientButton
+            onClick={handleSubmitJob}
+            disabled={jobActive || !startDate || !endDate}
+            fullWidth
+            size="lg"
+            icon={jobActive ? <Loader size={20} style={{ animation: 'spin 1s linear infinite' }} /> : <TestTube size={20} />}
+          >
+            {jobActive ? 'Backtest Running...' : 'Run Walk-Forward Backtest'}
+          </GradientButton>
+        ) : (
+          <GradientButton
+            onClick={handleRunBacktest}
+            disabled={loading || !testDate || !!validationError}
+            fullWidth
+            size="lg"
+            icon={loading ? <Loader size={20} style={{ animation: 'spin 1s linear infinite' }} /> : <TestTube size={20} />}
+          >
+            {loading ? 'Running Backtest...' : 'Run Backtest'}
+          </GradientButton>
+        )}
+
+        {job && (
+          <div className="job-progress">
+            <div className="job-progress-header">
+              <span>
+                Job #{job.id} • {job.status}
+                {progress.total ? ` • ${progress.completed + progress.failed}/${progress.total} tests` : ''}
+                {progress.failed > 0 ? ` (${progress.failed} failed)` : ''}
+              </span>
+              {jobActive && <span className="job-progress-eta">{formatEta(progress.etaMs)}</span>}
+            </div>
+            <div className="job-progress-track">
+              <motion.div
+                className={`job-progress-fill ${job.status}`}
+                animate={{ width: `${progress.percent || 0}%` }}
+                transition={{ duration: 0.5 }}
+              />
+            </div>
+            {jobActive && (
+              <GradientButton
+                onClick={handleCancelJob}
+                disabled={!!job.cancelRequested}
+                variant="secondary"
+                size="sm"
+                icon={<XCircle size={16} />}
+              >
+                {job.cancelRequested ? 'Cancelling...' : 'Cancel'}
+              </GradientButton>
+            )}
+          </div>
+        )}
 
         {error && (
           <motion.div
@@ -182,6 +408,34 @@ const BacktestingPanel = () => {
         )}
       </div>
 
+      {pastRuns.length > 0 && (
+        <div className="past-runs">
+          <h4 className="past-runs-title">
+            <History size={18} />
+            Past Runs
+          </h4>
+          <div className="past-runs-list">
+            {pastRuns.map((run) => (
+              <button
+                key={run.id}
+                type="button"
+                className="past-run"
+                onClick={() => openRun(run.id)}
+              >
+                <span className="past-run-date">{new Date(run.createdAt).toLocaleString()}</span>
+                <span>
+                  {run.kind === 'multiple'
+                    ? `${run.params?.startDate} → ${run.params?.endDate} (${run.summary?.totalTests ?? 0} tests)`
+                    : run.params?.testDate}
+                </span>
+                <Chip size="sm">{(run.params?.horizons || []).join(', ')}</Chip>
+                {run.summary?.cancelled && <Chip size="sm" variant="warning">Cancelled</Chip>}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       <AnimatePresence>
         {results && (
           <motion.div
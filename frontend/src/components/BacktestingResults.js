@@ -1,5 +1,15 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { motion } from 'framer-motion';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
 import { 
   Target, 
   TrendingUp, 
@@ -9,14 +19,23 @@ import {
   BarChart3,
   CheckCircle,
   XCircle,
-  AlertCircle
+  AlertCircle,
+  Wallet,
+  Activity
 } from 'lucide-react';
 import GlassCard from './ui/GlassCard';
 import StatCard from './ui/StatCard';
+import GradientButton from './ui/GradientButton';
 import Chip from './ui/Chip';
+import { apiService } from '../services/apiService';
 import './BacktestingResults.css';
 
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
 const BacktestingResults = ({ results }) => {
+  const [calibrationFit, setCalibrationFit] = useState(null);
+  const [calibrationError, setCalibrationError] = useState(null);
+
   if (!results) return null;
 
   const formatPrice = (price) => {
@@ -51,9 +70,340 @@ const BacktestingResults = ({ results }) => {
     return <AlertCircle size={24} />;
   };
 
+  const formatRatio = (value) => (value === null || value === undefined ? 'N/A' : Number(value).toFixed(2));
+
+  // Model against the baseline forecasters; Theil's U and MASE below 1 beat the naive forecast
+  const renderSkill = (skill) => skill && (
+    <GlassCard className="detailed-metrics" hover={false}>
+      <h4 className="metrics-title">Skill vs Baselines</h4>
+      <p className="strategy-description">
+        Model Theil's U {formatRatio(skill.model.theilU)} • MASE {formatRatio(skill.model.mase)}.
+        {' '}Values below 1 beat the naive last-price forecast; MAE skill above 0 means the model beat that baseline.
+      </p>
+      <div className="skill-table-wrapper">
+        <table className="skill-table">
+          <thead>
+            <tr>
+              <th>Baseline</th>
+              <th>MAE</th>
+              <th>Direction</th>
+              <th>Theil's U</th>
+              <th>MASE</th>
+              <th>Model MAE Skill</th>
+            </tr>
+          </thead>
+          <tbody>
+            {skill.baselines.map((baseline) => (
+              <tr key={baseline.name} title={baseline.description}>
+                <td>{baseline.name}</td>
+                <td>{formatPrice(baseline.mae)}</td>
+                <td>{baseline.directionalAccuracy === null ? 'N/A' : `${(baseline.directionalAccuracy * 100).toFixed(1)}%`}</td>
+                <td>{formatRatio(baseline.theilU)}</td>
+                <td>{formatRatio(baseline.mase)}</td>
+                <td className={baseline.maeSkill > 0 ? 'skill-positive' : 'skill-negative'}>
+                  {baseline.maeSkill === null ? 'N/A' : `${(baseline.maeSkill * 100).toFixed(1)}%`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </GlassCard>
+  );
+
+  const handleFitCalibration = async (method) => {
+    setCalibrationError(null);
+    try {
+      setCalibrationFit(await apiService.fitCalibration(results.runId, method));
+    } catch (err) {
+      setCalibrationError(err.response?.data?.error || err.message || 'Failed to fit calibration');
+    }
+  };
+
+  const handleRemoveCalibration = async () => {
+    setCalibrationError(null);
+    try {
+      await apiService.deleteCalibration(calibrationFit.model);
+      setCalibrationFit(null);
+    } catch (err) {
+      setCalibrationError(err.response?.data?.error || err.message || 'Failed to remove calibration');
+    }
+  };
+
+  // Stated confidence against realized hit rate, with the option to recalibrate live predictions
+  const renderCalibration = (calibration) => calibration && (
+    <GlassCard className="strategy-card" hover={false}>
+      <h4 className="metrics-title">Confidence Calibration</h4>
+      <p className="strategy-description">
+        Predictions bucketed by stated confidence. A calibrated model's hit rate matches its confidence, so its points lie on the diagonal.
+      </p>
+
+      <div className="metrics-grid">
+        <StatCard
+          label="Brier Score"
+          value={formatRatio(calibration.brierScore)}
+          icon={<Target size={24} />}
+        />
+        <StatCard
+          label="Expected Calibration Error"
+          value={formatPercentage(calibration.expectedCalibrationError * 100)}
+          icon={<Activity size={24} />}
+          variant={calibration.expectedCalibrationError <= 0.05 ? 'success' : calibration.expectedCalibrationError <= 0.15 ? 'warning' : 'error'}
+        />
+        <StatCard
+          label="Scored Predictions"
+          value={String(calibration.samples)}
+          icon={<BarChart3 size={24} />}
+        />
+      </div>
+
+      <div className="equity-chart">
+        <Line
+          data={{
+            labels: calibration.reliability.map((bin) => `${bin.range}% (${bin.count})`),
+            datasets: [
+              {
+                label: 'Observed hit rate',
+                data: calibration.reliability.map((bin) => bin.hitRate * 100),
+                borderColor: 'rgb(102, 126, 234)',
+                backgroundColor: 'rgba(102, 126, 234, 0.1)',
+                pointRadius: 4,
+              },
+              {
+                label: 'Stated confidence',
+                data: calibration.reliability.map((bin) => bin.averageConfidence),
+                borderColor: 'rgba(255, 255, 255, 0.5)',
+                borderDash: [6, 4],
+                pointRadius: 0,
+              },
+            ],
+          }}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: { legend: { display: true, position: 'top' } },
+            scales: {
+              y: { min: 0, max: 100, ticks: { callback: (value) => `${value}%` } },
+            },
+          }}
+        />
+      </div>
+
+      {results.runId && (
+        <div className="calibration-actions">
+          <GradientButton size="sm" variant="secondary" onClick={() => handleFitCalibration('isotonic')}>
+            Recalibrate live predictions (isotonic)
+          </GradientButton>
+          <GradientButton size="sm" variant="secondary" onClick={() => handleFitCalibration('platt')}>
+            Recalibrate live predictions (Platt)
+          </GradientButton>
+        </div>
+      )}
+      {calibrationFit && (
+        <small className="strategy-note">
+          {calibrationFit.method} mapping now applied to live {calibrationFit.model} predictions:
+          {' '}ECE {formatPercentage(calibrationFit.before.expectedCalibrationError * 100)} → {formatPercentage(calibrationFit.after.expectedCalibrationError * 100)} on this run.
+          {' '}
+          <button type="button" className="link-button" onClick={handleRemoveCalibration}>Remove</button>
+        </small>
+      )}
+      {calibrationError && <div className="validation-error">{calibrationError}</div>}
+    </GlassCard>
+  );
+
+  // Walk-forward runs aggregate many single-date tests
+  if (Array.isArray(results.results)) {
+    const aggregate = results.aggregateMetrics || {};
+    const strategy = results.strategy;
+    const equityChart = strategy && {
+      labels: strategy.equityCurve.map((point) => point.date),
+      datasets: [
+        {
+          label: 'Strategy',
+          data: strategy.equityCurve.map((point) => point.equity),
+          borderColor: 'rgb(102, 126, 234)',
+          backgroundColor: 'rgba(102, 126, 234, 0.1)',
+          tension: 0.2,
+          fill: true,
+          pointRadius: strategy.equityCurve.length > 30 ? 0 : 3,
+        },
+        {
+          label: 'Buy & Hold',
+          data: strategy.equityCurve.map((point) => point.benchmark),
+          borderColor: 'rgba(255, 255, 255, 0.5)',
+          borderDash: [6, 4],
+          tension: 0.2,
+          pointRadius: 0,
+        },
+      ],
+    };
+
+    return (
+      <div className="backtesting-results">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="results-header"
+        >
+          <h3 className="results-title">Walk-Forward Results</h3>
+          <div className="results-meta">
+            <Chip variant="info">{String(results.asset || 'N/A')}</Chip>
+            <Chip>{`${results.dateRange?.start} → ${results.dateRange?.end}`}</Chip>
+            <Chip>{(results.horizons || []).join(', ') || 'N/A'}</Chip>
+            <Chip>{`${results.totalTests} tests`}</Chip>
+            {results.failedTests?.length > 0 && (
+              <Chip variant="error">{`${results.failedTests.length} failed`}</Chip>
+            )}
+            {results.cancelled && <Chip variant="warning">Cancelled</Chip>}
+          </div>
+        </motion.div>
+
+        <div className="metrics-grid">
+          <StatCard
+            label="Avg Directional Accuracy"
+            value={`${((aggregate.averageDirectionalAccuracy || 0) * 100).toFixed(1)}%`}
+            icon={<Target size={24} />}
+            trend={(aggregate.averageDirectionalAccuracy || 0) >= 0.5 ? 'up' : 'down'}
+            variant={getAccuracyColor(aggregate.averageDirectionalAccuracy || 0)}
+          />
+          <StatCard
+            label="Avg MAE"
+            value={formatPrice(aggregate.averageMAE)}
+            icon={<BarChart3 size={24} />}
+          />
+          <StatCard
+            label="Avg RMSE"
+            value={formatPrice(aggregate.averageRMSE)}
+            icon={<BarChart3 size={24} />}
+          />
+          <StatCard
+            label="Avg MAPE"
+            value={formatPercentage(aggregate.averageMAPE)}
+            icon={<Percent size={24} />}
+          />
+        </div>
+
+        {strategy && (
+          <GlassCard className="strategy-card" hover={false}>
+            <h4 className="metrics-title">Strategy Simulation</h4>
+            <p className="strategy-description">
+              {strategy.parameters.sizing === 'confidence' ? 'Confidence-weighted' : 'Full-size'}
+              {strategy.parameters.allowShort ? ' long/short' : ' long-only'} positions on every prediction, held until the next test date,
+              with {strategy.parameters.feeBps} bps fees and {strategy.parameters.slippageBps} bps slippage per trade.
+            </p>
+
+            <div className="metrics-grid">
+              <StatCard
+                label="Strategy Return"
+                value={formatPercentage(strategy.cumulativeReturn * 100)}
+                icon={<Wallet size={24} />}
+                trend={strategy.cumulativeReturn >= strategy.benchmark.cumulativeReturn ? 'up' : 'down'}
+                variant={strategy.cumulativeReturn >= strategy.benchmark.cumulativeReturn ? 'success' : 'error'}
+              />
+              <StatCard
+                label="Buy & Hold Return"
+                value={formatPercentage(strategy.benchmark.cumulativeReturn * 100)}
+                icon={<DollarSign size={24} />}
+              />
+              <StatCard
+                label="Sharpe / Sortino"
+                value={`${formatRatio(strategy.sharpeRatio)} / ${formatRatio(strategy.sortinoRatio)}`}
+                icon={<Activity size={24} />}
+              />
+              <StatCard
+                label="Max Drawdown"
+                value={formatPercentage(strategy.maxDrawdown * 100)}
+                icon={<TrendingDown size={24} />}
+              />
+              <StatCard
+                label="Win Rate"
+                value={strategy.winRate === null ? 'N/A' : `${(strategy.winRate * 100).toFixed(1)}% of ${strategy.trades}`}
+                icon={<Target size={24} />}
+              />
+            </div>
+
+            <div className="equity-chart">
+              <Line
+                data={equityChart}
+                options={{
+                  responsive: true,
+                  maintainAspectRatio: false,
+                  plugins: {
+                    legend: { display: true, position: 'top' },
+                    tooltip: {
+                      callbacks: {
+                        label: (context) => `${context.dataset.label}: ${formatPrice(context.parsed.y)}`,
+                      },
+                    },
+                  },
+                  scales: {
+                    y: {
+                      ticks: {
+                        callback: (value) => formatPrice(value),
+                      },
+                    },
+                  },
+                }}
+              />
+            </div>
+            <small className="strategy-note">
+              Buy &amp; hold: Sharpe {formatRatio(strategy.benchmark.sharpeRatio)}, max drawdown {formatPercentage(strategy.benchmark.maxDrawdown * 100)}
+            </small>
+          </GlassCard>
+        )}
+
+        {renderSkill(results.skill)}
+
+        {renderCalibration(results.calibration)}
+
+        {Array.isArray(results.horizonMetrics) && (
+          <GlassCard className="detailed-metrics" hover={false}>
+            <h4 className="metrics-title">By Horizon</h4>
+            <div className="metrics-list">
+              {results.horizonMetrics.map((horizon) => (
+                <div key={horizon.horizon} className="metric-row">
+                  <div className="metric-label">{horizon.horizon} ({horizon.tests} tests)</div>
+                  <div className="metric-value">
+                    {horizon.tests > 0
+                      ? `${(horizon.directionalAccuracy * 100).toFixed(1)}% direction • ${formatPercentage(horizon.averageMAPE)} MAPE • U ${formatRatio(horizon.theilU)}`
+                      : 'Not elapsed'}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </GlassCard>
+        )}
+
+        <GlassCard className="detailed-metrics" hover={false}>
+          <h4 className="metrics-title">Tests</h4>
+          <div className="metrics-list">
+            {results.results.map((test) => (
+              <div key={test.testDate} className="metric-row">
+                <div className="metric-label">
+                  {test.testDate} • {String(test.prediction?.direction || 'NEUTRAL')}
+                </div>
+                <div className="metric-value">
+                  {formatPrice(test.predictedPrice)} • {formatPercentage(test.metrics?.mape)} MAPE
+                </div>
+              </div>
+            ))}
+            {(results.failedTests || []).map((failed) => (
+              <div key={failed.testDate} className="metric-row">
+                <div className="metric-label">{failed.testDate} • Failed</div>
+                <div className="metric-value">{failed.error}</div>
+              </div>
+            ))}
+          </div>
+        </GlassCard>
+      </div>
+    );
+  }
+
   const metrics = results.metrics || {};
   const prediction = results.prediction || {};
   const actualPrices = results.actualPrices || [];
+  const predictedPrices = results.predictedPrices || [];
+  const horizonLabel = (index) => actualPrices[index]?.horizon || `Day ${index + 1}`;
 
   return (
     <div className="backtesting-results">
@@ -66,7 +416,7 @@ const BacktestingResults = ({ results }) => {
         <div className="results-meta">
           <Chip variant="info">{String(results.asset || 'N/A')}</Chip>
           <Chip>{String(results.testDate || 'N/A')}</Chip>
-          <Chip>{String(results.daysToPredict || 0)} day(s)</Chip>
+          <Chip>{(results.horizons || []).join(', ') || 'N/A'}</Chip>
         </div>
       </motion.div>
 
@@ -97,6 +447,14 @@ const BacktestingResults = ({ results }) => {
           value={formatPercentage(metrics.mape)}
           icon={<Percent size={24} />}
         />
+
+        {metrics.intervalCoverage != null && (
+          <StatCard
+            label="95% Interval Coverage"
+            value={`${(metrics.intervalCoverage * 100).toFixed(1)}%`}
+            icon={<Target size={24} />}
+          />
+        )}
       </div>
 
       {/* Prediction vs Actual */}
@@ -127,7 +485,8 @@ const BacktestingResults = ({ results }) => {
 
           {Array.isArray(actualPrices) && actualPrices.map((actual, index) => {
             if (!actual || typeof actual.price !== 'number') return null;
-            const error = Math.abs((results.predictedPrice || 0) - actual.price);
+            const predicted = predictedPrices[index] ?? results.predictedPrice ?? 0;
+            const error = Math.abs(predicted - actual.price);
             const percentageError = actual.price > 0 ? ((error / actual.price) * 100) : 0;
             const isCorrectDirection = Array.isArray(metrics.directionalCorrect) ? metrics.directionalCorrect[index] : false;
 
@@ -135,10 +494,14 @@ const BacktestingResults = ({ results }) => {
               <div key={index} className="comparison-item actual">
                 <div className="comparison-label">
                   <DollarSign size={18} />
-                  Actual Price ({actual.date})
+                  Actual Price {actual.horizon ? `after ${actual.horizon}` : ''} ({actual.date.split('T')[0]})
                 </div>
                 <div className="comparison-value">{formatPrice(actual.price)}</div>
                 <div className="comparison-stats">
+                  <div className="stat-item">
+                    <span className="stat-label">Predicted:</span>
+                    <span className="stat-value">{formatPrice(predicted)}</span>
+                  </div>
                   <div className="stat-item">
                     <span className="stat-label">Error:</span>
                     <span className="stat-value">{formatPrice(error)}</span>
@@ -174,7 +537,7 @@ const BacktestingResults = ({ results }) => {
             const errorValue = typeof error === 'number' ? error : 0;
             return (
               <div key={index} className="metric-row">
-                <div className="metric-label">Day {index + 1} Absolute Error</div>
+                <div className="metric-label">{horizonLabel(index)} Absolute Error</div>
                 <div className="metric-value">{formatPrice(errorValue)}</div>
               </div>
             );
@@ -184,7 +547,7 @@ const BacktestingResults = ({ results }) => {
             const errorValue = typeof error === 'number' ? error : 0;
             return (
               <div key={index} className="metric-row">
-                <div className="metric-label">Day {index + 1} Percentage Error</div>
+                <div className="metric-label">{horizonLabel(index)} Percentage Error</div>
                 <div className="metric-value">{formatPercentage(errorValue)}</div>
               </div>
             );
@@ -192,6 +555,8 @@ const BacktestingResults = ({ results }) => {
         </div>
       </GlassCard>
 
+      {renderSkill(results.skill)}
+
       {/* Prediction Analysis */}
       {prediction.analysis && (
         <GlassCard className="prediction-analysis" hover={false}>
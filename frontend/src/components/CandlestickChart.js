@@ -0,0 +1,402 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Chart } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarController,
+  BarElement,
+  LineController,
+  LineElement,
+  PointElement,
+  Tooltip,
+} from 'chart.js';
+import './CandlestickChart.css';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarController,
+  BarElement,
+  LineController,
+  LineElement,
+  PointElement,
+  Tooltip
+);
+
+const UP_COLOR = 'rgb(16, 185, 129)';
+const DOWN_COLOR = 'rgb(239, 68, 68)';
+const GAP_COLOR = 'rgb(148, 163, 184)';
+const MIN_VISIBLE = 10;
+const ZOOM_STEP = 1.25;
+// Fixed y-axis width so the panes line up and the crosshair crosses them at the same x
+const AXIS_WIDTH = 72;
+
+const formatPrice = (value) => `$${Number(value).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: value < 1 ? 6 : 2,
+})}`;
+
+const formatVolume = (value) => Number(value).toLocaleString('en-US', { notation: 'compact', maximumFractionDigits: 2 });
+
+/**
+ * Draws the crosshair: a vertical line at the hovered candle on every pane, and a horizontal
+ * line with the value under the cursor on the pane the cursor is over
+ */
+const crosshairPlugin = {
+  id: 'crosshair',
+  afterEvent(chart, args) {
+    const y = args.event.type === 'mouseout' ? null : args.event.y;
+    if (chart.crosshairY !== y) {
+      chart.crosshairY = y;
+      args.changed = true;
+    }
+  },
+  afterDatasetsDraw(chart, args, options) {
+    const { ctx, chartArea, scales } = chart;
+    if (options.index == null) return;
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(148, 163, 184, 0.8)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+
+    const x = scales.x.getPixelForValue(options.index);
+    ctx.beginPath();
+    ctx.moveTo(x, chartArea.top);
+    ctx.lineTo(x, chartArea.bottom);
+    ctx.stroke();
+
+    const y = chart.crosshairY;
+    if (y != null && y >= chartArea.top && y <= chartArea.bottom) {
+      ctx.beginPath();
+      ctx.moveTo(chartArea.left, y);
+      ctx.lineTo(chartArea.right, y);
+      ctx.stroke();
+
+      const label = options.format(scales.y.getValueForPixel(y));
+      ctx.setLineDash([]);
+      ctx.font = '11px sans-serif';
+      const width = ctx.measureText(label).width + 8;
+      ctx.fillStyle = 'rgba(30, 41, 59, 0.9)';
+      ctx.fillRect(chartArea.left - width, y - 8, width, 16);
+      ctx.fillStyle = 'white';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(label, chartArea.left - width + 4, y);
+    }
+    ctx.restore();
+  },
+};
+
+/**
+ * Zoom the visible window around an anchor
+ * @param {Object} view - { start, end } candle indexes
+ * @param {number} factor - Span multiplier (> 1 zooms out)
+ * @param {number} anchor - Position of the zoom center in the window (0-1)
+ * @param {number} total - Number of candles
+ * @returns {Object} New view
+ */
+const zoomView = (view, factor, anchor, total) => {
+  const span = view.end - view.start;
+  const newSpan = Math.min(total, Math.max(Math.min(MIN_VISIBLE, total), Math.round(span * factor)));
+  const pivot = view.start + anchor * span;
+  const start = Math.min(total - newSpan, Math.max(0, Math.round(pivot - anchor * newSpan)));
+  return { start, end: start + newSpan };
+};
+
+/**
+ * Move the visible window by a number of candles
+ * @param {Object} view - { start, end } candle indexes
+ * @param {number} shift - Candles to move (negative moves back in time)
+ * @param {number} total - Number of candles
+ * @returns {Object} New view
+ */
+const panView = (view, shift, total) => {
+  const span = view.end - view.start;
+  const start = Math.min(total - span, Math.max(0, view.start + shift));
+  return { start, end: start + span };
+};
+
+/**
+ * Trading chart: candlesticks with volume and price overlays, indicator panes below, pan (drag),
+ * zoom (mouse wheel or buttons) and a crosshair shared by all panes
+ * Indicator series must be aligned with the candles
+ */
+const CandlestickChart = ({ candles, indicators, overlays, panes, interval }) => {
+  const [view, setView] = useState({ start: 0, end: candles.length });
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const lengthRef = useRef(candles.length);
+
+  // New candles keep the zoom; a view that showed the latest candle keeps following it
+  useEffect(() => {
+    const previous = lengthRef.current;
+    lengthRef.current = candles.length;
+    setView((current) => {
+      const span = Math.min(current.end - current.start, candles.length);
+      if (current.end >= previous) return { start: candles.length - span, end: candles.length };
+      return panView({ start: current.start, end: current.start + span }, 0, candles.length);
+    });
+  }, [candles.length]);
+
+  // Wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+
+    const onWheel = (event) => {
+      event.preventDefault();
+      const rect = element.getBoundingClientRect();
+      const anchor = Math.min(1, Math.max(0, (event.clientX - rect.left - AXIS_WIDTH) / (rect.width - AXIS_WIDTH)));
+      setView((current) => zoomView(current, event.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP, anchor, lengthRef.current));
+    };
+
+    element.addEventListener('wheel', onWheel, { passive: false });
+    return () => element.removeEventListener('wheel', onWheel);
+  }, []);
+
+  const onMouseDown = (event) => {
+    dragRef.current = { x: event.clientX, view };
+  };
+
+  const onMouseMove = (event) => {
+    if (!dragRef.current) return;
+    const width = containerRef.current.getBoundingClientRect().width - AXIS_WIDTH;
+    const span = dragRef.current.view.end - dragRef.current.view.start;
+    const shift = Math.round(-((event.clientX - dragRef.current.x) / width) * span);
+    setView(panView(dragRef.current.view, shift, candles.length));
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const visible = candles.slice(view.start, view.end);
+  const sliceSeries = (values) => (values ? values.slice(view.start, view.end) : []);
+  const intraday = interval !== '1d';
+  const labels = visible.map((candle) => new Date(candle.timestamp).toLocaleString('en-US', intraday
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { month: 'short', day: 'numeric', year: '2-digit' }));
+
+  const candleColor = (candle) => {
+    if (candle.gap) return GAP_COLOR;
+    return candle.close >= candle.open ? UP_COLOR : DOWN_COLOR;
+  };
+  const hasVolume = visible.some((candle) => candle.volume != null);
+  const maxVolume = Math.max(0, ...visible.map((candle) => candle.volume || 0));
+
+  const onHover = (event, elements, chart) => {
+    const index = chart.scales.x.getValueForPixel(event.x);
+    const next = index >= 0 && index < visible.length ? index : null;
+    if (next !== hoverIndex) setHoverIndex(next);
+  };
+
+  const yAxis = (options) => ({
+    position: 'right',
+    afterFit: (scale) => {
+      scale.width = AXIS_WIDTH;
+    },
+    grid: { color: 'rgba(148, 163, 184, 0.15)' },
+    ...options,
+  });
+
+  const baseOptions = (format, showXAxis) => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: { mode: 'index', intersect: false },
+    onHover,
+    plugins: {
+      legend: { display: false },
+      crosshair: { index: hoverIndex, format },
+    },
+    scales: {
+      x: {
+        display: showXAxis,
+        ticks: { maxRotation: 0, autoSkip: true, maxTicksLimit: 8 },
+        grid: { display: false },
+      },
+    },
+  });
+
+  const overlayDatasets = overlays.flatMap((overlay) => {
+    const series = indicators[overlay.name];
+    if (!series) return [];
+    const line = {
+      type: 'line',
+      borderColor: overlay.color,
+      borderWidth: 1.5,
+      pointRadius: 0,
+      spanGaps: true,
+      yAxisID: 'y',
+      order: 0,
+    };
+
+    if (overlay.name === 'bb') {
+      return [
+        { ...line, label: `${overlay.label} Upper`, data: sliceSeries(series.upper), borderDash: [4, 4] },
+        { ...line, label: `${overlay.label} Middle`, data: sliceSeries(series.middle), borderWidth: 1 },
+        { ...line, label: `${overlay.label} Lower`, data: sliceSeries(series.lower), borderDash: [4, 4] },
+      ];
+    }
+    return [{ ...line, label: overlay.label, data: sliceSeries(series) }];
+  });
+
+  const priceData = {
+    labels,
+    datasets: [
+      ...overlayDatasets,
+      {
+        type: 'bar',
+        label: 'Candle',
+        data: visible.map((candle) => [Math.min(candle.open, candle.close), Math.max(candle.open, candle.close)]),
+        backgroundColor: visible.map(candleColor),
+        barPercentage: 0.8,
+        categoryPercentage: 0.9,
+        minBarLength: 1,
+        grouped: false,
+        yAxisID: 'y',
+        order: 1,
+      },
+      {
+        type: 'bar',
+        label: 'Wick',
+        data: visible.map((candle) => [candle.low, candle.high]),
+        backgroundColor: visible.map(candleColor),
+        barThickness: 1,
+        grouped: false,
+        yAxisID: 'y',
+        order: 2,
+      },
+      ...(hasVolume ? [{
+        type: 'bar',
+        label: 'Volume',
+        data: visible.map((candle) => candle.volume),
+        backgroundColor: visible.map((candle) => (candle.close >= candle.open ? 'rgba(16, 185, 129, 0.25)' : 'rgba(239, 68, 68, 0.25)')),
+        grouped: false,
+        yAxisID: 'volume',
+        order: 3,
+      }] : []),
+    ],
+  };
+
+  const priceOptions = baseOptions(formatPrice, panes.length === 0);
+  priceOptions.scales.y = yAxis({ ticks: { callback: (value) => formatPrice(value) } });
+  // Volume bars fill the bottom quarter of the price pane
+  priceOptions.scales.volume = { display: false, min: 0, max: maxVolume > 0 ? maxVolume * 4 : 1 };
+  priceOptions.plugins.tooltip = {
+    filter: (item) => item.dataset.label !== 'Wick',
+    callbacks: {
+      label: (context) => {
+        const candle = visible[context.dataIndex];
+        if (context.dataset.label === 'Candle') {
+          const gap = candle.gap ? ' (no samples)' : '';
+          return `O ${formatPrice(candle.open)}  H ${formatPrice(candle.high)}  L ${formatPrice(candle.low)}  C ${formatPrice(candle.close)}${gap}`;
+        }
+        if (context.dataset.label === 'Volume') return `Volume ${formatVolume(candle.volume)}`;
+        return `${context.dataset.label} ${formatPrice(context.parsed.y)}`;
+      },
+    },
+  };
+
+  const renderPane = (pane, index) => {
+    const showXAxis = index === panes.length - 1;
+
+    if (pane.name === 'macd') {
+      const macd = indicators.macd || {};
+      const histogram = sliceSeries(macd.histogram);
+      const options = baseOptions((value) => value.toFixed(4), showXAxis);
+      options.scales.y = yAxis({ ticks: { maxTicksLimit: 4 } });
+
+      return (
+        <div key={pane.name} className="candlestick-pane">
+          <span className="candlestick-pane-label">MACD</span>
+          <Chart
+            type="bar"
+            plugins={[crosshairPlugin]}
+            options={options}
+            data={{
+              labels,
+              datasets: [
+                { type: 'line', label: 'MACD', data: sliceSeries(macd.macd), borderColor: 'rgb(102, 126, 234)', borderWidth: 1.5, pointRadius: 0, order: 0 },
+                { type: 'line', label: 'Signal', data: sliceSeries(macd.signal), borderColor: 'rgb(245, 158, 11)', borderWidth: 1.5, pointRadius: 0, order: 0 },
+                {
+                  type: 'bar',
+                  label: 'Histogram',
+                  data: histogram,
+                  backgroundColor: histogram.map((value) => (value >= 0 ? 'rgba(16, 185, 129, 0.6)' : 'rgba(239, 68, 68, 0.6)')),
+                  order: 1,
+                },
+              ],
+            }}
+          />
+        </div>
+      );
+    }
+
+    const rsi = sliceSeries(indicators[pane.name]);
+    const options = baseOptions((value) => value.toFixed(1), showXAxis);
+    options.scales.y = yAxis({ min: 0, max: 100, ticks: { stepSize: 30 } });
+    options.plugins.tooltip = { filter: (item) => item.dataset.label === 'RSI' };
+    const guide = (level) => ({
+      type: 'line',
+      label: `${level}`,
+      data: rsi.map(() => level),
+      borderColor: 'rgba(148, 163, 184, 0.6)',
+      borderWidth: 1,
+      borderDash: [4, 4],
+      pointRadius: 0,
+    });
+
+    return (
+      <div key={pane.name} className="candlestick-pane">
+        <span className="candlestick-pane-label">{pane.label}</span>
+        <Chart
+          type="line"
+          plugins={[crosshairPlugin]}
+          options={options}
+          data={{
+            labels,
+            datasets: [
+              { type: 'line', label: 'RSI', data: rsi, borderColor: 'rgb(168, 85, 247)', borderWidth: 1.5, pointRadius: 0 },
+              guide(70),
+              guide(30),
+            ],
+          }}
+        />
+      </div>
+    );
+  };
+
+  const zoomBy = (factor) => setView((current) => zoomView(current, factor, 1, candles.length));
+
+  return (
+    <div className="candlestick-chart">
+      <div className="candlestick-toolbar">
+        <span className="candlestick-hint">Drag to pan, scroll to zoom</span>
+        <button type="button" className="candlestick-button" onClick={() => zoomBy(1 / ZOOM_STEP)}>+</button>
+        <button type="button" className="candlestick-button" onClick={() => zoomBy(ZOOM_STEP)}>−</button>
+        <button type="button" className="candlestick-button" onClick={() => setView({ start: 0, end: candles.length })}>Reset</button>
+      </div>
+      <div
+        ref={containerRef}
+        className="candlestick-panes"
+        onMouseDown={onMouseDown}
+        onMouseMove={onMouseMove}
+        onMouseUp={endDrag}
+        onMouseLeave={() => {
+          endDrag();
+          setHoverIndex(null);
+        }}
+      >
+        <div className="candlestick-main">
+          <Chart type="bar" plugins={[crosshairPlugin]} options={priceOptions} data={priceData} />
+        </div>
+        {panes.map(renderPane)}
+      </div>
+    </div>
+  );
+};
+
+export default CandlestickChart;
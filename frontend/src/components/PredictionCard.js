@@ -1,7 +1,7 @@
 import React from 'react';
 import './PredictionCard.css';
 
-const PredictionCard = ({ asset, prediction, loading, error, onRefresh, livePrices }) => {
+const PredictionCard = ({ asset, prediction, loading, error, onRefresh, livePrices, models = [], model, onModelChange }) => {
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -51,6 +51,7 @@ const PredictionCard = ({ asset, prediction, loading, error, onRefresh, livePric
         direction: pred.direction,
         priceTarget: pred.priceTarget,
         confidence: pred.confidence || 65,
+        rawConfidence: pred.rawConfidence,
         riskLevel: pred.riskLevel || getRiskLevel(),
         timeframe: pred.timeframe || '24h',
         analysis: pred.analysis,
@@ -108,6 +109,15 @@ const PredictionCard = ({ asset, prediction, loading, error, onRefresh, livePric
   const priceChange24h = getPriceChange24h();
   const volatility = getVolatility();
   const indicators = getTechnicalIndicators();
+  const indicatorItems = [
+    indicators.rsi != null && { label: 'RSI', value: indicators.rsi.toFixed(1) },
+    indicators.macd && { label: 'MACD HIST', value: indicators.macd.histogram.toFixed(4) },
+    indicators.bollinger && { label: 'BOLLINGER %B', value: indicators.bollinger.percentB.toFixed(2) },
+    indicators.atr != null && { label: 'ATR', value: formatPrice(indicators.atr) },
+    indicators.stochastic && { label: 'STOCH %K / %D', value: `${indicators.stochastic.k.toFixed(0)} / ${indicators.stochastic.d.toFixed(0)}` },
+    indicators.adx && { label: 'ADX', value: indicators.adx.adx.toFixed(1) },
+    indicators.vwap != null && { label: 'VWAP', value: formatPrice(indicators.vwap) },
+  ].filter(Boolean);
 
   if (!predData) {
     return (
@@ -183,9 +193,58 @@ const PredictionCard = ({ asset, prediction, loading, error, onRefresh, livePric
             </div>
             <span className="confidence-value">{predData.confidence}%</span>
           </div>
+          {prediction.model && (
+            <div className="prediction-model-tag">VIA {prediction.model.toUpperCase()} MODEL</div>
+          )}
+          {prediction.calibration && predData.rawConfidence != null && (
+            <div className="prediction-model-tag">
+              {prediction.calibration.method.toUpperCase()} CALIBRATED FROM {predData.rawConfidence}%
+            </div>
+          )}
+          {prediction.source === 'fallback' && (
+            <div className="prediction-fallback-warning">
+              HEURISTIC FALLBACK: the model did not return a valid prediction
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Data Quality Warnings */}
+      {prediction.quality?.warnings?.length > 0 && (
+        <div className={`data-quality-section ${prediction.quality.status}`}>
+          <div className="data-quality-header">
+            <span>DATA QUALITY: {prediction.quality.status.toUpperCase()}</span>
+            {prediction.quality.synthetic && <span className="data-quality-tag">REPLAYED OR SUBSTITUTED DATA</span>}
+          </div>
+          <ul className="data-quality-warnings">
+            {prediction.quality.warnings.map((warning) => (
+              <li key={warning.code} className={`data-quality-warning ${warning.severity}`}>
+                {warning.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Model Selection */}
+      {models.length > 0 && (
+        <div className="model-selector">
+          <label htmlFor="model-select" className="model-selector-label">MODEL</label>
+          <select
+            id="model-select"
+            className="model-select"
+            value={model || ''}
+            onChange={(e) => onModelChange(e.target.value)}
+          >
+            {models.map((option) => (
+              <option key={option.name} value={option.name} disabled={!option.available}>
+                {option.description}{option.available ? '' : ` (${option.reason})`}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {/* Get Prediction Button */}
       <button onClick={onRefresh} className="btn-primary-futuristic btn-large">
         Get AI Prediction
@@ -214,6 +273,44 @@ const PredictionCard = ({ asset, prediction, loading, error, onRefresh, livePric
         </div>
       </div>
 
+      {/* Price Path Section */}
+      {prediction.pricePath?.length > 1 && (
+        <div className="price-path-section">
+          <h3 className="section-title">Price Path</h3>
+          <div className="price-path-grid">
+            {prediction.pricePath.map((point) => (
+              <div key={point.horizon} className="price-path-item">
+                <div className="metric-label">{point.horizon}</div>
+                <div className="metric-value">{formatPrice(point.priceTarget)}</div>
+                <div className={`price-path-direction ${point.direction.toLowerCase()}`}>
+                  {point.direction} · {point.confidence}%
+                </div>
+                {point.lower != null && point.upper != null && (
+                  <div className="price-path-interval">
+                    95% CI {formatPrice(point.lower)} – {formatPrice(point.upper)}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Technical Indicators Section */}
+      {indicatorItems.length > 0 && (
+        <div className="ai-prediction-section">
+          <h3 className="section-title">Technical Indicators</h3>
+          <div className="prediction-metrics-grid">
+            {indicatorItems.map((item) => (
+              <div key={item.label} className="metric-item">
+                <div className="metric-label">{item.label}</div>
+                <div className="metric-value">{item.value}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Analysis Section */}
       <div className="analysis-section">
         <h3 className="section-title">Analysis</h3>
@@ -1,190 +1,183 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Line } from 'react-chartjs-2';
-import {
-  Chart as ChartJS,
-  CategoryScale,
-  LinearScale,
-  PointElement,
-  LineElement,
-  Title,
-  Tooltip,
-  Legend,
-} from 'chart.js';
 import { apiService } from '../services/apiService';
+import CandlestickChart from './CandlestickChart';
 import './PriceDashboard.css';
 
-ChartJS.register(
-  CategoryScale,
-  LinearScale,
-  PointElement,
-  LineElement,
-  Title,
-  Tooltip,
-  Legend
-);
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Candle interval length, matching the backend candle service
+const INTERVAL_MS = {
+  '5m': 5 * MINUTE_MS,
+  '1h': 60 * MINUTE_MS,
+  '4h': 4 * 60 * MINUTE_MS,
+  '1d': DAY_MS,
+};
+
+// Range buttons and the candle interval each one is drawn with
+const RANGES = [
+  { label: '1D', days: 1, interval: '5m' },
+  { label: '7D', days: 7, interval: '1h' },
+  { label: '30D', days: 30, interval: '4h' },
+  { label: '90D', days: 90, interval: '1d' },
+  { label: '1Y', days: 365, interval: '1d' },
+];
+
+// Indicator series that share the price axis and can be overlaid on the candles
+const OVERLAYS = [
+  { name: 'sma20', label: 'SMA 20', color: 'rgb(245, 158, 11)' },
+  { name: 'sma50', label: 'SMA 50', color: 'rgb(236, 72, 153)' },
+  { name: 'ema20', label: 'EMA 20', color: 'rgb(16, 185, 129)' },
+  { name: 'bb', label: 'Bollinger', color: 'rgb(100, 116, 139)' },
+];
+
+// Indicators drawn in their own pane below the price
+const PANES = [
+  { name: 'rsi14', label: 'RSI 14', color: 'rgb(168, 85, 247)' },
+  { name: 'macd', label: 'MACD', color: 'rgb(102, 126, 234)' },
+];
+
+const INDICATOR_NAMES = [...OVERLAYS, ...PANES].map((indicator) => indicator.name);
+
+/**
+ * Line indicator values up with the candles by timestamp
+ * @param {Object[]} candles - Candles
+ * @param {Object} indicatorData - Response of the indicators endpoint
+ * @returns {Object} Series by name, arrays (or objects of arrays) of the candles' length
+ */
+const alignIndicators = (candles, indicatorData) => {
+  if (!indicatorData) return {};
+  const indexes = new Map(indicatorData.timestamps.map((timestamp, i) => [timestamp, i]));
+  const align = (values) => candles.map((candle) => {
+    const index = indexes.get(candle.timestamp);
+    return index === undefined ? null : values[index];
+  });
+
+  return Object.fromEntries(Object.entries(indicatorData.series).map(([name, series]) => [
+    name,
+    Array.isArray(series)
+      ? align(series)
+      : Object.fromEntries(Object.entries(series).map(([key, values]) => [key, align(values)])),
+  ]));
+};
 
 const PriceDashboard = ({ asset, livePrices }) => {
-  const [historicalData, setHistoricalData] = useState(null);
+  const [range, setRange] = useState('30D');
+  const [chartData, setChartData] = useState(null);
+  const [overlays, setOverlays] = useState(['sma20']);
+  const [panes, setPanes] = useState(['rsi14']);
   const [loading, setLoading] = useState(true);
-  const historicalUpdateIntervalRef = useRef(null);
   const lastUpdateRef = useRef(0);
 
   useEffect(() => {
-    fetchHistoricalData();
+    const { days, interval } = RANGES.find((option) => option.label === range);
+    let cancelled = false;
+
+    const fetchChartData = async () => {
+      const to = Date.now();
+      const from = to - days * DAY_MS;
+
+      try {
+        const [candleData, indicatorData] = await Promise.all([
+          apiService.getCandles(asset, interval, from, to),
+          apiService.getIndicators(asset, INDICATOR_NAMES, { interval, from, to }).catch((error) => {
+            console.error('Error fetching indicators:', error);
+            return null;
+          }),
+        ]);
+        if (cancelled) return;
+
+        setChartData({
+          asset,
+          range,
+          interval,
+          candles: candleData.candles,
+          indicators: alignIndicators(candleData.candles, indicatorData),
+          gaps: candleData.gaps,
+        });
+      } catch (error) {
+        console.error('Error fetching candles:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
 
-    // Set up historical data refresh every 5 minutes
-    historicalUpdateIntervalRef.current = setInterval(() => {
-      fetchHistoricalData();
-    }, 5 * 60 * 1000);
+    setLoading(true);
+    fetchChartData();
+
+    // Refresh the candles every 5 minutes
+    const refreshInterval = setInterval(fetchChartData, 5 * 60 * 1000);
 
     return () => {
-      if (historicalUpdateIntervalRef.current) {
-        clearInterval(historicalUpdateIntervalRef.current);
-      }
+      cancelled = true;
+      clearInterval(refreshInterval);
     };
-  }, [asset]);
+  }, [asset, range]);
 
   useEffect(() => {
-    // When live prices update, update the last data point with current price
-    if (livePrices?.prices?.[asset]?.price) {
-      const currentPrice = livePrices.prices[asset].price;
-      const currentTimestamp = Date.now();
-      
-      // Throttle updates to avoid too frequent re-renders (max once per 30 seconds)
-      if (currentTimestamp - lastUpdateRef.current < 30000) {
-        return;
-      }
-      
-      lastUpdateRef.current = currentTimestamp;
-      
-      // Update the last data point with current price
-      setHistoricalData(prevData => {
-        if (!prevData || !prevData.dataPoints || prevData.dataPoints.length === 0) {
-          return prevData;
-        }
-        
-        const newDataPoints = [...prevData.dataPoints];
-        const lastPoint = newDataPoints[newDataPoints.length - 1];
-        const lastTimestamp = new Date(lastPoint?.date || lastPoint?.timestamp || 0).getTime();
-        const timeDiff = currentTimestamp - lastTimestamp;
-        
-        // Only update if the last point is recent (within 1 hour) to avoid creating gaps
-        if (timeDiff < 60 * 60 * 1000) {
-          newDataPoints[newDataPoints.length - 1] = {
-            ...lastPoint,
-            price: Number(currentPrice.toFixed(2)),
-            timestamp: currentTimestamp,
-            date: new Date(currentTimestamp).toISOString(),
-          };
-          
-          return {
-            ...prevData,
-            dataPoints: newDataPoints,
-            endDate: new Date(currentTimestamp).toISOString(),
-          };
-        }
-        
-        return prevData;
-      });
+    // When live prices update, move the close (and high or low) of the current candle
+    const currentPrice = livePrices?.prices?.[asset]?.price;
+    if (!currentPrice) return;
+
+    const currentTimestamp = Date.now();
+    // Throttle updates to avoid too frequent re-renders (max once per 30 seconds)
+    if (currentTimestamp - lastUpdateRef.current < 30000) {
+      return;
     }
-  }, [livePrices, asset]);
+    lastUpdateRef.current = currentTimestamp;
 
-  const fetchHistoricalData = async () => {
-    setLoading(true);
-    try {
-      const data = await apiService.getHistoricalData(asset, 30);
-      setHistoricalData(data);
-    } catch (error) {
-      console.error('Error fetching historical data:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
+    setChartData((prevData) => {
+      if (!prevData || prevData.asset !== asset || prevData.candles.length === 0) {
+        return prevData;
+      }
 
-  const currentPrice = livePrices?.prices?.[asset]?.price;
+      const candles = [...prevData.candles];
+      const lastCandle = candles[candles.length - 1];
+      // Only update the candle the current time falls in; a new candle waits for the next fetch
+      if (currentTimestamp >= lastCandle.timestamp + INTERVAL_MS[prevData.interval]) {
+        return prevData;
+      }
 
-  // Prepare chart data with proper formatting
-  const dataPoints = historicalData?.dataPoints || [];
-  const validDataPoints = dataPoints.filter(dp => dp && dp.price != null && dp.price > 0);
-  
-  // Format labels and data arrays, ensuring they're aligned
-  const chartLabels = validDataPoints.map((dp) => {
-    try {
-      return new Date(dp.date || dp.timestamp).toLocaleDateString('en-US', {
-        month: 'short',
-        day: 'numeric',
-      });
-    } catch {
-      return '';
-    }
-  });
+      candles[candles.length - 1] = {
+        ...lastCandle,
+        close: currentPrice,
+        price: currentPrice,
+        high: Math.max(lastCandle.high, currentPrice),
+        low: Math.min(lastCandle.low, currentPrice),
+      };
+      return { ...prevData, candles };
+    });
+  }, [livePrices, asset]);
 
-  const chartPrices = validDataPoints.map((dp) => Number(dp.price));
-
-  const chartData = {
-    labels: chartLabels,
-    datasets: [
-      {
-        label: `${asset} Price (USD)`,
-        data: chartPrices,
-        borderColor: 'rgb(102, 126, 234)',
-        backgroundColor: 'rgba(102, 126, 234, 0.1)',
-        tension: 0.4,
-        fill: true,
-        pointRadius: chartPrices.length > 30 ? 0 : 3,
-        pointHoverRadius: 5,
-      },
-    ],
+  const toggle = (setter) => (name) => {
+    setter((current) => (current.includes(name)
+      ? current.filter((enabled) => enabled !== name)
+      : [...current, name]));
   };
 
-  const chartOptions = {
-    responsive: true,
-    maintainAspectRatio: false,
-    animation: {
-      duration: 750,
-    },
-    plugins: {
-      legend: {
-        display: true,
-        position: 'top',
-      },
-      title: {
-        display: true,
-        text: `${asset} Price History (30 Days)`,
-      },
-      tooltip: {
-        callbacks: {
-          label: function(context) {
-            return `$${context.parsed.y.toFixed(2)}`;
-          },
-        },
-      },
-    },
-    scales: {
-      x: {
-        ticks: {
-          maxRotation: 45,
-          minRotation: 45,
-        },
-      },
-      y: {
-        beginAtZero: false,
-        ticks: {
-          callback: function(value) {
-            return '$' + value.toLocaleString('en-US', {
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 2,
-            });
-          },
-        },
-      },
-    },
-  };
+  const currentPrice = livePrices?.prices?.[asset]?.price;
+  const candles = chartData?.asset === asset ? chartData.candles : [];
+  const indicators = chartData?.indicators || {};
+  const hasVolume = candles.some((candle) => candle.volume != null);
+
+  const renderToggles = (options, enabled, onToggle) => options
+    .filter((option) => indicators[option.name])
+    .map((option) => (
+      <button
+        key={option.name}
+        type="button"
+        className={`overlay-toggle ${enabled.includes(option.name) ? 'active' : ''}`}
+        style={{ '--overlay-color': option.color }}
+        onClick={() => onToggle(option.name)}
+      >
+        {option.label}
+      </button>
+    ));
 
   return (
     <div className="card price-dashboard">
       <h2>📊 Price Dashboard - {asset}</h2>
-      
+
       {currentPrice && (
         <div className="current-price">
           <div className="price-value">
@@ -197,19 +190,46 @@ const PriceDashboard = ({ asset, livePrices }) => {
         </div>
       )}
 
-      {loading ? (
-        <div className="loading">Loading historical data...</div>
-      ) : validDataPoints.length > 0 ? (
-        <div className="chart-container">
-          <Line data={chartData} options={chartOptions} />
+      <div className="chart-controls">
+        <div className="range-buttons">
+          {RANGES.map((option) => (
+            <button
+              key={option.label}
+              type="button"
+              className={`range-button ${range === option.label ? 'active' : ''}`}
+              onClick={() => setRange(option.label)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <div className="overlay-toggles">
+          {renderToggles(OVERLAYS, overlays, toggle(setOverlays))}
+          {renderToggles(PANES, panes, toggle(setPanes))}
         </div>
+      </div>
+
+      {loading && candles.length === 0 ? (
+        <div className="loading">Loading candles...</div>
+      ) : candles.length > 0 ? (
+        <CandlestickChart
+          key={`${chartData.asset}-${chartData.range}`}
+          candles={candles}
+          indicators={indicators}
+          interval={chartData.interval}
+          overlays={OVERLAYS.filter((overlay) => overlays.includes(overlay.name))}
+          panes={PANES.filter((pane) => panes.includes(pane.name) && indicators[pane.name])}
+        />
       ) : (
-        <div className="loading">No historical data available yet. Please wait...</div>
+        <div className="loading">No FTSO price samples recorded for this range yet. Please wait...</div>
       )}
 
-      {historicalData?.note && (
+      {candles.length > 0 && (chartData.gaps > 0 || !hasVolume) && (
         <div className="data-note">
-          <small>ℹ️ {historicalData.note}</small>
+          <small>
+            ℹ️ {chartData.gaps > 0 && `${chartData.gaps} ${chartData.interval} intervals without FTSO samples are drawn as grey flat candles. `}
+            {!hasVolume && 'FTSO feeds carry no traded volume, so volume bars are not shown.'}
+          </small>
         </div>
       )}
     </div>
@@ -217,4 +237,3 @@ const PriceDashboard = ({ asset, livePrices }) => {
 };
 
 export default PriceDashboard;
-
@@ -10,6 +10,14 @@ const api = axios.create({
 });
 
 export const apiService = {
+  /**
+   * Get the tracked assets from the backend feed registry
+   */
+  async getAssets() {
+    const response = await api.get('/api/assets');
+    return response.data;
+  },
+
   /**
    * Get live prices for all assets
    */
@@ -18,6 +26,24 @@ export const apiService = {
     return response.data;
   },
 
+  /**
+   * Subscribe to the live price stream (Server-Sent Events)
+   * onOpen/onError report when the stream connects and drops; EventSource reconnects by itself
+   * Returns an unsubscribe function, or null when the browser has no EventSource support
+   */
+  subscribeToPrices({ onPrices, onOpen, onError }) {
+    if (typeof EventSource === 'undefined') {
+      return null;
+    }
+
+    const source = new EventSource(`${API_URL}/api/stream/prices`);
+    source.addEventListener('prices', (event) => onPrices(JSON.parse(event.data)));
+    source.onopen = () => onOpen?.();
+    source.onerror = () => onError?.();
+
+    return () => source.close();
+  },
+
   /**
    * Get live price for a specific asset
    */
@@ -44,6 +70,30 @@ export const apiService = {
     return response.data;
   },
 
+  /**
+   * Get OHLCV candles for an asset
+   * @param {string} interval - 1m, 5m, 1h, 4h or 1d
+   * @param {number} from - Start (Unix ms)
+   * @param {number} to - End (Unix ms)
+   */
+  async getCandles(asset, interval, from, to) {
+    const response = await api.get(`/api/prices/candles/${asset}`, {
+      params: { interval, from, to },
+    });
+    return response.data;
+  },
+
+  /**
+   * Get indicator series aligned with candle timestamps, e.g. names ['sma7', 'rsi14', 'macd']
+   * @param {Object} [params] - { days } for the historical candles, or { interval, from, to } for interval candles
+   */
+  async getIndicators(asset, names, params = { days: 30 }) {
+    const response = await api.get(`/api/indicators/${asset}`, {
+      params: { names: names.join(','), ...params },
+    });
+    return response.data;
+  },
+
   /**
    * Get aggregated data for an asset
    */
@@ -52,11 +102,26 @@ export const apiService = {
     return response.data;
   },
 
+  /**
+   * Get the prediction models and whether they are available
+   */
+  async getPredictionModels() {
+    const response = await api.get('/api/predictions/models');
+    return response.data;
+  },
+
   /**
    * Get price prediction for an asset
+   * @param {string} [model] - Prediction model (defaults to the backend default)
+   * @param {string[]} [horizons] - Horizons to predict, e.g. ['1h', '24h', '7d', '30d']
    */
-  async getPrediction(asset) {
-    const response = await api.get(`/api/predictions/${asset}`);
+  async getPrediction(asset, model, horizons) {
+    const response = await api.get(`/api/predictions/${asset}`, {
+      params: {
+        ...(model && { model }),
+        ...(horizons?.length && { horizons: horizons.join(',') }),
+      },
+    });
     return response.data;
   },
 
@@ -69,13 +134,13 @@ export const apiService = {
   },
 
   /**
-   * Run a backtest for a specific date
+   * Run a backtest for a specific date, scoring each horizon independently
    */
-  async runBacktest(asset, testDate, daysToPredict = 1) {
+  async runBacktest(asset, testDate, horizons = ['24h']) {
     const response = await api.post('/api/backtesting/test', {
       asset,
       testDate,
-      daysToPredict,
+      horizons,
     });
     return response.data;
   },
@@ -83,17 +148,81 @@ export const apiService = {
   /**
    * Run multiple backtests for a date range
    */
-  async runMultipleBacktests(asset, startDate, endDate, stepDays = 7, daysToPredict = 1) {
+  async runMultipleBacktests(asset, startDate, endDate, stepDays = 7, horizons = ['24h']) {
     const response = await api.post('/api/backtesting/multiple', {
       asset,
       startDate,
       endDate,
       stepDays,
-      daysToPredict,
+      horizons,
+    });
+    return response.data;
+  },
+
+  /**
+   * Submit a walk-forward backtest over a date range to run in the background
+   */
+  async submitBacktestJob(asset, startDate, endDate, stepDays = 7, horizons = ['24h']) {
+    const response = await api.post('/api/backtesting/jobs', {
+      asset,
+      startDate,
+      endDate,
+      stepDays,
+      horizons,
     });
     return response.data;
   },
 
+  /**
+   * Get a backtest job's status and progress
+   */
+  async getBacktestJob(jobId) {
+    const response = await api.get(`/api/backtesting/jobs/${jobId}`);
+    return response.data;
+  },
+
+  /**
+   * Cancel a running backtest job
+   */
+  async cancelBacktestJob(jobId) {
+    const response = await api.delete(`/api/backtesting/jobs/${jobId}`);
+    return response.data;
+  },
+
+  /**
+   * List stored backtest runs, newest first
+   */
+  async getBacktestRuns(asset, limit = 20) {
+    const response = await api.get('/api/backtesting/runs', {
+      params: { asset, limit },
+    });
+    return response.data;
+  },
+
+  /**
+   * Get a stored backtest run with its full results
+   */
+  async getBacktestRun(runId) {
+    const response = await api.get(`/api/backtesting/runs/${runId}`);
+    return response.data;
+  },
+
+  /**
+   * Fit a confidence recalibration mapping from a stored run and apply it to live predictions
+   */
+  async fitCalibration(runId, method = 'isotonic') {
+    const response = await api.post(`/api/backtesting/runs/${runId}/calibration`, { method });
+    return response.data;
+  },
+
+  /**
+   * Stop recalibrating a model's live predictions
+   */
+  async deleteCalibration(model) {
+    const response = await api.delete(`/api/predictions/calibration/${model}`);
+    return response.data;
+  },
+
   /**
    * Validate if a backtest can be run for a date
    */